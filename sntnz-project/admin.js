@@ -0,0 +1,579 @@
+/**
+ * ============================================================================
+ * --- Admin Console API (admin.js) ---
+ * ============================================================================
+ *
+ * Admins and moderators act on the live game from the console at /admin, which calls
+ * the routes defined here under /admin/api. Every route requires the MODERATE
+ * permission, and the player routes also require BAN or MANAGE_ROLES (see permissions.js).
+ *
+ * Responsibilities:
+ * - Turn admin requests into commands and carry them out with the game engine.
+ * - Look up players, ban and unban them, and grant and revoke their roles.
+ * - Serve the queue of player reports, and carry out their resolution: removing the
+ *   content, blocking the word in the profanity filter, and banning its author.
+ * - List, add and remove the profanity rules (see profanity.js).
+ * - Write every change made by an admin to the `adminActions` audit log.
+ * - Serve the audit log to the console.
+ *
+ * A command is a plain object `{ action, roomId, ...arguments }`, so it can be sent to
+ * another instance as is: in cluster mode, only the game-loop leader owns the bot and
+ * seal state, and the server forwards commands to it (see `runAdminCommand` in server.js).
+ * The resulting changes reach players through the usual socket events
+ * (`liveFeedPatched`, `currentTextUpdated`, `nextTick`).
+ */
+
+const express = require('express');
+const logger = require('./logger');
+const constants = require('./constants');
+const { REPORT_TARGETS, REPORT_STATUSES, REPORT_RESOLUTIONS } = require('./reports');
+const { RULE_LISTS, RULE_MATCHES, normalizeWord } = require('./profanity');
+const { ROLES, PERMISSIONS, MAX_BAN_HOURS, getActiveBan, getPermissions, hasPermission, requirePermission } = require('./permissions');
+const { isBotId } = require('./personas');
+
+// The actions an admin can take. STATUS only reads, and is not written to the audit log.
+const ADMIN_ACTIONS = Object.freeze({
+  STATUS: 'status',
+  REMOVE_CANDIDATE: 'remove-candidate',
+  REMOVE_WORD: 'remove-word',
+  RENAME_CHAPTER: 'rename-chapter',
+  PAUSE: 'pause',
+  RESUME: 'resume',
+  FORCE_SEAL: 'force-seal',
+  SKIP_SEAL: 'skip-seal',
+});
+
+// The actions on players and their reports, written to the same audit log.
+const USER_ACTIONS = Object.freeze({
+  GRANT_ROLE: 'grant-role',
+  REVOKE_ROLE: 'revoke-role',
+  BAN: 'ban',
+  UNBAN: 'unban',
+  RESOLVE_REPORT: 'resolve-report',
+  ADD_PROFANITY_RULE: 'add-profanity-rule',
+  REMOVE_PROFANITY_RULE: 'remove-profanity-rule',
+});
+
+const MAX_TITLE_LENGTH = 80;
+const MAX_BAN_REASON_LENGTH = 200;
+const MAX_RULE_PATTERN_LENGTH = 50;
+const MAX_RULE_NOTE_LENGTH = 200;
+const DEFAULT_LOG_LIMIT = 50;
+const MAX_LOG_LIMIT = 200;
+
+// ============================================================================
+// --- COMMANDS ---
+// ============================================================================
+
+/**
+ * @summary Creates the executor of admin commands on this instance.
+ * @param {object} deps
+ * @param {object} deps.engine - The game engine (see game-engine.js).
+ * @param {Function} deps.getRoom - Returns a room's state by ID, or undefined.
+ * @returns {{execute: Function}}
+ */
+function createAdminCommands({ engine, getRoom }) {
+  const handlers = {
+    [ADMIN_ACTIONS.STATUS]: (room) => engine.describeRoom(room),
+    [ADMIN_ACTIONS.REMOVE_CANDIDATE]: (room, { compositeKey }) => engine.removeCandidate(room, compositeKey),
+    [ADMIN_ACTIONS.REMOVE_WORD]: (room, { ts }) => engine.removeWord(room, ts),
+    [ADMIN_ACTIONS.RENAME_CHAPTER]: (room, { title }) => engine.renameChapter(room, title),
+    [ADMIN_ACTIONS.PAUSE]: (room) => engine.setPaused(room, true),
+    [ADMIN_ACTIONS.RESUME]: (room) => engine.setPaused(room, false),
+    [ADMIN_ACTIONS.FORCE_SEAL]: (room) => engine.forceSeal(room),
+    [ADMIN_ACTIONS.SKIP_SEAL]: (room) => engine.skipSeal(room),
+  };
+
+  /**
+   * Carries out one command.
+   * @param {object} command - `{ action, roomId, ...arguments }`.
+   * @returns {Promise<{ok: boolean, reason?: string, notFound?: boolean, status?: object}>}
+   */
+  async function execute({ action, roomId, ...args }) {
+    const handler = handlers[action];
+    if (!handler) return { ok: false, reason: `Unknown action '${action}'.` };
+    const room = getRoom(roomId);
+    if (!room) return { ok: false, notFound: true, reason: 'Room not found.' };
+
+    try {
+      if (action === ADMIN_ACTIONS.STATUS) return { ok: true, status: await handler(room, args) };
+      return await handler(room, args);
+    } catch (err) {
+      logger.error({ err, action, roomId }, '[admin] Command failed');
+      return { ok: false, reason: 'The action failed. See the server logs.' };
+    }
+  }
+
+  return { execute };
+}
+
+// ============================================================================
+// --- ROUTES ---
+// ============================================================================
+
+/**
+ * @summary Creates the router for the admin API, to be mounted at /admin/api.
+ * @param {object} deps
+ * @param {Function} deps.runCommand - Runs a command where the game loop runs and returns its result.
+ * @param {object} deps.adminLog - The audit log: `{ record(entry), recent(limit) }`, both async.
+ * @param {Function} deps.listRooms - Returns every room's state.
+ * @param {object} deps.userAdmin - Changes roles and bans (see `createUserAdmin` in permissions.js).
+ * @param {object} deps.reportStore - The player reports (see reports.js).
+ * @param {object} deps.profanityRules - The profanity rules of every instance: `{ list(), add(rule), remove(ruleId) }`, all async.
+ * @returns {express.Router}
+ */
+function createAdminRouter({ runCommand, adminLog, listRooms, userAdmin, reportStore, profanityRules }) {
+  const router = express.Router();
+  router.use(requirePermission(PERMISSIONS.MODERATE));
+
+  // Changes are only accepted as JSON. A cross-site form cannot send JSON, and a cross-site
+  // script cannot either without a CORS preflight, which the CORS policy refuses: an admin's
+  // session cannot be used from another site (CSRF).
+  router.use((req, res, next) => {
+    if (req.method === 'GET' || req.method === 'HEAD' || req.is('application/json')) return next();
+    res.status(415).json({ error: 'The admin API only accepts JSON requests.' });
+  });
+
+  /**
+   * Writes an action to the audit log without waiting for it.
+   * @param {object} req - The Express request, from an admin.
+   * @param {object} details - The action and its arguments.
+   * @param {object} result - `{ ok, reason? }`.
+   */
+  function record(req, details, result) {
+    const entry = {
+      ts: Date.now(),
+      adminId: req.user.googleId,
+      adminName: req.user.username,
+      ...details,
+      ok: result.ok,
+      reason: result.reason || null,
+    };
+    adminLog.record(entry).catch(err => {
+      logger.error({ err, entry }, '[admin] Failed to write the audit log');
+    });
+    logger.info({ admin: req.user.username, ...details, ok: result.ok }, '[admin] Admin action');
+  }
+
+  /**
+   * Runs a command for a request, records it in the audit log, and sends the result.
+   * @param {object} req - The Express request, from an admin.
+   * @param {object} res - The Express response.
+   * @param {object} command - The command to run.
+   */
+  async function handle(req, res, command) {
+    let result;
+    try {
+      result = await runCommand(command);
+    } catch (err) {
+      logger.error({ err, command }, '[admin] Could not run the command');
+      result = { ok: false, reason: 'The game loop could not be reached. Try again.' };
+    }
+
+    if (command.action !== ADMIN_ACTIONS.STATUS) record(req, command, result);
+
+    if (result.ok) return res.json(result);
+    res.status(result.notFound ? 404 : 409).json({ error: result.reason });
+  }
+
+  /**
+   * GET /admin/api/me
+   * -----------------
+   * Returns the signed-in admin's name and permissions, so the console shows only what they can use.
+   */
+  router.get('/me', (req, res) => {
+    res.json({ googleId: req.user.googleId, username: req.user.username, permissions: [...getPermissions(req.user)] });
+  });
+
+  // --- Rooms ---
+
+  /**
+   * GET /admin/api/rooms
+   * --------------------
+   * Lists the rooms, with the status of each.
+   */
+  router.get('/rooms', async (req, res) => {
+    const statuses = [];
+    for (const room of listRooms()) {
+      const result = await runCommand({ action: ADMIN_ACTIONS.STATUS, roomId: room.id }).catch(() => null);
+      statuses.push(result && result.ok ? result.status : { id: room.id, name: room.name, unavailable: true });
+    }
+    res.json(statuses);
+  });
+
+  /**
+   * DELETE /admin/api/rooms/:roomId/candidates/:compositeKey
+   * --------------------------------------------------------
+   * Removes a candidate from the live round.
+   */
+  router.delete('/rooms/:roomId/candidates/:compositeKey', (req, res) => {
+    handle(req, res, { action: ADMIN_ACTIONS.REMOVE_CANDIDATE, roomId: req.params.roomId, compositeKey: req.params.compositeKey });
+  });
+
+  /**
+   * DELETE /admin/api/rooms/:roomId/words/:ts
+   * -----------------------------------------
+   * Removes a winning word from the live chapter. Words are identified by their timestamp.
+   */
+  router.delete('/rooms/:roomId/words/:ts', (req, res) => {
+    const ts = Number(req.params.ts);
+    if (!Number.isInteger(ts)) return res.status(400).json({ error: 'Invalid word timestamp.' });
+    handle(req, res, { action: ADMIN_ACTIONS.REMOVE_WORD, roomId: req.params.roomId, ts });
+  });
+
+  /**
+   * PUT /admin/api/rooms/:roomId/chapter/title
+   * ------------------------------------------
+   * Renames the live chapter before it is sealed. Body: `{ title }`.
+   */
+  router.put('/rooms/:roomId/chapter/title', (req, res) => {
+    const title = typeof req.body.title === 'string' ? req.body.title.trim() : '';
+    if (!title || title.length > MAX_TITLE_LENGTH) {
+      return res.status(400).json({ error: `The title must be 1-${MAX_TITLE_LENGTH} characters long.` });
+    }
+    handle(req, res, { action: ADMIN_ACTIONS.RENAME_CHAPTER, roomId: req.params.roomId, title });
+  });
+
+  /**
+   * POST /admin/api/rooms/:roomId/pause, /resume, /seal/force, /seal/skip
+   * ---------------------------------------------------------------------
+   * Pauses or resumes the room's rounds, and forces or skips its next seal.
+   */
+  router.post('/rooms/:roomId/pause', (req, res) => handle(req, res, { action: ADMIN_ACTIONS.PAUSE, roomId: req.params.roomId }));
+  router.post('/rooms/:roomId/resume', (req, res) => handle(req, res, { action: ADMIN_ACTIONS.RESUME, roomId: req.params.roomId }));
+  router.post('/rooms/:roomId/seal/force', (req, res) => handle(req, res, { action: ADMIN_ACTIONS.FORCE_SEAL, roomId: req.params.roomId }));
+  router.post('/rooms/:roomId/seal/skip', (req, res) => handle(req, res, { action: ADMIN_ACTIONS.SKIP_SEAL, roomId: req.params.roomId }));
+
+  // --- Players ---
+
+  /**
+   * Runs a change to a player account, records it in the audit log, and sends the result.
+   * @param {object} req - The Express request, from an admin.
+   * @param {object} res - The Express response.
+   * @param {object} details - The action and its arguments, with the target's `targetId`.
+   * @param {Function} change - Makes the change; returns false if the player does not exist.
+   */
+  async function changeUser(req, res, details, change) {
+    let result;
+    try {
+      result = (await change()) ? { ok: true } : { ok: false, notFound: true, reason: 'Player not found.' };
+    } catch (err) {
+      logger.error({ err, ...details }, '[admin] Could not change the player');
+      result = { ok: false, reason: 'The change could not be saved. Try again.' };
+    }
+    record(req, details, result);
+    if (result.ok) return res.json(result);
+    res.status(result.notFound ? 404 : 500).json({ error: result.reason });
+  }
+
+  /**
+   * Loads the player a route acts on, and refuses if the admin may not act on them.
+   * Only admins may act on other staff; nobody may act on themselves.
+   * @param {object} req - The Express request, with a `googleId` parameter.
+   * @param {object} res - The Express response.
+   * @returns {Promise<object|null>} The player, or null once the refusal is sent.
+   */
+  async function loadTarget(req, res) {
+    if (req.params.googleId === req.user.googleId) {
+      res.status(409).json({ error: 'You cannot change your own account.' });
+      return null;
+    }
+    const target = await userAdmin.findUser(req.params.googleId).catch(err => {
+      logger.error({ err }, '[admin] Error looking up a player');
+      return null;
+    });
+    if (!target || target.googleId !== req.params.googleId) {
+      res.status(404).json({ error: 'Player not found.' });
+      return null;
+    }
+    if (hasPermission(target, PERMISSIONS.MODERATE) && !hasPermission(req.user, PERMISSIONS.MANAGE_ROLES)) {
+      res.status(403).json({ error: 'Only admins can act on other staff.' });
+      return null;
+    }
+    return target;
+  }
+
+  /**
+   * GET /admin/api/users/:idOrUsername
+   * ----------------------------------
+   * Looks up a player by Google ID or username, with their roles and running ban.
+   */
+  router.get('/users/:idOrUsername', requirePermission(PERMISSIONS.BAN), async (req, res) => {
+    try {
+      const user = await userAdmin.findUser(req.params.idOrUsername);
+      if (!user) return res.status(404).json({ error: 'Player not found.' });
+      res.json({ googleId: user.googleId, username: user.username, roles: user.roles || [], ban: getActiveBan(user) });
+    } catch (err) {
+      logger.error({ err }, '[admin] Error looking up a player');
+      res.status(500).json({ error: 'Failed to look up the player.' });
+    }
+  });
+
+  /**
+   * POST /admin/api/users/:googleId/ban
+   * -----------------------------------
+   * Bans a player from submitting and voting. Body: `{ hours, reason }`.
+   */
+  router.post('/users/:googleId/ban', requirePermission(PERMISSIONS.BAN), async (req, res) => {
+    const hours = Number(req.body.hours);
+    const reason = typeof req.body.reason === 'string' ? req.body.reason.trim() : '';
+    if (!(hours >= 1 && hours <= MAX_BAN_HOURS)) {
+      return res.status(400).json({ error: `A ban lasts from 1 to ${MAX_BAN_HOURS} hours.` });
+    }
+    if (reason.length > MAX_BAN_REASON_LENGTH) {
+      return res.status(400).json({ error: `The reason must be at most ${MAX_BAN_REASON_LENGTH} characters long.` });
+    }
+    const target = await loadTarget(req, res);
+    if (!target) return;
+    const details = { action: USER_ACTIONS.BAN, targetId: target.googleId, targetName: target.username, hours, banReason: reason || null };
+    changeUser(req, res, details, () => userAdmin.banUser(target.googleId, { hours, reason, bannedBy: req.user.googleId }));
+  });
+
+  /**
+   * DELETE /admin/api/users/:googleId/ban
+   * -------------------------------------
+   * Lifts a player's ban.
+   */
+  router.delete('/users/:googleId/ban', requirePermission(PERMISSIONS.BAN), async (req, res) => {
+    const target = await loadTarget(req, res);
+    if (!target) return;
+    const details = { action: USER_ACTIONS.UNBAN, targetId: target.googleId, targetName: target.username };
+    changeUser(req, res, details, () => userAdmin.unbanUser(target.googleId));
+  });
+
+  /**
+   * PUT /admin/api/users/:googleId/roles/:role
+   * DELETE /admin/api/users/:googleId/roles/:role
+   * ---------------------------------------------
+   * Grants or revokes a role.
+   */
+  router.put('/users/:googleId/roles/:role', requirePermission(PERMISSIONS.MANAGE_ROLES), async (req, res) => {
+    const { role } = req.params;
+    if (!Object.values(ROLES).includes(role)) return res.status(400).json({ error: `Unknown role '${role}'.` });
+    const target = await loadTarget(req, res);
+    if (!target) return;
+    const details = { action: USER_ACTIONS.GRANT_ROLE, targetId: target.googleId, targetName: target.username, role };
+    changeUser(req, res, details, () => userAdmin.grantRole(target.googleId, role));
+  });
+  router.delete('/users/:googleId/roles/:role', requirePermission(PERMISSIONS.MANAGE_ROLES), async (req, res) => {
+    const { role } = req.params;
+    const target = await loadTarget(req, res);
+    if (!target) return;
+    const details = { action: USER_ACTIONS.REVOKE_ROLE, targetId: target.googleId, targetName: target.username, role };
+    changeUser(req, res, details, () => userAdmin.revokeRole(target.googleId, role));
+  });
+
+  // --- Reports ---
+
+  /**
+   * GET /admin/api/reports?limit=N
+   * ------------------------------
+   * Returns the open reports, the most reported first. Reporters are summarized, not listed.
+   */
+  router.get('/reports', async (req, res) => {
+    const limit = Math.min(MAX_LOG_LIMIT, parseInt(req.query.limit, 10) || DEFAULT_LOG_LIMIT);
+    try {
+      const reports = await reportStore.listOpen(limit);
+      // The hash of the author's IP address stays on the server: it is only used to ban them.
+      res.json(reports.map(({ _id, targetType, roomId, context: { submitterIpHash, ...context }, reporters, reporterCount, createdAt, autoHiddenAt }) => ({
+        id: _id, targetType, roomId, context, reporterCount, createdAt,
+        reasons: reporters.reduce((counts, { reason }) => ({ ...counts, [reason]: (counts[reason] || 0) + 1 }), {}),
+        autoHidden: !!autoHiddenAt,
+      })));
+    } catch (err) {
+      logger.error({ err }, '[admin] Error reading the reports');
+      res.status(500).json({ error: 'Failed to retrieve the reports.' });
+    }
+  });
+
+  /**
+   * Bans the author of reported content, as part of a report's resolution.
+   * @param {object} req - The Express request, from an admin.
+   * @param {object} report - The report.
+   * @param {number} hours - How long the ban lasts.
+   * @param {string} reason - Shown to the player.
+   * @returns {Promise<string>} What happened, for the moderator.
+   */
+  async function banAuthor(req, report, hours, reason) {
+    const { submitterId, submitterName, submitterIpHash } = report.context;
+    if (!submitterId || isBotId(submitterId)) return 'No author to ban.';
+    if (submitterId.startsWith(constants.ANONYMOUS_ID_PREFIX)) {
+      // An anonymous author is banned by anonymous ID, and by IP address when the candidate recorded its hash.
+      const ban = await userAdmin.banPlayer({ anonymousId: submitterId, ipHash: submitterIpHash || null }, { hours, reason, bannedBy: req.user.googleId });
+      if (!ban) return 'The anonymous author could not be banned.';
+      record(req, { action: USER_ACTIONS.BAN, targetId: submitterId, targetName: submitterName || 'anonymous', hours, banReason: reason || null, byIp: !!submitterIpHash, reportId: report._id }, { ok: true });
+      return `The anonymous author is banned for ${hours} hours${submitterIpHash ? ', with their IP address' : ''}.`;
+    }
+    const target = await userAdmin.findUser(submitterId);
+    if (!target || target.googleId !== submitterId) return 'The author\'s account no longer exists.';
+    if (target.googleId === req.user.googleId) return 'You cannot ban yourself.';
+    if (hasPermission(target, PERMISSIONS.MODERATE) && !hasPermission(req.user, PERMISSIONS.MANAGE_ROLES)) {
+      return 'Only admins can ban other staff.';
+    }
+    await userAdmin.banUser(target.googleId, { hours, reason, bannedBy: req.user.googleId });
+    record(req, { action: USER_ACTIONS.BAN, targetId: target.googleId, targetName: target.username, hours, banReason: reason || null, reportId: report._id }, { ok: true });
+    return `${target.username} is banned for ${hours} hours.`;
+  }
+
+  /**
+   * Removes reported content from the live game, as part of a report's resolution.
+   * @param {object} report - The report.
+   * @returns {Promise<string>} What happened, for the moderator.
+   */
+  async function removeContent(report) {
+    const { targetType, roomId, context } = report;
+    let result;
+    if (targetType === REPORT_TARGETS.CANDIDATE) {
+      result = await runCommand({ action: ADMIN_ACTIONS.REMOVE_CANDIDATE, roomId, compositeKey: context.compositeKey });
+    } else if (targetType === REPORT_TARGETS.WORD && !context.chapterHash) {
+      result = await runCommand({ action: ADMIN_ACTIONS.REMOVE_WORD, roomId, ts: context.ts });
+    } else {
+      return 'Sealed chapters cannot be changed.';
+    }
+    return result.ok ? 'Removed.' : `Not removed: ${result.reason}`;
+  }
+
+  /**
+   * POST /admin/api/reports/:reportId/resolve
+   * -----------------------------------------
+   * Closes a report. Body: `{ resolution, removeContent, blockWord, banHours, banReason }`.
+   * A dismissal takes no action. An upheld report can remove the content, block the word
+   * in the profanity filter, and ban its author.
+   */
+  router.post('/reports/:reportId/resolve', async (req, res) => {
+    const { resolution } = req.body;
+    const banHours = req.body.banHours ? Number(req.body.banHours) : 0;
+    const banReason = typeof req.body.banReason === 'string' ? req.body.banReason.trim() : '';
+    if (!Object.values(REPORT_RESOLUTIONS).includes(resolution)) {
+      return res.status(400).json({ error: 'Unknown resolution.' });
+    }
+    if (banHours && !(banHours >= 1 && banHours <= MAX_BAN_HOURS)) {
+      return res.status(400).json({ error: `A ban lasts from 1 to ${MAX_BAN_HOURS} hours.` });
+    }
+    if (banHours && !hasPermission(req.user, PERMISSIONS.BAN)) {
+      return res.status(403).json({ error: 'You are not allowed to ban players.' });
+    }
+    if (banReason.length > MAX_BAN_REASON_LENGTH) {
+      return res.status(400).json({ error: `The reason must be at most ${MAX_BAN_REASON_LENGTH} characters long.` });
+    }
+
+    try {
+      const report = await reportStore.findById(req.params.reportId);
+      if (!report) return res.status(404).json({ error: 'Report not found.' });
+      if (report.status !== REPORT_STATUSES.OPEN) return res.status(409).json({ error: 'The report was already resolved.' });
+
+      const actions = [];
+      if (resolution === REPORT_RESOLUTIONS.UPHELD) {
+        if (req.body.removeContent) actions.push(await removeContent(report));
+        if (req.body.blockWord && report.context.word) {
+          const rule = await profanityRules.add({
+            list: RULE_LISTS.BLOCK, pattern: report.context.word, match: RULE_MATCHES.WORD,
+            note: `Report ${report._id}`, addedBy: req.user.googleId,
+          });
+          actions.push(`"${rule.pattern}" is now blocked.`);
+        }
+        if (banHours) actions.push(await banAuthor(req, report, banHours, banReason));
+      }
+
+      const resolved = await reportStore.resolve(report._id, {
+        resolution, actions, resolvedBy: req.user.googleId, resolvedAt: Date.now(),
+      });
+      if (!resolved) return res.status(409).json({ error: 'The report was already resolved.' });
+      record(req, { action: USER_ACTIONS.RESOLVE_REPORT, roomId: report.roomId, reportId: report._id, resolution, actions }, { ok: true });
+      res.json({ ok: true, actions });
+    } catch (err) {
+      logger.error({ err, reportId: req.params.reportId }, '[admin] Could not resolve the report');
+      res.status(500).json({ error: 'The report could not be resolved. Try again.' });
+    }
+  });
+
+  // --- Profanity rules ---
+
+  /**
+   * GET /admin/api/profanity-rules
+   * ------------------------------
+   * Lists the profanity rules, newest first.
+   */
+  router.get('/profanity-rules', async (req, res) => {
+    try {
+      res.json(await profanityRules.list());
+    } catch (err) {
+      logger.error({ err }, '[admin] Error reading the profanity rules');
+      res.status(500).json({ error: 'Failed to retrieve the profanity rules.' });
+    }
+  });
+
+  /**
+   * POST /admin/api/profanity-rules
+   * -------------------------------
+   * Adds a rule. Body: `{ list, pattern, match, note }`, where `list` is 'block' or 'allow'
+   * and `match` is 'word' or 'contains'. It applies at once, on every instance.
+   */
+  router.post('/profanity-rules', async (req, res) => {
+    const { list, match = RULE_MATCHES.WORD } = req.body;
+    const pattern = typeof req.body.pattern === 'string' ? req.body.pattern.trim() : '';
+    const note = typeof req.body.note === 'string' ? req.body.note.trim() : '';
+    if (!Object.values(RULE_LISTS).includes(list)) return res.status(400).json({ error: 'Unknown list.' });
+    if (!Object.values(RULE_MATCHES).includes(match)) return res.status(400).json({ error: 'Unknown match.' });
+    if (!pattern || pattern.length > MAX_RULE_PATTERN_LENGTH) {
+      return res.status(400).json({ error: `The pattern must be 1 to ${MAX_RULE_PATTERN_LENGTH} characters long.` });
+    }
+    if (!normalizeWord(pattern)) return res.status(400).json({ error: 'The pattern has no letters.' });
+    if (note.length > MAX_RULE_NOTE_LENGTH) {
+      return res.status(400).json({ error: `The note must be at most ${MAX_RULE_NOTE_LENGTH} characters long.` });
+    }
+
+    let rule;
+    try {
+      rule = await profanityRules.add({ list, pattern, match, note: note || null, addedBy: req.user.googleId });
+    } catch (err) {
+      logger.error({ err, pattern }, '[admin] Could not add the profanity rule');
+      return res.status(500).json({ error: 'The rule could not be added. Try again.' });
+    }
+    record(req, { action: USER_ACTIONS.ADD_PROFANITY_RULE, ruleId: rule._id, list, pattern, match }, { ok: true });
+    res.json({ ok: true, rule });
+  });
+
+  /**
+   * DELETE /admin/api/profanity-rules/:ruleId
+   * -----------------------------------------
+   * Removes a rule, on every instance.
+   */
+  router.delete('/profanity-rules/:ruleId', async (req, res) => {
+    try {
+      const removed = await profanityRules.remove(req.params.ruleId);
+      if (!removed) return res.status(404).json({ error: 'Rule not found.' });
+      record(req, { action: USER_ACTIONS.REMOVE_PROFANITY_RULE, ruleId: req.params.ruleId }, { ok: true });
+      res.json({ ok: true });
+    } catch (err) {
+      logger.error({ err, ruleId: req.params.ruleId }, '[admin] Could not remove the profanity rule');
+      res.status(500).json({ error: 'The rule could not be removed. Try again.' });
+    }
+  });
+
+  // --- Audit log ---
+
+  /**
+   * GET /admin/api/log?limit=N
+   * --------------------------
+   * Returns the most recent admin actions, newest first.
+   */
+  router.get('/log', async (req, res) => {
+    const limit = Math.min(MAX_LOG_LIMIT, parseInt(req.query.limit, 10) || DEFAULT_LOG_LIMIT);
+    try {
+      res.json(await adminLog.recent(limit));
+    } catch (err) {
+      logger.error({ err }, '[admin] Error reading the audit log');
+      res.status(500).json({ error: 'Failed to retrieve the audit log.' });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  ADMIN_ACTIONS,
+  USER_ACTIONS,
+  createAdminCommands,
+  createAdminRouter,
+};
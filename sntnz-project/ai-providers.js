@@ -0,0 +1,526 @@
+/**
+ * ============================================================================
+ * --- AI Providers (ai-providers.js) ---
+ * ============================================================================
+ *
+ * The bot writes text and paints chapter images through two small interfaces, so
+ * that the same prompts can run on Vertex AI, on any OpenAI-compatible HTTP
+ * endpoint (which covers a local llama.cpp or Ollama server), or fully offline.
+ *
+ * A text provider is `{ name, generateText(request) }`, where `request` is
+ * `{ prompt, tier, model, kind, maxTokens, temperature, topP, targetWords }` and the
+ * result is `{ text, model, usage }`. `tier` is 'lite', 'flash' or 'pro' and picks the size of
+ * the model, unless `model` names one (e.g. a bot persona's own model). `kind` ('title',
+ * 'prose', 'bridge', 'scene' or 'review'), `targetWords` and `items` (the number of candidates a
+ * review rates) are hints that only the offline provider needs, since it cannot read
+ * the prompt. `usage` is `{ inputTokens, outputTokens }`, as reported by the model, or
+ * estimated by the offline provider.
+ *
+ * An image provider is `{ name, generateImage({ prompt }) }` and resolves to a
+ * square PNG buffer. An image store is `{ name, save(fileName, buffer) }` and
+ * resolves to the public URL of the saved image.
+ *
+ * Responsibilities:
+ * - Adapt Vertex AI (Gemini and Imagen), OpenAI-compatible endpoints and the offline
+ *   provider to these interfaces.
+ * - Store images in Google Cloud Storage or in a local directory served by the server.
+ * - Pick the providers from the environment (see `createProvidersFromEnv`).
+ *
+ * The offline provider is deterministic: the same seed gives the same sequence of
+ * titles, prose and images, with no network and no credentials. Dev mode and
+ * simulations use it to run the whole title → chapter → seal → image cycle.
+ *
+ * The Google Cloud SDKs are loaded only by the adapters that need them.
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const logger = require('./logger');
+const constants = require('./constants');
+
+// The side of the square images, in pixels.
+const IMAGE_SIZE = 1024;
+
+// The directory the local image store writes to, served under `constants.LOCAL_IMAGES_PATH`.
+const LOCAL_IMAGES_DIR = process.env.LOCAL_IMAGES_DIR || path.join(__dirname, 'local_data', 'images');
+
+// ============================================================================
+// --- VERTEX AI ---
+// ============================================================================
+
+/**
+ * @summary Creates a text provider backed by Gemini on Vertex AI.
+ * @description Flash is required. Lite and Pro fall back to Flash when they cannot be
+ * initialized.
+ * @param {object} [options]
+ * @param {string} [options.project] - The Google Cloud project ID.
+ * @param {string} [options.location] - The Vertex AI region.
+ * @param {object} [options.models] - The model names by tier.
+ * @returns {object} The text provider.
+ */
+function createVertexTextProvider({
+  project = process.env.GOOGLE_CLOUD_PROJECT_ID,
+  location = process.env.GOOGLE_CLOUD_LOCATION,
+  models = { lite: constants.GEMINI_MODEL_LITE, flash: constants.GEMINI_MODEL_FLASH, pro: constants.GEMINI_MODEL_PRO },
+} = {}) {
+  const { VertexAI } = require('@google-cloud/vertexai');
+  const vertexAi = new VertexAI({ project, location });
+
+  const byTier = {};
+  try {
+    byTier.flash = vertexAi.getGenerativeModel({ model: models.flash });
+  } catch (e) {
+    logger.error('[ai] Could not initialize Gemini Flash model. Check constants/env vars.');
+    throw e; // Flash is essential, so we should stop if it's missing.
+  }
+  for (const tier of ['lite', 'pro']) {
+    try {
+      byTier[tier] = vertexAi.getGenerativeModel({ model: models[tier] });
+    } catch (e) {
+      logger.warn(`[ai] Could not initialize Gemini ${tier} model. Falling back to Flash.`);
+      byTier[tier] = byTier.flash;
+    }
+  }
+
+  // Models named by the callers, created on first use.
+  const byName = new Map();
+  const namedModel = (name) => {
+    if (!byName.has(name)) byName.set(name, vertexAi.getGenerativeModel({ model: name }));
+    return byName.get(name);
+  };
+
+  return {
+    name: 'vertex',
+    async generateText({ prompt, tier = 'flash', model: modelName, maxTokens, temperature, topP }) {
+      const model = modelName ? namedModel(modelName) : (byTier[tier] || byTier.flash);
+      const result = await model.generateContent({
+        contents: [{ role: 'user', parts: [{ text: prompt }] }],
+        generationConfig: { maxOutputTokens: maxTokens, temperature, topP },
+      });
+      const usage = result?.response?.usageMetadata || {};
+      return {
+        text: result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || '',
+        model: model.model,
+        usage: { inputTokens: usage.promptTokenCount || 0, outputTokens: usage.candidatesTokenCount || 0 },
+      };
+    },
+  };
+}
+
+/**
+ * Creates an image provider backed by Imagen on Vertex AI.
+ * @param {object} [options]
+ * @param {string} [options.project] - The Google Cloud project ID.
+ * @param {string} [options.location] - The Vertex AI region.
+ * @param {string} [options.model] - The Imagen model.
+ * @returns {object} The image provider.
+ */
+function createVertexImageProvider({
+  project = process.env.GOOGLE_CLOUD_PROJECT_ID,
+  location = process.env.GOOGLE_CLOUD_LOCATION || 'us-central1',
+  model = constants.IMAGEN_MODEL || 'imagen-3.0-generate-001',
+} = {}) {
+  const { GoogleAuth } = require('google-auth-library');
+  const auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
+  const predictUrl = `https://${location}-aiplatform.googleapis.com/v1/projects/${project}/locations/${location}/publishers/google/models/${model}:predict`;
+
+  return {
+    name: 'vertex',
+    async generateImage({ prompt }) {
+      const client = await auth.getClient();
+      const accessToken = await client.getAccessToken();
+      const response = await fetch(predictUrl, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${accessToken.token}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          instances: [{ prompt }],
+          parameters: { sampleCount: 1, aspectRatio: '1:1', sampleImageSize: '1K' },
+        }),
+      });
+      if (!response.ok) {
+        throw new Error(`[Imagen:predict] ${response.status} ${response.statusText} ${await response.text()}`);
+      }
+      const imageDataBase64 = (await response.json())?.predictions?.[0]?.bytesBase64Encoded;
+      if (!imageDataBase64) throw new Error('[Imagen:predict] No image data returned from API.');
+      return Buffer.from(imageDataBase64, 'base64');
+    },
+  };
+}
+
+// ============================================================================
+// --- OPENAI-COMPATIBLE ENDPOINTS ---
+// ============================================================================
+
+/**
+ * @summary Posts a JSON request to an OpenAI-compatible endpoint.
+ * @description Failed responses throw with the HTTP status and status text in the
+ * message (e.g. '500 Internal Server Error'), so the bot's retry logic treats them like
+ * Vertex AI errors.
+ * @param {object} endpoint - `{ baseUrl, apiKey }`.
+ * @param {string} route - The route, e.g. '/chat/completions'.
+ * @param {object} body - The request body.
+ * @returns {Promise<object>} The response body.
+ */
+async function postJson({ baseUrl, apiKey }, route, body) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  const response = await fetch(`${baseUrl.replace(/\/+$/, '')}${route}`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(`[openai${route}] ${response.status} ${response.statusText} ${await response.text()}`);
+  }
+  return response.json();
+}
+
+/**
+ * @summary Creates a text provider for any OpenAI-compatible chat completions endpoint.
+ * @description Works with OpenAI itself and with local servers such as llama.cpp
+ * (`llama-server`) or Ollama (`http://localhost:11434/v1`), which ignore the key.
+ * @param {object} options
+ * @param {string} options.baseUrl - The API base URL, including the version (e.g. '/v1').
+ * @param {string} [options.apiKey] - The API key, if the endpoint needs one.
+ * @param {object} options.models - The model names by tier.
+ * @returns {object} The text provider.
+ */
+function createOpenAiTextProvider({ baseUrl, apiKey, models }) {
+  return {
+    name: 'openai',
+    async generateText({ prompt, tier = 'flash', model: modelName, maxTokens, temperature, topP }) {
+      const model = modelName || models[tier] || models.flash;
+      const result = await postJson({ baseUrl, apiKey }, '/chat/completions', {
+        model,
+        messages: [{ role: 'user', content: prompt }],
+        max_tokens: maxTokens,
+        temperature,
+        top_p: topP,
+      });
+      return {
+        text: result?.choices?.[0]?.message?.content || '',
+        model,
+        usage: { inputTokens: result?.usage?.prompt_tokens || 0, outputTokens: result?.usage?.completion_tokens || 0 },
+      };
+    },
+  };
+}
+
+/**
+ * Creates an image provider for any OpenAI-compatible image generations endpoint.
+ * @param {object} options
+ * @param {string} options.baseUrl - The API base URL, including the version (e.g. '/v1').
+ * @param {string} [options.apiKey] - The API key, if the endpoint needs one.
+ * @param {string} options.model - The image model.
+ * @returns {object} The image provider.
+ */
+function createOpenAiImageProvider({ baseUrl, apiKey, model }) {
+  return {
+    name: 'openai',
+    async generateImage({ prompt }) {
+      const result = await postJson({ baseUrl, apiKey }, '/images/generations', {
+        model,
+        prompt,
+        n: 1,
+        size: `${IMAGE_SIZE}x${IMAGE_SIZE}`,
+        response_format: 'b64_json',
+      });
+      const imageDataBase64 = result?.data?.[0]?.b64_json;
+      if (!imageDataBase64) throw new Error('[openai/images/generations] No image data returned from API.');
+      return Buffer.from(imageDataBase64, 'base64');
+    },
+  };
+}
+
+// ============================================================================
+// --- OFFLINE ---
+// ============================================================================
+
+// Canned material for the offline provider. The sentences read as one story in any
+// order, so any slice of them makes a passable chapter.
+const OFFLINE_TITLE_WORDS = {
+  adjectives: ['Glass', 'Quiet', 'Hollow', 'Amber', 'Drowned', 'Paper', 'Silver', 'Distant', 'Borrowed', 'Sleeping'],
+  nouns: ['Orchard', 'Lighthouse', 'Archive', 'Tide', 'Staircase', 'Lantern', 'Harbor', 'Clockwork', 'Garden', 'Mirror'],
+};
+const OFFLINE_SENTENCES = [
+  'The lighthouse kept its lamp lit long after the sea had gone.',
+  'Moths gathered on the windows as if the glass remembered summer.',
+  'Nobody in the village could say when the clocks began to run backwards.',
+  'She folded the map until the roads touched and stepped across.',
+  'A staircase rose from the orchard and ended in a cloud of paper birds.',
+  'The river carried letters addressed to people who had not been born.',
+  'Every lantern in the archive hummed a different note of the same song.',
+  'He found the key inside a pear, warm as a sleeping animal.',
+  'The tide came in through the library and shelved itself by color.',
+  'At dusk the mirrors turned to face the hills, waiting for something.',
+  'A fox in a velvet coat asked the way to the last train.',
+  'The garden grew slowly inward, until its center was a single seed.',
+  'Snow fell upward from the well and settled on the stars.',
+  'They spoke in whispers so the house would not learn their names.',
+  'Somewhere under the floor, a clockwork heart was learning to beat.',
+  'The harbor emptied its boats into the sky one by one.',
+  'Her shadow left a little early every evening and came back changed.',
+  'The old bell rang once for every door that had never been opened.',
+  'Salt and honey drifted through the streets like a borrowed memory.',
+  'In the end the orchard let them go, and the light followed them home.',
+];
+const OFFLINE_REVIEW_REASONS = [
+  'Keeps the rhythm of the sentence and its quiet, dreamlike tone.',
+  'A natural next step that leaves the image room to grow.',
+  'Fits the grammar, though it flattens the mood a little.',
+  'An abrupt turn that breaks the sentence in progress.',
+  'Echoes an earlier image without repeating it.',
+];
+const OFFLINE_PALETTES = [
+  ['#1b1f3b', '#ff9933', '#f4e1c1'],
+  ['#0f2f2f', '#7fd1b9', '#f2f2e9'],
+  ['#2b1331', '#e56b6f', '#eaac8b'],
+  ['#101820', '#6c91c2', '#f2aa4c'],
+  ['#222222', '#c9ada7', '#f2e9e4'],
+];
+
+/**
+ * Hashes strings into a 32-bit seed.
+ * @param {...string} parts - The strings.
+ * @returns {number}
+ */
+function hashSeed(...parts) {
+  return crypto.createHash('sha256').update(parts.join('\u0000')).digest().readUInt32BE(0);
+}
+
+/**
+ * Creates a small seeded pseudo-random generator (mulberry32).
+ * @param {number} seed - A 32-bit seed.
+ * @returns {Function} A function returning numbers in [0, 1).
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks an item of a list with a seeded generator.
+ * @param {Array} list - The list.
+ * @param {Function} random - The generator.
+ * @returns {*}
+ */
+function pick(list, random) {
+  return list[Math.floor(random() * list.length)];
+}
+
+/**
+ * Writes canned prose of about `targetWords` words, ending on a full sentence.
+ * @param {number} targetWords - The number of words to write.
+ * @param {Function} random - The generator.
+ * @returns {string}
+ */
+function writeOfflineProse(targetWords, random) {
+  const start = Math.floor(random() * OFFLINE_SENTENCES.length);
+  const sentences = [];
+  let wordCount = 0;
+  for (let i = 0; wordCount < Math.max(1, targetWords); i++) {
+    const sentence = OFFLINE_SENTENCES[(start + i) % OFFLINE_SENTENCES.length];
+    sentences.push(sentence);
+    wordCount += sentence.split(' ').length;
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * @summary Creates a deterministic text provider that needs no network.
+ * @description Each call is seeded by the provider seed, the prompt and the number of
+ * earlier calls, so a retry with the same prompt gets a different answer while a run
+ * with the same seed gets the same answers. The prompt itself is not understood:
+ * `kind`, `targetWords` and `items` say what to write. The output is always English.
+ * @param {object} [options]
+ * @param {string|number} [options.seed] - The seed.
+ * @returns {object} The text provider.
+ */
+function createOfflineTextProvider({ seed = constants.AI_OFFLINE_SEED } = {}) {
+  let calls = 0;
+  return {
+    name: 'offline',
+    async generateText({ prompt, kind = 'prose', targetWords = 50, items = 0 }) {
+      const random = createRandom(hashSeed(String(seed), prompt, String(calls++)));
+      let text;
+      if (kind === 'title') {
+        text = `The ${pick(OFFLINE_TITLE_WORDS.adjectives, random)} ${pick(OFFLINE_TITLE_WORDS.nouns, random)}`;
+      } else if (kind === 'review') {
+        text = JSON.stringify(Array.from({ length: items }, (_, i) => ({
+          candidate: i + 1,
+          score: Math.floor(random() * 11),
+          reason: pick(OFFLINE_REVIEW_REASONS, random),
+        })));
+      } else if (kind === 'bridge') {
+        // The end of a sentence, to finish one the story has started.
+        text = pick(OFFLINE_SENTENCES, random).split(' ').slice(-Math.max(1, targetWords)).join(' ');
+      } else if (kind === 'scene') {
+        text = writeOfflineProse(30, random);
+      } else {
+        text = writeOfflineProse(targetWords, random);
+      }
+      // Roughly four characters per token, as with most English tokenizers.
+      return { text, model: 'offline', usage: { inputTokens: Math.ceil(prompt.length / 4), outputTokens: Math.ceil(text.length / 4) } };
+    },
+  };
+}
+
+/**
+ * @summary Creates a deterministic image provider that needs no network.
+ * @description Draws an abstract placeholder (a gradient with a few circles) whose
+ * palette and shapes are seeded by the prompt, and renders it to PNG.
+ * @param {object} [options]
+ * @param {string|number} [options.seed] - The seed.
+ * @returns {object} The image provider.
+ */
+function createOfflineImageProvider({ seed = constants.AI_OFFLINE_SEED } = {}) {
+  return {
+    name: 'offline',
+    async generateImage({ prompt }) {
+      const random = createRandom(hashSeed(String(seed), prompt));
+      const [background, accent, light] = pick(OFFLINE_PALETTES, random);
+      const circles = Array.from({ length: 3 + Math.floor(random() * 4) }, () => {
+        const x = Math.round(random() * IMAGE_SIZE);
+        const y = Math.round(random() * IMAGE_SIZE);
+        const r = Math.round(60 + random() * 260);
+        const fill = random() < 0.5 ? accent : light;
+        return `<circle cx="${x}" cy="${y}" r="${r}" fill="${fill}" fill-opacity="${(0.25 + random() * 0.5).toFixed(2)}"/>`;
+      }).join('');
+      const svg = `
+        <svg xmlns="http://www.w3.org/2000/svg" width="${IMAGE_SIZE}" height="${IMAGE_SIZE}">
+          <defs><linearGradient id="sky" x1="0" y1="0" x2="0" y2="1">
+            <stop offset="0" stop-color="${background}"/><stop offset="1" stop-color="${accent}"/>
+          </linearGradient></defs>
+          <rect width="100%" height="100%" fill="url(#sky)"/>
+          ${circles}
+        </svg>
+      `;
+      return sharp(Buffer.from(svg)).png().toBuffer();
+    },
+  };
+}
+
+// ============================================================================
+// --- IMAGE STORES ---
+// ============================================================================
+
+/**
+ * Creates an image store that uploads to a Google Cloud Storage bucket.
+ * @param {object} [options]
+ * @param {string} [options.bucketName] - The bucket.
+ * @returns {object} The image store.
+ */
+function createGcsImageStore({ bucketName = process.env.GCS_BUCKET_NAME } = {}) {
+  const { Storage } = require('@google-cloud/storage');
+  const bucket = new Storage().bucket(bucketName);
+  return {
+    name: 'gcs',
+    async save(fileName, buffer) {
+      const file = bucket.file(fileName);
+      await file.save(buffer, { metadata: { contentType: 'image/png' }, resumable: false });
+      return file.publicUrl();
+    },
+  };
+}
+
+/**
+ * @summary Creates an image store that writes to a local directory.
+ * @description The server serves the directory under `urlPath` (see server.js), so the
+ * returned URLs are relative to the site.
+ * @param {object} [options]
+ * @param {string} [options.directory] - The directory to write to.
+ * @param {string} [options.urlPath] - The URL path the directory is served under.
+ * @returns {object} The image store.
+ */
+function createLocalImageStore({ directory = LOCAL_IMAGES_DIR, urlPath = constants.LOCAL_IMAGES_PATH } = {}) {
+  return {
+    name: 'local',
+    async save(fileName, buffer) {
+      const filePath = path.join(directory, fileName);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return `${urlPath}/${fileName}`;
+    },
+  };
+}
+
+// ============================================================================
+// --- SELECTION ---
+// ============================================================================
+
+/**
+ * Reads the settings of the OpenAI-compatible endpoint from the environment.
+ * The key is read here rather than in constants.js, which clients can fetch.
+ * @returns {{ baseUrl: string, apiKey: string|undefined }}
+ */
+function openAiEndpointFromEnv() {
+  return { baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1', apiKey: process.env.OPENAI_API_KEY };
+}
+
+/**
+ * Creates the text provider with the given name.
+ * @param {string} name - 'vertex', 'openai' or 'offline'.
+ * @returns {object} The text provider.
+ */
+function createTextProvider(name) {
+  switch (name) {
+    case 'vertex': return createVertexTextProvider();
+    case 'openai': return createOpenAiTextProvider({
+      ...openAiEndpointFromEnv(),
+      models: { lite: constants.OPENAI_MODEL_LITE, flash: constants.OPENAI_MODEL_FLASH, pro: constants.OPENAI_MODEL_PRO },
+    });
+    case 'offline': return createOfflineTextProvider();
+    default: throw new Error(`Unknown AI text provider: ${name}`);
+  }
+}
+
+/**
+ * Creates the image provider with the given name.
+ * @param {string} name - 'vertex', 'openai' or 'offline'.
+ * @returns {object} The image provider.
+ */
+function createImageProvider(name) {
+  switch (name) {
+    case 'vertex': return createVertexImageProvider();
+    case 'openai': return createOpenAiImageProvider({ ...openAiEndpointFromEnv(), model: constants.OPENAI_IMAGE_MODEL });
+    case 'offline': return createOfflineImageProvider();
+    default: throw new Error(`Unknown AI image provider: ${name}`);
+  }
+}
+
+/**
+ * @summary Creates the providers and the image store chosen by the environment.
+ * @description `constants.AI_TEXT_PROVIDER` and `constants.AI_IMAGE_PROVIDER` pick the
+ * providers. Images go to Google Cloud Storage when a bucket is configured, except
+ * for offline images, which always stay on disk.
+ * @returns {{ text: object, image: object, imageStore: object }}
+ */
+function createProvidersFromEnv() {
+  const text = createTextProvider(constants.AI_TEXT_PROVIDER);
+  const image = createImageProvider(constants.AI_IMAGE_PROVIDER);
+  const imageStore = process.env.GCS_BUCKET_NAME && image.name !== 'offline'
+    ? createGcsImageStore()
+    : createLocalImageStore();
+  return { text, image, imageStore };
+}
+
+module.exports = {
+  LOCAL_IMAGES_DIR,
+  createVertexTextProvider,
+  createVertexImageProvider,
+  createOpenAiTextProvider,
+  createOpenAiImageProvider,
+  createOfflineTextProvider,
+  createOfflineImageProvider,
+  createGcsImageStore,
+  createLocalImageStore,
+  createProvidersFromEnv,
+};
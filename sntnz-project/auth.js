@@ -15,17 +15,40 @@
  * - Create and export an Express router that handles all authentication and
  * user-related API endpoints (`/login`, `/logout`, `/api/user`, etc.).
  * - Provide middleware to protect routes and ensure users have set a username.
+ * - Give anonymous players a stable identity, kept in a signed cookie, so that
+ * reconnecting or opening another tab does not create a new voter.
+ *
+ * The anonymous identity is weak: the signature only stops a player from forging
+ * someone else's ID. A player who clears the cookie gets a new identity on the next
+ * page load, so the per-IP quotas (see quotas.js) and the anonymous vote weight
+ * (see ANONYMOUS_VOTE_WEIGHT) are what limit vote stuffing, not the cookie.
  */
 
+const crypto = require('crypto');
 const express = require('express');
 const session = require('express-session');
 const logger = require('./logger');
+const constants = require('./constants');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 
 // Determine if the server is running in a production environment.
 const isProduction = process.env.NODE_ENV === 'production';
 
+// A long, random string used to sign the session ID cookie and the anonymous ID cookie, preventing tampering.
+// This should always be stored in an environment variable for security. Anyone who knows the
+// development fallback could forge both cookies, so production refuses to start with it.
+const DEVELOPMENT_SESSION_SECRET = 'a-very-secret-key-for-development';
+const SESSION_SECRET = process.env.SESSION_SECRET || DEVELOPMENT_SESSION_SECRET;
+if (isProduction && SESSION_SECRET === DEVELOPMENT_SESSION_SECRET) {
+  logger.error('FATAL: SESSION_SECRET is not set. Check your .env file.');
+  process.exit(1);
+}
+
+// The cookie that carries an anonymous player's identity, and how long it lasts.
+const ANONYMOUS_COOKIE_NAME = 'sntnz_anon';
+const ANONYMOUS_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
 // This variable will hold the reference to the MongoDB 'users' collection.
 // It is passed in from server.js to avoid circular dependencies and global state.
 let usersCollection;
@@ -40,9 +63,8 @@ let usersCollection;
  * user sessions via cookies.
  */
 const sessionMiddleware = session({
-  // A long, random string used to sign the session ID cookie, preventing tampering.
-  // This should always be stored in an environment variable for security.
-  secret: process.env.SESSION_SECRET || 'a-very-secret-key-for-development',
+  // Signs the session ID cookie (see SESSION_SECRET above).
+  secret: SESSION_SECRET,
 
   // If `true`, the session will be saved back to the session store, even if
   // it wasn't modified. `false` is more efficient.
@@ -56,7 +78,12 @@ const sessionMiddleware = session({
   cookie: {
     // `secure: true` ensures the cookie is only sent over HTTPS. This is
     // critical for production but must be `false` for local HTTP development.
-    secure: isProduction
+    secure: isProduction,
+
+    // Keeps the cookie off cross-site requests such as a form posted from another site,
+    // so they cannot act with an admin's session. 'lax' still sends it on links to the
+    // site, and on the redirect back from the Google login.
+    sameSite: 'lax'
   }
 });
 
@@ -143,6 +170,100 @@ function initializeAuth(collection) {
   });
 }
 
+// ============================================================================
+// --- ANONYMOUS IDENTITY ---
+// ============================================================================
+
+/**
+ * Computes the signature of an anonymous ID.
+ * @param {string} id - The random part of the anonymous ID.
+ * @returns {string} The base64url HMAC-SHA256 signature.
+ */
+function signAnonymousId(id) {
+  return crypto.createHmac('sha256', SESSION_SECRET).update(id).digest('base64url');
+}
+
+/**
+ * @summary Returns a keyed hash of an IP address, so it can be matched without being kept.
+ * @description Live candidates carry this hash instead of their author's IP address, since
+ * the live round is shared between instances (see round-store.js). A plain hash of an IPv4
+ * address is reversed by hashing them all; this one needs SESSION_SECRET.
+ * @param {string|null} ip - The IP address.
+ * @returns {string|null} The base64url HMAC-SHA256 of the address, or null without one.
+ */
+function hashIpAddress(ip) {
+  if (!ip) return null;
+  return crypto.createHmac('sha256', SESSION_SECRET).update(`ip:${ip}`).digest('base64url');
+}
+
+/**
+ * Reads one cookie from a raw Cookie header.
+ * @param {string} [cookieHeader] - The request's Cookie header.
+ * @param {string} name - The cookie name.
+ * @returns {string|null} The decoded cookie value, or null if it is absent.
+ */
+function readCookie(cookieHeader, name) {
+  for (const part of (cookieHeader || '').split(';')) {
+    const separator = part.indexOf('=');
+    if (separator !== -1 && part.slice(0, separator).trim() === name) {
+      try {
+        return decodeURIComponent(part.slice(separator + 1).trim());
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * @summary Returns the anonymous player ID carried by a request, if its signature is valid.
+ * @description The cookie holds `<id>.<signature>`. A cookie that was altered or signed
+ * with another secret is ignored, so an ID cannot be forged to impersonate another player.
+ * @param {object} req - The HTTP request (or a socket's handshake request).
+ * @returns {string|null} The player ID (with `constants.ANONYMOUS_ID_PREFIX`), or null.
+ */
+function readAnonymousId(req) {
+  const value = readCookie(req.headers.cookie, ANONYMOUS_COOKIE_NAME);
+  if (!value) return null;
+
+  const [id, signature] = value.split('.');
+  if (!id || !signature) return null;
+  const expected = Buffer.from(signAnonymousId(id));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) return null;
+
+  return `${constants.ANONYMOUS_ID_PREFIX}${id}`;
+}
+
+/**
+ * @summary Middleware that gives every visitor of the game page a stable anonymous ID.
+ * @description Sets `req.anonymousId` from the signed cookie. On HTTP requests without
+ * a valid cookie, a new ID is created and the cookie is set; the page load that precedes
+ * the socket connection therefore always provides one. Sockets only read the cookie,
+ * since a WebSocket handshake cannot set it. It is only mounted on the pages players play
+ * and report from, and on the socket handshake: other requests read the cookie with
+ * `readAnonymousId` and never create an ID.
+ * @param {object} req - The request object.
+ * @param {object} res - The response object (a stub when used for sockets).
+ * @param {function} next - The next middleware function in the stack.
+ */
+function anonymousIdMiddleware(req, res, next) {
+  req.anonymousId = readAnonymousId(req);
+
+  if (!req.anonymousId && typeof res.cookie === 'function') {
+    const id = crypto.randomBytes(16).toString('base64url');
+    res.cookie(ANONYMOUS_COOKIE_NAME, `${id}.${signAnonymousId(id)}`, {
+      httpOnly: true,
+      sameSite: 'lax',
+      secure: isProduction,
+      maxAge: ANONYMOUS_COOKIE_MAX_AGE_MS,
+    });
+    req.anonymousId = `${constants.ANONYMOUS_ID_PREFIX}${id}`;
+  }
+  next();
+}
+
 // ============================================================================
 // --- USERNAME VALIDATION & MIDDLEWARE ---
 // ============================================================================
@@ -194,9 +315,11 @@ function checkUsername(req, res, next) {
 
 /**
  * @summary Creates and configures an Express router for all auth-related endpoints.
+ * @param {object} [options]
+ * @param {Function} [options.isUsernameAllowed] - Returns false for an offensive username (see profanity.js).
  * @returns {express.Router} An Express router instance.
  */
-function createAuthRouter() {
+function createAuthRouter({ isUsernameAllowed = () => true } = {}) {
   const router = express.Router();
 
   // Apply the username check middleware to all routes handled by this router.
@@ -298,6 +421,9 @@ function createAuthRouter() {
     if (!/^[a-zA-Z0-9_]+$/.test(username)) {
       return res.status(400).json({ message: 'Username can only contain letters, numbers, and underscores.' });
     }
+    if (!isUsernameAllowed(username)) {
+      return res.status(400).json({ message: 'Username is not allowed.' });
+    }
 
     try {
       // Check for uniqueness in the database (case-insensitive).
@@ -362,4 +488,7 @@ module.exports = {
   initializeAuth,
   createAuthRouter,
   sessionMiddleware,
+  readAnonymousId,
+  anonymousIdMiddleware,
+  hashIpAddress,
 };
\ No newline at end of file
@@ -3,36 +3,48 @@
  * --- AI Bot Logic (bots.js) ---
  * ============================================================================
  *
- * This module centralizes all interactions with Google's Generative AI services.
- * It handles the logic for both text generation with Gemini and image generation
- * with Imagen.
+ * This module holds the bot's decisions. Its prompts are versioned templates (see
+ * prompt-templates.js), and every word it plans and every image it paints records the
+ * templates that produced it. The text and the images come from providers (see
+ * ai-providers.js): Vertex AI, an OpenAI-compatible endpoint, or the offline provider,
+ * which needs no network.
  *
  * Responsibilities:
- * - Initialize the Google Cloud Vertex AI and Storage clients.
+ * - Set up the text provider, the image provider and the image store.
  * - Contain the `runBotSubmission` function, which orchestrates the entire
- * process of the Gemini bot generating and submitting a word.
+ * process of the bot generating and submitting a word.
+ * - Re-plan only the end of the current sentence when someone else's word wins,
+ * instead of rewriting the whole continuation, and cache those re-plans.
+ * - Count the tokens each run of the bot uses, so the engine can total them per chapter.
+ * - Contain the `runBotCritic` function, which rates how well the players'
+ * candidates fit the story, for the critic's votes.
  * - Contain the `generateAndUploadImage` function, which creates an image
- * based on a text prompt using Imagen and uploads it to Google Cloud Storage.
+ * based on a text prompt and saves it to the image store.
  * - Manage bot-specific state like prompt construction, validation, and memory
  * (e.g., avoiding recently used words and themes).
+ * - Keep offensive output out of the story: titles and words go through the same
+ * profanity checker as player submissions (see profanity.js).
  */
 
-// --- Google Cloud & AI SDKs ---
-const { VertexAI } = require('@google-cloud/vertexai');
-const { Storage } = require('@google-cloud/storage');
-const { GoogleAuth } = require('google-auth-library');
-
 // --- Custom Modules ---
 const logger = require('./logger');
 const constants = require('./constants');
+const { normalizeStyles } = require('./word-styles');
+const { createProvidersFromEnv } = require('./ai-providers');
+const { renderPrompt } = require('./prompt-templates');
 const sharp = require('sharp');
 const writingStyles = constants.WRITING_STYLES;
 const imageStyles = constants.IMAGE_STYLES;
 
 // These variables will be initialized once by the `initBots` function.
-let vertex_ai, storage, bucket, textModelLite;
+let textProvider, imageProvider, imageStore;
+let profanity = null; // The profanity checker, if the caller passed one to `initBots`.
 let recentlyUsedImageStyles = []; // In-memory store to avoid repeating image styles too frequently.
 let recentlyUsedWritingStyles = []; // In-memory store to avoid repeating writing styles too frequently.
+const replanCache = new Map(); // Re-planned sentence ends, by request (see `replanSentence`), oldest first.
+
+// The end of a sentence, in any of the supported languages (as in game-engine.js).
+const SENTENCE_END_REGEX = /[.!?…。！？]["'”’»)]*$/u;
 
 // A cache for the bot's recently generated themes to promote novelty.
 globalThis.__recentBotThemes = [];
@@ -42,56 +54,73 @@ globalThis.__recentBotThemes = [];
 // ============================================================================
 
 /**
- * @summary Initializes the necessary Google Cloud clients for AI and storage.
- * @description This function should be called once when the server starts. It sets up
- * the VertexAI client for accessing Gemini and Imagen, and the Storage client for
- * uploading generated images to a Google Cloud Storage bucket.
+ * @summary Sets up the providers the bot writes and paints with.
+ * @description This function should be called once when the server starts. By default
+ * the providers and the image store are chosen by the environment (see
+ * `createProvidersFromEnv` in ai-providers.js); callers such as simulations can pass
+ * their own instead.
+ * @param {object} [options]
+ * @param {object} [options.profanity] - The profanity checker for the bot's titles and words.
+ * Scripts that only generate images leave it out.
+ * @param {object} [options.providers] - `{ text, image, imageStore }`, replacing the ones
+ * chosen by the environment.
  */
-function initBots() {
-  // Initialize the Vertex AI client with the project ID and location from environment variables.
-  vertex_ai = new VertexAI({
-    project: process.env.GOOGLE_CLOUD_PROJECT_ID,
-    location: process.env.GOOGLE_CLOUD_LOCATION
-  });
+function initBots(options = {}) {
+  profanity = options.profanity || null;
+  ({ text: textProvider, image: imageProvider, imageStore } = options.providers || createProvidersFromEnv());
+  logger.info({ text: textProvider.name, image: imageProvider.name, imageStore: imageStore.name }, '[bots] AI providers initialized.');
+}
 
-  // Initialize the client for Google Cloud Storage.
-  storage = new Storage();
-  // Get a reference to the specific bucket where images will be stored.
-  bucket = storage.bucket(process.env.GCS_BUCKET_NAME);
+// ============================================================================
+// --- HELPER FUNCTIONS ---
+// ============================================================================
 
-  // Get a reference to the Gemini models with fallbacks for resilience.
-  try {
-    textModelFlash = vertex_ai.getGenerativeModel({ model: constants.GEMINI_MODEL_FLASH });
-  } catch (e) {
-    logger.error('[bots] Could not initialize Gemini Flash model. Check constants/env vars.');
-    throw e; // Flash is essential, so we should stop if it's missing.
-  }
+/**
+ * Returns whether the bot may use a text, according to the profanity checker.
+ * @param {string} text - A title or a word.
+ * @param {string} source - What the text is, for the logs.
+ * @param {string} language - The story language.
+ * @returns {boolean}
+ */
+function isCleanText(text, source, language) {
+  return !profanity || profanity.check(text, { source, language }).ok;
+}
 
-  try {
-    textModelLite = vertex_ai.getGenerativeModel({ model: constants.GEMINI_MODEL_LITE });
-  } catch (e) {
-    logger.warn('[bots] Could not initialize Gemini Lite model. Falling back to Flash.');
-    textModelLite = textModelFlash; // Fallback
-  }
+/**
+ * Describes the story language for a prompt, e.g. 'Français (fr)'.
+ * @param {string} language - The story language.
+ * @returns {string}
+ */
+function describeLanguage(language) {
+  const settings = constants.LANGUAGES[language];
+  return settings ? `${settings.name} (${language})` : language;
+}
 
-  try {
-    textModelPro = vertex_ai.getGenerativeModel({ model: constants.GEMINI_MODEL_PRO });
-  } catch (e) {
-    logger.warn('[bots] Could not initialize Gemini Pro model. Falling back to Flash.');
-    textModelPro = textModelFlash; // Fallback
+/**
+ * @summary Splits generated text into the words the bot will submit.
+ * @description Most scripts separate words with spaces. Chinese and Japanese do not,
+ * so their text is split by the word segmenter instead, keeping punctuation attached
+ * to the word before it.
+ * @param {string} text - The generated text.
+ * @param {string} language - The story language.
+ * @returns {string[]} The words.
+ */
+function splitWords(text, language) {
+  if ((constants.LANGUAGES[language] || {}).spaced !== false) return text.split(/\s+/).filter(Boolean);
+
+  const words = [];
+  for (const { segment, isWordLike } of new Intl.Segmenter(language, { granularity: 'word' }).segment(text)) {
+    if (!segment.trim()) continue;
+    if (!isWordLike && words.length > 0) words[words.length - 1] += segment.trim();
+    else words.push(segment.trim());
   }
-
-  logger.info('[bots] Google AI and Storage clients initialized.');
+  return words;
 }
 
-// ============================================================================
-// --- HELPER FUNCTIONS ---
-// ============================================================================
-
 /**
  * @summary Appends a word to the bot's context buffer.
  * @description The context buffer is a "ring buffer" that maintains a sliding window
- * of the most recent words in the story. This context is fed to the Gemini model
+ * of the most recent words in the story. This context is fed to the text model
  * to ensure its generated text is relevant to the current narrative.
  * @param {string} word - The word to add to the context.
  * @param {string[]} botContext - The current context array.
@@ -107,6 +136,25 @@ function pushBotContext(word, botContext) {
   return botContext;
 }
 
+/**
+ * Creates an empty token count for a run of the bot.
+ * @returns {{calls: number, inputTokens: number, outputTokens: number}}
+ */
+function createUsage() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0 };
+}
+
+/**
+ * Adds a text provider's answer to a token count.
+ * @param {object} usage - The count, from `createUsage`. Updated in place.
+ * @param {object} result - The provider's result, `{ text, model, usage }`.
+ */
+function countUsage(usage, result) {
+  usage.calls += 1;
+  usage.inputTokens += result.usage?.inputTokens || 0;
+  usage.outputTokens += result.usage?.outputTokens || 0;
+}
+
 /**
  * @summary A robust retry mechanism for promise-based functions.
  * @description Wraps an async function (like an API call) and retries it upon
@@ -143,7 +191,7 @@ async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1500) {
   }
 }
 // ============================================================================
-// --- GEMINI TEXT GENERATION ---
+// --- TEXT GENERATION ---
 // ============================================================================
 
 /**
@@ -166,16 +214,19 @@ function selectWritingStyle() {
 }
 
 /**
- * Generates a unique chapter title.
- * @param {number} totalChapterCount - The total number of previously sealed chapters, used for chapter numbering.
+ * Generates a unique chapter title, the bot's proposal in the title round.
+ * The server adds the chapter number to whichever title wins (see game-engine.js).
  * @param {string[]} [recentTitles=[]] - An array of recent titles to avoid duplication.
  * @param {object} currentWritingStyle - The writing style object to guide the AI.
- * @returns {Promise<object[]>} A promise that resolves to a queue containing the formatted title object.
+ * @param {string} language - The story language.
+ * @param {object} persona - The persona proposing the title (see personas.js).
+ * @param {object} usage - The run's token count, from `createUsage`.
+ * @returns {Promise<object[]>} A promise that resolves to a queue containing the title object.
  */
-async function generateNewTitle(totalChapterCount, recentTitles = [], currentWritingStyle) {
-  logger.info('[bot] Generating a title...');
-  const chapterNumber = totalChapterCount + 1;
+async function generateNewTitle(recentTitles = [], currentWritingStyle, language, persona, usage) {
+  logger.info({ persona: persona.id }, '[bot] Generating a title...');
   let title = 'A New Beginning'; // Default title in case of failure
+  let titleTemplate = null; // The template of the prompt that wrote the title, if one did.
   let newQueue = [];
 
   try {
@@ -186,44 +237,48 @@ async function generateNewTitle(totalChapterCount, recentTitles = [], currentWri
     const MAX_TITLE_ATTEMPTS = 3;
     let isUnique = false;
     for (let i = 0; i < MAX_TITLE_ATTEMPTS; i++) {
-      const titlePrompt = `
-        You are a master storyteller. Your current task is to create a chapter title for a new story to begin.
-        Style Guide:
-        - Style Name: ${currentWritingStyle.name}
-        - Description: ${currentWritingStyle.description}
-        - Instructions: Generate a short, evocative chapter title of 1-5 words from this style.
-        CRITICAL: Do not use any of the following recent titles: ${recentTitles.join(', ')}
-        Output ONLY the title text, without any quotes or prefixes.
-      `.trim();
-
-      const titleResult = await retryWithBackoff(() => withTimeout(textModelLite.generateContent({
-          contents: [{ role: "user", parts: [{ text: titlePrompt }] }],
-          generationConfig: { maxOutputTokens: 64, temperature: 0.6 },
+      const { prompt: titlePrompt, templateId } = renderPrompt('title', {
+        styleName: currentWritingStyle.name,
+        styleDescription: currentWritingStyle.description,
+        language: describeLanguage(language),
+        recentTitles: recentTitles.join(', '),
+      });
+
+      const titleResult = await retryWithBackoff(() => withTimeout(textProvider.generateText({
+          prompt: titlePrompt,
+          tier: 'lite',
+          model: persona.model,
+          kind: 'title',
+          maxTokens: 64,
+          temperature: persona.temperature,
       })));
-      const candidateTitle = (titleResult?.response?.candidates?.[0]?.content?.parts?.[0]?.text || '').trim().replace(/["“”]/g, '');
+      countUsage(usage, titleResult);
+      const candidateTitle = titleResult.text.trim().replace(/["“”]/g, '');
 
       // Check if the generated title is new and valid.
-      if (candidateTitle && !recentTitles.some(t => t.toLowerCase() === candidateTitle.toLowerCase())) {
+      if (candidateTitle && !recentTitles.some(t => t.toLowerCase() === candidateTitle.toLowerCase())
+        && isCleanText(candidateTitle, 'bot-title', language)) {
         title = candidateTitle;
+        titleTemplate = templateId;
         isUnique = true;
         break; // Exit the loop on success.
       }
-      logger.warn(`[bot] Generated duplicate or empty title ('${candidateTitle}'). Retrying... (${i + 1}/${MAX_TITLE_ATTEMPTS})`);
+      logger.warn(`[bot] Generated duplicate, empty or offensive title ('${candidateTitle}'). Retrying... (${i + 1}/${MAX_TITLE_ATTEMPTS})`);
     }
 
     if (!isUnique) {
       logger.error('[bot] Failed to generate a unique title after multiple attempts. Using fallback.');
     }
 
-    // --- 2. Format the title and build the queue ---
-    const finalTitleText = `Chapter ${chapterNumber}: "${title}"`;
+    // --- 2. Build the queue ---
     newQueue.push({
-        word: finalTitleText,
-        styles: { bold: true, italic: false, underline: false, newline: true },
-        isTitle: true
+        word: title,
+        styles: normalizeStyles(constants.TITLE_STYLES),
+        isTitle: true,
+        promptTemplate: titleTemplate
     });
 
-    logger.info({ title: finalTitleText }, '[bot] New title generated and queued.');
+    logger.info({ title }, '[bot] New title generated and queued.');
     if (newQueue.length > 0) {
       newQueue[0].writingStyle = currentWritingStyle.name;
     }
@@ -244,41 +299,28 @@ async function generateNewTitle(totalChapterCount, recentTitles = [], currentWri
  * @param {object} args.contextData - Contains the necessary context for the story.
  * @param {string} [args.contextData.title] - The chapter title (if starting a new chapter).
  * @param {string} [args.contextData.wordsSoFar] - The existing text (if continuing).
+ * @param {string} args.language - The story language.
+ * @param {object} args.persona - The persona writing (see personas.js).
+ * @param {object} args.usage - The run's token count, from `createUsage`.
  * @returns {Promise<object[]>} A promise that resolves to a queue of word objects.
  */
-async function writeChapter({ isContinuing, targetWordCount, currentWritingStyle, contextData }) {
+async function writeChapter({ isContinuing, targetWordCount, currentWritingStyle, contextData, language, persona, usage }) {
   const logContext = isContinuing ? 'story continuation' : 'new chapter';
-  logger.info(`[bot] Preparing to write ${logContext}...`);
-
-  // --- 1. Conditionally build prompt components ---
-  const taskDescription = isContinuing
-    ? `A story is in progress, and your task is to continue it seamlessly and bring it to a satisfying conclusion. Write approximately ${targetWordCount} more words.`
-    : `You are tasked with writing a complete, self-contained story of approximately ${targetWordCount} words based on the provided chapter title. The story must have a clear beginning, middle, and a satisfying conclusion.`;
-
-  const contextBlock = isContinuing
-    ? `Existing Text:\n"${contextData.wordsSoFar}"`
-    : `Chapter Title: "${contextData.title}"`;
-
-  const criticalInstruction = isContinuing
-    ? 'CRITICAL: Your response must be ONLY the new, continuing text. Do not repeat the existing text. Do not add any explanation.'
-    : 'CRITICAL: Your entire response must be ONLY the story text. Do not repeat the title. Do not add any explanation or commentary.';
-
-  // --- 2. Assemble the final prompt ---
-  const finalPrompt = `
-    You are a master storyteller telling creative tales, with a subtile surreal tone.
-    ${taskDescription}
-    Style Guide (adhere to this strictly):
-    - Style Name: ${currentWritingStyle.name}
-    - Enforce These Elements: ${(currentWritingStyle.enforce || []).join(', ')}
-    - Avoid comedy or trivial tone/topics.
-    ${contextBlock}
-    ${criticalInstruction}
-  `.trim();
+  logger.info({ persona: persona.id }, `[bot] Preparing to write ${logContext}...`);
+
+  // --- 1-2. Render the prompt: a new chapter from its title, or a continuation of the existing text ---
+  const { prompt: finalPrompt, templateId } = renderPrompt(isContinuing ? 'continuation' : 'chapter', {
+    targetWordCount,
+    styleName: currentWritingStyle.name,
+    enforce: (currentWritingStyle.enforce || []).join(', '),
+    language: describeLanguage(language),
+    ...(isContinuing ? { wordsSoFar: contextData.wordsSoFar } : { title: contextData.title }),
+  });
 
   // --- 3. Select model and define processing options ---
-  let selectedModel = textModelPro; // Default to Pro model
+  let tier = 'pro'; // Default to the largest model
   if (isContinuing && targetWordCount <= 100) {
-    selectedModel = textModelFlash; // Use faster model for short continuations
+    tier = 'flash'; // Use faster model for short continuations
   }
   const startWithNewline = !isContinuing;
   let newQueue = [];
@@ -288,25 +330,31 @@ async function writeChapter({ isContinuing, targetWordCount, currentWritingStyle
     const AI_TIMEOUT_MS = Number(constants.AI_TIMEOUT_MS || 35000);
     const withTimeout = (p, ms = AI_TIMEOUT_MS) => Promise.race([p, new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), ms))]);
 
-    const result = await retryWithBackoff(() => withTimeout(selectedModel.generateContent({
-        contents: [{ role: "user", parts: [{ text: finalPrompt }] }],
-        generationConfig: { maxOutputTokens: 4096, temperature: 0.6, topP: 0.9 },
+    const result = await retryWithBackoff(() => withTimeout(textProvider.generateText({
+        prompt: finalPrompt,
+        tier,
+        model: persona.model,
+        kind: 'prose',
+        targetWords: targetWordCount,
+        maxTokens: 4096,
+        temperature: persona.temperature,
+        topP: 0.9,
     })));
-    const generatedText = (result?.response?.candidates?.[0]?.content?.parts?.[0]?.text || '').trim();
+    countUsage(usage, result);
+    const generatedText = result.text.trim();
 
     if (generatedText) {
-        generatedText.split(/\s+/).filter(Boolean).forEach((word, index) => {
+        // Offensive words are dropped; the rejection is logged by the checker.
+        splitWords(generatedText, language).filter(word => isCleanText(word, 'bot', language)).forEach((word, index) => {
             newQueue.push({
                 word: word,
-                styles: {
-                    bold: false, italic: false, underline: false, isTitle: false,
-                    newline: startWithNewline && index === 0
-                }
+                styles: normalizeStyles({ newline: startWithNewline && index === 0 }),
+                promptTemplate: templateId
             });
         });
     }
 
-    logger.info({ wordCount: newQueue.length, text: generatedText, model: selectedModel.model }, `[bot] Successfully generated ${logContext}`);
+    logger.info({ persona: persona.id, wordCount: newQueue.length, text: generatedText, model: result.model, promptTemplate: templateId }, `[bot] Successfully generated ${logContext}`);
     return newQueue;
 
   } catch (err) {
@@ -318,43 +366,155 @@ async function writeChapter({ isContinuing, targetWordCount, currentWritingStyle
 /**
  * Generates the main story text for a new chapter by calling the shared writer function.
  */
-async function generateNewChapter(targetWordCount, currentTitle, currentWritingStyle) {
+async function generateNewChapter(targetWordCount, currentTitle, currentWritingStyle, language, persona, usage) {
   return writeChapter({
     isContinuing: false,
     targetWordCount,
     currentWritingStyle,
-    contextData: { title: currentTitle }
+    contextData: { title: currentTitle },
+    language,
+    persona,
+    usage
   });
 }
 
 /**
  * Generates a continuation for a story by calling the shared writer function.
  */
-async function continueChapter(currentChapterWords, targetWordCount, currentWritingStyle) {
+async function continueChapter(currentChapterWords, targetWordCount, currentWritingStyle, language, persona, usage) {
   const wordsSoFar = currentChapterWords.map(w => w.word).join(' ');
   return writeChapter({
     isContinuing: true,
     targetWordCount,
     currentWritingStyle,
-    contextData: { wordsSoFar }
+    contextData: { wordsSoFar },
+    language,
+    persona,
+    usage
   });
 }
 
 /**
- * @summary Orchestrates the bot's turn to generate and submit text.
- * @description This is the main function for the text bot. It manages the bot's queue
+ * @summary Fits a persona's plan to a story that took another word than the one it submitted.
+ * @description The plan is kept from its next sentence on. Only the end of the current
+ * sentence is rewritten, around the words that won in the meantime, by a short call to
+ * a small model that reads the last `BOT_REPLAN_CONTEXT_WORDS` words of the chapter. If the
+ * story has just finished a sentence, the plan simply resumes at its next one, with no call.
+ * Re-plans are cached by persona, story end and planned sentence, so the same request is
+ * never paid for twice (e.g. a retry, or a new leader replaying the round).
+ * @param {object} args
+ * @param {object[]} args.botQueue - The persona's stale plan.
+ * @param {object[]} args.currentChapterWords - The chapter's words so far.
+ * @param {object} [args.currentWritingStyle] - The chapter's writing style.
+ * @param {string} args.language - The story language.
+ * @param {object} args.persona - The persona (see personas.js).
+ * @param {object} args.usage - The run's token count, from `createUsage`.
+ * @returns {Promise<object[]|null>} The new plan, or null if the plan must be rewritten whole:
+ * it is empty, has no next sentence, or the model failed.
+ */
+async function replanSentence({ botQueue, currentChapterWords, currentWritingStyle, language, persona, usage }) {
+  const sentenceEnd = botQueue.findIndex(({ word }) => SENTENCE_END_REGEX.test(word));
+  const nextSentences = sentenceEnd === -1 ? [] : botQueue.slice(sentenceEnd + 1);
+  if (nextSentences.length === 0) return null;
+
+  const lastWord = currentChapterWords[currentChapterWords.length - 1];
+  if (!lastWord || lastWord.isTitle || SENTENCE_END_REGEX.test(lastWord.word)) {
+    logger.info({ persona: persona.id, words: nextSentences.length }, '[bot] The sentence is complete: the plan resumes at its next one.');
+    return nextSentences;
+  }
+
+  const storyEnd = currentChapterWords.slice(-constants.BOT_REPLAN_CONTEXT_WORDS).map(w => w.word).join(' ');
+  const plannedSentenceEnd = nextSentences.findIndex(({ word }) => SENTENCE_END_REGEX.test(word));
+  const nextSentence = nextSentences.slice(0, plannedSentenceEnd === -1 ? undefined : plannedSentenceEnd + 1).map(w => w.word).join(' ');
+  const maxWords = Math.max(3, sentenceEnd + 1);
+
+  const cacheKey = JSON.stringify([persona.id, language, storyEnd, nextSentence]);
+  let bridge = replanCache.get(cacheKey); // { words, templateId }
+  if (bridge) {
+    logger.info({ persona: persona.id, promptTemplate: bridge.templateId }, '[bot] Re-planned sentence end found in the cache.');
+  } else {
+    const { prompt: bridgePrompt, templateId } = renderPrompt('bridge', {
+      styleName: currentWritingStyle ? currentWritingStyle.name : 'the tone of the story so far',
+      language: describeLanguage(language),
+      storyEnd,
+      nextSentence,
+      maxWords,
+    });
+
+    try {
+      const AI_TIMEOUT_MS = Number(constants.AI_TIMEOUT_MS || 35000);
+      const withTimeout = (p, ms = AI_TIMEOUT_MS) => Promise.race([p, new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), ms))]);
+
+      const result = await retryWithBackoff(() => withTimeout(textProvider.generateText({
+        prompt: bridgePrompt,
+        tier: 'flash',
+        model: persona.model,
+        kind: 'bridge',
+        targetWords: maxWords,
+        maxTokens: 128,
+        temperature: persona.temperature,
+      })));
+      countUsage(usage, result);
+      bridge = { words: splitWords(result.text.trim(), language).slice(0, maxWords * 2), templateId };
+    } catch (err) {
+      logger.error({ err, persona: persona.id }, '[bot] Failed to re-plan the sentence end');
+      return null;
+    }
+    if (bridge.words.length === 0) return null;
+
+    replanCache.set(cacheKey, bridge);
+    if (replanCache.size > constants.BOT_REPLAN_CACHE_SIZE) replanCache.delete(replanCache.keys().next().value);
+  }
+
+  // Offensive words are dropped, as in a full continuation; a sentence left open is closed.
+  const words = bridge.words.filter(word => isCleanText(word, 'bot', language));
+  if (words.length === 0) return null;
+  if (!SENTENCE_END_REGEX.test(words[words.length - 1])) {
+    words[words.length - 1] += (constants.LANGUAGES[language] || {}).spaced === false ? '。' : '.';
+  }
+  logger.info({ persona: persona.id, bridge: words.join(' '), kept: nextSentences.length }, '[bot] Re-planned the end of the sentence.');
+  // The bridge words record the bridge template; the kept words keep the template that planned them.
+  return [...words.map(word => ({ word, styles: normalizeStyles({}), promptTemplate: bridge.templateId })), ...nextSentences];
+}
+
+/**
+ * @summary Orchestrates a bot persona's turn to generate and submit text.
+ * @description This is the main function for the text bot. It manages the persona's queue
  * and decides when to generate new content based on the current state of the story chapter.
+ * The engine runs it once per persona (see personas.js), each with its own queue and flags;
+ * the persona's words are submitted under its own ID and name. When `botMustReplan` is set,
+ * the persona's plan went stale and is re-planned first (see `replanSentence`).
  * @param {object} state - The complete current state of the game from server.js.
- * @returns {Promise<object>} An object containing the updated bot state to be synchronized with the server.
+ * @returns {Promise<object>} An object containing the updated bot state to be synchronized with the server,
+ * with `usage`, the tokens used by this run (see `createUsage`).
  */
 async function runBotSubmission(state) {
   // ==========================================================================
   // --- 1. SETUP & STATE DECONSTRUCTION ---
   // ==========================================================================
   // Destructure all required variables from the main state object passed by the server.
-  const { liveWords, getCompositeKey, broadcastLiveFeed, currentChapterWords, totalChapterCount, targetWordCount, recentTitles } = state;
-  let { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, currentTitle, currentWritingStyle } = state;
+  const { liveWords, getCompositeKey, broadcastLiveFeed, currentChapterWords, targetWordCount, recentTitles } = state;
+  const language = state.language || constants.STORY_LANGUAGE;
+  const persona = state.persona;
+  let { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, botMustReplan = false, currentTitle, currentWritingStyle } = state;
   let submissionMade = false;
+  const usage = createUsage();
+
+  // ==========================================================================
+  // --- 1b. RE-PLAN A STALE PLAN ---
+  // ==========================================================================
+  // Someone else's word won: keep the plan, rewriting only the end of the current sentence.
+  // Without a plan to keep, the persona writes a whole new continuation below.
+  if (botMustReplan) {
+    botMustReplan = false;
+    const replanned = await replanSentence({ botQueue, currentChapterWords, currentWritingStyle, language, persona, usage });
+    if (replanned) {
+      botQueue = replanned;
+    } else {
+      botQueue = [];
+      botMustContinueChapter = true;
+    }
+  }
 
   // ==========================================================================
   // --- 2. HANDLE QUEUED SUBMISSIONS ---
@@ -369,17 +529,17 @@ async function runBotSubmission(state) {
     if (!liveWords.has(compositeKey)) {
       liveWords.set(compositeKey, {
         ...plannedSubmission,
-        submitterId: constants.BOT_ID,
-        submitterName: constants.BOT_NAME,
+        submitterId: persona.id,
+        submitterName: persona.name,
         ts: Date.now(),
-        votes: new Map([[constants.BOT_ID, 1]]) // The bot always upvotes its own submissions.
+        votes: new Map([[persona.id, 1]]) // A persona always upvotes its own submissions.
       });
       submissionMade = true;
     }
     broadcastLiveFeed();
 
     // Return the updated state to the server and stop further execution for this turn.
-    return { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, currentTitle, currentWritingStyle, submissionMade };
+    return { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, botMustReplan, currentTitle, currentWritingStyle, submissionMade, usage };
   }
 
   // ==========================================================================
@@ -398,7 +558,7 @@ async function runBotSubmission(state) {
   // A) WRITE A TITLE: If the server signals a new chapter is needed or the chapter is empty.
   if (botMustWriteTitle || isNewChapter) {
     logger.info('[bot] Server signaled a new title must be written.');
-    newQueue = await generateNewTitle(totalChapterCount, recentTitles, currentWritingStyle);
+    newQueue = await generateNewTitle(recentTitles, currentWritingStyle, language, persona, usage);
     if (newQueue.length > 0) {
       currentTitle = newQueue[0].word;
       botMustWriteTitle = false;
@@ -409,7 +569,7 @@ async function runBotSubmission(state) {
   // B) START A NEW CHAPTER: If the server signals a new chapter is needed.
   else if (botMustStartChapter || hasTitleOnly) {
     logger.info('[bot] Server signaled a new chapter must be started.');
-    newQueue = await generateNewChapter(targetWordCount, currentTitle, currentWritingStyle);
+    newQueue = await generateNewChapter(targetWordCount, currentTitle, currentWritingStyle, language, persona, usage);
     if (newQueue.length > 0) {
       botMustWriteTitle = false;
       botMustStartChapter = false;
@@ -419,7 +579,7 @@ async function runBotSubmission(state) {
   // B) CONTINUE AN EXISTING STORY: If users have started writing but the chapter isn't full.
   else if (botMustContinueChapter && targetWordCount > 0) {
     logger.info('[bot] Server signaled the chapter should be updated from new content.');
-    newQueue = await continueChapter(currentChapterWords, targetWordCount, currentWritingStyle);
+    newQueue = await continueChapter(currentChapterWords, targetWordCount, currentWritingStyle, language, persona, usage);
     if (newQueue.length > 0) {
       botMustWriteTitle = false;
       botMustStartChapter = false;
@@ -437,7 +597,7 @@ async function runBotSubmission(state) {
       botQueue = newQueue;
   } else {
       // If generation failed or wasn't needed, exit and return the current state.
-      return { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, currentTitle, currentWritingStyle, submissionMade };
+      return { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, botMustReplan, currentTitle, currentWritingStyle, submissionMade, usage };
   }
 
   // Immediately submit the first word from the newly populated queue.
@@ -448,10 +608,10 @@ async function runBotSubmission(state) {
     if (!liveWords.has(compositeKey)) {
         liveWords.set(compositeKey, {
             ...firstSubmission,
-            submitterId: constants.BOT_ID,
-            submitterName: constants.BOT_NAME,
+            submitterId: persona.id,
+            submitterName: persona.name,
             ts: Date.now(),
-            votes: new Map([[constants.BOT_ID, 1]])
+            votes: new Map([[persona.id, 1]])
         });
       submissionMade = true;
     }
@@ -462,29 +622,125 @@ async function runBotSubmission(state) {
   // --- 5. RETURN FINAL UPDATED STATE ---
   // ==========================================================================
   // Return all state variables, which will be used to update the main server state.
-  return { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, currentTitle, currentWritingStyle, submissionMade };
+  return { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, botMustReplan, currentTitle, currentWritingStyle, submissionMade, usage };
+}
+
+// ============================================================================
+// --- CRITIC ---
+// ============================================================================
+
+/**
+ * @summary Reads the critic's ratings out of the model's answer.
+ * @description The answer should be a JSON array of `{ candidate, score, reason }`. Items that
+ * name no known candidate, have no numeric score or no reason, or whose reason the profanity
+ * checker rejects are left out, since the reason is shown to the players.
+ * @param {string} text - The model's answer.
+ * @param {Array<object>} candidates - The rated candidates, in prompt order.
+ * @param {string} language - The story language.
+ * @returns {Array<{compositeKey: string, fit: number, rationale: string}>}
+ */
+function parseReviews(text, candidates, language) {
+  const json = (text.match(/\[[\s\S]*\]/) || [])[0];
+  if (!json) return [];
+  let items;
+  try {
+    items = JSON.parse(json);
+  } catch (err) {
+    return [];
+  }
+  if (!Array.isArray(items)) return [];
+
+  const reviews = new Map();
+  items.forEach(item => {
+    const candidate = candidates[Number(item?.candidate) - 1];
+    const score = Number(item?.score);
+    const rationale = typeof item?.reason === 'string' ? item.reason.trim().slice(0, 140) : '';
+    if (!candidate || !Number.isFinite(score) || !rationale || reviews.has(candidate.compositeKey)) return;
+    if (!isCleanText(rationale, 'bot-critique', language)) return;
+    reviews.set(candidate.compositeKey, {
+      compositeKey: candidate.compositeKey,
+      fit: Math.min(1, Math.max(0, score / 10)),
+      rationale,
+    });
+  });
+  return [...reviews.values()];
+}
+
+/**
+ * @summary Rates how well the players' candidates continue the story.
+ * @description The critic reads the end of the story (the bot context) and the chapter's
+ * writing style, and rates each candidate from 0 to 1 with a one-line rationale. It only
+ * rates: which candidates get its votes, and how many, is up to the engine.
+ * @param {object} state - The state passed by the engine.
+ * @param {Array<{compositeKey: string, word: string, styles: object}>} state.candidates - The candidates to rate.
+ * @param {string[]} state.botContext - The most recent words of the story.
+ * @param {object} [state.currentWritingStyle] - The chapter's writing style, if it has one.
+ * @param {string} [state.language] - The story language.
+ * @returns {Promise<Array<{compositeKey: string, fit: number, rationale: string}>>} The ratings,
+ * best first. Empty if the model failed.
+ */
+async function runBotCritic({ candidates, botContext, currentWritingStyle, language = constants.STORY_LANGUAGE }) {
+  if (candidates.length === 0) return [];
+
+  const candidateList = candidates.map(({ word, styles }, index) => {
+    const styleNames = Object.keys(styles || {}).filter(name => styles[name]);
+    return `${index + 1}. "${word}"${styleNames.length > 0 ? ` (${styleNames.join(', ')})` : ''}`;
+  }).join('\n');
+  const styleGuide = currentWritingStyle
+    ? `- Style Name: ${currentWritingStyle.name}\n- Description: ${currentWritingStyle.description}`
+    : '- No fixed style: judge the tone of the story so far.';
+
+  const { prompt: reviewPrompt, templateId } = renderPrompt('review', {
+    story: botContext.join(' '),
+    styleGuide,
+    language: describeLanguage(language),
+    candidates: candidateList,
+  });
+
+  try {
+    const AI_TIMEOUT_MS = Number(constants.AI_TIMEOUT_MS || 35000);
+    const withTimeout = (p, ms = AI_TIMEOUT_MS) => Promise.race([p, new Promise((_, rej) => setTimeout(() => rej(new Error('timeout')), ms))]);
+
+    const result = await retryWithBackoff(() => withTimeout(textProvider.generateText({
+      prompt: reviewPrompt,
+      tier: 'lite',
+      kind: 'review',
+      items: candidates.length,
+      maxTokens: 1024,
+      temperature: 0.2,
+    })), 2);
+    const reviews = parseReviews(result.text, candidates, language).sort((a, b) => b.fit - a.fit);
+    logger.info({ candidates: candidates.length, reviews: reviews.length, model: result.model, promptTemplate: templateId }, '[critic] Candidates reviewed.');
+    return reviews;
+  } catch (err) {
+    logger.error({ err }, '[critic] Failed to review the candidates');
+    return [];
+  }
 }
 
 // ============================================================================
-// --- IMAGEN IMAGE GENERATION ---
+// --- IMAGE GENERATION ---
 // ============================================================================
 
 /**
- * @summary Generates an image with Imagen and uploads it to Google Cloud Storage.
+ * @summary Generates an image with the image provider and saves it to the image store.
  * @description This is a multi-step process:
  * 1. A random artistic style is selected, avoiding recently used ones.
- * 2. The input text (a chapter of the story) is summarized by Gemini to create a
- * more effective and concise visual prompt.
- * 3. A detailed final prompt is constructed, combining the summary, the chosen
- * style, and hard constraints (like "no text" or "no logos").
- * 4. The Imagen API is called to generate the image from the prompt.
- * 5. The resulting image data is decoded and uploaded to a public GCS bucket.
+ * 2. The input text (a chapter of the story) is summarized by the text model to create a
+ * more effective and concise visual prompt (the 'scene' template).
+ * 3. A detailed final prompt is rendered from the 'image' template, combining the summary,
+ * the chosen style, and hard constraints (like "no text" or "no logos").
+ * 4. The image provider generates the image from the prompt.
+ * 5. The image is watermarked and saved to the image store (a public GCS bucket, or a
+ * local directory served by the server).
  * @param {string} text - The core text content (story chapter) to be depicted.
- * @param {boolean} isProduction - Flag to determine which GCS folder to use.
- * @returns {Promise<string|null>} The public URL of the uploaded image, or null on failure.
+ * @param {boolean} isProduction - Flag to determine which folder to use.
+ * @returns {Promise<{imageUrl: string, promptTemplates: string[]}|null>} The public URL of the
+ * uploaded image, with the IDs of the scene and image templates that described it, or null on failure.
  */
 async function generateAndUploadImage(text, chapterTitle, chapterHash, isProduction) {
   let finalPrompt; // Declare here to make it available throughout the function scope
+  let promptTemplates; // The IDs of the scene and image templates.
 
   try {
     logger.info('[image] Starting image generation process...');
@@ -501,43 +757,34 @@ async function generateAndUploadImage(text, chapterTitle, chapterHash, isProduct
     if (recentlyUsedImageStyles.length > 4) recentlyUsedImageStyles.shift();
     logger.info({ style: selectedStyle.name }, '[image] Selected style');
 
-    // --- Step 2: Generate the Full Image Prompt with Gemini ---
+    // --- Step 2: Generate the Full Image Prompt with the text model ---
     try {
-      const sceneGenPrompt = `
-        Read the following story excerpt and synthesize its essence into a short scene description.
-
-        - Omit dialogue and character names.
-        - Focus on: lighting, creatures, objects, atmospheric effects, and surreal scenary.
-
-        - CRITICAL: The total output MUST NOT exceed 180 words.
-
-        STORY EXCERPT:
-        """
-        ${text}
-        """
-      `.trim();
-
-      const result = await retryWithBackoff(() => textModelPro.generateContent({
-        contents: [{ role: "user", parts: [{ text: sceneGenPrompt }] }],
-        generationConfig: { maxOutputTokens: 4096, temperature: 0.6 },
+      const { prompt: sceneGenPrompt, templateId: sceneTemplate } = renderPrompt('scene', { text });
+
+      const result = await retryWithBackoff(() => textProvider.generateText({
+        prompt: sceneGenPrompt,
+        tier: 'pro',
+        kind: 'scene',
+        maxTokens: 4096,
+        temperature: 0.6,
       }));
 
-      const sceneDescription = result?.response?.candidates?.[0]?.content?.parts?.[0]?.text.trim();
+      const sceneDescription = result.text.trim();
 
       if (!sceneDescription) {
         throw new Error('AI failed to generate the scene description.');
       }
 
-      // --- Step 3: Manually construct the full prompt in code ---
-      finalPrompt = `An exhibition-quality very original and POWERFUL design art.\n
-      Style: "${selectedStyle.name} (${selectedStyle.description})".\n
-      Scene: "${sceneDescription}".\n\n
-      CRITICAL INSTRUCTIONS:\n
-      ADAPT THE STYLE IN ORDER TO BETTER FIT THE SCENE. PREFER DESIGN, ABSTRACT, SURREAL, WHILE AVOIDING PHOTOREALISTIC, CGI OR 3D RENDER.\n
-      THE IMAGE SHOULD BE FILLED WITH LIGHT, WITH A SENSE OF DEPTH AND LAYERS OF INTRICATE DETAILS.\n
-      DO NOT INCLUDE TEXT, WORDS, AND REALISTIC HUMAN CHARACTERS\n`;
+      // --- Step 3: Render the full prompt from the image template ---
+      const image = renderPrompt('image', {
+        styleName: selectedStyle.name,
+        styleDescription: selectedStyle.description,
+        scene: sceneDescription,
+      });
+      finalPrompt = image.prompt;
+      promptTemplates = [sceneTemplate, image.templateId];
 
-      logger.info({ finalPrompt }, '[image] Final Imagen prompt prepared.');
+      logger.info({ finalPrompt, promptTemplates }, '[image] Final image prompt prepared.');
 
     } catch (e) {
       logger.error({ err: e }, '[image] Failed to generate the final image prompt');
@@ -545,42 +792,11 @@ async function generateAndUploadImage(text, chapterTitle, chapterHash, isProduct
     }
     console.log(finalPrompt);
 
-    // --- Step 3: Call the Imagen API ---
-    const project = process.env.GOOGLE_CLOUD_PROJECT_ID;
-    const region = process.env.GOOGLE_CLOUD_LOCATION || 'us-central1';
-    const modelId = constants.IMAGEN_MODEL || 'imagen-3.0-generate-001';
-
-    const auth = new GoogleAuth({ scopes: ['https://www.googleapis.com/auth/cloud-platform'] });
-    const client = await auth.getClient();
-    const accessToken = await client.getAccessToken();
-    const predictUrl = `https://${region}-aiplatform.googleapis.com/v1/projects/${project}/locations/${region}/publishers/google/models/${modelId}:predict`;
-
-    const predictBody = {
-      instances: [{ prompt: finalPrompt }],
-      parameters: {
-        sampleCount: 1,
-        aspectRatio: "1:1",
-        sampleImageSize: "1K"
-      }
-    };
-    const predictRes = await retryWithBackoff(() => fetch(predictUrl, {
-      method: 'POST',
-      headers: { Authorization: `Bearer ${accessToken.token}`, 'Content-Type': 'application/json' },
-      body: JSON.stringify(predictBody)
-    }));
-
-    if (!predictRes.ok) {
-      throw new Error(`[Imagen:predict] ${predictRes.status} ${await predictRes.text()}`);
-    }
-    const predictJson = await predictRes.json();
-    const imageDataBase64 = predictJson?.predictions?.[0]?.bytesBase64Encoded;
-    if (!imageDataBase64) {
-      throw new Error('[Imagen:predict] No image data returned from API.');
-    }
-    logger.info('[image] Image data received from Vertex AI.');
+    // --- Step 3: Call the image provider ---
+    const imageBuffer = await retryWithBackoff(() => imageProvider.generateImage({ prompt: finalPrompt }));
+    logger.info({ provider: imageProvider.name }, '[image] Image data received.');
 
     // --- Step 4: Create Watermark and Composite Image ---
-    const imageBuffer = Buffer.from(imageDataBase64, 'base64');
     const watermarkSvg = `
       <svg width="1024" height="50">
         <text x="50%" y="85%" text-anchor="middle"
@@ -597,19 +813,12 @@ async function generateAndUploadImage(text, chapterTitle, chapterHash, isProduct
       }, ])
       .toBuffer();
 
-    // --- Step 5: Upload Image to Google Cloud Storage ---
+    // --- Step 5: Save the image to the image store ---
     const folder = isProduction ? 'images' : 'dev-images';
     const fileName = `${folder}/sntnz-chapter-${chapterHash}.png`;
-    const file = bucket.file(fileName);
-
-    await file.save(watermarkedImageBuffer, {
-      metadata: { contentType: 'image/png' },
-      resumable: false,
-    });
-
-    const publicUrl = file.publicUrl();
-    logger.info({ publicUrl }, '[image] Successfully uploaded to GCS');
-    return publicUrl;
+    const publicUrl = await imageStore.save(fileName, watermarkedImageBuffer);
+    logger.info({ publicUrl, imageStore: imageStore.name }, '[image] Successfully saved the image');
+    return { imageUrl: publicUrl, promptTemplates };
 
   } catch (err) {
     logger.error({ err: err }, '[image] Full image generation pipeline failed');
@@ -620,6 +829,7 @@ async function generateAndUploadImage(text, chapterTitle, chapterHash, isProduct
 module.exports = {
   initBots,
   runBotSubmission,
+  runBotCritic,
   generateAndUploadImage,
   pushBotContext
 };
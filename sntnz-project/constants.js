@@ -16,46 +16,243 @@ const CHAPTER_DURATION_MINUTES_PROD = 360;
 const ROUND_DURATION_SECONDS_DEV = 120;
 const CHAPTER_DURATION_MINUTES_DEV = 10;
 
+// How much an anonymous player's vote counts, from 0 to 1 (ANONYMOUS_VOTE_WEIGHT). Defaults to a full vote.
+const anonymousVoteWeight = parseFloat(process.env.ANONYMOUS_VOTE_WEIGHT);
+const ANONYMOUS_VOTE_WEIGHT = Number.isNaN(anonymousVoteWeight) ? 1 : Math.min(1, Math.max(0, anonymousVoteWeight));
+
+// The original bot, which is also the first of the bot personas.
+const BOT_ID = 'sntnz_bot';
+const BOT_NAME = 'SNTNZ_BOT';
+
+// How much the bot critic's vote counts, from 0 to 1 (BOT_CRITIC_VOTE_WEIGHT). Defaults to half a vote,
+// so a single player can always outweigh it.
+const criticVoteWeight = parseFloat(process.env.BOT_CRITIC_VOTE_WEIGHT);
+const BOT_CRITIC_VOTE_WEIGHT = Number.isNaN(criticVoteWeight) ? 0.5 : Math.min(1, Math.max(0, criticVoteWeight));
+// How many candidates the bot critic may back in a round (BOT_CRITIC_MAX_VOTES). Defaults to one.
+const criticMaxVotes = parseInt(process.env.BOT_CRITIC_MAX_VOTES, 10);
+const BOT_CRITIC_MAX_VOTES = Number.isNaN(criticMaxVotes) ? 1 : Math.max(0, criticMaxVotes);
+
 // --- Dynamically Calculate Values Before Exporting ---
 const CHAPTER_DURATION_MINUTES = isProduction ? CHAPTER_DURATION_MINUTES_PROD : CHAPTER_DURATION_MINUTES_DEV;
 
-let HISTORY_CHAPTER_SCHEDULE_CRON;
-
-if (CHAPTER_DURATION_MINUTES < 60) {
-  // Case 1: Duration is less than an hour. Use the minute field.
-  // Example: For 20 minutes -> '*/20 * * * *'
-  HISTORY_CHAPTER_SCHEDULE_CRON = `*/${CHAPTER_DURATION_MINUTES} * * * *`;
-} else {
-  // Case 2: Duration is one or more hours. Use the hour field.
-  const hours = CHAPTER_DURATION_MINUTES / 60;
-  if (CHAPTER_DURATION_MINUTES % 60 !== 0) {
-    console.warn(`[sntnz config] WARNING: CHAPTER_DURATION_MINUTES (${CHAPTER_DURATION_MINUTES}) is not a clean multiple of 60. The cron schedule may not run as expected.`);
+/**
+ * Builds the cron schedule that seals a chapter every CHAPTER_DURATION_MINUTES, counted
+ * from midnight. Seal times that share the same hours are grouped in one expression, and
+ * the groups are joined with ';' (see schedule.js): 90 minutes gives
+ * '0 0,3,6,9,12,15,18,21 * * *;30 1,4,7,10,13,16,19,22 * * *'.
+ * @param {number} durationMinutes - The chapter duration.
+ * @returns {string} The schedule.
+ */
+function buildSealSchedule(durationMinutes) {
+  if (60 % durationMinutes === 0) return `*/${durationMinutes} * * * *`;
+  if (1440 % durationMinutes !== 0) {
+    console.warn(`[sntnz config] WARNING: CHAPTER_DURATION_MINUTES (${durationMinutes}) does not divide a day. The last chapter of each day will be shorter.`);
   }
 
-  // Render.com doesn't accept "*/N" in the hours field reliably, so expand manually
-  if (Number.isInteger(hours)) {
-    const hourList = Array.from({ length: 24 / hours }, (_, i) => i * hours).join(',');
-    HISTORY_CHAPTER_SCHEDULE_CRON = `0 ${hourList} * * *`;
-  } else {
-    HISTORY_CHAPTER_SCHEDULE_CRON = `*/${CHAPTER_DURATION_MINUTES} * * * *`; // fallback
+  // Minutes of the hour, grouped by the hours they are used in.
+  const minutesByHours = new Map();
+  const hoursByMinute = new Map();
+  for (let minuteOfDay = 0; minuteOfDay < 1440; minuteOfDay += durationMinutes) {
+    const minute = minuteOfDay % 60;
+    hoursByMinute.set(minute, [...(hoursByMinute.get(minute) || []), Math.floor(minuteOfDay / 60)]);
   }
+  for (const [minute, hours] of hoursByMinute) {
+    const key = hours.length === 24 ? '*' : hours.join(',');
+    minutesByHours.set(key, [...(minutesByHours.get(key) || []), minute]);
+  }
+  return [...minutesByHours].map(([hours, minutes]) => `${minutes.join(',')} ${hours} * * *`).join(';');
 }
 
+// CHAPTER_SEAL_CRON replaces the generated schedule with any cron expression.
+const HISTORY_CHAPTER_SCHEDULE_CRON = process.env.CHAPTER_SEAL_CRON || buildSealSchedule(CHAPTER_DURATION_MINUTES);
+
+// The word submissions an anonymous player may make per hour (see QUOTAS).
+const ANONYMOUS_MAX_SUB_PER_HOUR = 10;
+
 module.exports = {
   // --- Round / sentence ---
   ROUND_DURATION_SECONDS: isProduction ? ROUND_DURATION_SECONDS_PROD : ROUND_DURATION_SECONDS_DEV,
   CURRENT_TEXT_LENGTH: 100,
 
+  // --- Rooms ---
+  DEFAULT_ROOM_ID: 'main',
+
+  // --- Languages ---
+  // The language a room's story is written in, unless the room sets its own (see rooms.js).
+  STORY_LANGUAGE: process.env.STORY_LANGUAGE || 'en',
+  // The supported languages, by BCP 47 code. `dictionary` is the stock profanity word list
+  // added to the English one (see profanity.js); `spaceBefore` lists the punctuation marks
+  // that take a narrow space before them; `spaced: false` is for scripts written without
+  // spaces between words.
+  LANGUAGES: {
+    en: { name: 'English', dictionary: null },
+    fr: { name: 'Français', dictionary: 'french', spaceBefore: '!?;:' },
+    de: { name: 'Deutsch', dictionary: 'german' },
+    es: { name: 'Español', dictionary: 'spanish' },
+    it: { name: 'Italiano', dictionary: null },
+    pt: { name: 'Português', dictionary: null },
+    nl: { name: 'Nederlands', dictionary: null },
+    tr: { name: 'Türkçe', dictionary: null },
+    ru: { name: 'Русский', dictionary: null },
+    uk: { name: 'Українська', dictionary: null },
+    hi: { name: 'हिन्दी', dictionary: 'hindi' },
+    bn: { name: 'বাংলা', dictionary: 'bengali' },
+    ta: { name: 'தமிழ்', dictionary: 'tamil' },
+    te: { name: 'తెలుగు', dictionary: 'telugu' },
+    ko: { name: '한국어', dictionary: null },
+    ja: { name: '日本語', dictionary: null, spaced: false },
+    zh: { name: '中文', dictionary: null, spaced: false },
+  },
+
+  // --- Scaling ---
+  // Off by default: a single instance keeps the live round in memory. With CLUSTER_MODE=1,
+  // the live round lives in MongoDB, broadcasts go through the MongoDB Socket.IO adapter,
+  // and a lease elects the one instance that runs the game loop. It needs MongoDB to run as
+  // a replica set (the adapter reads change streams).
+  CLUSTER_MODE: process.env.CLUSTER_MODE === '1',
+  LEADER_LEASE_MS: 15000,   // How long a leader's lease is valid without renewal.
+  LEADER_RENEW_MS: 5000,    // How often instances try to acquire or renew the lease.
+
+  // --- Voting ---
+  // One of 'net', 'plurality', 'approval', 'quadratic', 'ranked' (see voting.js).
+  VOTING_STRATEGY: process.env.VOTING_STRATEGY || 'net',
+  QUADRATIC_VOTE_CREDITS: 9,
+
   // --- Client UX ---
   INPUT_MAX_CHARS: 25,
-  ANONYMOUS_MAX_SUB_PER_HOUR: 10,
   NUM_INITIAL_CHAPTERS: 3,
 
+  // --- Titles ---
+  // After a seal, a title round opens: players propose chapter titles alongside the bot and
+  // vote on them. Each word of a title follows the word format below. The server adds the
+  // chapter number to the winner ('Chapter 12: "..."') and gives it the title styles.
+  TITLE_MAX_CHARS: 60,
+  TITLE_MAX_WORDS: 8,
+  TITLE_STYLES: { bold: true, newline: true },
+
+  // --- Word Styles ---
+  // Every style a word may carry, by name. This is the one list the server validates
+  // submissions against, and from which the live candidates' keys, the rendering, the
+  // style buttons and the plain text of sealed chapters are derived (see word-styles.js).
+  // - `key`: the short code of the style in candidate keys. Never reuse one.
+  // - `label` / `title`: the style button's text and tooltip.
+  // - `group`: styles of the same group cannot be combined on one word.
+  // - `breaks`: the line breaks put before the word (1 for a new line, 2 for a new paragraph).
+  // - `marks`: the opening and closing marks around a run of consecutive words with the style.
+  WORD_STYLES: {
+    bold: { key: 'b', label: 'B', title: 'Bold' },
+    italic: { key: 'i', label: 'I', title: 'Italic' },
+    underline: { key: 'u', label: 'U', title: 'Underline' },
+    strikethrough: { key: 's', label: 'S', title: 'Strikethrough' },
+    smallCaps: { key: 'c', label: 'Sc', title: 'Small caps' },
+    newline: { key: 'n', label: '↵', title: 'New line', group: 'break', breaks: 1 },
+    paragraph: { key: 'p', label: '¶', title: 'New paragraph', group: 'break', breaks: 2 },
+    dialogue: { key: 'q', label: '“”', title: 'Dialogue', group: 'block', marks: ['“', '”'] },
+    heading: { key: 'h', label: 'H', title: 'Heading', group: 'block' },
+  },
+
+  // --- Players ---
+  // Anonymous players are identified by a signed cookie (see auth.js); their IDs carry this prefix.
+  ANONYMOUS_ID_PREFIX: 'anon:',
+  // With REQUIRE_LOGIN_TO_PLAY=1, only logged-in players may submit words and vote.
+  REQUIRE_LOGIN_TO_PLAY: process.env.REQUIRE_LOGIN_TO_PLAY === '1',
+  // How much an anonymous player's vote counts (see voting.js).
+  ANONYMOUS_VOTE_WEIGHT: ANONYMOUS_VOTE_WEIGHT,
+
+  // --- Quotas ---
+  // Limits on word submissions, votes and reports (see quotas.js), per identity and per IP
+  // address, with one tier for anonymous players and one for logged-in players.
+  // The per-IP limits leave room for several players behind the same network.
+  ANONYMOUS_MAX_SUB_PER_HOUR: ANONYMOUS_MAX_SUB_PER_HOUR,
+  QUOTAS: {
+    submission: {
+      anonymous: {
+        perIdentity: { limit: ANONYMOUS_MAX_SUB_PER_HOUR, windowSeconds: 3600 },
+        perIp: { limit: 40, windowSeconds: 3600 },
+      },
+      loggedIn: {
+        perIdentity: { limit: 90, windowSeconds: 3600 },
+        perIp: { limit: 300, windowSeconds: 3600 },
+      },
+    },
+    vote: {
+      anonymous: {
+        perIdentity: { limit: 20, windowSeconds: 60 },
+        perIp: { limit: 80, windowSeconds: 60 },
+      },
+      loggedIn: {
+        perIdentity: { limit: 40, windowSeconds: 60 },
+        perIp: { limit: 200, windowSeconds: 60 },
+      },
+    },
+    report: {
+      anonymous: {
+        perIdentity: { limit: 5, windowSeconds: 3600 },
+        perIp: { limit: 20, windowSeconds: 3600 },
+      },
+      loggedIn: {
+        perIdentity: { limit: 30, windowSeconds: 3600 },
+        perIp: { limit: 100, windowSeconds: 3600 },
+      },
+    },
+  },
+
+  // --- Reports ---
+  // Players report candidates, winning words and sealed chapters (see reports.js).
+  REPORT_REASONS: ['offensive', 'spam', 'other'],
+  // A live candidate is hidden once this many distinct players (and IP addresses) report it.
+  REPORT_AUTO_HIDE_THRESHOLD: 3,
+
   // --- Bot / seeding ---
   ANONYMOUS_NAME: "Anonymous",
-  BOT_NAME: "SNTNZ_BOT",
-  BOT_ID: "sntnz_bot",
+  BOT_NAME,
+  BOT_ID,
+  // The bot personas (see personas.js). Each keeps its own plan and submits its own candidate,
+  // so the players choose between rival continuations.
+  // - writingStyle: a name from WRITING_STYLES, or null to follow the chapter (or pick one per chapter).
+  // - model: a model name for the text provider, or null for the provider's usual models.
+  // - temperature: the sampling temperature of everything the persona writes.
+  // - submitAt: when in the round it submits a planned word, as a fraction of the round.
+  // - submitEvery: it submits in one round out of this many.
+  BOT_PERSONAS: [
+    { id: BOT_ID, name: BOT_NAME, writingStyle: null, model: null, temperature: 0.6, submitAt: 0.5, submitEvery: 1 },
+  ],
+  // Personas that keep losing can be retired: once a persona has taken part in
+  // BOT_RETIREMENT_MIN_ROUNDS rounds of a room, it stops playing there if it won fewer than
+  // BOT_RETIREMENT_MIN_WIN_RATE of them. A room always keeps at least one persona.
+  BOT_RETIRE_LOSING_PERSONAS: process.env.BOT_RETIRE_LOSING_PERSONAS === '1',
+  BOT_RETIREMENT_MIN_ROUNDS: 200,
+  BOT_RETIREMENT_MIN_WIN_RATE: 0.05,
+  // When someone else's word wins, a persona keeps its plan and only rewrites the end of its
+  // current sentence around the new word, from the last BOT_REPLAN_CONTEXT_WORDS words of the
+  // chapter. After a re-plan, it waits BOT_REPLAN_COOLDOWN_ROUNDS rounds before the next one, so a
+  // run of rounds won by others costs one re-plan for several words. Set BOT_INCREMENTAL_REPLAN
+  // to '0' to rewrite the whole continuation after every lost round instead.
+  BOT_INCREMENTAL_REPLAN: process.env.BOT_INCREMENTAL_REPLAN !== '0',
+  BOT_REPLAN_CONTEXT_WORDS: 60,
+  BOT_REPLAN_COOLDOWN_ROUNDS: 2,
+  BOT_REPLAN_CACHE_SIZE: 200,
+  // The critic reads the players' candidates, rates how well each one fits the story and its
+  // style, and upvotes the best ones with a one-line rationale shown in the live feed. It only
+  // ever upvotes, never votes on the personas' or title candidates, and its influence is capped
+  // by BOT_CRITIC_VOTE_WEIGHT and BOT_CRITIC_MAX_VOTES. Off unless BOT_CRITIC is '1'.
+  // - BOT_CRITIC_REVIEW_AT: when in the round it reviews, as a fraction of the round.
+  // - BOT_CRITIC_MIN_FIT: the rating, from 0 to 1, a candidate needs to get its vote.
+  // - BOT_CRITIC_MAX_CANDIDATES: how many candidates it reads in a round, the earliest first.
+  BOT_CRITIC_ENABLED: process.env.BOT_CRITIC === '1',
+  BOT_CRITIC_ID: 'sntnz_critic',
+  BOT_CRITIC_NAME: 'SNTNZ_CRITIC',
+  BOT_CRITIC_VOTE_WEIGHT,
+  BOT_CRITIC_MAX_VOTES,
+  BOT_CRITIC_REVIEW_AT: 0.75,
+  BOT_CRITIC_MIN_FIT: 0.7,
+  BOT_CRITIC_MAX_CANDIDATES: 12,
   AI_TIMEOUT_MS: 50000,
+  // The versions of the bot's prompt templates in use (see prompt-templates.js), by template
+  // name, as `{ version: weight }`. A template left out uses its latest version; with several
+  // versions, each prompt picks one at random in proportion to the weights, for A/B tests,
+  // e.g. `continuation: { v1: 1, v2: 1 }`.
+  PROMPT_TEMPLATE_VERSIONS: {},
 
   BOT_STOP_WORDS:['a', 'an', 'the', 'and', 'or', 'but', 'in', 'on', 'at', 'to', 'for', 'with', 'of', 'by', 'is', 'am', 'are', 'was', 'were', 'his', 'her', 'its', 'like'],
 
@@ -65,6 +262,23 @@ module.exports = {
   GEMINI_MODEL_FLASH:'gemini-2.5-flash',
   GEMINI_MODEL_PRO:'gemini-2.5-pro',
 
+  // --- AI providers ---
+  // Which backend writes the bot's text and paints the chapter images (see ai-providers.js):
+  // 'vertex', 'openai' (any OpenAI-compatible endpoint, set by OPENAI_BASE_URL and
+  // OPENAI_API_KEY) or 'offline' (deterministic canned prose and placeholder images).
+  // Without a Google Cloud project, the bot runs offline.
+  AI_TEXT_PROVIDER: process.env.AI_TEXT_PROVIDER || (process.env.GOOGLE_CLOUD_PROJECT_ID ? 'vertex' : 'offline'),
+  AI_IMAGE_PROVIDER: process.env.AI_IMAGE_PROVIDER || process.env.AI_TEXT_PROVIDER || (process.env.GOOGLE_CLOUD_PROJECT_ID ? 'vertex' : 'offline'),
+  // The models of the OpenAI-compatible endpoint, by tier. OPENAI_MODEL sets all three.
+  OPENAI_MODEL_LITE: process.env.OPENAI_MODEL_LITE || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  OPENAI_MODEL_FLASH: process.env.OPENAI_MODEL_FLASH || process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  OPENAI_MODEL_PRO: process.env.OPENAI_MODEL_PRO || process.env.OPENAI_MODEL || 'gpt-4o',
+  OPENAI_IMAGE_MODEL: process.env.OPENAI_IMAGE_MODEL || 'dall-e-3',
+  // The seed of the offline provider: the same seed writes the same story.
+  AI_OFFLINE_SEED: process.env.AI_OFFLINE_SEED || 'sntnz',
+  // The URL path of the images kept on disk, when no Cloud Storage bucket is used.
+  LOCAL_IMAGES_PATH: '/generated-images',
+
   // --- Social Media ---
   DEFAULT_SOCIAL_IMAGE_URL: 'https://storage.googleapis.com/sntnz-assets/default-social-image.png',
   TWITTER_MAX_CHARS: 250,
@@ -75,11 +289,44 @@ module.exports = {
   SOCIAL_X_HASHTAGS: '#AIart #GenerativeArt #CollaborativeWriting #CreativeCoding #sntnz',
 
   // --- Validation ---
-  PUNCTUATION_REGEX_STRING: "^[(\"'*_]*[a-zA-Z0-9'-]+[.,!?;:...\"'_)]*$",
+  // A word is letters (of any script), digits, apostrophes and hyphens, with optional
+  // opening and closing punctuation. The pattern needs the 'u' flag.
+  PUNCTUATION_REGEX_STRING: "^[(\"'«“„‘¿¡*_]*[\\p{L}\\p{M}\\p{N}'’-]+[.,!?;:…\"'”’»_)。、，！？：；]*$",
+  PUNCTUATION_REGEX_FLAGS: 'u',
 
   // --- History ---
   CHAPTER_DURATION_MINUTES: CHAPTER_DURATION_MINUTES,
+  // When chapters are sealed: a cron expression, or several joined with ';' (see schedule.js).
+  // The server sends the upcoming seal times to the clients (UPCOMING_SEAL_TIMESTAMPS at /config).
   HISTORY_CHAPTER_SCHEDULE_CRON: HISTORY_CHAPTER_SCHEDULE_CRON,
+  // The time zone the seal schedule is read in (SEAL_TIMEZONE), e.g. 'Europe/Paris'.
+  SEAL_TIMEZONE: process.env.SEAL_TIMEZONE || 'UTC',
+  // How many upcoming seal times the clients receive.
+  UPCOMING_SEALS_SHOWN: 3,
+  // What ends a chapter (SEAL_POLICY), one of (see seal-policies.js):
+  // 'schedule' (the cron schedule above), 'word-budget' (a fixed number of words),
+  // 'narrative' (the bot's ending wins) or 'motion' (players vote to end the chapter).
+  SEAL_POLICY: process.env.SEAL_POLICY || 'schedule',
+  // 'word-budget': the words in a chapter (SEAL_WORD_BUDGET), title excluded, and the share
+  // of them left when the bot starts writing the ending.
+  SEAL_WORD_BUDGET: Number(process.env.SEAL_WORD_BUDGET) || 300,
+  SEAL_CONCLUSION_SHARE: 0.1,
+  // 'narrative': the bot writes an ending of about ENDING_WORDS once a chapter holds MIN_WORDS;
+  // a chapter that reaches MAX_WORDS is sealed anyway.
+  SEAL_NARRATIVE_MIN_WORDS: 150,
+  SEAL_NARRATIVE_MAX_WORDS: 500,
+  SEAL_NARRATIVE_ENDING_WORDS: 30,
+  // 'motion': the motion may be raised once a chapter holds MIN_WORDS. It passes with at least
+  // MIN_VOTES supporters and SHARE of the players active in the last ACTIVE_ROUNDS rounds.
+  SEAL_MOTION_MIN_WORDS: 50,
+  SEAL_MOTION_MIN_VOTES: 3,
+  SEAL_MOTION_SHARE: 0.5,
+  SEAL_MOTION_ACTIVE_ROUNDS: 10,
+  // Strike motion: during the round after a word wins, players may vote to strike it from the
+  // chapter. It passes with at least STRIKE_MIN_VOTES supporters and STRIKE_SUPERMAJORITY of the
+  // players active in the last SEAL_MOTION_ACTIVE_ROUNDS rounds, whatever the seal policy.
+  STRIKE_MIN_VOTES: 3,
+  STRIKE_SUPERMAJORITY: 2 / 3,
 
   // --- Writing Styles ---
   "WRITING_STYLES": [
@@ -7,9 +7,12 @@ module.exports = {
         NODE_ENV: "production",
         TRUST_PROXY: "1",
         CORS_ORIGIN: "https://www.sntnz.com"
+        // Cluster mode is opt-in. To run several instances, set CLUSTER_MODE: "1" here and raise
+        // `instances` with exec_mode "cluster": the live round, broadcasts and the game-loop lease
+        // then go through MongoDB, which must be a replica set (see CLUSTER_MODE in constants.js).
       },
-      instances: 1,              // set >1 later with a Redis adapter
-      exec_mode: "fork",         // or "cluster" when we’re ready
+      instances: 1,
+      exec_mode: "fork",
       max_memory_restart: "300M",
       kill_timeout: 10000,       // give time for graceful shutdown
       listen_timeout: 10000,
@@ -0,0 +1,1534 @@
+/**
+ * ============================================================================
+ * --- Game Engine (game-engine.js) ---
+ * ============================================================================
+ *
+ * The game engine runs the life cycle of every story room: ending rounds,
+ * electing winners, driving the bot, and sealing chapters. It has
+ * no knowledge of Express, Socket.IO or MongoDB; everything it needs from the
+ * outside world is injected, so a whole chapter can be simulated in memory with
+ * a fake clock (see simulate-chapter.js).
+ *
+ * Each room moves through explicit phases:
+ *
+ *   awaiting-title ──(a title wins a round)──▶ writing
+ *   writing ──(the seal is close)──▶ concluding
+ *   writing / concluding ──(seal due, at the next round end)──▶ sealing
+ *   sealing ──(chapter sealed, next title prepared)──▶ awaiting-title
+ *
+ * Awaiting a title is the title round: every submission is a title candidate,
+ * proposed by players alongside the bot, and the winner gets its chapter
+ * number from the engine.
+ *
+ * The bot is a cast of personas (see personas.js), each with its own plan in
+ * `room.bots`. Independently of the phase, a persona's task says what it must generate
+ * next ('title', 'start', 'continue' or 'replan'), or null if it has nothing to write. Every
+ * active persona submits its own candidate, so the players choose between rival
+ * continuations; when a candidate wins, the plans of the other personas are stale. They
+ * are re-planned around the winning word rather than rewritten (see `replanSentence` in
+ * bots.js), at most once every `BOT_REPLAN_COOLDOWN_ROUNDS + 1` rounds, and the tokens the
+ * personas use are totalled per chapter and saved on the sealed chapter as `aiUsage`.
+ *
+ * What makes a seal due, and when the seal is close, is up to the seal policy
+ * (see seal-policies.js): the cron schedule, a word budget, the story's ending,
+ * or a motion passed by the players.
+ *
+ * Responsibilities:
+ * - Own the room phases and the transitions between them.
+ * - Run the game loop on an injectable scheduler, reading time from an injectable clock.
+ * - Compute round end times and seal times from the clock.
+ * - Apply the seal policy, count the players' "end chapter" motion, and publish each room's seal progress.
+ * - Count the players' motion to strike the last winning word, and strike it once it passes.
+ * - Elect round winners through the round store and save them through the persistence layer.
+ * - Record every round, with all its candidates and votes, in the round audit log.
+ * - Run the bot personas, each on its own cadence, and merge their submissions into the live round.
+ * - Run the optional bot critic, which backs the players' best-fitting candidates with capped votes.
+ * - Keep each persona's win-rate stats, which retire the personas that keep losing.
+ * - Seal chapters (chained hash and signature, text, image, social posts).
+ * - Restore a room's state when this instance becomes the game-loop leader.
+ * - Carry out admin actions: remove candidates and words, rename chapters, pause, force or skip seals.
+ *
+ * After each winning word, except a title or a chapter's last word, the next round is
+ * also a chance to strike it: a supermajority of the active players can take it out of
+ * the chapter before another word follows.
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const constants = require('./constants');
+const { resolveRound, describeCandidates } = require('./voting');
+const { applyBotCheckpoint } = require('./round-store');
+const { LEDGER_VERSION, computeChapterHash } = require('./ledger');
+const { createSchedule } = require('./schedule');
+const { getSealPolicy } = require('./seal-policies');
+const { styleKey, normalizeStyles, breaksBefore, toPlainText } = require('./word-styles');
+const {
+  PERSONAS, isBotId, personaState, resetBotPlans, markPlansStale, clearBotQueues, botsAreIdle, startBotRound,
+  tallyRound, retiredPersonaIds, activePersonas,
+} = require('./personas');
+
+// The phases a room moves through (see the diagram above).
+const PHASES = Object.freeze({
+  AWAITING_TITLE: 'awaiting-title',
+  WRITING: 'writing',
+  CONCLUDING: 'concluding',
+  SEALING: 'sealing',
+});
+
+// What a bot persona must generate next.
+const BOT_TASKS = Object.freeze({
+  TITLE: 'title',
+  START: 'start',
+  CONTINUE: 'continue',
+  REPLAN: 'replan',
+});
+
+// Why a round ended the way it did, as recorded in the round audit log.
+const ROUND_OUTCOMES = Object.freeze({
+  WON: 'won',                             // The winning word was added to the story.
+  NO_POSITIVE_SCORE: 'no positive score', // No candidate qualified under the voting strategy.
+  TITLE_LOCK: 'title lock',               // A plain word won, but the chapter has no title yet.
+  SAVE_FAILED: 'save failed',             // The winning word could not be saved.
+});
+
+// The default clock and scheduler, backed by the real time.
+const systemClock = { now: () => Date.now() };
+const intervalScheduler = {
+  every: (ms, fn) => setInterval(fn, ms),
+  cancel: (handle) => clearInterval(handle),
+};
+
+// ============================================================================
+// --- PURE HELPERS ---
+// ============================================================================
+
+/**
+ * Creates a unique, deterministic key for a word based on its content and applied styles.
+ * This is used as the key in the `liveWords` map to identify submissions.
+ * Every style of the schema takes part in the key (see word-styles.js).
+ * Example: 'hello-b:false-i:true-u:false-s:false-c:false-n:false-p:false-q:false-h:false'
+ * @param {{word: string, styles: object}} wordData - The word and its styling.
+ * @returns {string} A unique composite key.
+ */
+function getCompositeKey(wordData) {
+  return `${wordData.word.toLowerCase()}-${styleKey(wordData.styles)}`;
+}
+
+/**
+ * Computes the epoch timestamp (in ms) for the next round end, aligned to the
+ * official clock boundaries rather than relative to the current time.
+ * @param {number} now - The current time in milliseconds.
+ * @param {number} [roundDurationSeconds] - The room's round duration.
+ * @returns {number} Epoch time in milliseconds for the next round end.
+ */
+function computeNextRoundEndTime(now, roundDurationSeconds) {
+  const period = roundDurationSeconds || constants.ROUND_DURATION_SECONDS || 60;
+
+  // Start of the *current* minute
+  const base = new Date(now);
+  base.setUTCSeconds(0, 0);
+
+  // Add periods until strictly in the future
+  let candidate = base.getTime();
+  while (candidate <= now) {
+    candidate += period * 1000;
+  }
+  return Math.floor(candidate);
+}
+
+// A word that ends a sentence, possibly followed by closing quotes or brackets.
+const SENTENCE_END_REGEX = /[.!?…。！？]["'”’»)]*$/u;
+
+/**
+ * Capitalizes the first letter of a word, skipping opening punctuation ('"¿hola' -> '"¿Hola').
+ * The language decides the upper case, e.g. Turkish 'i' becomes 'İ'.
+ * @param {string} word - The word.
+ * @param {string} [language] - The story language, a BCP 47 code.
+ * @returns {string}
+ */
+function capitalizeWord(word, language) {
+  return word.replace(/^([^\p{L}\p{N}]*)(\p{L})/u, (_, opening, letter) => opening + letter.toLocaleUpperCase(language));
+}
+
+// A title numbered by formatChapterTitle.
+const NUMBERED_TITLE_REGEX = /^Chapter \d+: "(.*)"$/su;
+
+/**
+ * Numbers a winning title: ('The Glass Orchard', 12) -> 'Chapter 12: "The Glass Orchard"'.
+ * @param {string} title - The title as proposed.
+ * @param {number} chapterNumber - The chapter's number in its room, from 1.
+ * @returns {string} The chapter title, as stored and shown.
+ */
+function formatChapterTitle(title, chapterNumber) {
+  return `Chapter ${chapterNumber}: "${title}"`;
+}
+
+/**
+ * Returns a chapter title without the number added by formatChapterTitle.
+ * @param {string} chapterTitle - A stored chapter title.
+ * @returns {string} The title as proposed.
+ */
+function stripChapterNumber(chapterTitle) {
+  const match = NUMBERED_TITLE_REGEX.exec(chapterTitle);
+  return match ? match[1] : chapterTitle;
+}
+
+/**
+ * Returns whether user submissions are currently refused in a room.
+ * @param {object} room - The room state.
+ * @returns {boolean}
+ */
+function isSubmissionLocked(room) {
+  return room.phase === PHASES.SEALING;
+}
+
+/**
+ * Returns whether a room is in its title round, where submissions are title candidates.
+ * @param {object} room - The room state.
+ * @returns {boolean}
+ */
+function isTitleRound(room) {
+  return room.phase === PHASES.AWAITING_TITLE;
+}
+
+/**
+ * Converts the bot's task into the flags expected by `runBotSubmission`.
+ * @param {string|null} botTask - One of BOT_TASKS, or null.
+ * @returns {object} The bot flags.
+ */
+function botFlagsFromTask(botTask) {
+  return {
+    botMustWriteTitle: botTask === BOT_TASKS.TITLE,
+    botMustStartChapter: botTask === BOT_TASKS.START,
+    botMustContinueChapter: botTask === BOT_TASKS.CONTINUE,
+    botMustReplan: botTask === BOT_TASKS.REPLAN,
+  };
+}
+
+/**
+ * Converts the flags returned by `runBotSubmission` back into a bot task.
+ * @param {object} flags - The bot flags.
+ * @returns {string|null} One of BOT_TASKS, or null.
+ */
+function botTaskFromFlags({ botMustWriteTitle, botMustStartChapter, botMustContinueChapter, botMustReplan }) {
+  if (botMustWriteTitle) return BOT_TASKS.TITLE;
+  if (botMustStartChapter) return BOT_TASKS.START;
+  if (botMustContinueChapter) return BOT_TASKS.CONTINUE;
+  if (botMustReplan) return BOT_TASKS.REPLAN;
+  return null;
+}
+
+/**
+ * Returns an empty count of the tokens used by the personas in a chapter.
+ * @returns {{calls: number, inputTokens: number, outputTokens: number}}
+ */
+function emptyAiUsage() {
+  return { calls: 0, inputTokens: 0, outputTokens: 0 };
+}
+
+// ============================================================================
+// --- ENGINE ---
+// ============================================================================
+
+/**
+ * @summary Creates a game engine.
+ * @param {object} deps - The engine's collaborators.
+ * @param {Function} deps.listRooms - Returns the rooms to run.
+ * @param {object} deps.persistence - Chapter and word storage (see persistence.js).
+ * @param {object} deps.roundStore - The live round store (see round-store.js).
+ * @param {object} deps.votingStrategy - The round resolution strategy (see voting.js).
+ * @param {object} deps.bot - `{ runBotSubmission, pushBotContext, runBotCritic? }` (see bots.js);
+ * `runBotSubmission` runs once per persona, and the critic only runs if it is given.
+ * @param {object} [deps.media] - `{ generateImage, postToSocials }`, or null to skip images and posts;
+ * `generateImage` resolves to `{ imageUrl, promptTemplates }` (see bots.js), or null.
+ * @param {object} [deps.signer] - `{ sign(hash) }` (see ledger.js), or null to leave chapters unsigned.
+ * @param {Function} [deps.publishRound] - Shares a room's changed live round with clients.
+ * @param {Function} [deps.emit] - Emits an event to a room's clients: `emit(room, event, payload)`.
+ * @param {Function} [deps.isLeader] - Returns whether this instance runs the game loop.
+ * @param {object} [deps.clock] - `{ now() }`, the source of time.
+ * @param {object} [deps.scheduler] - `{ every(ms, fn), cancel(handle) }`, runs the loop. `fn` returns
+ *   the tick's promise, which never rejects, so a scheduler may wait for each tick.
+ * @param {object} [deps.sealSchedule] - When chapters are sealed (see `createSchedule` in schedule.js).
+ * @param {object} [deps.sealPolicy] - What ends a chapter (see seal-policies.js).
+ * @param {number} [deps.chapterDurationMinutes] - The nominal length of a chapter.
+ * @param {number} [deps.tickIntervalMs] - How often the loop runs.
+ * @returns {object} The engine.
+ */
+function createGameEngine({
+  listRooms,
+  persistence,
+  roundStore,
+  votingStrategy,
+  bot,
+  media = null,
+  signer = null,
+  publishRound = () => {},
+  emit = () => {},
+  isLeader = () => true,
+  clock = systemClock,
+  scheduler = intervalScheduler,
+  sealSchedule = createSchedule(constants.HISTORY_CHAPTER_SCHEDULE_CRON, { timeZone: constants.SEAL_TIMEZONE }),
+  sealPolicy = getSealPolicy(constants.SEAL_POLICY),
+  chapterDurationMinutes = constants.CHAPTER_DURATION_MINUTES,
+  tickIntervalMs = 500,
+}) {
+  let loopHandle = null;
+  let nextSealTimestamp = 0;
+  let restoring = false; // Set while `restoreRooms` runs: the game loop waits for every room.
+
+  // ==========================================================================
+  // --- TIME ---
+  // ==========================================================================
+
+  /**
+   * Returns the next round end time of a room.
+   * @param {object} room - The room state.
+   * @returns {number}
+   */
+  function nextRoundEndTime(room) {
+    return computeNextRoundEndTime(clock.now(), room.roundDurationSeconds);
+  }
+
+  /**
+   * Returns the whole number of minutes until the next seal, rounded up.
+   * @returns {number}
+   */
+  function minutesUntilNextSeal() {
+    const now = clock.now();
+    return Math.ceil((sealSchedule.next(now) - now) / (1000 * 60));
+  }
+
+  /**
+   * Calculates how many words fit in a number of minutes of a room's rounds, with a margin.
+   * @param {object} room - The room state, for its round duration.
+   * @param {number} minutes - The time available.
+   * @returns {number} The number of words, at least a couple.
+   */
+  function wordsInMinutes(room, minutes) {
+    const targetWordCount = Math.floor(((minutes * 60) / room.roundDurationSeconds) * 0.9);
+
+    // Ensure the bot always writes at least a couple of words.
+    return Math.max(2, targetWordCount);
+  }
+
+  /**
+   * Returns the timing figures the seal policy reads for a room.
+   * @param {object} room - The room state.
+   * @returns {object} `{ wordsUntilScheduledSeal, minutesUntilScheduledSeal, chapterDurationMinutes, nominalChapterWords }`.
+   */
+  function policyContext(room) {
+    const minutesUntilScheduledSeal = sealPolicy.usesSchedule ? minutesUntilNextSeal() : Infinity;
+    return {
+      minutesUntilScheduledSeal,
+      wordsUntilScheduledSeal: sealPolicy.usesSchedule ? wordsInMinutes(room, minutesUntilScheduledSeal) : Infinity,
+      chapterDurationMinutes,
+      nominalChapterWords: wordsInMinutes(room, chapterDurationMinutes),
+    };
+  }
+
+  /**
+   * Calculates how many words the bot should write to complete a room's chapter
+   * when the seal policy expects it to end (e.g. at the next scheduled seal time).
+   * @param {object} room - The room state.
+   * @returns {number} The number of words the bot should generate.
+   */
+  function calculateBotTargetWords(room) {
+    return sealPolicy.targetWords(room, policyContext(room));
+  }
+
+  // ==========================================================================
+  // --- STATE CHANGES ---
+  // ==========================================================================
+
+  /**
+   * Sets shared round fields (phase, round end, image flag) and publishes them to every instance.
+   * The fields are applied locally even if saving them fails, so the loop keeps working.
+   * @param {object} room - The room state.
+   * @param {object} fields - The fields to set.
+   */
+  async function setRoundFields(room, fields) {
+    try {
+      await roundStore.setFields(room, fields);
+      publishRound(room);
+    } catch (err) {
+      Object.assign(room, fields);
+      logger.error({ err, roomId: room.id, fields }, '[engine] Failed to save round fields');
+    }
+  }
+
+  /**
+   * Moves a room to a new phase.
+   * @param {object} room - The room state.
+   * @param {string} phase - One of PHASES.
+   * @param {object} [extraFields] - Other shared fields to set in the same write.
+   */
+  async function enterPhase(room, phase, extraFields = {}) {
+    const from = room.phase;
+    await setRoundFields(room, { ...extraFields, phase });
+    if (from !== phase) {
+      logger.info({ roomId: room.id, from, to: phase }, '[engine] Phase change.');
+      emit(room, 'phaseChanged', { phase });
+    }
+  }
+
+  /**
+   * Asks for a room's chapter to be sealed at the end of the current round.
+   * @param {object} room - The room state.
+   */
+  function requestSeal(room) {
+    room.mustSeal = true;
+    roundStore.checkpointBot(room);
+  }
+
+  /**
+   * Asks for a seal the policy decided on, unless an admin chose to skip the next seal.
+   * @param {object} room - The room state.
+   * @param {string} reason - Why the seal is due, for the logs.
+   */
+  function requestPolicySeal(room, reason) {
+    if (room.skipNextSeal) {
+      logger.info({ roomId: room.id, reason }, '[history] Seal skipped by an admin.');
+      room.skipNextSeal = false;
+      roundStore.checkpointBot(room);
+      return;
+    }
+    logger.info({ roomId: room.id, policy: sealPolicy.name, reason }, '[history] Seal due at the round end.');
+    requestSeal(room);
+  }
+
+  /**
+   * Shares a room's progress towards its seal with every instance and client, if it changed.
+   * @param {object} room - The room state.
+   */
+  async function publishSealProgress(room) {
+    const sealProgress = sealPolicy.progress(room);
+    if (JSON.stringify(sealProgress) === JSON.stringify(room.sealProgress)) return;
+    await setRoundFields(room, { sealProgress });
+    emit(room, 'sealProgress', sealProgress);
+  }
+
+  /**
+   * Returns the number of players whose support strikes a room's last winning word.
+   * @param {object} room - The room state.
+   * @returns {number}
+   */
+  function strikeThreshold(room) {
+    return Math.max(constants.STRIKE_MIN_VOTES, Math.ceil(room.activePlayerCount * constants.STRIKE_SUPERMAJORITY));
+  }
+
+  /**
+   * Describes a room's open strike motion for the clients.
+   * @param {object} room - The room state.
+   * @returns {{ts: number, word: string, votes: number, needed: number}|null} The tally, or null if no motion is open.
+   */
+  function describeStrikeMotion(room) {
+    if (!room.strikeMotion) return null;
+    const { ts, word, supporters } = room.strikeMotion;
+    return { ts, word, votes: supporters.length, needed: strikeThreshold(room) };
+  }
+
+  /**
+   * Shares the tally of a room's strike motion with every instance and client.
+   * @param {object} room - The room state.
+   */
+  async function publishStrikeProgress(room) {
+    const strikeProgress = describeStrikeMotion(room);
+    await setRoundFields(room, { strikeProgress });
+    emit(room, 'strikeProgress', strikeProgress);
+  }
+
+  // ==========================================================================
+  // --- BOT ---
+  // ==========================================================================
+
+  /**
+   * @summary Saves the words a persona placed in a room's live feed and publishes them.
+   * @description The persona adds its submission to a copy of the live feed taken when it started,
+   * which may be behind the shared round by the time it finishes. Only the entries it added
+   * are merged into the latest state.
+   * @param {object} room - The room state.
+   * @param {object} persona - The persona (see personas.js).
+   * @param {Map<string, object>} botLiveWords - The copy of the live feed given to the persona.
+   * @param {Set<string>} keysBeforeBot - The keys the copy held before the persona ran.
+   */
+  async function commitBotSubmissions(room, persona, botLiveWords, keysBeforeBot) {
+    const botEntries = [...botLiveWords]
+      .filter(([compositeKey, entry]) => !keysBeforeBot.has(compositeKey) && entry.submitterId === persona.id);
+    try {
+      await roundStore.mutate(room, liveWords => {
+        botEntries.forEach(([compositeKey, entry]) => {
+          if (!liveWords.has(compositeKey)) liveWords.set(compositeKey, entry);
+        });
+      });
+      publishRound(room);
+    } catch (err) {
+      logger.error({ err, roomId: room.id, persona: persona.id }, '[bot] Failed to save the bot submission');
+    }
+  }
+
+  /**
+   * Returns whether a persona's plan is stale but its re-plan cooldown still runs.
+   * @param {object} state - The persona's state in a room (see personas.js).
+   * @returns {boolean}
+   */
+  function isCoolingDown(state) {
+    return state.task === BOT_TASKS.REPLAN && state.replanCooldown > 0;
+  }
+
+  /**
+   * Decides if a persona should act for the current round of a room and triggers its logic.
+   * A persona that sits out the round (see `submitEvery`) does nothing, and so does a persona
+   * whose plan is stale while its re-plan cooldown runs.
+   * @param {object} room - The room state.
+   * @param {object} persona - The persona (see personas.js).
+   */
+  async function triggerBot(room, persona) {
+    const state = personaState(room, persona.id);
+    const hasWorkToDo = state.queue.length > 0 || state.task !== null;
+
+    // Guard against concurrent execution.
+    if (room.runningBots.has(persona.id) || !hasWorkToDo || state.restRounds > 0 || isCoolingDown(state)) return;
+    room.runningBots.add(persona.id); // Engage the safety lock.
+    const { queue: plannedQueue, task: plannedTask } = state;
+
+    try {
+      // 1. Gather the chapter data the bot needs.
+      let liveChapter = null;
+      let currentChapterWords = [];
+      if (room.liveChapterId) {
+        liveChapter = await persistence.findChapter(room.liveChapterId);
+        currentChapterWords = await persistence.findChapterWords(room.liveChapterId);
+      }
+
+      const [totalChapterCount, recentTitles] = await Promise.all([
+        persistence.countSealedChapters(room.id),
+        persistence.findRecentTitles(room.id, 50),
+      ]);
+
+      // A room with a fixed writing style always uses it, then a persona with its own style;
+      // otherwise the persona follows the chapter's style, or picks one per chapter.
+      const styleName = room.writingStyle || persona.writingStyle || (liveChapter ? liveChapter.style : null);
+      const currentWritingStyle = styleName
+        ? constants.WRITING_STYLES.find(s => s.name === styleName)
+        : null;
+
+      // The bot writes into a copy of the live feed; its new entries are then merged into the shared round.
+      const botLiveWords = new Map(room.liveWords);
+      const keysBeforeBot = new Set(botLiveWords.keys());
+
+      // 2. Run the persona.
+      const result = await bot.runBotSubmission({
+        persona,
+        liveWords: botLiveWords,
+        botContext: room.botContext,
+        botQueue: plannedQueue,
+        broadcastLiveFeed: () => commitBotSubmissions(room, persona, botLiveWords, keysBeforeBot),
+        getCompositeKey,
+        currentTitle: liveChapter ? liveChapter.title : null,
+        currentWritingStyle,
+        currentChapterWords,
+        totalChapterCount,
+        recentTitles: recentTitles.map(stripChapterNumber),
+        targetWordCount: calculateBotTargetWords(room),
+        language: room.language,
+        ...botFlagsFromTask(plannedTask),
+      });
+
+      // 3. Synchronize the persona's state with the result, unless its plan was reset meanwhile
+      // (e.g. a rival's word won, or the chapter was sealed).
+      const current = personaState(room, persona.id);
+      if (current.queue === plannedQueue && current.task === plannedTask) {
+        current.queue = result.botQueue;
+        current.task = botTaskFromFlags(result);
+        if (plannedTask === BOT_TASKS.REPLAN) current.replanCooldown = constants.BOT_REPLAN_COOLDOWN_ROUNDS;
+      }
+      if (result.submissionMade) {
+        current.hasSubmitted = true;
+      }
+      // The tokens count towards the live chapter, or the next one while the personas write titles.
+      if (result.usage) {
+        const chapterUsage = room.chapterAiUsage || emptyAiUsage();
+        room.chapterAiUsage = {
+          calls: chapterUsage.calls + result.usage.calls,
+          inputTokens: chapterUsage.inputTokens + result.usage.inputTokens,
+          outputTokens: chapterUsage.outputTokens + result.usage.outputTokens,
+        };
+      }
+    } catch (err) {
+      logger.error({ err, roomId: room.id, persona: persona.id }, '[bot] Bot execution promise chain failed');
+    } finally {
+      // 4. Always release the lock when done, and checkpoint the bot's new state.
+      room.runningBots.delete(persona.id);
+      roundStore.checkpointBot(room);
+    }
+  }
+
+  /**
+   * Triggers the active personas of a room that match a condition, side by side.
+   * @param {object} room - The room state.
+   * @param {Function} [shouldRun] - Receives a persona and its state; defaults to every persona.
+   */
+  async function triggerBots(room, shouldRun = () => true) {
+    const personas = activePersonas(room).filter(persona => shouldRun(persona, personaState(room, persona.id)));
+    await Promise.all(personas.map(persona => triggerBot(room, persona)));
+  }
+
+  /**
+   * @summary Lets the bot critic review a room's round once, and back the players' best candidates.
+   * @description The critic rates the players' plain-word candidates it has not voted on yet (see
+   * `runBotCritic` in bots.js), then upvotes the best-rated ones that reach `BOT_CRITIC_MIN_FIT`,
+   * up to `BOT_CRITIC_MAX_VOTES` in the round, through the voting strategy. Under plurality it
+   * backs one candidate at most. Its ballots weigh `BOT_CRITIC_VOTE_WEIGHT` (see voting.js), and
+   * each backed candidate carries the critic's rationale. A review that finishes after the round
+   * ended is dropped.
+   * @param {object} room - The room state.
+   */
+  async function triggerCritic(room) {
+    const roundEnd = room.nextTickTimestamp;
+    room.criticRoundEnd = roundEnd;
+
+    const criticVotes = liveWords => [...liveWords.values()].filter(entry => entry.votes.has(constants.BOT_CRITIC_ID)).length;
+    if (criticVotes(room.liveWords) >= constants.BOT_CRITIC_MAX_VOTES) return;
+    const candidates = [...room.liveWords]
+      .filter(([, entry]) => !isBotId(entry.submitterId) && !entry.isTitle && !entry.votes.has(constants.BOT_CRITIC_ID))
+      .sort(([, a], [, b]) => a.ts - b.ts)
+      .slice(0, constants.BOT_CRITIC_MAX_CANDIDATES)
+      .map(([compositeKey, entry]) => ({ compositeKey, word: entry.word, styles: entry.styles, ts: entry.ts }));
+    if (candidates.length === 0) return;
+
+    try {
+      const liveChapter = room.liveChapterId ? await persistence.findChapter(room.liveChapterId) : null;
+      const styleName = room.writingStyle || (liveChapter ? liveChapter.style : null);
+      const reviews = await bot.runBotCritic({
+        candidates,
+        botContext: room.botContext,
+        currentWritingStyle: styleName ? constants.WRITING_STYLES.find(s => s.name === styleName) : null,
+        language: room.language,
+      });
+      const picks = reviews.filter(review => review.fit >= constants.BOT_CRITIC_MIN_FIT);
+      if (picks.length === 0 || room.nextTickTimestamp !== roundEnd) return;
+
+      const submittedAt = new Map(candidates.map(({ compositeKey, ts }) => [compositeKey, ts]));
+      const backed = [];
+      await roundStore.mutate(room, liveWords => {
+        if (room.nextTickTimestamp !== roundEnd) return false;
+        backed.length = 0;
+        let votesLeft = constants.BOT_CRITIC_MAX_VOTES - criticVotes(liveWords);
+        for (const { compositeKey, fit, rationale } of picks) {
+          const entry = liveWords.get(compositeKey);
+          // Skip candidates withdrawn or replaced since the review.
+          if (votesLeft <= 0 || !entry || entry.ts !== submittedAt.get(compositeKey) || entry.votes.has(constants.BOT_CRITIC_ID)) continue;
+          if (!votingStrategy.castVote(liveWords, compositeKey, constants.BOT_CRITIC_ID, 'up').ok) continue;
+          entry.critique = rationale;
+          backed.push({ word: entry.word, fit });
+          votesLeft -= 1;
+        }
+        return backed.length > 0 ? undefined : false;
+      });
+      if (backed.length > 0) {
+        logger.info({ roomId: room.id, backed }, '[critic] Votes cast.');
+        publishRound(room);
+      }
+    } catch (err) {
+      logger.error({ err, roomId: room.id }, '[critic] Review failed');
+    }
+  }
+
+  // ==========================================================================
+  // --- ROUNDS ---
+  // ==========================================================================
+
+  /**
+   * @summary Saves a finished round, with every candidate and vote, to the audit log.
+   * @description Rounds without any submission are not recorded. A failure is logged
+   * and otherwise ignored: the audit log must never hold up the game.
+   * @param {object} roundDoc - The round record.
+   */
+  async function recordRound(roundDoc) {
+    if (roundDoc.candidates.length === 0) return;
+    try {
+      await persistence.insertRound(roundDoc);
+    } catch (err) {
+      logger.error({ err, roomId: roundDoc.roomId, roundId: roundDoc._id }, '[engine] Failed to record the round');
+    }
+  }
+
+  /**
+   * @summary Records a title round whose winning title could not be saved, and goes on with it.
+   * @description The room stays in its title round, and the personas, including the one whose
+   * title won, propose titles again.
+   * @param {object} room - The room state.
+   * @param {object} roundDoc - The round's audit log entry.
+   */
+  async function keepTitleRoundOpen(room, roundDoc) {
+    roundDoc.reason = ROUND_OUTCOMES.SAVE_FAILED;
+    await recordRound(roundDoc);
+    resetBotPlans(room, BOT_TASKS.TITLE);
+    roundStore.checkpointBot(room);
+    await triggerBots(room);
+  }
+
+  /**
+   * @summary Remembers who took part in a room's round, to size the players' motions.
+   * @description A player who submitted or voted in one of the last few rounds counts as
+   * active (see `constants.SEAL_MOTION_ACTIVE_ROUNDS`); the bot personas and the critic do not count.
+   * @param {object} room - The room state.
+   * @param {Array<object>} candidates - The round's candidates (see `describeCandidates`).
+   */
+  function recordParticipants(room, candidates) {
+    const participants = new Set();
+    candidates.forEach(candidate => {
+      participants.add(candidate.submitterId);
+      candidate.votes.forEach(({ userId }) => participants.add(userId));
+    });
+    PERSONAS.forEach(persona => participants.delete(persona.id));
+    participants.delete(constants.BOT_CRITIC_ID);
+
+    room.recentParticipants = [...room.recentParticipants, [...participants]].slice(-constants.SEAL_MOTION_ACTIVE_ROUNDS);
+    room.activePlayerCount = new Set(room.recentParticipants.flat()).size;
+  }
+
+  /**
+   * @summary Ends the current round of a room, elects a winning word, and saves it.
+   * @description This function is the heart of the round transition. It determines the winner,
+   * updates the story, and prepares the room for the next round.
+   * @param {object} room - The room state.
+   */
+  async function endRoundAndElectWinner(room) {
+    // 1. Immediately schedule the next round's end time.
+    const roundId = crypto.randomUUID();
+    const roundStartedAt = room.nextTickTimestamp - room.roundDurationSeconds * 1000;
+    room.nextTickTimestamp = nextRoundEndTime(room);
+    emit(room, 'nextTick', { nextTickTimestamp: room.nextTickTimestamp });
+    startBotRound(room);
+
+    // 2. Elect the winner with the active strategy, then clear the live submissions.
+    // Both happen in one write, so no vote can land between the count and the reset.
+    // The motion to strike the previous winning word closes with the round.
+    let result = null;
+    let candidates = [];
+    try {
+      await roundStore.mutate(room, liveWords => {
+        candidates = describeCandidates(votingStrategy, liveWords);
+        result = resolveRound(votingStrategy, liveWords);
+        liveWords.clear();
+      }, { nextTickTimestamp: room.nextTickTimestamp, strikeProgress: null });
+    } catch (err) {
+      logger.error({ err, roomId: room.id }, '[engine] Failed to close the live round');
+      return;
+    }
+    publishRound(room);
+    if (room.strikeMotion) {
+      room.strikeMotion = null;
+      emit(room, 'strikeProgress', null);
+    }
+    recordParticipants(room, candidates);
+
+    // 3. Determine the winner and the previous word.
+    const winner = result
+      ? { ...result.entry, styles: normalizeStyles(result.entry.styles), username: result.entry.submitterName }
+      : null;
+    const lastWinningWord = room.currentText.length > 0 ? room.currentText[room.currentText.length - 1] : null;
+    const roundDoc = {
+      _id: roundId,
+      roomId: room.id,
+      chapterId: room.liveChapterId,
+      startedAt: roundStartedAt,
+      endedAt: clock.now(),
+      strategy: votingStrategy.name,
+      candidates,
+      winner: result ? { compositeKey: result.compositeKey, word: result.entry.word, count: result.count, total: result.total, pct: result.pct } : null,
+      reason: result ? ROUND_OUTCOMES.WON : ROUND_OUTCOMES.NO_POSITIVE_SCORE,
+    };
+
+    // 4. Process the winner, if one exists.
+    if (winner) {
+      // Rule 1: Force a newline after a chapter title, unless the word starts a paragraph.
+      if (lastWinningWord && lastWinningWord.isTitle && breaksBefore(winner.styles) === 0) {
+        winner.styles.newline = true;
+      }
+
+      // Rule 2: Automatically capitalize a new sentence, following the story language.
+      const lastWordText = lastWinningWord ? lastWinningWord.word : '';
+      if (!lastWordText || SENTENCE_END_REGEX.test(lastWordText)) {
+        winner.word = capitalizeWord(winner.word, room.language);
+      }
+
+      // Rule 3: A winning title, whoever proposed it, is numbered and styled as a title.
+      if (winner.isTitle) {
+        try {
+          const chapterNumber = (await persistence.countSealedChapters(room.id)) + 1;
+          winner.word = formatChapterTitle(capitalizeWord(winner.word, room.language), chapterNumber);
+          winner.styles = normalizeStyles(constants.TITLE_STYLES);
+        } catch (err) {
+          logger.error({ err, roomId: room.id }, '[db] Failed to count the chapters to number the title');
+          await keepTitleRoundOpen(room, roundDoc);
+          return;
+        }
+      }
+
+      const winnerRow = {
+        ts: clock.now(), word: winner.word, styles: winner.styles, isTitle: winner.isTitle || false,
+        username: winner.username, pct: result.pct,
+        count: result.count, total: result.total, chapterId: room.liveChapterId, roomId: room.id, roundId,
+        promptTemplate: winner.promptTemplate || null // The template that planned a bot word (see prompt-templates.js).
+      };
+
+      // 5. Save the word, and update the in-memory story.
+      try {
+        // If the winning word is a title, create the new chapter document first.
+        if (winner.isTitle) {
+          // A new chapter begins. We find the style chosen by the bot for this title, or the room's own.
+          const styleName = winner.writingStyle || room.writingStyle;
+          const style = constants.WRITING_STYLES.find(s => s.name === styleName) || { name: 'User-Initiated' };
+          room.liveChapterId = await persistence.insertChapter({
+            ts: winnerRow.ts,
+            roomId: room.id,
+            title: winner.word,
+            style: style.name, // Store the style name
+            hash: null,
+            imageUrl: null,
+            text: '',
+            words: []
+          });
+          logger.info({ roomId: room.id, chapterId: room.liveChapterId, title: winner.word }, '[db] New live chapter created.');
+        }
+
+        // All words get the current live chapter's ID.
+        winnerRow.chapterId = room.liveChapterId;
+        roundDoc.chapterId = room.liveChapterId;
+        if (!room.liveChapterId) {
+          logger.warn({ roomId: room.id, winner: winner.word }, '[db] No live chapter yet: the winning word is dropped until a title wins.');
+          roundDoc.reason = ROUND_OUTCOMES.TITLE_LOCK;
+          await recordRound(roundDoc);
+          return; // Prevent saving a word without a chapter.
+        }
+
+        await persistence.insertWord(winnerRow);
+        if (!winnerRow.isTitle) room.chapterWordCount += 1;
+        room.currentText.push(winnerRow);
+        if (room.currentText.length > constants.CURRENT_TEXT_LENGTH) room.currentText.shift();
+        room.botContext = bot.pushBotContext(winner.word, room.botContext);
+        emit(room, 'currentTextUpdated', room.currentText);
+      } catch (err) {
+        logger.error({ err, roomId: room.id }, '[db] Failed to save word to database');
+        if (winner.isTitle) {
+          // A title whose word was not saved leaves no chapter behind.
+          if (room.liveChapterId) {
+            const chapterId = room.liveChapterId;
+            room.liveChapterId = null;
+            await persistence.deleteChapter(chapterId).catch(deleteErr => {
+              logger.error({ err: deleteErr, roomId: room.id, chapterId }, '[db] Failed to delete the chapter of an unsaved title');
+            });
+          }
+          await keepTitleRoundOpen(room, roundDoc);
+          return;
+        }
+        roundDoc.reason = ROUND_OUTCOMES.SAVE_FAILED;
+        await recordRound(roundDoc);
+        return; // The story and the phase are unchanged.
+      }
+
+      // 6. A winning title starts the chapter's writing phase.
+      if (winner.isTitle) {
+        await enterPhase(room, PHASES.WRITING);
+      }
+
+      // 7. Unless the bot is concluding, the plans of the personas whose candidate lost are stale:
+      // they are re-planned around the new word (or, with incremental re-planning off, rewritten
+      // from the new text), or start the chapter under the winning title.
+      // The persona that won, if any, follows its plan.
+      if (room.phase !== PHASES.CONCLUDING) {
+        const winnerId = isBotId(winner.submitterId) ? winner.submitterId : null;
+        if (winner.isTitle || !constants.BOT_INCREMENTAL_REPLAN) {
+          resetBotPlans(room, winner.isTitle ? BOT_TASKS.START : BOT_TASKS.CONTINUE, winnerId);
+          logger.info({ roomId: room.id, winner: winner.submitterId }, '[bot] Clearing the plans of the personas that lost the round.');
+        } else {
+          markPlansStale(room, BOT_TASKS.REPLAN, winnerId);
+          logger.info({ roomId: room.id, winner: winner.submitterId }, '[bot] The personas that lost the round will re-plan around the new word.');
+        }
+      }
+      logger.info({ roomId: room.id, winner: winner.word }, '[engine] A word has been chosen.');
+
+      // 8. Ask the seal policy whether the chapter ends with this word.
+      if (roundDoc.reason === ROUND_OUTCOMES.WON && room.phase !== PHASES.AWAITING_TITLE) {
+        if (sealPolicy.sealsAfterWord(room, winnerRow)) {
+          requestPolicySeal(room, 'word');
+        } else if (sealPolicy.awaitsEnding && room.phase === PHASES.CONCLUDING && botsAreIdle(room)) {
+          // The personas' endings were used up but left the chapter open: they write new ones.
+          logger.info({ roomId: room.id }, '[bot] The ending did not close the chapter. Writing a new one.');
+          resetBotPlans(room, BOT_TASKS.CONTINUE);
+        }
+      }
+      await publishSealProgress(room);
+
+      // 9. Players may strike the new word during the next round, unless the chapter ends with it.
+      if (roundDoc.reason === ROUND_OUTCOMES.WON && !winnerRow.isTitle && !room.mustSeal) {
+        room.strikeMotion = { ts: winnerRow.ts, word: winnerRow.word, roundId, supporters: [] };
+        await publishStrikeProgress(room);
+      }
+    }
+
+    // 10. Record the round, with the candidates that lost, in the audit log, and count it
+    // in the personas' stats.
+    await recordRound(roundDoc);
+    updatePersonaStats(room, roundDoc);
+    roundStore.checkpointBot(room);
+
+    // 11. If a seal is due, seal now that the round is closed.
+    if (room.mustSeal) {
+      room.mustSeal = false;
+      clearBotQueues(room);
+      await finalizeAndSealChapter(room);
+      return;
+    }
+
+    // 12. Let the personas with something to write prepare their next words.
+    await triggerBots(room, (_persona, state) => state.task !== null);
+  }
+
+  /**
+   * Counts a finished round in a room's persona stats, and logs the personas it retires.
+   * @param {object} room - The room state.
+   * @param {object} roundDoc - The round record.
+   */
+  function updatePersonaStats(room, roundDoc) {
+    if (roundDoc.candidates.length === 0) return; // Not recorded, so not counted either.
+    const retiredBefore = retiredPersonaIds(room.personaStats);
+    tallyRound(room.personaStats, roundDoc);
+    retiredPersonaIds(room.personaStats).forEach(personaId => {
+      if (!retiredBefore.has(personaId)) {
+        logger.warn({ roomId: room.id, persona: personaId, stats: room.personaStats[personaId] }, '[bot] Persona retired: its candidates keep losing.');
+      }
+    });
+  }
+
+  // ==========================================================================
+  // --- SEALING ---
+  // ==========================================================================
+
+  /**
+   * @summary Seals a room's live chapter with a hash and image, then prepares the next title.
+   * @param {object} room - The room state.
+   */
+  async function finalizeAndSealChapter(room) {
+    if (!room.liveChapterId) {
+      logger.warn({ roomId: room.id }, '[history] Seal triggered, but there is no live chapter to seal. Aborting.');
+      // Make sure the bot starts a new chapter.
+      resetBotPlans(room, BOT_TASKS.TITLE);
+      await enterPhase(room, PHASES.AWAITING_TITLE);
+      await triggerBots(room);
+      return;
+    }
+
+    const liveChapterId = room.liveChapterId;
+    await enterPhase(room, PHASES.SEALING, { isImageGenerating: true });
+    logger.info({ roomId: room.id }, '[history] Finalizing chapter: User submissions are now locked.');
+
+    try {
+      emit(room, 'imageGenerationStarted');
+
+      // 1. Fetch the live chapter and its words.
+      const chapterToSeal = await persistence.findChapter(liveChapterId);
+      const wordsToChapter = await persistence.findChapterWords(liveChapterId);
+
+      if (!chapterToSeal || wordsToChapter.length === 0) {
+        logger.warn({ roomId: room.id }, '[history] Live chapter is empty. Forcing new chapter start.');
+        if (chapterToSeal) {
+          await persistence.deleteChapter(liveChapterId); // Clean up empty chapter
+        }
+        // The rest of the state reset is in the `finally` block.
+        return;
+      }
+
+      // 2. Build the chapter metadata: the hash, chained to the room's previous sealed chapter, and the text.
+      const previousChapter = await persistence.findLastSealedChapter(room.id);
+      const previousHash = previousChapter ? previousChapter.hash : null;
+      const hash = computeChapterHash({
+        roomId: room.id,
+        title: chapterToSeal.title,
+        ts: chapterToSeal.ts,
+        previousHash,
+        words: wordsToChapter,
+      });
+      const signature = signer ? signer.sign(hash) : null;
+      const chapterText = toPlainText(wordsToChapter).trim();
+
+      // 3. Generate the image and cross-post.
+      let imageUrl = null;
+      let imagePromptTemplates = [];
+      if (media) {
+        const shareableUrl = `https://www.sntnz.com/chapter/${hash}`;
+        const image = await media.generateImage(chapterText, chapterToSeal.title, hash);
+        if (image) ({ imageUrl, promptTemplates: imagePromptTemplates } = image);
+        if (room.postToSocials) {
+          await media.postToSocials(chapterText, shareableUrl, imageUrl);
+        }
+      }
+
+      // 4. Mark the chapter sealed.
+      const sealedChapter = await persistence.sealChapter(liveChapterId, {
+        hash,
+        previousHash,
+        ledgerVersion: LEDGER_VERSION,
+        signature,
+        text: chapterText,
+        words: wordsToChapter, // Embed the final word array
+        imageUrl,
+        imagePromptTemplates, // The scene and image templates (see prompt-templates.js).
+        aiUsage: room.chapterAiUsage || emptyAiUsage(),
+      });
+      if (sealedChapter) {
+        emit(room, 'chapterSealed', { sealedChapter });
+      }
+      logger.info({ roomId: room.id, chapterHash: hash, aiUsage: sealedChapter ? sealedChapter.aiUsage : null }, '[history] Successfully sealed chapter');
+
+    } catch (err) {
+      logger.error({ err, roomId: room.id }, '[history] Error finalizing chapter');
+    } finally {
+      // 5. Reset the state for the next chapter.
+      await setRoundFields(room, { isImageGenerating: false });
+      resetBotPlans(room, BOT_TASKS.TITLE); // Signal the personas to propose the next title
+      room.liveChapterId = null;
+      room.chapterAiUsage = emptyAiUsage();
+      room.chapterWordCount = 0;
+      room.sealMotion = [];
+      await publishSealProgress(room);
+
+      // 6. Prepare the next titles, then let users write again.
+      logger.info({ roomId: room.id }, '[history] Triggering bot for new chapter title.');
+      await triggerBots(room);
+      await enterPhase(room, PHASES.AWAITING_TITLE);
+      logger.info({ roomId: room.id }, '[history] Seal process complete. User submissions unlocked.');
+    }
+  }
+
+  // ==========================================================================
+  // --- RESTORE ---
+  // ==========================================================================
+
+  /**
+   * Rebuilds a room's story and bot task from its live (unsealed) chapter.
+   * @param {object} room - The room state.
+   */
+  async function loadInitialTextFromHistory(room) {
+    logger.info({ roomId: room.id }, '[history] Attempting to restore live state from database...');
+
+    try {
+      // Find the one chapter that was left unsealed in this room.
+      const liveChapter = await persistence.findLiveChapter(room.id);
+
+      if (liveChapter) {
+        room.liveChapterId = liveChapter._id;
+        const restoredWords = await persistence.findChapterWords(room.liveChapterId);
+
+        logger.info(`[history] Restoring ${restoredWords.length} unsealed words for chapter '${liveChapter.title}' in room '${room.id}'.`);
+
+        // 1. Restore the core story and bot context.
+        room.currentText = restoredWords.slice(-constants.CURRENT_TEXT_LENGTH);
+        room.chapterWordCount = restoredWords.filter(w => !w.isTitle).length;
+        restoredWords.forEach(w => {
+          room.botContext = bot.pushBotContext(w.word, room.botContext);
+        });
+
+        // 2. Set the phase and the bot's next action from the restored story.
+        // (If a checkpoint of the bot's state exists, restoreRoom() applies it afterwards.)
+        const hasTitle = restoredWords.some(w => w.isTitle);
+        if (!hasTitle) {
+          room.phase = PHASES.AWAITING_TITLE;
+          resetBotPlans(room, BOT_TASKS.TITLE);
+        } else {
+          room.phase = PHASES.WRITING;
+          resetBotPlans(room, restoredWords.length === 1 ? BOT_TASKS.START : BOT_TASKS.CONTINUE);
+        }
+        logger.info({ roomId: room.id, phase: room.phase }, '[history] Room phase restored.');
+
+      } else {
+        logger.info({ roomId: room.id }, '[history] No unsealed chapter found. Starting fresh.');
+        room.phase = PHASES.AWAITING_TITLE;
+        resetBotPlans(room, BOT_TASKS.TITLE); // No history, so the bot must start a new story.
+      }
+    } catch (error) {
+      logger.error({ err: error, roomId: room.id }, '[history] Failed to load initial state');
+      room.phase = PHASES.AWAITING_TITLE;
+      resetBotPlans(room, BOT_TASKS.TITLE); // On failure, ensure the bot starts over.
+    }
+  }
+
+  /**
+   * Counts a room's persona stats from the round audit log. On failure, the personas start
+   * from empty stats, so none is retired until enough rounds are counted again.
+   * @param {object} room - The room state.
+   */
+  async function loadPersonaStats(room) {
+    try {
+      room.personaStats = await persistence.findPersonaStats(room.id, PERSONAS.map(persona => persona.id));
+    } catch (err) {
+      logger.error({ err, roomId: room.id }, '[bot] Failed to load the persona stats');
+      room.personaStats = {};
+    }
+  }
+
+  /**
+   * @summary Prepares a room when this instance starts or becomes the game-loop leader.
+   * @description The story is rebuilt from the stored chapter, then the checkpoint of the
+   * round in progress is applied on top: its submissions and votes, its end time, and the
+   * bot's queue and task. A restart mid-round is therefore invisible to players. If the
+   * round ended while no leader was running, it is resolved on the first tick.
+   * The room stays paused until it is restored, so no tick ends a round on a half-restored story.
+   * @param {object} room - The room state.
+   */
+  async function restoreRoom(room) {
+    const heldRoundEnd = room.nextTickTimestamp;
+    room.nextTickTimestamp = 0; // Pauses the room's game loop until it is restored.
+    Object.assign(room, {
+      currentText: [], liveChapterId: null,
+      botContext: [], bots: {}, personaStats: {}, chapterAiUsage: emptyAiUsage(),
+      mustSeal: false, skipNextSeal: false,
+      chapterWordCount: 0, sealMotion: [], recentParticipants: [], activePlayerCount: 0, strikeMotion: null,
+    });
+    const botCheckpoint = await roundStore.restore(room);
+    const restoredRoundEnd = room.nextTickTimestamp || heldRoundEnd;
+    room.nextTickTimestamp = 0; // The stored round brought its end time back: pause again.
+    await loadPersonaStats(room);
+
+    await loadInitialTextFromHistory(room);
+    if (applyBotCheckpoint(room, botCheckpoint)) {
+      logger.info({ roomId: room.id, personas: Object.keys(room.bots).length, mustSeal: room.mustSeal }, '[history] Bot state restored from checkpoint.');
+    }
+
+    // A seal interrupted by the restart is abandoned: the chapter stays live and is sealed next time.
+    // A paused room stays paused.
+    await setRoundFields(room, {
+      nextTickTimestamp: room.isPaused ? 0 : (restoredRoundEnd || nextRoundEndTime(room)),
+      phase: room.phase,
+      isImageGenerating: false,
+      sealProgress: sealPolicy.progress(room),
+      strikeProgress: describeStrikeMotion(room),
+    });
+  }
+
+  /**
+   * @summary Restores every room when this instance becomes the game-loop leader.
+   * @description Every room is paused before the first one is restored, and the game loop
+   * skips all rooms until the last one is done: a room still waiting for its turn would
+   * otherwise end its round with no live chapter and drop the winning word.
+   */
+  async function restoreRooms() {
+    restoring = true;
+    const roomsToRestore = listRooms();
+    roomsToRestore.forEach(room => { room.nextTickTimestamp = 0; });
+    try {
+      for (const room of roomsToRestore) {
+        await restoreRoom(room);
+      }
+    } finally {
+      restoring = false;
+    }
+  }
+
+  // ==========================================================================
+  // --- MODERATION ---
+  // ==========================================================================
+  // Admin actions on a room (see admin.js). They must run on the game-loop leader,
+  // which owns the bot and seal state. Each returns `{ ok, reason? }`.
+
+  /**
+   * Removes a candidate from a room's live round.
+   * @param {object} room - The room state.
+   * @param {string} compositeKey - The candidate's key.
+   * @returns {Promise<{ok: boolean, reason?: string}>}
+   */
+  async function removeCandidate(room, compositeKey) {
+    const removed = await roundStore.mutate(room, liveWords => liveWords.delete(compositeKey));
+    if (!removed) return { ok: false, reason: 'No such candidate in the live round.' };
+    publishRound(room);
+    logger.info({ roomId: room.id, compositeKey }, '[moderation] Candidate removed.');
+    return { ok: true };
+  }
+
+  /**
+   * @summary Removes a winning word from a room's live chapter.
+   * @description Sealed chapters are hashed and cannot change, and the title word is
+   * renamed rather than removed. The bot's plan continued from the removed word, so it
+   * is dropped and the bot continues from the corrected text.
+   * @param {object} room - The room state.
+   * @param {number} ts - The word's timestamp, which identifies it within the chapter.
+   * @returns {Promise<{ok: boolean, reason?: string}>}
+   */
+  async function removeWord(room, ts) {
+    if (!room.liveChapterId) return { ok: false, reason: 'The room has no live chapter.' };
+    const words = await persistence.findChapterWords(room.liveChapterId);
+    const word = words.find(w => w.ts === ts);
+    if (!word) return { ok: false, reason: 'No such word in the live chapter.' };
+    if (word.isTitle) return { ok: false, reason: 'The title cannot be removed; rename the chapter instead.' };
+
+    await deleteLiveWord(room, word);
+    emit(room, 'currentTextUpdated', room.currentText);
+    await publishSealProgress(room);
+    logger.info({ roomId: room.id, word: word.word, ts }, '[moderation] Winning word removed.');
+    return { ok: true };
+  }
+
+  /**
+   * Deletes a winning word from a room's live chapter and rolls the story and the bot back.
+   * @param {object} room - The room state.
+   * @param {object} word - The word row, from the live chapter.
+   */
+  async function deleteLiveWord(room, word) {
+    await persistence.deleteWord(room.liveChapterId, word.ts);
+    room.chapterWordCount = Math.max(0, room.chapterWordCount - 1);
+    room.currentText = room.currentText.filter(w => w.ts !== word.ts);
+    const contextIndex = room.botContext.lastIndexOf(word.word);
+    if (contextIndex !== -1) room.botContext = room.botContext.filter((_, i) => i !== contextIndex);
+    if (room.phase === PHASES.WRITING) {
+      resetBotPlans(room, BOT_TASKS.CONTINUE);
+    }
+    if (room.strikeMotion && room.strikeMotion.ts === word.ts) room.strikeMotion = null;
+    roundStore.checkpointBot(room);
+  }
+
+  /**
+   * Changes the title of a room's live chapter before it is sealed. The chapter keeps its number.
+   * @param {object} room - The room state.
+   * @param {string} newTitle - The new title, without the chapter number.
+   * @returns {Promise<{ok: boolean, reason?: string}>}
+   */
+  async function renameChapter(room, newTitle) {
+    if (!room.liveChapterId) return { ok: false, reason: 'The room has no live chapter.' };
+    if (room.phase === PHASES.SEALING) return { ok: false, reason: 'The chapter is being sealed.' };
+
+    const title = formatChapterTitle(stripChapterNumber(newTitle), (await persistence.countSealedChapters(room.id)) + 1);
+    await persistence.renameChapter(room.liveChapterId, title);
+    room.currentText = room.currentText.map(w => (
+      w.isTitle && String(w.chapterId) === String(room.liveChapterId) ? { ...w, word: title } : w
+    ));
+
+    emit(room, 'currentTextUpdated', room.currentText);
+    logger.info({ roomId: room.id, chapterId: room.liveChapterId, title }, '[moderation] Chapter renamed.');
+    return { ok: true };
+  }
+
+  /**
+   * @summary Pauses or resumes a room's rounds.
+   * @description A paused room has no round end time, so the loop leaves it alone (as
+   * while it is restored) and clients stop their countdown. Players may still submit
+   * and vote. Resuming starts a fresh round.
+   * @param {object} room - The room state.
+   * @param {boolean} paused - Whether the room should be paused.
+   * @returns {Promise<{ok: boolean, reason?: string}>}
+   */
+  async function setPaused(room, paused) {
+    if (room.isPaused === paused) return { ok: false, reason: paused ? 'The room is already paused.' : 'The room is not paused.' };
+    const nextTickTimestamp = paused ? 0 : nextRoundEndTime(room);
+    await setRoundFields(room, { isPaused: paused, nextTickTimestamp });
+    emit(room, 'nextTick', { nextTickTimestamp });
+    logger.info({ roomId: room.id, paused }, '[moderation] Room pause changed.');
+    return { ok: true };
+  }
+
+  /**
+   * Seals a room's chapter at the end of the current round, whatever the schedule says.
+   * @param {object} room - The room state.
+   * @returns {{ok: boolean, reason?: string}}
+   */
+  function forceSeal(room) {
+    if (!room.liveChapterId) return { ok: false, reason: 'The room has no live chapter.' };
+    room.skipNextSeal = false;
+    requestSeal(room);
+    logger.info({ roomId: room.id }, '[moderation] Seal forced at the next round end.');
+    return { ok: true };
+  }
+
+  /**
+   * Cancels a room's pending seal, or the next scheduled one if none is pending.
+   * @param {object} room - The room state.
+   * @returns {{ok: boolean, reason?: string}}
+   */
+  function skipSeal(room) {
+    if (room.mustSeal) {
+      room.mustSeal = false;
+    } else {
+      room.skipNextSeal = true;
+    }
+    roundStore.checkpointBot(room);
+    logger.info({ roomId: room.id }, '[moderation] Seal skipped.');
+    return { ok: true };
+  }
+
+  /**
+   * Describes a room's game state for the admin console.
+   * @param {object} room - The room state.
+   * @returns {Promise<object>} The room's status.
+   */
+  async function describeRoom(room) {
+    const liveChapter = room.liveChapterId ? await persistence.findChapter(room.liveChapterId) : null;
+    return {
+      id: room.id,
+      name: room.name,
+      phase: room.phase,
+      isPaused: room.isPaused,
+      mustSeal: room.mustSeal,
+      skipNextSeal: room.skipNextSeal,
+      nextTickTimestamp: room.nextTickTimestamp,
+      nextSealTimestamp,
+      sealPolicy: sealPolicy.name,
+      sealProgress: sealPolicy.progress(room),
+      strikeProgress: describeStrikeMotion(room),
+      liveChapter: liveChapter ? { id: liveChapter._id, title: stripChapterNumber(liveChapter.title) } : null,
+      recentWords: room.currentText
+        .filter(w => String(w.chapterId) === String(room.liveChapterId))
+        .map(({ ts, word, username, isTitle }) => ({ ts, word, username, isTitle: !!isTitle })),
+      candidates: describeCandidates(votingStrategy, room.liveWords)
+        .map(({ compositeKey, word, styles, submitterName, score }) => ({ compositeKey, word, styles, submitterName, score })),
+    };
+  }
+
+  // ==========================================================================
+  // --- END-CHAPTER MOTION ---
+  // ==========================================================================
+  // Under the motion policy, players vote to end the live chapter. The tally lives on
+  // the game-loop leader with the rest of the seal state, and is checkpointed with it.
+
+  /**
+   * @summary Records a player's support for, or withdrawal from, the "end chapter" motion.
+   * @description Once the motion passes, the chapter is sealed at the end of the current
+   * round and the motion starts over.
+   * @param {object} room - The room state.
+   * @param {string} playerId - The player.
+   * @param {boolean} support - Whether the player supports the motion.
+   * @returns {Promise<{ok: boolean, reason?: string, support?: boolean}>}
+   */
+  async function voteToEndChapter(room, playerId, support) {
+    if (!sealPolicy.allowsMotion) return { ok: false, reason: 'Chapters in this story do not end by vote.' };
+    if (!room.liveChapterId || room.phase === PHASES.AWAITING_TITLE || room.phase === PHASES.SEALING) {
+      return { ok: false, reason: 'There is no chapter to end right now.' };
+    }
+    const progress = sealPolicy.progress(room);
+    if (progress.words < progress.minWords) {
+      return { ok: false, reason: `The motion opens once the chapter has ${progress.minWords} words.` };
+    }
+    if (room.mustSeal) return { ok: false, reason: 'The chapter is already ending.' };
+
+    const supporters = new Set(room.sealMotion);
+    if (support) supporters.add(playerId); else supporters.delete(playerId);
+    room.sealMotion = [...supporters];
+
+    if (sealPolicy.sealsAfterMotion(room)) {
+      logger.info({ roomId: room.id, votes: room.sealMotion.length }, '[engine] The end-chapter motion passed.');
+      room.sealMotion = [];
+      requestPolicySeal(room, 'motion');
+    }
+    roundStore.checkpointBot(room);
+    await publishSealProgress(room);
+    return { ok: true, support };
+  }
+
+  // ==========================================================================
+  // --- STRIKE MOTION ---
+  // ==========================================================================
+  // During the round after a word wins, players vote to strike it. Like the end-chapter
+  // motion, the tally lives on the game-loop leader and is checkpointed with the bot state.
+
+  /**
+   * @summary Records a player's support for, or withdrawal from, striking the last winning word.
+   * @description The motion passes once a supermajority of the active players support it
+   * (see `constants.STRIKE_SUPERMAJORITY`). The word is then deleted from the chapter, the
+   * clients are told to remove it, and the strike is noted on the round the word won.
+   * @param {object} room - The room state.
+   * @param {string} playerId - The player.
+   * @param {number} ts - The timestamp of the word the player means to strike.
+   * @param {boolean} support - Whether the player supports the motion.
+   * @returns {Promise<{ok: boolean, reason?: string, support?: boolean, struck?: boolean}>}
+   */
+  async function voteToStrikeWord(room, playerId, ts, support) {
+    const motion = room.strikeMotion;
+    if (!motion || motion.ts !== ts) return { ok: false, reason: 'This word can no longer be struck.' };
+    if (room.mustSeal || room.phase === PHASES.SEALING) return { ok: false, reason: 'The chapter is already ending.' };
+
+    const supporters = new Set(motion.supporters);
+    if (support) supporters.add(playerId); else supporters.delete(playerId);
+    motion.supporters = [...supporters];
+
+    if (motion.supporters.length < strikeThreshold(room)) {
+      roundStore.checkpointBot(room);
+      await publishStrikeProgress(room);
+      return { ok: true, support };
+    }
+
+    const word = room.liveChapterId
+      ? (await persistence.findChapterWords(room.liveChapterId)).find(w => w.ts === ts)
+      : null;
+    if (!word) {
+      room.strikeMotion = null;
+      await publishStrikeProgress(room);
+      return { ok: false, reason: 'This word is no longer in the chapter.' };
+    }
+
+    const strike = { at: clock.now(), supporters: motion.supporters, needed: strikeThreshold(room), activePlayers: room.activePlayerCount };
+    await deleteLiveWord(room, word);
+    emit(room, 'wordStruck', { ts });
+    await publishStrikeProgress(room);
+    await publishSealProgress(room);
+    try {
+      await persistence.recordStrike(motion.roundId, strike);
+    } catch (err) {
+      logger.error({ err, roomId: room.id, roundId: motion.roundId }, '[engine] Failed to record the strike');
+    }
+    logger.info({ roomId: room.id, word: word.word, ts, votes: strike.supporters.length }, '[engine] The strike motion passed; word struck.');
+    return { ok: true, support, struck: true };
+  }
+
+  // ==========================================================================
+  // --- GAME LOOP ---
+  // ==========================================================================
+
+  /**
+   * Runs one tick of the game loop for a single room.
+   * @param {object} room - The room state.
+   * @returns {Promise<void>} Settles when the work started by this tick is done.
+   */
+  async function tickRoom(room) {
+    // The room is still being restored (see restoreRoom), or is paused (see setPaused).
+    if (!room.nextTickTimestamp) return;
+    const now = clock.now();
+
+    // --- Round Ending Logic ---
+    // This is the tick's PRIMARY job. If the round is over, end it.
+    if (now >= room.nextTickTimestamp) {
+      await endRoundAndElectWinner(room);
+      return;
+    }
+
+    // --- Proactive Bot Triggers ---
+    // Each persona submits its next planned word at its own point of the round (half-way by default).
+    const roundDurationMs = room.roundDurationSeconds * 1000;
+    const roundStartTimestamp = room.nextTickTimestamp - roundDurationMs;
+    const work = [];
+    activePersonas(room).forEach(persona => {
+      const state = personaState(room, persona.id);
+      const botShouldSubmit =
+        now >= roundStartTimestamp + roundDurationMs * persona.submitAt &&
+        state.queue.length > 0 &&
+        !state.hasSubmitted &&
+        state.restRounds === 0 &&
+        !isCoolingDown(state) &&
+        !room.runningBots.has(persona.id);
+      if (botShouldSubmit) {
+        logger.info({ roomId: room.id, persona: persona.id }, '[bot] Submission time reached. Attempting proactive submission.');
+        work.push(triggerBot(room, persona));
+      }
+    });
+
+    // --- Critic Review ---
+    // Once per round, late enough for the players' candidates to be in, the critic casts its votes.
+    const criticShouldReview =
+      constants.BOT_CRITIC_ENABLED && bot.runBotCritic &&
+      (room.phase === PHASES.WRITING || room.phase === PHASES.CONCLUDING) &&
+      room.criticRoundEnd !== room.nextTickTimestamp &&
+      now >= roundStartTimestamp + roundDurationMs * constants.BOT_CRITIC_REVIEW_AT;
+    if (criticShouldReview) work.push(triggerCritic(room));
+
+    // --- Conclusion Check ---
+    // When the seal policy says the end is close, the personas prepare their concluding sentences.
+    // If the chapter only ends with the bot's ending, a plan a persona is following is replaced too.
+    const botCanConclude = activePersonas(room).some(persona => [BOT_TASKS.CONTINUE, BOT_TASKS.REPLAN].includes(personaState(room, persona.id).task)) ||
+      (sealPolicy.awaitsEnding && botsAreIdle(room) && room.runningBots.size === 0);
+    const botShouldConclude =
+      room.phase === PHASES.WRITING &&
+      botCanConclude &&
+      sealPolicy.shouldConclude(room, policyContext(room));
+
+    if (botShouldConclude) {
+      logger.info({ roomId: room.id, policy: sealPolicy.name }, '[bot] Seal is imminent. Engaging conclusion mode to finish the chapter.');
+      // Each persona generates its whole conclusion once, then submits it word by word.
+      resetBotPlans(room, BOT_TASKS.CONTINUE);
+      work.push(enterPhase(room, PHASES.CONCLUDING).then(() => triggerBots(room)));
+    }
+    await Promise.all(work);
+  }
+
+  /**
+   * @summary Runs one iteration of the game loop for every room.
+   * @description Only the leader runs the loop. When the seal schedule fires (under the
+   * schedule policy), every room is asked to seal at the end of its current round.
+   * @returns {Promise<void>} Settles when the work started by this tick is done.
+   */
+  async function tick() {
+    if (!isLeader()) {
+      nextSealTimestamp = 0; // Recomputed if this instance becomes the leader again.
+      return;
+    }
+    if (restoring) return; // The rooms are being restored (see restoreRooms).
+    const now = clock.now();
+
+    if (!sealPolicy.usesSchedule) {
+      // Seals are decided round by round (see endRoundAndElectWinner and voteToEndChapter).
+    } else if (!nextSealTimestamp) {
+      nextSealTimestamp = sealSchedule.next(now);
+    } else if (now >= nextSealTimestamp) {
+      nextSealTimestamp = sealSchedule.next(now);
+      logger.info('[history] Seal scheduled at next round end');
+      listRooms().forEach(room => {
+        if (!room.skipNextSeal) return requestSeal(room);
+        logger.info({ roomId: room.id }, '[history] Scheduled seal skipped by an admin.');
+        room.skipNextSeal = false;
+        roundStore.checkpointBot(room);
+      });
+    }
+
+    await Promise.all(listRooms().map(room => tickRoom(room).catch(err => {
+      logger.error({ err, roomId: room.id }, '[engine] Tick failed');
+    })));
+  }
+
+  /**
+   * Starts running the game loop on the scheduler.
+   */
+  function start() {
+    if (loopHandle) return;
+    loopHandle = scheduler.every(tickIntervalMs, () => tick());
+  }
+
+  /**
+   * Stops the game loop.
+   */
+  function stop() {
+    if (!loopHandle) return;
+    scheduler.cancel(loopHandle);
+    loopHandle = null;
+  }
+
+  return {
+    start,
+    stop,
+    tick,
+    restoreRoom,
+    restoreRooms,
+    requestSeal,
+    nextRoundEndTime,
+    removeCandidate,
+    removeWord,
+    renameChapter,
+    setPaused,
+    forceSeal,
+    skipSeal,
+    describeRoom,
+    voteToEndChapter,
+    voteToStrikeWord,
+    getNextSealTimestamp: () => nextSealTimestamp,
+  };
+}
+
+module.exports = {
+  PHASES,
+  BOT_TASKS,
+  ROUND_OUTCOMES,
+  getCompositeKey,
+  computeNextRoundEndTime,
+  formatChapterTitle,
+  stripChapterNumber,
+  isSubmissionLocked,
+  isTitleRound,
+  createGameEngine,
+};
@@ -0,0 +1,63 @@
+// FILE: grant-role.js
+// Purpose: A standalone script that grants or revokes a role on a user account,
+// directly in the database. Use it to make the first admin, who can then manage
+// everyone else from the admin console. The user must have logged in once.
+//
+// Run with: node grant-role.js <username|googleId> [role] [--revoke]
+// The role defaults to 'admin'. Roles: admin, moderator, trusted.
+// Like the server, it uses DATABASE_URL_PROD when NODE_ENV=production, and DATABASE_URL_DEV otherwise.
+
+require('dotenv').config();
+const { MongoClient, ServerApiVersion } = require('mongodb');
+const logger = require('./logger');
+const { ROLES, createUserAdmin } = require('./permissions');
+
+// ============================================================================
+// --- ROLE CHANGE ---
+// ============================================================================
+
+(async () => {
+  const args = process.argv.slice(2);
+  const revoke = args.includes('--revoke');
+  const [idOrUsername, role = ROLES.ADMIN] = args.filter(arg => arg !== '--revoke');
+  if (!idOrUsername || !Object.values(ROLES).includes(role)) {
+    logger.error(`[grant-role] Usage: node grant-role.js <username|googleId> [${Object.values(ROLES).join('|')}] [--revoke]`);
+    process.exitCode = 2;
+    return;
+  }
+
+  const databaseUrl = process.env.NODE_ENV === 'production' ? process.env.DATABASE_URL_PROD : process.env.DATABASE_URL_DEV;
+  if (!databaseUrl) {
+    logger.error('[grant-role] Database URL is not defined. Check your .env file.');
+    process.exitCode = 2;
+    return;
+  }
+  const client = new MongoClient(databaseUrl, {
+    serverApi: { version: ServerApiVersion.v1, strict: true, deprecationErrors: true }
+  });
+
+  try {
+    // --- 1. Find the user ---
+    await client.connect();
+    const userAdmin = createUserAdmin(client.db().collection('users'));
+    const user = await userAdmin.findUser(idOrUsername);
+    if (!user) {
+      logger.error({ idOrUsername }, '[grant-role] No such user. They must log in once before being granted a role.');
+      process.exitCode = 1;
+      return;
+    }
+
+    // --- 2. Change the role ---
+    if (revoke) {
+      await userAdmin.revokeRole(user.googleId, role);
+    } else {
+      await userAdmin.grantRole(user.googleId, role);
+    }
+    logger.info({ googleId: user.googleId, username: user.username, role }, `[grant-role] Role ${revoke ? 'revoked' : 'granted'}.`);
+  } catch (err) {
+    logger.error({ err }, '[grant-role] Failed to change the role.');
+    process.exitCode = 1;
+  } finally {
+    await client.close();
+  }
+})();
@@ -0,0 +1,137 @@
+/**
+ * ============================================================================
+ * --- Game-Loop Leader Election (leader.js) ---
+ * ============================================================================
+ *
+ * When several server instances run side by side, exactly one of them must run
+ * the game loop: ending rounds, sealing chapters and driving the bot. This module
+ * elects that instance with a lease stored in MongoDB.
+ *
+ * Responsibilities:
+ * - Acquire and renew a time-limited lease document in the `leases` collection.
+ * - Let another instance take over when the leader stops renewing (crash, deploy).
+ * - Notify the server when this instance gains or loses leadership.
+ * - Release the lease on graceful shutdown so a successor takes over immediately.
+ *
+ * With clustering disabled, the single instance is always the leader.
+ */
+
+const os = require('os');
+const crypto = require('crypto');
+const logger = require('./logger');
+const constants = require('./constants');
+
+const LEASE_ID = 'game-loop';
+
+// A unique ID for this process, stored in the lease so it can be recognized.
+const instanceId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// These variables are assigned by `initLeaderElection`.
+let leasesCollection = null;
+let leading = false;
+let renewTimer = null;
+let callbacks = { onElected: () => {}, onDemoted: () => {} };
+
+/**
+ * Returns whether this instance currently runs the game loop.
+ * @returns {boolean}
+ */
+function isLeader() {
+  return leading;
+}
+
+/**
+ * Returns this instance's ID.
+ * @returns {string}
+ */
+function getInstanceId() {
+  return instanceId;
+}
+
+/**
+ * Updates the leadership flag and fires the matching callback on a change.
+ * @param {boolean} nowLeading - Whether this instance holds the lease.
+ */
+async function setLeading(nowLeading) {
+  if (nowLeading === leading) return;
+  leading = nowLeading;
+  if (leading) {
+    logger.info({ instanceId }, '[leader] This instance is now the game-loop leader.');
+    try {
+      await callbacks.onElected();
+    } catch (err) {
+      logger.error({ err }, '[leader] onElected handler failed');
+    }
+  } else {
+    logger.warn({ instanceId }, '[leader] This instance lost the game-loop lease.');
+    callbacks.onDemoted();
+  }
+}
+
+/**
+ * @summary Tries to acquire or renew the lease.
+ * @description The update only matches if the lease is ours or has expired. If another
+ * instance holds a valid lease, the upsert collides with its document and fails with
+ * a duplicate key error, which simply means we are not the leader.
+ */
+async function renewLease() {
+  const now = Date.now();
+  try {
+    const result = await leasesCollection.findOneAndUpdate(
+      { _id: LEASE_ID, $or: [{ holder: instanceId }, { expiresAt: { $lt: now } }] },
+      { $set: { holder: instanceId, expiresAt: now + constants.LEADER_LEASE_MS, renewedAt: now } },
+      { upsert: true, returnDocument: 'after' }
+    );
+    await setLeading(!!result && result.holder === instanceId);
+  } catch (err) {
+    if (err.code !== 11000) {
+      logger.error({ err }, '[leader] Failed to renew the lease');
+    }
+    await setLeading(false);
+  }
+}
+
+/**
+ * @summary Starts taking part in the leader election.
+ * @param {object} options
+ * @param {Collection|null} options.collection - The MongoDB leases collection, or null to run alone.
+ * @param {Function} [options.onElected] - Called when this instance becomes the leader.
+ * @param {Function} [options.onDemoted] - Called when this instance stops being the leader.
+ */
+async function initLeaderElection({ collection, onElected, onDemoted }) {
+  callbacks = { ...callbacks, ...(onElected && { onElected }), ...(onDemoted && { onDemoted }) };
+
+  if (!collection) {
+    logger.info('[leader] Clustering disabled. This instance runs the game loop.');
+    await setLeading(true);
+    return;
+  }
+
+  leasesCollection = collection;
+  await renewLease();
+  renewTimer = setInterval(renewLease, constants.LEADER_RENEW_MS);
+}
+
+/**
+ * Gives up the lease (on shutdown) so another instance can take over without waiting for it to expire.
+ */
+async function releaseLeadership() {
+  if (renewTimer) clearInterval(renewTimer);
+  renewTimer = null;
+  if (!leasesCollection || !leading) return;
+
+  leading = false;
+  try {
+    await leasesCollection.updateOne({ _id: LEASE_ID, holder: instanceId }, { $set: { expiresAt: 0 } });
+    logger.info({ instanceId }, '[leader] Lease released.');
+  } catch (err) {
+    logger.error({ err }, '[leader] Failed to release the lease');
+  }
+}
+
+module.exports = {
+  initLeaderElection,
+  isLeader,
+  getInstanceId,
+  releaseLeadership,
+};
@@ -0,0 +1,232 @@
+/**
+ * ============================================================================
+ * --- Chapter Ledger (ledger.js) ---
+ * ============================================================================
+ *
+ * Sealed chapters form a hash chain, one per room: each chapter's hash covers a
+ * canonical serialization of its words together with the hash of the room's
+ * previous sealed chapter. Changing, removing or reordering any sealed chapter
+ * therefore breaks every hash after it. The server can also sign each hash with
+ * an Ed25519 key whose public half is published, so an export can be checked
+ * without trusting the database it came from.
+ *
+ * Responsibilities:
+ * - Serialize values canonically (sorted keys, no field-order dependence).
+ * - Compute chapter hashes, and the legacy hashes of chapters sealed before the ledger.
+ * - Sign hashes and verify signatures.
+ * - Verify a single chapter, or a whole chain from an export (see verify-ledger.js).
+ *
+ * This module has no I/O: the server, the game engine and the CLI verifier all use it.
+ */
+
+const crypto = require('crypto');
+
+// The version of the hashed payload. Stored on every sealed chapter as `ledgerVersion`.
+const LEDGER_VERSION = 2;
+
+// How each version hashes a word's styles. Version 1 knew four fixed styles. From version 2,
+// only the styles that are on are hashed, by name, so a new style never changes an old hash.
+const CANONICAL_STYLES = {
+  1: styles => ({ bold: !!styles.bold, italic: !!styles.italic, underline: !!styles.underline, newline: !!styles.newline }),
+  2: styles => Object.fromEntries(Object.keys(styles).filter(name => styles[name] === true).map(name => [name, true])),
+};
+
+// ============================================================================
+// --- CANONICAL SERIALIZATION ---
+// ============================================================================
+
+/**
+ * @summary Serializes a value to JSON deterministically.
+ * @description Object keys are sorted and `undefined` values dropped, so the result does
+ * not depend on the order in which MongoDB or an export tool returns the fields.
+ * Values with a `toJSON` method (ObjectId, Date) are serialized through it.
+ * @param {*} value - The value to serialize.
+ * @returns {string} The canonical JSON text.
+ */
+function canonicalize(value) {
+  if (value && typeof value.toJSON === 'function') value = value.toJSON();
+  if (value === null || typeof value !== 'object') return JSON.stringify(value ?? null);
+  if (Array.isArray(value)) return `[${value.map(canonicalize).join(',')}]`;
+
+  const fields = Object.keys(value)
+    .filter(key => value[key] !== undefined)
+    .sort()
+    .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+  return `{${fields.join(',')}}`;
+}
+
+/**
+ * Keeps the fields of a winning word that the ledger vouches for.
+ * Storage details such as `_id` and `chapterId` are left out.
+ * @param {object} word - A word row.
+ * @param {number} version - The ledger version (see CANONICAL_STYLES).
+ * @returns {object} The hashed form of the word.
+ */
+function canonicalWord(word, version) {
+  return {
+    ts: word.ts,
+    word: word.word,
+    styles: CANONICAL_STYLES[version](word.styles || {}),
+    isTitle: !!word.isTitle,
+    username: word.username ?? null,
+  };
+}
+
+// ============================================================================
+// --- HASHING & SIGNING ---
+// ============================================================================
+
+/**
+ * Computes the ledger hash of a chapter.
+ * @param {object} chapter - The chapter to hash.
+ * @param {string} chapter.roomId - The room the chapter belongs to.
+ * @param {string} chapter.title - The chapter title.
+ * @param {number} chapter.ts - When the chapter was started.
+ * @param {string|null} chapter.previousHash - The hash of the room's previous sealed chapter.
+ * @param {Array<object>} chapter.words - The chapter's words, oldest first.
+ * @param {number} [version] - The ledger version to hash with; the current one by default.
+ * @returns {string} The SHA-256 hash, in hex.
+ */
+function computeChapterHash({ roomId, title, ts, previousHash, words }, version = LEDGER_VERSION) {
+  const payload = {
+    v: version,
+    roomId,
+    title,
+    ts,
+    previousHash: previousHash || null,
+    words: words.map(word => canonicalWord(word, version)),
+  };
+  return crypto.createHash('sha256').update(canonicalize(payload)).digest('hex');
+}
+
+/**
+ * Computes the hash used before the ledger existed: the raw JSON of the stored words.
+ * It depends on field order, so it can only be checked against an export that kept it.
+ * @param {Array<object>} words - The chapter's words, as stored.
+ * @returns {string} The SHA-256 hash, in hex.
+ */
+function computeLegacyHash(words) {
+  return crypto.createHash('sha256').update(JSON.stringify(words)).digest('hex');
+}
+
+/**
+ * @summary Creates a signer from an Ed25519 private key.
+ * @description The key is a PEM string; escaped newlines (`\n`), as found in
+ * single-line environment variables, are accepted.
+ * @param {string} [privateKeyPem] - The private key, or nothing to disable signing.
+ * @returns {{sign: Function, publicKeyPem: string}|null} The signer, or null without a key.
+ */
+function createSigner(privateKeyPem) {
+  if (!privateKeyPem) return null;
+  const privateKey = crypto.createPrivateKey(privateKeyPem.replace(/\\n/g, '\n'));
+  if (privateKey.asymmetricKeyType !== 'ed25519') {
+    throw new Error(`The ledger signing key must be an Ed25519 key, not ${privateKey.asymmetricKeyType}.`);
+  }
+  const publicKeyPem = crypto.createPublicKey(privateKey).export({ type: 'spki', format: 'pem' });
+
+  return {
+    publicKeyPem,
+    sign: (hash) => crypto.sign(null, Buffer.from(hash), privateKey).toString('base64'),
+  };
+}
+
+/**
+ * Checks the Ed25519 signature of a hash.
+ * @param {string} hash - The signed hash.
+ * @param {string} signature - The base64 signature.
+ * @param {string} publicKeyPem - The published public key.
+ * @returns {boolean}
+ */
+function verifySignature(hash, signature, publicKeyPem) {
+  try {
+    return crypto.verify(null, Buffer.from(hash), publicKeyPem, Buffer.from(signature, 'base64'));
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// --- VERIFICATION ---
+// ============================================================================
+
+/**
+ * @summary Verifies one sealed chapter against the chapter sealed before it.
+ * @description Each check is `true`, `false`, or `null` when it cannot be made (no
+ * previous chapter to compare with, no signature or public key). A chapter is valid
+ * when no check fails. Chapters sealed before the ledger are marked `legacy`: only
+ * their old hash is checked, and they are not linked to anything.
+ * @param {object} chapter - The sealed chapter.
+ * @param {object|null} [previous] - The room's previous sealed chapter, null if there is
+ * none, or undefined if it is unknown (e.g. the first chapter of a partial export).
+ * @param {string} [publicKeyPem] - The public key to check signatures with.
+ * @returns {{valid: boolean, legacy: boolean, hashMatches: boolean, linked: (boolean|null), signatureValid: (boolean|null)}}
+ */
+function verifyChapter(chapter, previous, publicKeyPem) {
+  const legacy = !chapter.ledgerVersion;
+  const words = chapter.words || [];
+
+  let hashMatches;
+  let linked = null;
+  if (legacy) {
+    hashMatches = computeLegacyHash(words) === chapter.hash;
+  } else {
+    hashMatches = Boolean(CANONICAL_STYLES[chapter.ledgerVersion])
+      && computeChapterHash({ ...chapter, words }, chapter.ledgerVersion) === chapter.hash;
+    if (previous === undefined) {
+      linked = null;
+    } else if (!chapter.previousHash) {
+      linked = previous === null; // Only the first chapter of a room may have no predecessor.
+    } else {
+      linked = previous !== null && chapter.previousHash === previous.hash;
+    }
+  }
+
+  const signatureValid = chapter.signature && publicKeyPem
+    ? verifySignature(chapter.hash, chapter.signature, publicKeyPem)
+    : null;
+
+  return {
+    valid: hashMatches && linked !== false && signatureValid !== false,
+    legacy,
+    hashMatches,
+    linked,
+    signatureValid,
+  };
+}
+
+/**
+ * Verifies every chain in an export of sealed chapters.
+ * @param {Array<object>} chapters - The sealed chapters, from any number of rooms, in any order.
+ * @param {string} [publicKeyPem] - The public key to check signatures with.
+ * @returns {Array<object>} One result per chapter, grouped by room and in chain order:
+ * the `verifyChapter` checks plus the chapter's `roomId`, `hash` and `title`.
+ */
+function verifyChain(chapters, publicKeyPem) {
+  const byRoom = new Map();
+  chapters.forEach(chapter => {
+    const roomId = chapter.roomId || null;
+    if (!byRoom.has(roomId)) byRoom.set(roomId, []);
+    byRoom.get(roomId).push(chapter);
+  });
+
+  const results = [];
+  for (const [roomId, roomChapters] of byRoom) {
+    roomChapters.sort((a, b) => a.ts - b.ts);
+    roomChapters.forEach((chapter, index) => {
+      const previous = index > 0 ? roomChapters[index - 1] : undefined;
+      results.push({ roomId, hash: chapter.hash, title: chapter.title, ...verifyChapter(chapter, previous, publicKeyPem) });
+    });
+  }
+  return results;
+}
+
+module.exports = {
+  LEDGER_VERSION,
+  canonicalize,
+  computeChapterHash,
+  computeLegacyHash,
+  createSigner,
+  verifySignature,
+  verifyChapter,
+  verifyChain,
+};
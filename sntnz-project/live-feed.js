@@ -0,0 +1,80 @@
+/**
+ * ============================================================================
+ * --- Live Feed Deltas (live-feed.js) ---
+ * ============================================================================
+ *
+ * Clients used to receive the whole live feed, personalized, after every vote:
+ * every score was recomputed once per connected socket. Instead, the server now
+ * remembers what it last published for each room and sends only what changed,
+ * as one patch shared by every client of the room. Each player's own votes go
+ * out separately, to that player only (see `buildUserVotes` in voting.js).
+ *
+ * Scores are kept incrementally: an entry is only rescored when its `voteVersion`
+ * (bumped by voting.js on every vote change) differs from the published one.
+ *
+ * Responsibilities:
+ * - Track the published feed of every room.
+ * - Compute the patch between the published feed and a room's live submissions.
+ *
+ * A patch has the shape `{ added: [row], updated: [{ compositeKey, count }], removed: [compositeKey] }`,
+ * where a row is the shared part of a feed item (see `buildFeedRow` in voting.js).
+ * Clients must treat an added row whose key they already know as an update.
+ *
+ * This module has no I/O: the server decides where the patches are sent.
+ */
+
+const { buildFeedRow } = require('./voting');
+
+/**
+ * @summary Creates the tracker of the feeds published to clients.
+ * @param {object} strategy - The active voting strategy.
+ * @returns {{diff: Function}} The tracker.
+ */
+function createLiveFeedTracker(strategy) {
+  // roomId -> Map<compositeKey, { ts, voteVersion, count, critique }>
+  const publishedByRoom = new Map();
+
+  /**
+   * @summary Computes what changed in a room's live feed since the last call, and marks it published.
+   * @description An entry is the same submission as the published one if it has the same
+   * timestamp; its score is only recomputed if its `voteVersion` moved. Entries rebuilt from
+   * a shared round (cluster mode) keep their `voteVersion`, so they are not rescored either.
+   * @param {object} room - The room state.
+   * @returns {object|null} The patch, or null if nothing visible changed.
+   */
+  function diff(room) {
+    if (!publishedByRoom.has(room.id)) publishedByRoom.set(room.id, new Map());
+    const published = publishedByRoom.get(room.id);
+    const patch = { added: [], updated: [], removed: [] };
+
+    for (const [compositeKey, entry] of room.liveWords.entries()) {
+      const previous = published.get(compositeKey);
+      if (previous && previous.ts === entry.ts && previous.voteVersion === entry.voteVersion) continue;
+
+      const row = buildFeedRow(strategy, compositeKey, entry);
+      // A row the bot critic just backed is sent again whole, with its rationale.
+      if (!previous || previous.ts !== entry.ts || previous.critique !== row.critique) {
+        patch.added.push(row);
+      } else if (previous.count !== row.count) {
+        patch.updated.push({ compositeKey, count: row.count });
+      }
+      published.set(compositeKey, { ts: entry.ts, voteVersion: entry.voteVersion, count: row.count, critique: row.critique });
+    }
+
+    for (const compositeKey of published.keys()) {
+      if (!room.liveWords.has(compositeKey)) {
+        published.delete(compositeKey);
+        patch.removed.push(compositeKey);
+      }
+    }
+
+    const isEmpty = patch.added.length === 0 && patch.updated.length === 0 && patch.removed.length === 0;
+    return isEmpty ? null : patch;
+  }
+
+  return { diff };
+}
+
+module.exports = {
+  createLiveFeedTracker,
+};
@@ -0,0 +1,348 @@
+/**
+ * ============================================================================
+ * --- Roles, Permissions & Bans (permissions.js) ---
+ * ============================================================================
+ *
+ * A user account may hold roles, kept in the `roles` array of its document in
+ * the `users` collection. Each role grants a set of permissions, and every
+ * protected route or socket handler checks a permission rather than a role.
+ *
+ * A user may also be banned until a given date, kept in the `ban` field of the
+ * document as `{ until, reason, bannedBy, bannedAt }`. A ban expires by itself:
+ * it is checked against the current time every time the user tries to play.
+ *
+ * Logging out must not lift a ban, so each account ban is also recorded in the
+ * `playerBans` collection against the anonymous ID and the IP address the user last
+ * played from (kept in the `lastSeen` field of the document). Anonymous players are
+ * checked against these: `{ googleId, anonymousIds, ips, ipHashes, until, reason, bannedBy, bannedAt }`.
+ * A reported anonymous author is banned by the hash of their IP address (`ipHashes`), the
+ * only form in which their candidate kept it.
+ *
+ * Responsibilities:
+ * - Define the roles and the permissions each one grants.
+ * - Provide the Express middleware and the socket guard that check a permission.
+ * - Grant and revoke roles, and ban and unban users, in the `users` collection.
+ * - Extend account bans to the anonymous IDs and IP addresses of the banned players.
+ *
+ * The first admin is granted from the command line (see grant-role.js); admins
+ * then manage everyone else from the admin console.
+ */
+
+const logger = require('./logger');
+
+// The roles a user account can hold.
+const ROLES = Object.freeze({
+  ADMIN: 'admin',
+  MODERATOR: 'moderator',
+  TRUSTED: 'trusted', // A trusted writer.
+});
+
+// What a user can be allowed to do.
+const PERMISSIONS = Object.freeze({
+  PLAY: 'play',                // Submit words and vote.
+  SKIP_QUOTAS: 'skipQuotas',   // Submit and vote without the quotas of quotas.js.
+  MODERATE: 'moderate',        // Use the admin console on the live game.
+  BAN: 'ban',                  // Ban and unban players.
+  MANAGE_ROLES: 'manageRoles', // Grant and revoke roles, and ban staff.
+});
+
+// Every player may play. Roles only add to this.
+const BASE_PERMISSIONS = [PERMISSIONS.PLAY];
+
+const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.TRUSTED]: [PERMISSIONS.SKIP_QUOTAS],
+  [ROLES.MODERATOR]: [PERMISSIONS.SKIP_QUOTAS, PERMISSIONS.MODERATE, PERMISSIONS.BAN],
+  [ROLES.ADMIN]: [PERMISSIONS.SKIP_QUOTAS, PERMISSIONS.MODERATE, PERMISSIONS.BAN, PERMISSIONS.MANAGE_ROLES],
+});
+
+// The longest a ban can last. There are no permanent bans: an admin can ban again.
+const MAX_BAN_HOURS = 365 * 24;
+
+// ============================================================================
+// --- CHECKS ---
+// ============================================================================
+
+/**
+ * Returns a user's ban if it is still running.
+ * @param {object} [user] - The user document, if any.
+ * @param {number} [now=Date.now()] - The current time.
+ * @returns {object|null} `{ until, reason, bannedBy, bannedAt }`, or null.
+ */
+function getActiveBan(user, now = Date.now()) {
+  const ban = user && user.ban;
+  if (!ban || !ban.until) return null;
+  return new Date(ban.until).getTime() > now ? ban : null;
+}
+
+/**
+ * Returns every permission a user holds. A banned user loses PLAY, but keeps the others.
+ * @param {object} [user] - The user document, or nothing for an anonymous player.
+ * @returns {Set<string>} The permissions.
+ */
+function getPermissions(user) {
+  const permissions = new Set(BASE_PERMISSIONS);
+  for (const role of (user && user.roles) || []) {
+    (ROLE_PERMISSIONS[role] || []).forEach(permission => permissions.add(permission));
+  }
+  if (getActiveBan(user)) permissions.delete(PERMISSIONS.PLAY);
+  return permissions;
+}
+
+/**
+ * Returns whether a user holds a permission.
+ * @param {object} [user] - The user document, or nothing for an anonymous player.
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {boolean}
+ */
+function hasPermission(user, permission) {
+  return getPermissions(user).has(permission);
+}
+
+/**
+ * Describes a running ban to the banned player.
+ * @param {object} ban - The ban.
+ * @returns {string} The message.
+ */
+function describeBan(ban) {
+  const until = new Date(ban.until).toISOString().slice(0, 16).replace('T', ' ');
+  return `You are banned from playing until ${until} UTC${ban.reason ? ` (${ban.reason})` : ''}.`;
+}
+
+// ============================================================================
+// --- MIDDLEWARE & GUARDS ---
+// ============================================================================
+
+/**
+ * @summary Creates an Express middleware that only lets through users with a permission.
+ * @description Anonymous requests get a 401 and logged-in users without the permission
+ * a 403, both as JSON.
+ * @param {string} permission - One of PERMISSIONS.
+ * @returns {Function} The middleware.
+ */
+function requirePermission(permission) {
+  return (req, res, next) => {
+    if (!req.isAuthenticated()) {
+      return res.status(401).json({ error: 'You must be logged in.' });
+    }
+    if (!hasPermission(req.user, permission)) {
+      logger.warn({ googleId: req.user.googleId, permission, path: req.originalUrl }, '[permissions] Request refused');
+      return res.status(403).json({ error: 'You are not allowed to do this.' });
+    }
+    next();
+  };
+}
+
+/**
+ * @summary Creates the guard that socket handlers call before acting for a player.
+ * @description A socket's user is read once, when it connects. The guard reloads the
+ * account on every check instead, so that a ban or a new role applies at once, and a
+ * ban's expiry is checked at the moment of the submission or vote. An anonymous player
+ * is checked against the player bans, by anonymous ID and IP address.
+ * @param {object} deps
+ * @param {Function} deps.loadUser - Returns a user document by Google ID (async).
+ * @param {Function} [deps.findPlayerBan] - Returns the running ban of an anonymous ID or IP
+ * address, or null (async, see `createUserAdmin`).
+ * @param {Function} [deps.getClientIp] - Returns a socket's IP address.
+ * @returns {{check: Function}} The guard.
+ */
+function createSocketGuard({ loadUser, findPlayerBan = async () => null, getClientIp = () => null }) {
+  /**
+   * Checks that a socket's player holds a permission.
+   * @param {Socket} socket - The player's socket.
+   * @param {string} permission - One of PERMISSIONS.
+   * @returns {Promise<{ok: boolean, user: object|null, reason?: string}>} `user` is the
+   * up-to-date account, or null for an anonymous player.
+   */
+  async function check(socket, permission) {
+    const sessionUser = socket.request.user;
+    let user = null;
+    if (sessionUser) {
+      try {
+        user = (await loadUser(sessionUser.googleId)) || sessionUser;
+      } catch (err) {
+        logger.error({ err, googleId: sessionUser.googleId }, '[permissions] Failed to reload the user; using the session copy');
+        user = sessionUser;
+      }
+    }
+
+    if (!user && permission === PERMISSIONS.PLAY) {
+      let playerBan = null;
+      try {
+        playerBan = await findPlayerBan({ anonymousId: socket.request.anonymousId, ip: getClientIp(socket) });
+      } catch (err) {
+        logger.error({ err }, '[permissions] Failed to check the player bans');
+      }
+      if (playerBan) return { ok: false, user, reason: describeBan(playerBan) };
+    }
+
+    if (hasPermission(user, permission)) return { ok: true, user };
+    const ban = getActiveBan(user);
+    if (permission === PERMISSIONS.PLAY && ban) return { ok: false, user, reason: describeBan(ban) };
+    return { ok: false, user, reason: 'You are not allowed to do this.' };
+  }
+
+  return { check };
+}
+
+// ============================================================================
+// --- ROLE & BAN MANAGEMENT ---
+// ============================================================================
+
+/**
+ * @summary Creates the functions that change roles and bans in the `users` collection.
+ * @param {Collection} usersCollection - The MongoDB users collection.
+ * @param {Collection} [playerBansCollection] - The MongoDB player bans collection. Without it,
+ * account bans are not extended to anonymous play (as in grant-role.js, which bans no one).
+ * @param {Function} [hashIpAddress] - Hashes an IP address (see auth.js), to match the bans
+ * that only know the hash.
+ * @returns {object} The user management functions.
+ */
+function createUserAdmin(usersCollection, playerBansCollection = null, hashIpAddress = () => null) {
+  if (playerBansCollection) {
+    // Player bans are deleted by MongoDB once they expire.
+    playerBansCollection.createIndex({ until: 1 }, { expireAfterSeconds: 0 }).catch(err => {
+      logger.error({ err }, '[permissions] Failed to create the player bans index');
+    });
+  }
+
+  /**
+   * Finds a user by Google ID, or by username (case-insensitive).
+   * @param {string} idOrUsername - The Google ID or the username.
+   * @returns {Promise<object|null>} The user document.
+   */
+  async function findUser(idOrUsername) {
+    const byId = await usersCollection.findOne({ googleId: idOrUsername });
+    if (byId || !/^[a-zA-Z0-9_]+$/.test(idOrUsername)) return byId;
+    return usersCollection.findOne({ username: { $regex: `^${idOrUsername}$`, $options: 'i' } });
+  }
+
+  /**
+   * Grants a role to a user.
+   * @param {string} googleId - The user's Google ID.
+   * @param {string} role - One of ROLES.
+   * @returns {Promise<boolean>} Whether the user exists.
+   */
+  async function grantRole(googleId, role) {
+    if (!Object.values(ROLES).includes(role)) throw new Error(`Unknown role '${role}'.`);
+    const result = await usersCollection.updateOne({ googleId }, { $addToSet: { roles: role } });
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Revokes a role from a user.
+   * @param {string} googleId - The user's Google ID.
+   * @param {string} role - One of ROLES.
+   * @returns {Promise<boolean>} Whether the user exists.
+   */
+  async function revokeRole(googleId, role) {
+    const result = await usersCollection.updateOne({ googleId }, { $pull: { roles: role } });
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Bans a user from playing for a number of hours. A new ban replaces the previous one.
+   * @param {string} googleId - The user's Google ID.
+   * @param {object} ban
+   * @param {number} ban.hours - How long the ban lasts, up to MAX_BAN_HOURS.
+   * @param {string} [ban.reason] - Shown to the player.
+   * @param {string} ban.bannedBy - The Google ID of the admin or moderator.
+   * @returns {Promise<object|null>} The ban, or null if the user does not exist.
+   */
+  async function banUser(googleId, { hours, reason, bannedBy }) {
+    if (!(hours > 0 && hours <= MAX_BAN_HOURS)) throw new Error(`A ban lasts up to ${MAX_BAN_HOURS} hours.`);
+    const bannedAt = new Date();
+    const ban = { until: new Date(bannedAt.getTime() + hours * 3600 * 1000), reason: reason || null, bannedBy, bannedAt };
+    const user = await usersCollection.findOneAndUpdate({ googleId }, { $set: { ban } }, { returnDocument: 'after' });
+    if (!user) return null;
+
+    // The same ban applies to the anonymous ID and the IP address the user last played from.
+    const lastSeen = user.lastSeen || {};
+    if (playerBansCollection && (lastSeen.anonymousId || lastSeen.ip)) {
+      await playerBansCollection.replaceOne({ googleId }, {
+        googleId,
+        anonymousIds: lastSeen.anonymousId ? [lastSeen.anonymousId] : [],
+        ips: lastSeen.ip ? [lastSeen.ip] : [],
+        ...ban,
+      }, { upsert: true });
+    }
+    return ban;
+  }
+
+  /**
+   * Lifts a user's ban, and its player ban.
+   * @param {string} googleId - The user's Google ID.
+   * @returns {Promise<boolean>} Whether the user exists.
+   */
+  async function unbanUser(googleId) {
+    const result = await usersCollection.updateOne({ googleId }, { $unset: { ban: '' } });
+    if (playerBansCollection) await playerBansCollection.deleteMany({ googleId });
+    return result.matchedCount > 0;
+  }
+
+  /**
+   * Notes the anonymous ID and IP address a user plays from, so a ban can follow them.
+   * @param {string} googleId - The user's Google ID.
+   * @param {object} seen
+   * @param {string|null} seen.anonymousId - The anonymous ID in the user's cookie, if any.
+   * @param {string|null} seen.ip - The user's IP address.
+   */
+  async function recordSighting(googleId, { anonymousId, ip }) {
+    await usersCollection.updateOne({ googleId }, { $set: { lastSeen: { anonymousId: anonymousId || null, ip: ip || null, at: new Date() } } });
+  }
+
+  /**
+   * Returns the running player ban of an anonymous ID or an IP address.
+   * @param {object} player
+   * @param {string|null} player.anonymousId - The anonymous ID, if any.
+   * @param {string|null} player.ip - The IP address, matched as it is and by its hash.
+   * @returns {Promise<object|null>} The ban, or null.
+   */
+  async function findPlayerBan({ anonymousId, ip }) {
+    const ipHash = ip ? hashIpAddress(ip) : null;
+    const identities = [
+      ...(anonymousId ? [{ anonymousIds: anonymousId }] : []),
+      ...(ip ? [{ ips: ip }] : []),
+      ...(ipHash ? [{ ipHashes: ipHash }] : []),
+    ];
+    if (!playerBansCollection || identities.length === 0) return null;
+    return playerBansCollection.findOne({ until: { $gt: new Date() }, $or: identities });
+  }
+
+  /**
+   * Bans an anonymous player, by anonymous ID and IP address, for a number of hours.
+   * @param {object} player
+   * @param {string|null} player.anonymousId - The anonymous ID, if known.
+   * @param {string|null} [player.ip] - The IP address, if known.
+   * @param {string|null} [player.ipHash] - The hash of the IP address, if only that is known.
+   * @param {object} ban - `{ hours, reason, bannedBy }`, as for `banUser`.
+   * @returns {Promise<object|null>} The ban, or null if the player has none of them.
+   */
+  async function banPlayer({ anonymousId, ip = null, ipHash = null }, { hours, reason, bannedBy }) {
+    if (!(hours > 0 && hours <= MAX_BAN_HOURS)) throw new Error(`A ban lasts up to ${MAX_BAN_HOURS} hours.`);
+    if (!playerBansCollection || (!anonymousId && !ip && !ipHash)) return null;
+    const bannedAt = new Date();
+    const ban = { until: new Date(bannedAt.getTime() + hours * 3600 * 1000), reason: reason || null, bannedBy, bannedAt };
+    await playerBansCollection.insertOne({
+      googleId: null,
+      anonymousIds: anonymousId ? [anonymousId] : [],
+      ips: ip ? [ip] : [],
+      ipHashes: ipHash ? [ipHash] : [],
+      ...ban,
+    });
+    return ban;
+  }
+
+  return { findUser, grantRole, revokeRole, banUser, unbanUser, recordSighting, findPlayerBan, banPlayer };
+}
+
+module.exports = {
+  ROLES,
+  PERMISSIONS,
+  MAX_BAN_HOURS,
+  getActiveBan,
+  getPermissions,
+  hasPermission,
+  requirePermission,
+  createSocketGuard,
+  createUserAdmin,
+};
@@ -0,0 +1,324 @@
+/**
+ * ============================================================================
+ * --- Story Persistence (persistence.js) ---
+ * ============================================================================
+ *
+ * The game engine never touches MongoDB directly. It reads and writes chapters
+ * and words through the small persistence interface defined here, so it can run
+ * against the real database in production and against memory in simulations.
+ *
+ * Responsibilities:
+ * - Implement the persistence interface on top of the `chapters`, `words` and `rounds` collections.
+ * - Implement the same interface in memory, for simulations and local experiments.
+ *
+ * Interface (every function is async):
+ * - `findLiveChapter(roomId)`: the room's unsealed chapter, or null.
+ * - `findChapter(chapterId)`: a chapter by ID, or null.
+ * - `findChapterWords(chapterId)`: a chapter's words, oldest first.
+ * - `countSealedChapters(roomId)`: how many chapters the room has sealed.
+ * - `findLastSealedChapter(roomId)`: the room's most recently sealed chapter, or null.
+ * - `findRecentTitles(roomId, limit)`: the titles of the most recently sealed chapters.
+ * - `insertChapter(chapterDoc)`: stores a new chapter and returns its ID.
+ * - `insertWord(wordRow)`: stores a winning word.
+ * - `sealChapter(chapterId, fields)`: marks a chapter sealed and returns the updated document.
+ * - `deleteChapter(chapterId)`: removes a chapter (used for empty chapters).
+ * - `deleteWord(chapterId, ts)`: removes a winning word from a chapter (admin undo).
+ * - `renameChapter(chapterId, title)`: changes a chapter's title and its title word.
+ * - `insertRound(roundDoc)`: stores a finished round in the audit log.
+ * - `findRound(roundId)`: a recorded round by ID, or null.
+ * - `recordStrike(roundId, strike)`: notes on a recorded round that players struck its winning word.
+ * - `findPersonaStats(roomId, personaIds)`: the rounds each bot persona took part in and won
+ *   in a room, as `{ [personaId]: { rounds, wins } }` (see personas.js).
+ * - `findPromptStats(roomId)`: the record of each prompt template version in a room, as
+ *   `{ [templateId]: { candidates, wins, chapters, chapterWords, images, imageRegenerations } }`
+ *   (see `describePromptStats` in prompt-templates.js). An image counts once for each
+ *   template that described it; a regenerated one also counts as a regeneration.
+ */
+
+/**
+ * Adds to one figure of a template version's record.
+ * @param {object} stats - The records, by template ID.
+ * @param {string} id - The template ID.
+ * @param {string} field - The figure.
+ * @param {number} [amount]
+ */
+function addPromptStat(stats, id, field, amount = 1) {
+  const stat = stats[id] || (stats[id] = {});
+  stat[field] = (stat[field] || 0) + amount;
+}
+
+// ============================================================================
+// --- MONGODB PERSISTENCE ---
+// ============================================================================
+
+/**
+ * Creates the persistence interface backed by MongoDB.
+ * @param {object} collections
+ * @param {Collection} collections.chaptersCollection - The chapters collection.
+ * @param {Collection} collections.wordsCollection - The words collection.
+ * @param {Collection} collections.roundsCollection - The round audit log collection.
+ * @returns {object} The persistence interface.
+ */
+function createMongoPersistence({ chaptersCollection, wordsCollection, roundsCollection }) {
+  const sealedChapterQuery = (roomId) => ({ roomId, hash: { $ne: null, $exists: true } });
+
+  return {
+    findLiveChapter: (roomId) => chaptersCollection.findOne({ roomId, hash: null }),
+    findChapter: (chapterId) => chaptersCollection.findOne({ _id: chapterId }),
+    findChapterWords: (chapterId) => wordsCollection.find({ chapterId }).sort({ ts: 1 }).toArray(),
+    countSealedChapters: (roomId) => chaptersCollection.countDocuments(sealedChapterQuery(roomId)),
+    findLastSealedChapter: (roomId) => chaptersCollection.findOne(sealedChapterQuery(roomId), { sort: { ts: -1 } }),
+
+    async findRecentTitles(roomId, limit) {
+      const chapters = await chaptersCollection
+        .find(sealedChapterQuery(roomId), { projection: { title: 1 } })
+        .sort({ ts: -1 })
+        .limit(limit)
+        .toArray();
+      return chapters.map(chapter => chapter.title).filter(Boolean);
+    },
+
+    async insertChapter(chapterDoc) {
+      const result = await chaptersCollection.insertOne(chapterDoc);
+      return result.insertedId;
+    },
+
+    async insertWord(wordRow) {
+      await wordsCollection.insertOne(wordRow);
+    },
+
+    async sealChapter(chapterId, fields) {
+      await chaptersCollection.updateOne({ _id: chapterId }, { $set: fields });
+      return chaptersCollection.findOne({ _id: chapterId });
+    },
+
+    async deleteChapter(chapterId) {
+      await chaptersCollection.deleteOne({ _id: chapterId });
+    },
+
+    async deleteWord(chapterId, ts) {
+      await wordsCollection.deleteOne({ chapterId, ts });
+    },
+
+    async renameChapter(chapterId, title) {
+      await chaptersCollection.updateOne({ _id: chapterId }, { $set: { title } });
+      await wordsCollection.updateOne({ chapterId, isTitle: true }, { $set: { word: title } });
+    },
+
+    async insertRound(roundDoc) {
+      await roundsCollection.insertOne(roundDoc);
+    },
+
+    findRound: (roundId) => roundsCollection.findOne({ _id: roundId }),
+
+    async recordStrike(roundId, strike) {
+      await roundsCollection.updateOne({ _id: roundId }, { $set: { strike } });
+    },
+
+    async findPersonaStats(roomId, personaIds) {
+      // One row per round and persona, then one per persona. 'won' is ROUND_OUTCOMES.WON.
+      const rows = await roundsCollection.aggregate([
+        { $match: { roomId, 'candidates.submitterId': { $in: personaIds } } },
+        { $unwind: '$candidates' },
+        { $match: { 'candidates.submitterId': { $in: personaIds } } },
+        { $group: {
+          _id: { round: '$_id', persona: '$candidates.submitterId' },
+          won: { $max: { $cond: [{ $and: [
+            { $eq: ['$reason', 'won'] },
+            { $eq: ['$candidates.compositeKey', '$winner.compositeKey'] },
+          ] }, 1, 0] } },
+        } },
+        { $group: { _id: '$_id.persona', rounds: { $sum: 1 }, wins: { $sum: '$won' } } },
+      ]).toArray();
+      return Object.fromEntries(rows.map(({ _id, rounds, wins }) => [_id, { rounds, wins }]));
+    },
+
+    async findPromptStats(roomId) {
+      const stats = {};
+      const hasTemplate = { $type: 'string' };
+
+      // The bot candidates of each version, and how many won their round. 'won' is ROUND_OUTCOMES.WON.
+      const candidateRows = await roundsCollection.aggregate([
+        { $match: { roomId, 'candidates.promptTemplate': hasTemplate } },
+        { $unwind: '$candidates' },
+        { $match: { 'candidates.promptTemplate': hasTemplate } },
+        { $group: {
+          _id: '$candidates.promptTemplate',
+          candidates: { $sum: 1 },
+          wins: { $sum: { $cond: [{ $and: [
+            { $eq: ['$reason', 'won'] },
+            { $eq: ['$candidates.compositeKey', '$winner.compositeKey'] },
+          ] }, 1, 0] } },
+        } },
+      ]).toArray();
+      candidateRows.forEach(({ _id, candidates, wins }) => {
+        addPromptStat(stats, _id, 'candidates', candidates);
+        addPromptStat(stats, _id, 'wins', wins);
+      });
+
+      // The sealed chapters holding a winning word of each version, and their length without the title.
+      const chapterRows = await chaptersCollection.aggregate([
+        { $match: { ...sealedChapterQuery(roomId), 'words.promptTemplate': hasTemplate } },
+        { $project: {
+          templates: { $setUnion: ['$words.promptTemplate', []] },
+          length: { $size: { $filter: { input: '$words', cond: { $ne: ['$$this.isTitle', true] } } } },
+        } },
+        { $unwind: '$templates' },
+        { $match: { templates: hasTemplate } },
+        { $group: { _id: '$templates', chapters: { $sum: 1 }, chapterWords: { $sum: '$length' } } },
+      ]).toArray();
+      chapterRows.forEach(({ _id, chapters, chapterWords }) => {
+        addPromptStat(stats, _id, 'chapters', chapters);
+        addPromptStat(stats, _id, 'chapterWords', chapterWords);
+      });
+
+      // The images of each version: the current ones, and the ones regenerated since.
+      const imageRows = await chaptersCollection.aggregate([
+        { $match: sealedChapterQuery(roomId) },
+        { $project: { templates: { $concatArrays: [
+          { $map: { input: { $ifNull: ['$imagePromptTemplates', []] }, in: { id: '$$this', replaced: 0 } } },
+          { $map: { input: { $ifNull: ['$replacedImagePromptTemplates', []] }, in: { id: '$$this', replaced: 1 } } },
+        ] } } },
+        { $unwind: '$templates' },
+        { $group: { _id: '$templates.id', images: { $sum: 1 }, imageRegenerations: { $sum: '$templates.replaced' } } },
+      ]).toArray();
+      imageRows.forEach(({ _id, images, imageRegenerations }) => {
+        addPromptStat(stats, _id, 'images', images);
+        addPromptStat(stats, _id, 'imageRegenerations', imageRegenerations);
+      });
+
+      return stats;
+    },
+  };
+}
+
+// ============================================================================
+// --- IN-MEMORY PERSISTENCE ---
+// ============================================================================
+
+/**
+ * Creates the persistence interface backed by plain arrays, for simulations.
+ * The arrays are exposed as `chapters`, `words` and `rounds` so a simulation can inspect them.
+ * @returns {object} The persistence interface.
+ */
+function createMemoryPersistence() {
+  const chapters = [];
+  const words = [];
+  const rounds = [];
+  let nextId = 1;
+
+  const isSealed = (chapter) => chapter.hash !== null && chapter.hash !== undefined;
+  const byTs = (a, b) => a.ts - b.ts;
+
+  return {
+    chapters,
+    words,
+    rounds,
+
+    findLiveChapter: async (roomId) => chapters.find(c => c.roomId === roomId && c.hash === null) || null,
+    findChapter: async (chapterId) => chapters.find(c => c._id === chapterId) || null,
+    findChapterWords: async (chapterId) => words.filter(w => w.chapterId === chapterId).sort(byTs),
+    countSealedChapters: async (roomId) => chapters.filter(c => c.roomId === roomId && isSealed(c)).length,
+    findLastSealedChapter: async (roomId) => chapters
+      .filter(c => c.roomId === roomId && isSealed(c))
+      .reduce((latest, c) => (!latest || c.ts > latest.ts ? c : latest), null),
+
+    async findRecentTitles(roomId, limit) {
+      return chapters
+        .filter(c => c.roomId === roomId && isSealed(c))
+        .sort((a, b) => b.ts - a.ts)
+        .slice(0, limit)
+        .map(c => c.title)
+        .filter(Boolean);
+    },
+
+    async insertChapter(chapterDoc) {
+      const _id = `chapter-${nextId++}`;
+      chapters.push({ ...chapterDoc, _id });
+      return _id;
+    },
+
+    async insertWord(wordRow) {
+      words.push({ ...wordRow, _id: `word-${nextId++}` });
+    },
+
+    async sealChapter(chapterId, fields) {
+      const chapter = chapters.find(c => c._id === chapterId);
+      if (!chapter) return null;
+      Object.assign(chapter, fields);
+      return chapter;
+    },
+
+    async deleteChapter(chapterId) {
+      const index = chapters.findIndex(c => c._id === chapterId);
+      if (index !== -1) chapters.splice(index, 1);
+    },
+
+    async deleteWord(chapterId, ts) {
+      const index = words.findIndex(w => w.chapterId === chapterId && w.ts === ts);
+      if (index !== -1) words.splice(index, 1);
+    },
+
+    async renameChapter(chapterId, title) {
+      const chapter = chapters.find(c => c._id === chapterId);
+      if (chapter) chapter.title = title;
+      const titleWord = words.find(w => w.chapterId === chapterId && w.isTitle);
+      if (titleWord) titleWord.word = title;
+    },
+
+    async insertRound(roundDoc) {
+      rounds.push(roundDoc);
+    },
+
+    findRound: async (roundId) => rounds.find(r => r._id === roundId) || null,
+
+    async recordStrike(roundId, strike) {
+      const round = rounds.find(r => r._id === roundId);
+      if (round) round.strike = strike;
+    },
+
+    async findPersonaStats(roomId, personaIds) {
+      const stats = {};
+      rounds.filter(r => r.roomId === roomId).forEach(round => {
+        const winningKey = round.reason === 'won' && round.winner ? round.winner.compositeKey : null;
+        personaIds.forEach(personaId => {
+          const own = round.candidates.filter(c => c.submitterId === personaId);
+          if (own.length === 0) return;
+          const stat = stats[personaId] || (stats[personaId] = { rounds: 0, wins: 0 });
+          stat.rounds += 1;
+          if (own.some(c => c.compositeKey === winningKey)) stat.wins += 1;
+        });
+      });
+      return stats;
+    },
+
+    async findPromptStats(roomId) {
+      const stats = {};
+      rounds.filter(r => r.roomId === roomId).forEach(round => {
+        const winningKey = round.reason === 'won' && round.winner ? round.winner.compositeKey : null;
+        round.candidates.filter(c => c.promptTemplate).forEach(candidate => {
+          addPromptStat(stats, candidate.promptTemplate, 'candidates');
+          addPromptStat(stats, candidate.promptTemplate, 'wins', candidate.compositeKey === winningKey ? 1 : 0);
+        });
+      });
+      chapters.filter(c => c.roomId === roomId && isSealed(c)).forEach(chapter => {
+        const chapterWords = (chapter.words || []).filter(w => !w.isTitle).length;
+        new Set((chapter.words || []).map(w => w.promptTemplate).filter(Boolean)).forEach(id => {
+          addPromptStat(stats, id, 'chapters');
+          addPromptStat(stats, id, 'chapterWords', chapterWords);
+        });
+        (chapter.imagePromptTemplates || []).forEach(id => addPromptStat(stats, id, 'images'));
+        (chapter.replacedImagePromptTemplates || []).forEach(id => {
+          addPromptStat(stats, id, 'images');
+          addPromptStat(stats, id, 'imageRegenerations');
+        });
+      });
+      return stats;
+    },
+  };
+}
+
+module.exports = {
+  createMongoPersistence,
+  createMemoryPersistence,
+};
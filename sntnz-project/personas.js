@@ -0,0 +1,274 @@
+/**
+ * ============================================================================
+ * --- Bot Personas (personas.js) ---
+ * ============================================================================
+ *
+ * The bot is a cast of personas, declared in `constants.BOT_PERSONAS`. Each has its
+ * own name, writing style, model, temperature and cadence, and keeps its own plan:
+ * in a round, every active persona may submit its own candidate, so the players
+ * choose between rival continuations.
+ *
+ * A room's bot state is `room.bots`, keyed by persona ID. Each entry is
+ * `{ queue, task, hasSubmitted, restRounds, replanCooldown }`: the words the persona plans
+ * to submit, what it must generate next (one of the engine's BOT_TASKS, or null), whether it
+ * submitted in the current round, how many rounds it still sits out, and how many rounds
+ * must pass before it may re-plan a stale plan again.
+ *
+ * A persona's stats in a room are `{ rounds, wins }`: the recorded rounds it had a
+ * candidate in, and how many of them its candidate won. They are counted from the
+ * round audit log (see `findPersonaStats` in persistence.js) and kept up to date by
+ * the engine as rounds close.
+ *
+ * Responsibilities:
+ * - Validate the configured personas.
+ * - Tell the bot's submissions apart from the players'.
+ * - Hold each persona's state in a room, and reset or mark stale the plans of several personas at once.
+ * - Compute win rates, and decide which personas are retired.
+ *
+ * This module has no I/O: it can be exercised without a database or socket server.
+ */
+
+const constants = require('./constants');
+
+// ============================================================================
+// --- CONFIGURATION ---
+// ============================================================================
+
+/**
+ * @summary Validates the configured personas and fills in their defaults.
+ * @param {Array<object>} personas - The personas, as configured.
+ * @returns {Array<object>} The frozen personas.
+ * @throws {Error} If a persona has no ID or name, shares its ID or name, or names an unknown writing style.
+ */
+function validatePersonas(personas) {
+  if (!Array.isArray(personas) || personas.length === 0) throw new Error('At least one bot persona is required.');
+  const ids = new Set();
+  const names = new Set();
+  return Object.freeze(personas.map(persona => {
+    if (!persona.id || !persona.name) throw new Error('Every bot persona needs an id and a name.');
+    if (ids.has(persona.id) || names.has(persona.name)) throw new Error(`Duplicate bot persona: ${persona.id} (${persona.name})`);
+    if (persona.writingStyle && !constants.WRITING_STYLES.some(style => style.name === persona.writingStyle)) {
+      throw new Error(`Unknown writing style for bot persona ${persona.id}: ${persona.writingStyle}`);
+    }
+    ids.add(persona.id);
+    names.add(persona.name);
+    return Object.freeze({
+      id: persona.id,
+      name: persona.name,
+      writingStyle: persona.writingStyle || null,
+      model: persona.model || null,
+      temperature: Number.isFinite(persona.temperature) ? persona.temperature : 0.6,
+      submitAt: Math.min(1, Math.max(0, Number.isFinite(persona.submitAt) ? persona.submitAt : 0.5)),
+      submitEvery: Math.max(1, Math.floor(persona.submitEvery) || 1),
+    });
+  }));
+}
+
+// The personas, in configuration order.
+const PERSONAS = validatePersonas(constants.BOT_PERSONAS);
+const PERSONA_IDS = new Set(PERSONAS.map(persona => persona.id));
+
+/**
+ * Returns whether an ID is one of the bot personas'.
+ * @param {string} id - A submitter or voter ID.
+ * @returns {boolean}
+ */
+function isBotId(id) {
+  return PERSONA_IDS.has(id);
+}
+
+// ============================================================================
+// --- ROOM STATE ---
+// ============================================================================
+
+/**
+ * Returns a persona's state in a room, creating it if needed.
+ * @param {object} room - The room state.
+ * @param {string} personaId - The persona ID.
+ * @returns {object} `{ queue, task, hasSubmitted, restRounds, replanCooldown }`.
+ */
+function personaState(room, personaId) {
+  if (!room.bots[personaId]) {
+    room.bots[personaId] = { queue: [], task: null, hasSubmitted: false, restRounds: 0, replanCooldown: 0 };
+  }
+  return room.bots[personaId];
+}
+
+/**
+ * @summary Drops the plans of a room's personas and gives them a new task.
+ * @param {object} room - The room state.
+ * @param {string|null} task - What the personas must generate next.
+ * @param {string} [exceptId] - A persona whose plan is kept, e.g. the one that just won.
+ * @returns {Array<object>} The personas whose plans were reset.
+ */
+function resetBotPlans(room, task, exceptId = null) {
+  const reset = PERSONAS.filter(persona => persona.id !== exceptId);
+  reset.forEach(persona => {
+    const state = personaState(room, persona.id);
+    state.queue = [];
+    state.task = task;
+  });
+  return reset;
+}
+
+/**
+ * @summary Marks the plans of a room's personas stale, keeping their queues to be re-planned.
+ * @description Each queue is replaced by a copy, so a persona still running when its plan
+ * goes stale sees its result dropped (see `triggerBot` in game-engine.js).
+ * @param {object} room - The room state.
+ * @param {string} task - The engine's re-plan task.
+ * @param {string} [exceptId] - A persona whose plan is still good, e.g. the one that just won.
+ * @returns {Array<object>} The personas whose plans went stale.
+ */
+function markPlansStale(room, task, exceptId = null) {
+  const stale = PERSONAS.filter(persona => persona.id !== exceptId);
+  stale.forEach(persona => {
+    const state = personaState(room, persona.id);
+    state.queue = [...state.queue];
+    state.task = task;
+  });
+  return stale;
+}
+
+/**
+ * Empties the queues of all personas in a room, leaving their tasks as they are.
+ * @param {object} room - The room state.
+ */
+function clearBotQueues(room) {
+  PERSONAS.forEach(persona => { personaState(room, persona.id).queue = []; });
+}
+
+/**
+ * Returns whether no active persona of a room has anything left to submit or to write.
+ * @param {object} room - The room state.
+ * @returns {boolean}
+ */
+function botsAreIdle(room) {
+  return activePersonas(room).every(persona => {
+    const state = personaState(room, persona.id);
+    return state.queue.length === 0 && state.task === null;
+  });
+}
+
+/**
+ * @summary Starts a new round for a room's personas.
+ * @description A persona that submitted in the round that just ended sits out the next
+ * `submitEvery - 1` rounds. Re-plan cooldowns count down by one round.
+ * @param {object} room - The room state.
+ */
+function startBotRound(room) {
+  PERSONAS.forEach(persona => {
+    const state = personaState(room, persona.id);
+    if (state.hasSubmitted) state.restRounds = persona.submitEvery - 1;
+    else if (state.restRounds > 0) state.restRounds -= 1;
+    if (state.replanCooldown > 0) state.replanCooldown -= 1;
+    state.hasSubmitted = false;
+  });
+}
+
+// ============================================================================
+// --- STATS & RETIREMENT ---
+// ============================================================================
+
+/**
+ * @summary Counts a finished round in the personas' stats.
+ * @description A persona takes part in a round when it has a candidate in it, and wins it
+ * when its candidate is the winner of a round that added a word to the story.
+ * @param {object} stats - The stats, by persona ID. Updated in place.
+ * @param {object} roundDoc - The round record (see the engine's round audit log).
+ * @returns {object} The stats.
+ */
+function tallyRound(stats, roundDoc) {
+  // 'won' is ROUND_OUTCOMES.WON (see game-engine.js).
+  const winningKey = roundDoc.reason === 'won' && roundDoc.winner ? roundDoc.winner.compositeKey : null;
+  const counted = new Set();
+  roundDoc.candidates.forEach(({ submitterId, compositeKey }) => {
+    if (!isBotId(submitterId)) return;
+    const stat = stats[submitterId] || (stats[submitterId] = { rounds: 0, wins: 0 });
+    if (!counted.has(submitterId)) stat.rounds += 1;
+    counted.add(submitterId);
+    if (compositeKey === winningKey) stat.wins += 1;
+  });
+  return stats;
+}
+
+/**
+ * Returns a persona's win rate, or null before its first round.
+ * @param {object} [stat] - `{ rounds, wins }`.
+ * @returns {number|null}
+ */
+function winRate(stat) {
+  return stat && stat.rounds > 0 ? stat.wins / stat.rounds : null;
+}
+
+/**
+ * @summary Returns the IDs of the retired personas, given a room's stats.
+ * @description When retirement is enabled, a persona retires once it has played enough
+ * rounds with too low a win rate. If every persona would retire, the one with the best win
+ * rate keeps playing.
+ * @param {object} stats - The stats, by persona ID.
+ * @returns {Set<string>}
+ */
+function retiredPersonaIds(stats) {
+  if (!constants.BOT_RETIRE_LOSING_PERSONAS) return new Set();
+  const retired = PERSONAS.filter(persona => {
+    const stat = stats[persona.id];
+    return stat && stat.rounds >= constants.BOT_RETIREMENT_MIN_ROUNDS && winRate(stat) < constants.BOT_RETIREMENT_MIN_WIN_RATE;
+  });
+  if (retired.length === PERSONAS.length) {
+    const best = retired.reduce((a, b) => (winRate(stats[b.id]) > winRate(stats[a.id]) ? b : a));
+    return new Set(retired.filter(persona => persona !== best).map(persona => persona.id));
+  }
+  return new Set(retired.map(persona => persona.id));
+}
+
+/**
+ * Returns the personas that still play in a room.
+ * @param {object} room - The room state.
+ * @returns {Array<object>}
+ */
+function activePersonas(room) {
+  const retired = retiredPersonaIds(room.personaStats || {});
+  return PERSONAS.filter(persona => !retired.has(persona.id));
+}
+
+/**
+ * Describes every persona with its stats in a room, for the stats endpoint.
+ * @param {object} stats - The stats, by persona ID.
+ * @returns {Array<object>}
+ */
+function describePersonas(stats) {
+  const retired = retiredPersonaIds(stats);
+  return PERSONAS.map(persona => {
+    const { rounds = 0, wins = 0 } = stats[persona.id] || {};
+    return {
+      id: persona.id,
+      name: persona.name,
+      writingStyle: persona.writingStyle,
+      model: persona.model,
+      temperature: persona.temperature,
+      submitAt: persona.submitAt,
+      submitEvery: persona.submitEvery,
+      rounds,
+      wins,
+      winRate: winRate({ rounds, wins }),
+      retired: retired.has(persona.id),
+    };
+  });
+}
+
+module.exports = {
+  PERSONAS,
+  validatePersonas,
+  isBotId,
+  personaState,
+  resetBotPlans,
+  markPlansStale,
+  clearBotQueues,
+  botsAreIdle,
+  startBotRound,
+  tallyRound,
+  retiredPersonaIds,
+  activePersonas,
+  describePersonas,
+};
@@ -0,0 +1,345 @@
+/**
+ * ============================================================================
+ * --- Profanity Rules (profanity.js) ---
+ * ============================================================================
+ *
+ * Every piece of text that players will read goes through one checker: submitted
+ * words, usernames, and the bot's words and chapter titles. The checker combines
+ * the stock AllProfanity dictionaries with rules kept in the `profanityRules`
+ * collection, which moderators edit at runtime from the admin console.
+ * The English dictionary always applies; a story in another language adds its own
+ * (see `LANGUAGES` in constants.js).
+ *
+ * Responsibilities:
+ * - Normalize text against common evasions: leetspeak (`sh1t`), repeated letters
+ *   (`shiiit`), separators (`s.h.i.t`), accents and look-alike letters from other
+ *   alphabets (a Cyrillic `а` for a Latin `a`, an Armenian `ս` for a `u`), following
+ *   the Unicode confusables. Words without Latin letters are only stripped of
+ *   separators, so that a Russian or Hindi story is read as written.
+ * - Apply allowlist rules first, then blocklist rules, then the stock dictionaries.
+ * - Log which rule rejected a text, so false positives can be tuned.
+ * - Store the rules and reload them when they change.
+ *
+ * A rule is `{ _id, list, pattern, match, note, addedBy, ts }`:
+ * - `list` is 'block' or 'allow'. An allowed word is never rejected.
+ * - `match` is 'word' (the whole word must match) or 'contains' (anywhere in it,
+ *   e.g. inside a username). Allow rules always match whole words.
+ *
+ * The English dictionary rejects some words that ordinary prose needs ("the opposite
+ * sex", "an ass and its foal", "a blue tit"). These are allowed by default (see
+ * `DEFAULT_ALLOWED_WORDS`), unless a moderator adds a block rule for one of them.
+ */
+
+const { ObjectId } = require('mongodb');
+const logger = require('./logger');
+const constants = require('./constants');
+
+// Importing AllProfanity builds its default filter, which prints a line to the console as it
+// loads its dictionaries. That filter is never used (see `createStockFilter`).
+const { AllProfanity } = require('allprofanity');
+
+const RULE_LISTS = Object.freeze({ BLOCK: 'block', ALLOW: 'allow' });
+const RULE_MATCHES = Object.freeze({ WORD: 'word', CONTAINS: 'contains' });
+
+// Words of the English dictionary with a common innocent meaning, allowed as whole words.
+// A block rule for one of them takes it off this list.
+const DEFAULT_ALLOWED_WORDS = Object.freeze(['sex', 'ass', 'cock', 'dick', 'tit', 'butt', 'suck', 'snatch']);
+
+// Digits and symbols that stand in for letters.
+const LEET_MAP = {
+  '0': 'o', '1': 'i', '2': 'z', '3': 'e', '4': 'a', '5': 's', '6': 'g', '7': 't', '8': 'b', '9': 'g',
+  '@': 'a', '$': 's', '!': 'i', '|': 'i', '+': 't', '€': 'e', '£': 'l', '¢': 'c',
+};
+
+// Punctuation around a word, removed before leetspeak is read ('zorp!' is not 'zorpi').
+const LEADING_PUNCTUATION = /^[("'“‘\[]+/u;
+const TRAILING_PUNCTUATION = /[.,!?;:'"”’)\]]+$/u;
+
+// Letters of other alphabets that look like Latin ones, after the Unicode confusables
+// (https://www.unicode.org/Public/security/latest/confusables.txt). Capitals are listed
+// apart, since some only look Latin in one case (a Greek `Η` is an H, its `η` an n).
+// Accents are removed separately.
+const HOMOGLYPH_MAP = {
+  // Cyrillic
+  'а': 'a', 'в': 'b', 'г': 'r', 'ԁ': 'd', 'е': 'e', 'ё': 'e', 'є': 'e', 'ҽ': 'e', 'һ': 'h', 'і': 'i',
+  'ї': 'i', 'ӏ': 'l', 'ј': 'j', 'к': 'k', 'м': 'm', 'п': 'n', 'о': 'o', 'ө': 'o', 'ѳ': 'o', 'р': 'p', 'ԛ': 'q',
+  'с': 'c', 'ѕ': 's', 'т': 't', 'у': 'y', 'ү': 'y', 'ѵ': 'v', 'ԝ': 'w', 'ѡ': 'w', 'х': 'x', 'ҳ': 'x',
+  'ӽ': 'x', 'ь': 'b', 'ԍ': 'g', 'н': 'h',
+  'А': 'a', 'В': 'b', 'С': 'c', 'Ԁ': 'd', 'Е': 'e', 'Ё': 'e', 'Ԍ': 'g', 'Н': 'h', 'І': 'i', 'Ї': 'i', 'Ӏ': 'l',
+  'Ј': 'j', 'К': 'k', 'М': 'm', 'О': 'o', 'Р': 'p', 'Ԛ': 'q', 'Ѕ': 's', 'Т': 't', 'Ѵ': 'v', 'Ԝ': 'w', 'Х': 'x',
+  'У': 'y', 'Ү': 'y', 'Ь': 'b',
+  // Greek
+  'α': 'a', 'β': 'b', 'γ': 'y', 'ε': 'e', 'η': 'n', 'ι': 'i', 'ϳ': 'j', 'κ': 'k', 'ν': 'v', 'ο': 'o', 'ρ': 'p',
+  'ϱ': 'p', 'ϲ': 'c', 'τ': 't', 'υ': 'u', 'χ': 'x', 'ω': 'w',
+  'Α': 'a', 'Β': 'b', 'Ϲ': 'c', 'Ε': 'e', 'Ζ': 'z', 'Η': 'h', 'Ι': 'i', 'Ϳ': 'j', 'Κ': 'k', 'Μ': 'm', 'Ν': 'n',
+  'Ο': 'o', 'Ρ': 'p', 'Τ': 't', 'Υ': 'y', 'Χ': 'x',
+  // Armenian
+  'ա': 'w', 'գ': 'q', 'զ': 'q', 'հ': 'h', 'ո': 'n', 'ռ': 'n', 'ս': 'u', 'ց': 'g', 'օ': 'o',
+  'Լ': 'l', 'Ս': 'u', 'Տ': 's', 'Օ': 'o',
+  // Latin look-alikes, and small capitals
+  'ı': 'i', 'ɩ': 'i', 'ł': 'l', 'ø': 'o', 'đ': 'd', 'ħ': 'h', 'ɡ': 'g', 'ɑ': 'a', 'ß': 'ss',
+  'ᴀ': 'a', 'ʙ': 'b', 'ᴄ': 'c', 'ᴅ': 'd', 'ᴇ': 'e', 'ɢ': 'g', 'ʜ': 'h', 'ɪ': 'i', 'ᴊ': 'j', 'ᴋ': 'k', 'ʟ': 'l',
+  'ᴍ': 'm', 'ɴ': 'n', 'ᴏ': 'o', 'ᴘ': 'p', 'ʀ': 'r', 'ꜱ': 's', 'ᴛ': 't', 'ᴜ': 'u', 'ᴠ': 'v', 'ᴡ': 'w', 'ʏ': 'y',
+  'ᴢ': 'z',
+};
+
+// ============================================================================
+// --- NORMALIZATION ---
+// ============================================================================
+
+/**
+ * @summary Reduces a word to the letters it is meant to be read as.
+ * @description Full-width and other compatibility forms are folded (NFKC) and everything
+ * that is not a letter (separators, punctuation) is dropped. In a word with Latin letters,
+ * accents are also removed, and look-alike letters and leetspeak are mapped to Latin letters.
+ * @param {string} word - One word.
+ * @returns {string} The normalized word, in lower case.
+ */
+function normalizeWord(word) {
+  const folded = word.normalize('NFKC')
+    .replace(TRAILING_PUNCTUATION, '').replace(LEADING_PUNCTUATION, '');
+  // Other scripts keep their marks (Devanagari vowel signs, for instance) and are not remapped.
+  // A word without letters is a number or punctuation, not leetspeak ('455' is not 'ass').
+  if (!/\p{Script=Latin}/u.test(folded)) return folded.toLowerCase().replace(/[^\p{L}\p{M}]/gu, '');
+
+  // Look-alike letters are mapped before lower-casing, as their capitals may differ.
+  let mapped = '';
+  for (const char of folded.normalize('NFD').replace(/\p{M}/gu, '')) {
+    mapped += HOMOGLYPH_MAP[char] || LEET_MAP[char] || char.toLowerCase();
+  }
+  return mapped.replace(/[^\p{L}]/gu, '');
+}
+
+/**
+ * Collapses every run of a repeated letter to one letter ('shiiit' -> 'shit').
+ * @param {string} word - A normalized word.
+ * @returns {string}
+ */
+function squeeze(word) {
+  return word.replace(/(\p{L})\1+/gu, '$1');
+}
+
+/**
+ * @summary Builds the regular expression of a rule.
+ * @description Each letter of the normalized pattern may be repeated, so 'ass' matches
+ * 'aasss' but not 'as'.
+ * @param {string} normalized - The rule's normalized pattern.
+ * @param {string} match - One of RULE_MATCHES.
+ * @returns {RegExp}
+ */
+function compileRule(normalized, match) {
+  const body = [...normalized].map(char => `${char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}+`).join('');
+  return new RegExp(match === RULE_MATCHES.CONTAINS ? body : `^${body}$`, 'u');
+}
+
+// ============================================================================
+// --- RULE STORE ---
+// ============================================================================
+
+/**
+ * @summary Creates the rule store in MongoDB.
+ * @param {Collection} rulesCollection - The MongoDB profanityRules collection.
+ * @returns {object} The rule store: `list()`, `insert(rule)` and `remove(ruleId)`, all async.
+ */
+function createMongoRuleStore(rulesCollection) {
+  return {
+    list: () => rulesCollection.find({}).sort({ ts: -1 }).toArray(),
+
+    async insert(rule) {
+      const result = await rulesCollection.insertOne(rule);
+      return { ...rule, _id: result.insertedId };
+    },
+
+    async remove(ruleId) {
+      if (!ObjectId.isValid(ruleId)) return false;
+      const result = await rulesCollection.deleteOne({ _id: new ObjectId(ruleId) });
+      return result.deletedCount > 0;
+    },
+  };
+}
+
+// ============================================================================
+// --- CHECKER ---
+// ============================================================================
+
+// AllProfanity reports each dictionary it loads; that is only worth a debug line.
+const filterLogger = {
+  info: (message) => logger.debug(`[profanity] ${message}`),
+  warn: (message) => logger.warn(`[profanity] ${message}`),
+  error: (message) => logger.error(`[profanity] ${message}`),
+};
+
+/**
+ * @summary Creates a stock filter with the English dictionary and, optionally, one more.
+ * @description AllProfanity always loads its English and Hindi dictionaries. The filter is
+ * emptied and given only the dictionaries of `constants.LANGUAGES`, so that an English
+ * story is not checked against Hindi words.
+ * @param {string|null} dictionary - The name of an AllProfanity dictionary, e.g. 'french'.
+ * @returns {AllProfanity}
+ */
+function createStockFilter(dictionary) {
+  const filter = new AllProfanity({ logger: filterLogger });
+  filter.clearList();
+  filter.loadLanguages(['english', ...(dictionary ? [dictionary] : [])]);
+  return filter;
+}
+
+/**
+ * @summary Creates the profanity checker.
+ * @param {object} deps
+ * @param {object} deps.store - The rule store.
+ * @param {Function} [deps.createFilter] - Creates the stock filter for a dictionary name.
+ * @returns {object} The checker.
+ */
+function createProfanityChecker({ store, createFilter = createStockFilter }) {
+  let allowed = new Set(); // Normalized words that are never rejected.
+  let blockRules = [];     // { rule, regex }
+  const filters = new Map(); // The stock filters, by dictionary name, created when first needed.
+
+  /**
+   * Returns the stock filter for a story language.
+   * @param {string} [language] - A key of constants.LANGUAGES.
+   * @returns {AllProfanity}
+   */
+  function filterFor(language) {
+    const dictionary = (constants.LANGUAGES[language] || {}).dictionary || null;
+    if (!filters.has(dictionary)) filters.set(dictionary, createFilter(dictionary));
+    return filters.get(dictionary);
+  }
+
+  /**
+   * Reads the rules from the store and replaces the ones in use.
+   * @returns {Promise<number>} How many rules are in use.
+   */
+  async function reload() {
+    const rules = await store.list();
+    const blockedWords = new Set(rules.filter(rule => rule.list !== RULE_LISTS.ALLOW).map(rule => normalizeWord(rule.pattern)));
+    const nextAllowed = new Set(DEFAULT_ALLOWED_WORDS.filter(word => !blockedWords.has(word)));
+    const nextBlockRules = [];
+    for (const rule of rules) {
+      const normalized = normalizeWord(rule.pattern);
+      if (!normalized) continue;
+      if (rule.list === RULE_LISTS.ALLOW) {
+        nextAllowed.add(normalized);
+      } else {
+        nextBlockRules.push({ rule, regex: compileRule(normalized, rule.match) });
+      }
+    }
+    allowed = nextAllowed;
+    blockRules = nextBlockRules;
+    logger.info({ allowed: allowed.size, blocked: blockRules.length }, '[profanity] Rules loaded');
+    return rules.length;
+  }
+
+  /**
+   * Returns whether an allow rule covers a normalized word.
+   * @param {string} normalized - A normalized word.
+   * @returns {boolean}
+   */
+  function isAllowed(normalized) {
+    return allowed.has(normalized) || allowed.has(squeeze(normalized));
+  }
+
+  /**
+   * Finds the rule that rejects one word, if any.
+   * @param {string} word - One word, as written.
+   * @param {AllProfanity} filter - The stock filter of the story language.
+   * @returns {object|null} A description of the rule.
+   */
+  function findRule(word, filter) {
+    const normalized = normalizeWord(word);
+    if (!normalized || isAllowed(normalized)) return null;
+
+    const blocked = blockRules.find(({ regex }) => regex.test(normalized));
+    if (blocked) {
+      const { _id, pattern, match } = blocked.rule;
+      return { source: 'custom', id: String(_id), pattern, match };
+    }
+
+    // The stock dictionaries know some leetspeak, but not the other evasions. A letter
+    // repeated three times is rare in real words, so the squeezed form is only tried then.
+    const forms = [word, normalized];
+    if (/(\p{L})\1\1/u.test(normalized)) forms.push(squeeze(normalized));
+    for (const form of forms) {
+      const { detectedWords } = filter.detect(form);
+      if (detectedWords.length > 0) return { source: 'dictionary', pattern: detectedWords[0].toLowerCase(), form };
+    }
+    return null;
+  }
+
+  /**
+   * @summary Checks a text (a word, a username, a title) against every rule.
+   * @description Each word is checked on its own, and so is each part of a word joined
+   * with underscores ('big_fuck_guy', as in a username). Then the whole text, with its
+   * spaces and separators removed, is checked against the 'contains' rules, leaving out
+   * the allowed words.
+   * @param {string} text - The text.
+   * @param {object} [options]
+   * @param {string} [options.source='unknown'] - What the text is, for the logs (e.g. 'submission', 'username').
+   * @param {string} [options.language] - The story language, which chooses the stock dictionary.
+   * @returns {{ok: boolean, rule?: object}} `rule` describes the rule that rejected the text.
+   */
+  function check(text, { source = 'unknown', language = constants.STORY_LANGUAGE } = {}) {
+    if (typeof text !== 'string') return { ok: true };
+    const filter = filterFor(language);
+
+    let rule = null;
+    const words = text.split(/\s+/).filter(Boolean)
+      .flatMap(word => word.includes('_') ? [word, ...word.split('_').filter(Boolean)] : [word]);
+    for (const word of words) {
+      rule = findRule(word, filter);
+      if (rule) break;
+    }
+    if (!rule) {
+      const whole = text.split(/\s+/).map(normalizeWord).filter(word => word && !isAllowed(word)).join('');
+      const blocked = blockRules.find(({ rule: r, regex }) => r.match === RULE_MATCHES.CONTAINS && regex.test(whole));
+      if (blocked) rule = { source: 'custom', id: String(blocked.rule._id), pattern: blocked.rule.pattern, match: blocked.rule.match };
+    }
+
+    if (!rule) return { ok: true };
+    // The rule is enough to tune false positives: the text, and the form of it that a
+    // dictionary matched, are user content and only logged at debug level.
+    const { form, ...matched } = rule;
+    logger.info({ source, language, rule: matched }, '[profanity] Text rejected');
+    logger.debug({ source, text, form }, '[profanity] Rejected text');
+    return { ok: false, rule };
+  }
+
+  /**
+   * Adds a rule and starts using it.
+   * @param {object} rule - `{ list, pattern, match, note, addedBy }`.
+   * @returns {Promise<object>} The stored rule.
+   */
+  async function addRule({ list, pattern, match = RULE_MATCHES.WORD, note = null, addedBy = null }) {
+    if (!Object.values(RULE_LISTS).includes(list)) throw new Error(`Unknown list '${list}'.`);
+    if (!Object.values(RULE_MATCHES).includes(match)) throw new Error(`Unknown match '${match}'.`);
+    if (!normalizeWord(pattern || '')) throw new Error('The pattern has no letters.');
+    const stored = await store.insert({
+      list, pattern: pattern.trim(), match: list === RULE_LISTS.ALLOW ? RULE_MATCHES.WORD : match,
+      note, addedBy, ts: Date.now(),
+    });
+    await reload();
+    return stored;
+  }
+
+  /**
+   * Removes a rule and stops using it.
+   * @param {string} ruleId - The rule's ID.
+   * @returns {Promise<boolean>} Whether the rule existed.
+   */
+  async function removeRule(ruleId) {
+    const removed = await store.remove(ruleId);
+    if (removed) await reload();
+    return removed;
+  }
+
+  return { check, reload, addRule, removeRule, listRules: () => store.list() };
+}
+
+module.exports = {
+  RULE_LISTS,
+  RULE_MATCHES,
+  normalizeWord,
+  createMongoRuleStore,
+  createProfanityChecker,
+};
@@ -0,0 +1,219 @@
+/**
+ * ============================================================================
+ * --- Prompt Templates (prompt-templates.js) ---
+ * ============================================================================
+ *
+ * The bot's prompts are named, versioned templates, stored as text files under
+ * `prompts/<name>/<version>.txt` (e.g. `prompts/continuation/v2.txt`), so a prompt can
+ * change without touching the code, and two versions can run side by side.
+ *
+ * A template holds `{{variable}}` placeholders, filled in by `renderPrompt`. Each
+ * rendered prompt is identified by its template ID, `<name>@<version>` (e.g.
+ * 'title@v1'). The bot stores that ID on every word it plans (`promptTemplate`), and
+ * the engine keeps it on the candidates of the round audit log and on the winning
+ * words; a sealed chapter stores the IDs of the templates behind its image
+ * (`imagePromptTemplates`: the scene and image templates, see bots.js).
+ *
+ * Which version renders a prompt is set by `constants.PROMPT_TEMPLATE_VERSIONS`: a
+ * template left out uses its latest version, and a template given several weighted
+ * versions picks one at random in proportion to their weights, for A/B tests.
+ *
+ * Responsibilities:
+ * - Load and validate the templates, and the configured versions.
+ * - Pick a version and interpolate a template's variables.
+ * - Describe each template version's record (bot win rate, chapter length, image
+ *   regenerations) for the stats endpoint.
+ *
+ * The templates are read once, when the module is loaded.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const constants = require('./constants');
+
+// The directory of the template files.
+const TEMPLATES_DIR = path.join(__dirname, 'prompts');
+
+// The templates the bot uses, and what each one writes.
+const TEMPLATE_NAMES = Object.freeze([
+  'title',        // A chapter title, for the title round.
+  'chapter',      // A whole chapter, from its title.
+  'continuation', // The rest of a chapter in progress.
+  'bridge',       // The end of a sentence, when a persona re-plans around another word.
+  'review',       // The critic's ratings of the players' candidates.
+  'scene',        // The scene description of a chapter's image.
+  'image',        // The image prompt, from the scene description.
+]);
+
+const PLACEHOLDER_REGEX = /\{\{\s*(\w+)\s*\}\}/g;
+
+// ============================================================================
+// --- LOADING ---
+// ============================================================================
+
+/**
+ * Returns the number of a version name, to sort versions: 'v12' is 12.
+ * @param {string} version - A version name.
+ * @returns {number}
+ */
+function versionNumber(version) {
+  const match = /(\d+)$/.exec(version);
+  return match ? Number(match[1]) : 0;
+}
+
+/**
+ * @summary Reads every version of every template from a directory.
+ * @param {string} [directory] - The templates directory.
+ * @returns {object} The template texts, as `{ [name]: { [version]: text } }`.
+ * @throws {Error} If a template has no version.
+ */
+function loadTemplates(directory = TEMPLATES_DIR) {
+  const templates = {};
+  TEMPLATE_NAMES.forEach(name => {
+    const templateDir = path.join(directory, name);
+    const files = fs.existsSync(templateDir) ? fs.readdirSync(templateDir).filter(file => file.endsWith('.txt')) : [];
+    if (files.length === 0) throw new Error(`Prompt template '${name}' has no version in ${templateDir}.`);
+    templates[name] = Object.fromEntries(files.map(file => [
+      path.basename(file, '.txt'),
+      fs.readFileSync(path.join(templateDir, file), 'utf8').trim(),
+    ]));
+  });
+  return templates;
+}
+
+/**
+ * @summary Validates the configured template versions against the loaded templates.
+ * @param {object} templates - The loaded templates (see `loadTemplates`).
+ * @param {object} versions - `{ [name]: { [version]: weight } }`, as configured.
+ * @returns {object} The version weights of every template, as `{ [name]: [[version, weight]] }`.
+ * @throws {Error} If a configuration names an unknown template or version, or gives no positive weight.
+ */
+function validateVersions(templates, versions = {}) {
+  Object.keys(versions).forEach(name => {
+    if (!templates[name]) throw new Error(`Unknown prompt template: ${name}`);
+  });
+  return Object.fromEntries(TEMPLATE_NAMES.map(name => {
+    const configured = versions[name];
+    if (!configured) {
+      const latest = Object.keys(templates[name]).sort((a, b) => versionNumber(b) - versionNumber(a))[0];
+      return [name, [[latest, 1]]];
+    }
+    const weights = Object.entries(configured).filter(([, weight]) => weight > 0);
+    weights.forEach(([version]) => {
+      if (templates[name][version] === undefined) throw new Error(`Unknown version of prompt template ${name}: ${version}`);
+    });
+    if (weights.length === 0) throw new Error(`Prompt template ${name} has no version with a positive weight.`);
+    return [name, weights];
+  }));
+}
+
+const TEMPLATES = loadTemplates();
+const VERSION_WEIGHTS = validateVersions(TEMPLATES, constants.PROMPT_TEMPLATE_VERSIONS);
+
+// ============================================================================
+// --- RENDERING ---
+// ============================================================================
+
+/**
+ * Builds a template ID, e.g. 'title@v1'.
+ * @param {string} name - The template name.
+ * @param {string} version - The version name.
+ * @returns {string}
+ */
+function templateId(name, version) {
+  return `${name}@${version}`;
+}
+
+/**
+ * Picks the version of a template that renders the next prompt.
+ * @param {string} name - The template name.
+ * @param {Function} [random] - Returns numbers in [0, 1).
+ * @returns {string} The version name.
+ */
+function pickVersion(name, random = Math.random) {
+  const weights = VERSION_WEIGHTS[name];
+  const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+  let point = random() * total;
+  for (const [version, weight] of weights) {
+    point -= weight;
+    if (point < 0) return version;
+  }
+  return weights[weights.length - 1][0];
+}
+
+/**
+ * @summary Renders a prompt from a template.
+ * @param {string} name - The template name (one of TEMPLATE_NAMES).
+ * @param {object} variables - The values of the template's placeholders.
+ * @param {object} [options]
+ * @param {string} [options.version] - A version to use instead of the configured ones.
+ * @returns {{prompt: string, templateId: string}} The prompt, and the ID of the template that rendered it.
+ * @throws {Error} If the template or version is unknown, or a placeholder has no value.
+ */
+function renderPrompt(name, variables, { version } = {}) {
+  if (!TEMPLATES[name]) throw new Error(`Unknown prompt template: ${name}`);
+  const chosenVersion = version || pickVersion(name);
+  const text = TEMPLATES[name][chosenVersion];
+  if (text === undefined) throw new Error(`Unknown version of prompt template ${name}: ${chosenVersion}`);
+
+  const id = templateId(name, chosenVersion);
+  const prompt = text.replace(PLACEHOLDER_REGEX, (_match, variable) => {
+    if (variables[variable] === undefined || variables[variable] === null) {
+      throw new Error(`Prompt template ${id} needs a value for '${variable}'.`);
+    }
+    return String(variables[variable]);
+  });
+  return { prompt, templateId: id };
+}
+
+// ============================================================================
+// --- STATS ---
+// ============================================================================
+
+/**
+ * @summary Describes the record of every template version, for the stats endpoint.
+ * @description The raw figures come from `findPromptStats` (see persistence.js):
+ * - `candidates` / `wins`: the bot candidates the version wrote, and how many of them won their round.
+ * - `chapters` / `chapterWords`: the sealed chapters holding a winning word it wrote, and their total length.
+ * - `images` / `imageRegenerations`: the chapter images its prompts painted, and how many were regenerated.
+ * Every loaded version is listed, with its current weight, even before its first use.
+ * @param {object} stats - The raw figures, by template ID.
+ * @returns {Array<object>} One row per template version, sorted by ID.
+ */
+function describePromptStats(stats) {
+  const ids = new Set(Object.keys(stats));
+  TEMPLATE_NAMES.forEach(name => Object.keys(TEMPLATES[name]).forEach(version => ids.add(templateId(name, version))));
+
+  return [...ids].sort().map(id => {
+    const {
+      candidates = 0, wins = 0, chapters = 0, chapterWords = 0, images = 0, imageRegenerations = 0,
+    } = stats[id] || {};
+    const [name, version] = id.split('@');
+    const weights = VERSION_WEIGHTS[name] || [];
+    const total = weights.reduce((sum, [, weight]) => sum + weight, 0);
+    const weight = (weights.find(([v]) => v === version) || [])[1] || 0;
+    return {
+      id,
+      name,
+      version,
+      share: total > 0 ? weight / total : 0,
+      candidates,
+      wins,
+      winRate: candidates > 0 ? wins / candidates : null,
+      chapters,
+      averageChapterWords: chapters > 0 ? chapterWords / chapters : null,
+      images,
+      imageRegenerations,
+      imageRegenerationRate: images > 0 ? imageRegenerations / images : null,
+    };
+  });
+}
+
+module.exports = {
+  TEMPLATE_NAMES,
+  loadTemplates,
+  validateVersions,
+  templateId,
+  renderPrompt,
+  describePromptStats,
+};
@@ -0,0 +1,463 @@
+/**
+ * admin-ui.js
+ * -----------
+ * Handles all DOM logic for the admin console: shows each room's live state and
+ * sends admin actions to the /admin/api routes. Players see the results through
+ * their usual socket events; the console simply refreshes itself.
+ * Open player reports are listed with the actions that resolve them.
+ * The profanity rules can be listed, added and removed.
+ * The players panel (bans and roles) is only shown to those allowed to use it.
+ */
+
+const REFRESH_INTERVAL_MS = 5000;
+const ROLES = ['admin', 'moderator', 'trusted'];
+
+const roomsContainer = document.getElementById('adminRooms');
+const logList = document.getElementById('adminLog');
+const reportsContainer = document.getElementById('adminReports');
+const feedbackMessage = document.getElementById('feedbackMessage');
+const playersSection = document.getElementById('adminPlayers');
+const playerLookup = document.getElementById('playerLookup');
+const playerLookupInput = document.getElementById('playerLookupInput');
+const playerDetails = document.getElementById('playerDetails');
+const rulesList = document.getElementById('adminRules');
+const ruleForm = document.getElementById('ruleForm');
+const ruleList = document.getElementById('ruleList');
+const rulePattern = document.getElementById('rulePattern');
+const ruleMatch = document.getElementById('ruleMatch');
+const ruleNote = document.getElementById('ruleNote');
+let feedbackTimeout;
+let permissions = [];
+
+// ============================================================================
+// --- API ---
+// ============================================================================
+
+/**
+ * Calls an admin API route and shows its error, if any.
+ * Changes are always sent as JSON, even without a body: the API refuses anything else.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path under /admin/api.
+ * @param {Object} [body] - The JSON body.
+ * @returns {Promise<Object|null>} The response body, or null on failure.
+ */
+async function callApi(method, path, body) {
+  const isChange = method !== 'GET';
+  try {
+    const response = await fetch(`/admin/api${path}`, {
+      method,
+      headers: isChange ? { 'Content-Type': 'application/json' } : {},
+      body: isChange ? JSON.stringify(body || {}) : undefined,
+    });
+    const result = await response.json();
+    if (!response.ok) {
+      showFeedback(result.error || 'The action failed.');
+      return null;
+    }
+    return result;
+  } catch (error) {
+    console.error('Admin API call failed:', error);
+    showFeedback('Could not reach the server.');
+    return null;
+  }
+}
+
+/**
+ * Runs an admin action, then refreshes the console.
+ * @param {string} method - The HTTP method.
+ * @param {string} path - The path under /admin/api.
+ * @param {Object} [body] - The JSON body.
+ */
+async function act(method, path, body) {
+  const result = await callApi(method, path, body);
+  if (result) showFeedback('Done.', 'info');
+  await refresh();
+}
+
+// ============================================================================
+// --- RENDERING ---
+// ============================================================================
+
+/**
+ * Shows a short message at the top of the page.
+ * @param {string} message - The message.
+ * @param {string} [type='error'] - 'info' or 'error'.
+ */
+function showFeedback(message, type = 'error') {
+  feedbackMessage.textContent = message;
+  feedbackMessage.className = `feedback-message feedback-${type} visible`;
+  clearTimeout(feedbackTimeout);
+  feedbackTimeout = setTimeout(() => feedbackMessage.classList.remove('visible'), 3000);
+}
+
+/**
+ * Creates a button that runs an action when clicked.
+ * @param {string} label - The button text.
+ * @param {Function} onClick - The action.
+ * @param {string} [confirmText] - A question to confirm before acting.
+ * @returns {HTMLButtonElement}
+ */
+function actionButton(label, onClick, confirmText) {
+  const button = document.createElement('button');
+  button.className = 'admin-btn';
+  button.textContent = label;
+  button.addEventListener('click', () => {
+    if (confirmText && !window.confirm(confirmText)) return;
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Creates a list with one row per item, each ending with a "Remove" button.
+ * @param {Array<Object>} items - The items.
+ * @param {Function} describe - Returns an item's text.
+ * @param {Function} remove - Removes an item.
+ * @param {string} emptyText - What to show when there are no items.
+ * @returns {HTMLUListElement}
+ */
+function removableList(items, describe, remove, emptyText) {
+  const list = document.createElement('ul');
+  list.className = 'admin-list';
+  if (items.length === 0) {
+    const placeholder = document.createElement('li');
+    placeholder.className = 'placeholder';
+    placeholder.textContent = emptyText;
+    list.appendChild(placeholder);
+  }
+  items.forEach(item => {
+    const row = document.createElement('li');
+    const text = document.createElement('span');
+    text.textContent = describe(item);
+    row.appendChild(text);
+    row.appendChild(actionButton('Remove', () => remove(item), `Remove "${item.word}"?`));
+    list.appendChild(row);
+  });
+  return list;
+}
+
+/**
+ * Renders one room's state and controls.
+ * @param {Object} room - The room status from GET /admin/api/rooms.
+ * @returns {HTMLElement}
+ */
+function renderRoom(room) {
+  const base = `/rooms/${encodeURIComponent(room.id)}`;
+  const card = document.createElement('article');
+  card.className = 'admin-room';
+
+  const heading = document.createElement('h3');
+  heading.textContent = room.name;
+  card.appendChild(heading);
+
+  if (room.unavailable) {
+    card.appendChild(document.createTextNode('The game loop did not answer. Retrying...'));
+    return card;
+  }
+
+  // --- Status ---
+  const status = document.createElement('p');
+  const seal = room.mustSeal ? 'sealing at the round end' : room.skipNextSeal ? 'next seal skipped' : `by ${room.sealPolicy}`;
+  const { policy, ...progress } = room.sealProgress || {};
+  const nextSeal = policy === 'schedule'
+    ? `Next scheduled seal: ${room.nextSealTimestamp ? new Date(room.nextSealTimestamp).toLocaleString() : 'unknown'}`
+    : `Progress: ${Object.entries(progress).map(([key, value]) => `${key} ${value}`).join(', ')}`;
+  status.textContent = `Phase: ${room.phase}${room.isPaused ? ' (paused)' : ''} · Seal: ${seal} · ${nextSeal}`;
+  card.appendChild(status);
+
+  // --- Round and seal controls ---
+  const controls = document.createElement('div');
+  controls.className = 'admin-controls';
+  controls.appendChild(room.isPaused
+    ? actionButton('Resume rounds', () => act('POST', `${base}/resume`))
+    : actionButton('Pause rounds', () => act('POST', `${base}/pause`), 'Pause this room?'));
+  controls.appendChild(actionButton('Seal at round end', () => act('POST', `${base}/seal/force`), 'Seal the chapter at the end of this round?'));
+  controls.appendChild(actionButton('Skip next seal', () => act('POST', `${base}/seal/skip`), 'Skip the next seal?'));
+  card.appendChild(controls);
+
+  // --- Chapter title ---
+  if (room.liveChapter) {
+    const form = document.createElement('form');
+    form.className = 'admin-controls';
+    const input = document.createElement('input');
+    input.value = room.liveChapter.title;
+    input.maxLength = 80;
+    const save = document.createElement('button');
+    save.type = 'submit';
+    save.className = 'admin-btn';
+    save.textContent = 'Rename chapter';
+    form.append(input, save);
+    form.addEventListener('submit', (event) => {
+      event.preventDefault();
+      act('PUT', `${base}/chapter/title`, { title: input.value });
+    });
+    card.appendChild(form);
+  }
+
+  // --- Live candidates ---
+  const candidatesHeading = document.createElement('h4');
+  candidatesHeading.textContent = 'Live candidates';
+  card.appendChild(candidatesHeading);
+  card.appendChild(removableList(
+    room.candidates,
+    c => `${c.word} (by ${c.submitterName}, score ${c.score})`,
+    c => act('DELETE', `${base}/candidates/${encodeURIComponent(c.compositeKey)}`),
+    'No candidates in this round.'
+  ));
+
+  // --- Recent winning words of the live chapter ---
+  const wordsHeading = document.createElement('h4');
+  wordsHeading.textContent = 'Live chapter words (latest first)';
+  card.appendChild(wordsHeading);
+  card.appendChild(removableList(
+    room.recentWords.filter(w => !w.isTitle).reverse(),
+    w => `${w.word} (by ${w.username}, ${new Date(w.ts).toLocaleTimeString()})`,
+    w => act('DELETE', `${base}/words/${w.ts}`),
+    'No words yet.'
+  ));
+
+  return card;
+}
+
+/**
+ * Describes what a report is about.
+ * @param {Object} report - The report from GET /admin/api/reports.
+ * @returns {string}
+ */
+function describeReport({ targetType, roomId, context }) {
+  if (targetType === 'chapter') return `Chapter "${context.chapterTitle}" (${roomId})`;
+  const where = targetType === 'candidate' ? 'live candidate' : context.chapterHash ? `word in sealed chapter "${context.chapterTitle}"` : 'word in the live chapter';
+  return `"${context.word}" by ${context.submitterName}, ${where} (${roomId})`;
+}
+
+/**
+ * Renders one open report, with the form that resolves it.
+ * @param {Object} report - The report from GET /admin/api/reports.
+ * @returns {HTMLElement}
+ */
+function renderReport(report) {
+  const path = `/reports/${encodeURIComponent(report.id)}/resolve`;
+  const card = document.createElement('article');
+  card.className = 'admin-room';
+
+  const heading = document.createElement('h3');
+  heading.textContent = describeReport(report);
+  card.appendChild(heading);
+
+  const status = document.createElement('p');
+  const reasons = Object.entries(report.reasons).map(([reason, count]) => `${reason} ×${count}`).join(', ');
+  status.textContent = `${report.reporterCount} report(s): ${reasons} · since ${new Date(report.createdAt).toLocaleString()}${report.autoHidden ? ' · hidden automatically' : ''}`;
+  card.appendChild(status);
+
+  // --- Resolution ---
+  const form = document.createElement('form');
+  form.className = 'admin-controls';
+  const checkbox = (label, checked) => {
+    const wrapper = document.createElement('label');
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.checked = checked;
+    wrapper.append(input, ` ${label}`);
+    form.appendChild(wrapper);
+    return input;
+  };
+  const hasWord = report.targetType !== 'chapter';
+  const remove = hasWord && !report.context.chapterHash ? checkbox('Remove it', true) : null;
+  const block = hasWord ? checkbox('Block the word', false) : null;
+  let banHours = null;
+  if (hasWord && permissions.includes('ban')) {
+    banHours = document.createElement('input');
+    banHours.type = 'number';
+    banHours.min = '0';
+    banHours.value = '0';
+    banHours.title = 'Ban the author for this many hours (0: no ban)';
+    form.append('Ban hours:', banHours);
+  }
+  const uphold = document.createElement('button');
+  uphold.type = 'submit';
+  uphold.className = 'admin-btn';
+  uphold.textContent = 'Uphold';
+  form.appendChild(uphold);
+  form.appendChild(actionButton('Dismiss', () => resolveReport(path, { resolution: 'dismissed' })));
+  form.addEventListener('submit', (event) => {
+    event.preventDefault();
+    resolveReport(path, {
+      resolution: 'upheld',
+      removeContent: !!(remove && remove.checked),
+      blockWord: !!(block && block.checked),
+      banHours: banHours ? Number(banHours.value) : 0,
+      banReason: 'Reported by players',
+    });
+  });
+  card.appendChild(form);
+  return card;
+}
+
+/**
+ * Resolves a report, shows what was done, then refreshes the console.
+ * @param {string} path - The report's resolve path under /admin/api.
+ * @param {Object} body - The resolution.
+ */
+async function resolveReport(path, body) {
+  const result = await callApi('POST', path, body);
+  if (result) showFeedback(result.actions.length > 0 ? result.actions.join(' ') : 'Done.', 'info');
+  await refresh();
+}
+
+/**
+ * Renders a player's roles and ban, with the controls the admin may use.
+ * @param {Object} player - The player from GET /admin/api/users/:idOrUsername.
+ */
+function renderPlayer(player) {
+  const base = `/users/${encodeURIComponent(player.googleId)}`;
+  const reload = async () => {
+    const updated = await callApi('GET', base);
+    if (updated) renderPlayer(updated);
+  };
+  const card = document.createElement('article');
+  card.className = 'admin-room';
+
+  const heading = document.createElement('h3');
+  heading.textContent = player.username || player.googleId;
+  card.appendChild(heading);
+
+  const status = document.createElement('p');
+  const roles = player.roles.length > 0 ? player.roles.join(', ') : 'none';
+  const ban = player.ban
+    ? `banned until ${new Date(player.ban.until).toLocaleString()}${player.ban.reason ? ` (${player.ban.reason})` : ''}`
+    : 'not banned';
+  status.textContent = `Roles: ${roles} · ${ban}`;
+  card.appendChild(status);
+
+  // --- Ban ---
+  const banForm = document.createElement('form');
+  banForm.className = 'admin-controls';
+  const hours = document.createElement('input');
+  hours.type = 'number';
+  hours.min = '1';
+  hours.value = '24';
+  hours.title = 'Hours';
+  const reason = document.createElement('input');
+  reason.placeholder = 'Reason (shown to the player)';
+  reason.maxLength = 200;
+  const banButton = document.createElement('button');
+  banButton.type = 'submit';
+  banButton.className = 'admin-btn';
+  banButton.textContent = 'Ban (hours)';
+  banForm.append(hours, reason, banButton);
+  banForm.addEventListener('submit', async (event) => {
+    event.preventDefault();
+    if (await callApi('POST', `${base}/ban`, { hours: Number(hours.value), reason: reason.value })) showFeedback('Done.', 'info');
+    await Promise.all([reload(), refresh()]);
+  });
+  card.appendChild(banForm);
+
+  const controls = document.createElement('div');
+  controls.className = 'admin-controls';
+  if (player.ban) {
+    controls.appendChild(actionButton('Lift ban', async () => {
+      if (await callApi('DELETE', `${base}/ban`)) showFeedback('Done.', 'info');
+      await Promise.all([reload(), refresh()]);
+    }));
+  }
+
+  // --- Roles ---
+  if (permissions.includes('manageRoles')) {
+    ROLES.forEach(role => {
+      const held = player.roles.includes(role);
+      controls.appendChild(actionButton(held ? `Revoke ${role}` : `Grant ${role}`, async () => {
+        if (await callApi(held ? 'DELETE' : 'PUT', `${base}/roles/${role}`)) showFeedback('Done.', 'info');
+        await Promise.all([reload(), refresh()]);
+      }, `${held ? 'Revoke' : 'Grant'} the ${role} role?`));
+    });
+  }
+  card.appendChild(controls);
+
+  playerDetails.replaceChildren(card);
+}
+
+/**
+ * Renders the profanity rules, each with a "Remove" button.
+ * @param {Array<Object>} rules - The rules from GET /admin/api/profanity-rules, newest first.
+ */
+function renderRules(rules) {
+  if (rules.length === 0) {
+    const placeholder = document.createElement('li');
+    placeholder.className = 'placeholder';
+    placeholder.textContent = 'No rules: only the stock word lists apply.';
+    rulesList.replaceChildren(placeholder);
+    return;
+  }
+  rulesList.replaceChildren(...rules.map(rule => {
+    const row = document.createElement('li');
+    const text = document.createElement('span');
+    const match = rule.list === 'block' && rule.match === 'contains' ? ' (anywhere in a word)' : '';
+    text.textContent = `${rule.list} "${rule.pattern}"${match}${rule.note ? ` · ${rule.note}` : ''}`;
+    row.appendChild(text);
+    row.appendChild(actionButton('Remove', () => act('DELETE', `/profanity-rules/${encodeURIComponent(rule._id)}`), `Remove the rule on "${rule.pattern}"?`));
+    return row;
+  }));
+}
+
+/**
+ * Renders the audit log of admin actions.
+ * @param {Array<Object>} entries - The entries, newest first.
+ */
+function renderLog(entries) {
+  logList.innerHTML = '';
+  entries.forEach(({ ts, adminName, action, roomId, targetName, pattern, ruleId, ok, reason }) => {
+    const row = document.createElement('li');
+    row.textContent = `${new Date(ts).toLocaleString()} · ${adminName} · ${action} · ${roomId || targetName || pattern || ruleId}${ok ? '' : ` · failed: ${reason}`}`;
+    logList.appendChild(row);
+  });
+}
+
+/**
+ * Reloads the rooms, the open reports, the profanity rules and the audit log.
+ */
+async function refresh() {
+  const [rooms, reports, rules, log] = await Promise.all([
+    callApi('GET', '/rooms'), callApi('GET', '/reports'), callApi('GET', '/profanity-rules'), callApi('GET', '/log'),
+  ]);
+  if (rooms) roomsContainer.replaceChildren(...rooms.map(renderRoom));
+  if (reports) {
+    reportsContainer.replaceChildren(...reports.map(renderReport));
+    if (reports.length === 0) reportsContainer.textContent = 'No open reports.';
+  }
+  if (rules) renderRules(rules);
+  if (log) renderLog(log);
+}
+
+// ============================================================================
+// --- INITIALIZATION ---
+// ============================================================================
+
+playerLookup.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  const idOrUsername = playerLookupInput.value.trim();
+  if (!idOrUsername) return;
+  const player = await callApi('GET', `/users/${encodeURIComponent(idOrUsername)}`);
+  if (player) renderPlayer(player);
+  else playerDetails.replaceChildren();
+});
+
+ruleForm.addEventListener('submit', async (event) => {
+  event.preventDefault();
+  await act('POST', '/profanity-rules', {
+    list: ruleList.value, pattern: rulePattern.value, match: ruleMatch.value, note: ruleNote.value,
+  });
+  rulePattern.value = '';
+  ruleNote.value = '';
+});
+
+// The permissions decide which controls are drawn, so they are loaded first.
+callApi('GET', '/me').then(me => {
+  permissions = me ? me.permissions : [];
+  playersSection.hidden = !permissions.includes('ban');
+  refresh();
+});
+setInterval(() => {
+  // Do not wipe a title or a report resolution being edited.
+  if (document.activeElement && document.activeElement.tagName === 'INPUT') return;
+  refresh();
+}, REFRESH_INTERVAL_MS);
@@ -7,21 +7,25 @@
 // ============================================================================
 
 import * as ui from './main-ui.js';
+import { getRoomId, setStoryLanguage } from './shared-ui.js';
 
 // ============================================================================
 // --- INITIALIZATION ---
 // ============================================================================
 
-const socket = io({ transports: ['websocket'] });
+// The room is chosen once, at connection time, from the page URL (/r/:roomId).
+const roomId = getRoomId();
+const socket = io({ transports: ['websocket'], query: roomId ? { roomId } : {} });
 let CFG = null; // Holds config values fetched from the server.
+const configLoaded = fetch('/config', { cache: 'no-store' }).then(response => response.json());
 let nextTickTimestamp = 0;
+let roundDurationSeconds = 0; // The round duration of the room we joined.
 
 /**
  * Main boot function to initialize the application.
  */
 (async function boot() {
-  const response = await fetch('/config', { cache: 'no-store' });
-  CFG = await response.json();
+  CFG = await configLoaded;
 
   ui.init(socket, CFG); // Initialize all UI components and event listeners.
   await ui.updateUserStatus();
@@ -42,7 +46,7 @@ setInterval(() => {
   if (remainingMs <= 0) return;
 
   const remainingSeconds = Math.min(
-    CFG.ROUND_DURATION_SECONDS,
+    roundDurationSeconds || CFG.ROUND_DURATION_SECONDS,
     Math.max(0, Math.ceil(remainingMs / 1000))
   );
 
@@ -63,9 +67,51 @@ setInterval(() => {
 /**
  * Fired once on connection to receive the complete initial state.
  */
-socket.on('initialState', ({ initialChapters, liveSubmissions, nextTickTimestamp: serverTimestamp, latestImageUrl, isImageGenerating }) => {
+socket.on('initialState', async ({ room, initialChapters, liveSubmissions, nextTickTimestamp: serverTimestamp, latestImageUrl, isImageGenerating, upcomingSeals, sealProgress, strikeProgress }) => {
+  // The story language sets the word spacing, so it must be known before rendering.
+  const config = await configLoaded; // ui.init() runs first, so the UI has its config too.
+  if (room && room.language) setStoryLanguage(room.language, config.LANGUAGES);
+  if (room) ui.setPhase(room.phase);
   ui.renderInitialState({ currentText: initialChapters, liveSubmissions, latestImageUrl, isImageGenerating });
   nextTickTimestamp = serverTimestamp;
+  roundDurationSeconds = room ? room.roundDurationSeconds : 0;
+  ui.initSealCountdown(upcomingSeals, sealProgress);
+  ui.updateStrikeProgress(strikeProgress);
+});
+
+/**
+ * Fired when the live chapter moves towards its seal (under a policy other than the schedule).
+ */
+socket.on('sealProgress', (progress) => {
+  ui.updateSealProgress(progress);
+});
+
+/**
+ * Fired after this user supported or withdrew from the "end chapter" motion.
+ */
+socket.on('endChapterMotionRecorded', ({ support }) => {
+  ui.setEndChapterSupport(support);
+});
+
+/**
+ * Fired when the motion to strike the last winning word opens, changes or closes.
+ */
+socket.on('strikeProgress', (progress) => {
+  ui.updateStrikeProgress(progress);
+});
+
+/**
+ * Fired after this user supported or withdrew from striking the last winning word.
+ */
+socket.on('strikeMotionRecorded', ({ ts, support }) => {
+  ui.setStrikeSupport(ts, support);
+});
+
+/**
+ * Fired when the players struck the last winning word from the chapter.
+ */
+socket.on('wordStruck', ({ ts }) => {
+  ui.removeStruckWord(ts);
 });
 
 /**
@@ -74,13 +120,29 @@ socket.on('initialState', ({ initialChapters, liveSubmissions, nextTickTimestamp
 socket.on('nextTick', ({ nextTickTimestamp: serverTimestamp }) => {
   nextTickTimestamp = serverTimestamp;
   clearedAtZero = false;
+  // A round end time of 0 means an admin paused the room.
+  if (serverTimestamp === 0) ui.updateTimerDisplay('–');
+});
+
+/**
+ * Fired when the room changes phase, e.g. when the title round opens after a seal.
+ */
+socket.on('phaseChanged', ({ phase }) => {
+  ui.setPhase(phase);
 });
 
 /**
- * Fired whenever the list of live submissions changes.
+ * Fired whenever the list of live submissions changes, with only what changed.
  */
-socket.on('liveFeedUpdated', (feedData) => {
-  ui.renderLiveFeed(feedData);
+socket.on('liveFeedPatched', (patch) => {
+  ui.applyLiveFeedPatch(patch);
+});
+
+/**
+ * Fired after this user voted or submitted, with all of their votes on the live feed.
+ */
+socket.on('liveFeedVotesUpdated', ({ votes }) => {
+  ui.applyOwnVotes(votes);
 });
 
 /**
@@ -104,9 +166,18 @@ socket.on('currentTextUpdated', (newCurrentText) => {
   ui.appendNewWord(newCurrentText);
 });
 
+/**
+ * Fired when the server has received a report from this user.
+ */
+socket.on('reportFiled', (data) => {
+  ui.showFeedback(data.message, "info");
+});
+
 /**
  * Fired if the server rejects a user's word submission.
+ * With `reload`, the socket has no player ID: reloading the page sets the player cookie.
  */
 socket.on('submissionFailed', (data) => {
   ui.showFeedback(data.message, "error");
+  if (data.reload) setTimeout(() => window.location.reload(), 2000);
 });
\ No newline at end of file
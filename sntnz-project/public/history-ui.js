@@ -5,16 +5,17 @@
  * It imports shared UI components like the tooltip.
  */
 
-import { addTooltipEvents, startSealCountdown, renderWord } from './shared-ui.js';
+import { addTooltipEvents, showSealProgress, renderWord, removeRenderedWord, askReportReason, sendReport } from './shared-ui.js';
 export { renderContributorsDropdown } from './shared-ui.js';
 
 /**
  * Renders the complete history by iterating through server-generated chapters.
  * @param {HTMLElement} container - The main history container element.
  * @param {Array<Object>} chapters - The array of chapter data objects.
- * @param {string} cronSchedule - The cron schedule for the next seal.
+ * @param {number[]} sealTimestamps - The upcoming seal times from the server.
+ * @param {object} [sealProgress] - The room's progress towards its seal, under a policy other than the schedule.
  */
-export function renderHistory(container, chapters, cronSchedule) {
+export function renderHistory(container, chapters, sealTimestamps, sealProgress = null) {
   // --- Handle No Data ---
   // If the server returns no chapters, display a user-friendly message.
   if (!chapters || chapters.length === 0) {
@@ -42,8 +43,8 @@ export function renderHistory(container, chapters, cronSchedule) {
 
   // --- After rendering, find the timer element and start the countdown ---
   const timerElement = container.querySelector('.chapter-seal-timer');
-  if (timerElement && cronSchedule) {
-    startSealCountdown(timerElement, cronSchedule);
+  if (timerElement) {
+    showSealProgress(timerElement, sealProgress, sealTimestamps);
   }
 }
 
@@ -63,6 +64,15 @@ export function appendWordToLiveChapter(wordData) {
   renderWord(wordData, liveTextBlock, { addExtraTitleLine: false });
 }
 
+/**
+ * Removes a word the players struck from the live chapter.
+ * @param {number} ts - The struck word's timestamp.
+ */
+export function removeWordFromLiveChapter(ts) {
+  const liveTextBlock = document.querySelector('.chapter-seal-timer')?.closest('.history-chapter')?.querySelector('.history-text-block');
+  if (liveTextBlock) removeRenderedWord(liveTextBlock, ts);
+}
+
 /**
  * Creates the HTML element for a single history chapter.
  * @param {Object} chapterData - The data for one chapter.
@@ -94,10 +104,13 @@ function createChapterElement(chapterData) {
 
   // --- 3. PREPARE CONDITIONAL HTML (TIMER, BUTTONS, IMAGE) ---
   // Determine what to display for the hash. If the chapter is "live" (not yet
-  // sealed), show a countdown timer. Otherwise, show the shortened, clickable hash.
+  // sealed), show a countdown timer. Otherwise, show the shortened, clickable hash
+  // and buttons that ask the server to check the chapter's seal, or report the chapter.
   const hashDisplay = chapterData.isLive
     ? `<span class="chapter-seal-timer" title="These words are not yet sealed.">Calculating...</span>`
-    : `<span class="chapter-hash" title="Copy Hash" data-hash="${chapterData.hash}">${chapterData.hash.substring(0, 8)}...</span>`;
+    : `<span class="chapter-hash" title="Copy Hash" data-hash="${chapterData.hash}">${chapterData.hash.substring(0, 8)}...</span>
+       <span class="chapter-verify" title="Recompute this chapter's hash and its link to the previous chapter" data-hash="${chapterData.hash}">Verify</span>
+       <span class="chapter-report" title="Report this chapter to the moderators" data-hash="${chapterData.hash}">Report</span>`;
 
   // Only create the share button if the chapter is sealed (not live).
   const shareButtonHtml = chapterData.isLive ? '' : `
@@ -172,11 +185,12 @@ export function replaceLiveChapter(sealedChapter) {
  * @param {HTMLElement} container - The pagination container element.
  * @param {Array<string>} dates - All available dates (e.g., ["2025-08-29", "2025-08-30"]).
  * @param {string} currentDate - The currently selected date.
+ * @param {string} [extraQuery=''] - Extra query parameters to keep on every link (e.g. '&room=fantasy').
  */
-export function renderPagination(container, dates, currentDate) {
+export function renderPagination(container, dates, currentDate, extraQuery = '') {
   // If there are 3 or fewer dates, we just display them all in chronological order.
   if (dates.length <= 3) {
-    const linksHtml = [...dates].reverse().map(date => `<a href="?date=${date}" class="${date === currentDate ? 'current' : ''}">${date}</a>`).join('');
+    const linksHtml = [...dates].reverse().map(date => `<a href="?date=${date}${extraQuery}" class="${date === currentDate ? 'current' : ''}">${date}</a>`).join('');
     container.innerHTML = linksHtml;
     return;
   }
@@ -205,30 +219,31 @@ export function renderPagination(container, dates, currentDate) {
 
   // --- Build HTML for each part of the pagination control ---
   // '<<' should go to the OLDEST date.
-  const firstButton = `<a href="?date=${oldestLink}" class="nav-arrow" ${isAtOldest ? 'disabled' : ''}>&lt;&lt;</a>`;
+  const firstButton = `<a href="?date=${oldestLink}${extraQuery}" class="nav-arrow" ${isAtOldest ? 'disabled' : ''}>&lt;&lt;</a>`;
   // '<' should go to an OLDER date.
-  const prevButton = `<a href="?date=${olderDateLink}" class="nav-arrow" ${isAtOldest ? 'disabled' : ''}>&lt;</a>`;
+  const prevButton = `<a href="?date=${olderDateLink}${extraQuery}" class="nav-arrow" ${isAtOldest ? 'disabled' : ''}>&lt;</a>`;
 
   // Reverse the display slice to show dates chronologically (oldest, middle, newest).
-  const dateLinks = datesToShow.reverse().map(date => `<a href="?date=${date}" class="${date === currentDate ? 'current' : ''}">${date}</a>`).join('');
+  const dateLinks = datesToShow.reverse().map(date => `<a href="?date=${date}${extraQuery}" class="${date === currentDate ? 'current' : ''}">${date}</a>`).join('');
 
   // '>' should go to a NEWER date.
-  const nextButton = `<a href="?date=${newerDateLink}" class="nav-arrow" ${isAtNewest ? 'disabled' : ''}>&gt;</a>`;
+  const nextButton = `<a href="?date=${newerDateLink}${extraQuery}" class="nav-arrow" ${isAtNewest ? 'disabled' : ''}>&gt;</a>`;
   // '>>' should go to the NEWEST date.
-  const lastButton = `<a href="?date=${newestLink}" class="nav-arrow" ${isAtNewest ? 'disabled' : ''}>&gt;&gt;</a>`;
+  const lastButton = `<a href="?date=${newestLink}${extraQuery}" class="nav-arrow" ${isAtNewest ? 'disabled' : ''}>&gt;&gt;</a>`;
 
   // --- Assemble and Render the Final HTML ---
   container.innerHTML = firstButton + prevButton + dateLinks + nextButton + lastButton;
 }
 
 /**
- * Sets up all event listeners for the page (tooltips, sharing, copy hash).
+ * Sets up all event listeners for the page (tooltips, sharing, copy hash, verify, report).
  * @param {HTMLElement} historyContainer - The main history container element.
  * @param {HTMLElement} tooltip - The tooltip element.
  */
 export function setupEventListeners(historyContainer, tooltip) {
   // --- Initialize Shared Tooltip Logic ---
-  addTooltipEvents(historyContainer, tooltip);
+  // The history page also lists the words that lost each round.
+  addTooltipEvents(historyContainer, tooltip, { showAlternatives: true });
 
   // --- Use Event Delegation for Dynamic Content ---
   // Instead of adding a listener to every button, we add one to the parent container.
@@ -290,6 +305,40 @@ export function setupEventListeners(historyContainer, tooltip) {
       const originalText = hashSpan.textContent;
       hashSpan.textContent = 'Copied!';
       setTimeout(() => { hashSpan.textContent = originalText; }, 1500);
+      return;
+    }
+
+    // --- Report Logic ---
+    const reportSpan = e.target.closest('.chapter-report');
+    if (reportSpan) {
+      const reason = askReportReason('this chapter');
+      if (reason === null) return;
+      reportSpan.textContent = 'Sending...';
+      reportSpan.textContent = await sendReport({ targetType: 'chapter', chapterHash: reportSpan.dataset.hash, reason });
+      return;
+    }
+
+    // --- Verify Seal Logic ---
+    const verifySpan = e.target.closest('.chapter-verify');
+    if (verifySpan) {
+      verifySpan.textContent = 'Verifying...';
+      try {
+        const response = await fetch(`/api/verify/${verifySpan.dataset.hash}`);
+        const result = await response.json();
+        if (!response.ok) throw new Error(result.error);
+
+        if (!result.valid) {
+          verifySpan.textContent = 'Seal broken ✗';
+        } else if (result.legacy) {
+          verifySpan.textContent = 'Sealed before chaining ✓';
+        } else {
+          verifySpan.textContent = result.signatureValid ? 'Verified & signed ✓' : 'Verified ✓';
+        }
+        verifySpan.title = `Hash matches: ${result.hashMatches}. Linked to previous chapter: ${result.linked ?? 'n/a'}. Signature valid: ${result.signatureValid ?? 'n/a'}.`;
+      } catch (error) {
+        console.error('Error verifying chapter:', error);
+        verifySpan.textContent = 'Could not verify';
+      }
     }
   });
 }
\ No newline at end of file
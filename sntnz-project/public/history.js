@@ -6,7 +6,7 @@
  */
 
 import * as ui from './history-ui.js';
-import { addImageModalEvents } from './shared-ui.js';
+import { addImageModalEvents, getRoomId, roomQuery, setStoryLanguage, setWordStyles } from './shared-ui.js';
 
 (async function() {
   // --- DOM Element References ---
@@ -23,6 +23,11 @@ import { addImageModalEvents } from './shared-ui.js';
     return;
   }
 
+  // Send the Home link back to the room this archive belongs to.
+  const roomId = getRoomId();
+  const homeLink = document.querySelector('#backToMain a');
+  if (roomId && homeLink) homeLink.href = `/r/${encodeURIComponent(roomId)}`;
+
   /**
    * Fetches the latest data from the API and re-renders the entire page content.
    * This function is called on initial load and then periodically by the poller.
@@ -32,8 +37,15 @@ async function fetchAndRenderHistory() {
       // 1. Fetch application configuration and all available dates for pagination
       const configResponse = await fetch('/config');
       const CFG = await configResponse.json();
-      const cronSchedule = CFG.HISTORY_CHAPTER_SCHEDULE_CRON;
-      const allDates = await (await fetch('/api/history/dates')).json();
+      const sealTimestamps = CFG.UPCOMING_SEAL_TIMESTAMPS;
+      setWordStyles(CFG.WORD_STYLES);
+      const [allDates, roomList] = await Promise.all([
+        fetch(`/api/history/dates${roomQuery('?')}`).then(response => response.json()),
+        fetch('/api/rooms').then(response => response.json()),
+      ]);
+      // The story language sets the word spacing.
+      const room = roomList.find(({ id }) => id === (roomId || CFG.DEFAULT_ROOM_ID));
+      if (room) setStoryLanguage(room.language, CFG.LANGUAGES);
 
       // 2. Determine which data to fetch based on the URL
       const urlParams = new URLSearchParams(window.location.search);
@@ -43,13 +55,13 @@ async function fetchAndRenderHistory() {
       if (requestedDate) {
         // Case A: A specific date is in the URL, so we fetch it directly.
         targetDate = requestedDate;
-        const historyRes = await fetch(`/api/history/${targetDate}`, { cache: 'no-store' });
+        const historyRes = await fetch(`/api/history/${targetDate}${roomQuery('?')}`, { cache: 'no-store' });
         if (!historyRes.ok) throw new Error(`Could not load history for ${targetDate}.`);
         chapters = await historyRes.json();
       } else {
         // Case B: No date is in the URL. We ask the server for the "latest" content.
         // This avoids timezone and clock-drift issues.
-        const latestRes = await fetch(`/api/history/latest`, { cache: 'no-store' });
+        const latestRes = await fetch(`/api/history/latest${roomQuery('?')}`, { cache: 'no-store' });
         if (!latestRes.ok) throw new Error('Could not load latest history.');
         const latestData = await latestRes.json();
 
@@ -58,7 +70,7 @@ async function fetchAndRenderHistory() {
 
         // Update the browser's URL to include the specific date without reloading the page.
         // This makes the state clean and allows for bookmarking or refreshing.
-        const newUrl = `${window.location.pathname}?date=${targetDate}`;
+        const newUrl = `${window.location.pathname}?date=${targetDate}${roomQuery()}`;
         history.pushState({ path: newUrl }, '', newUrl);
       }
 
@@ -77,9 +89,9 @@ async function fetchAndRenderHistory() {
       const scrollPosition = window.scrollY;
 
       // 6. Use the UI module to render all page components
-      ui.renderHistory(historyContainer, chapters, cronSchedule);
+      ui.renderHistory(historyContainer, chapters, sealTimestamps, room ? room.sealProgress : null);
       ui.renderContributorsDropdown(contributorsContainer, allWords, historyContainer);
-      ui.renderPagination(paginationContainer, allDates, targetDate);
+      ui.renderPagination(paginationContainer, allDates, targetDate, roomQuery());
 
       // 7. Restore the user's scroll position
       window.scrollTo(0, scrollPosition);
@@ -123,8 +135,8 @@ async function fetchAndRenderHistory() {
     }, 500);
   }
 
-  // 5. Connect to the WebSocket server
-  const socket = io({ transports: ['websocket'] });
+  // 5. Connect to the WebSocket server, in the same room as the page.
+  const socket = io({ transports: ['websocket'], query: roomId ? { roomId } : {} });
 
   socket.on('connect', () => {
     socket.emit('joinHistoryRoom');
@@ -145,7 +157,12 @@ async function fetchAndRenderHistory() {
     }
   });
 
-  // 7. Listen for newly sealed chapters and refresh the page data
+  // 7. Remove the words the players strike from the live chapter.
+  socket.on('wordStruck', ({ ts }) => {
+    ui.removeWordFromLiveChapter(ts);
+  });
+
+  // 8. Listen for newly sealed chapters and refresh the page data
   socket.on('chapterSealed', ({ sealedChapter }) => {
     const urlParams = new URLSearchParams(window.location.search);
     const requestedDate = urlParams.get('date');
@@ -6,7 +6,7 @@
 // response to server events and user actions.
 // ============================================================================
 
-import { renderWord, addTooltipEvents, renderContributorsDropdown, startSealCountdown, addImageModalEvents, throttle, debounce } from './shared-ui.js';
+import { renderWord, removeRenderedWord, setWordStyles, applyWordStyles, breaksBefore, addTooltipEvents, renderContributorsDropdown, showSealProgress, addImageModalEvents, throttle, debounce, roomQuery, askReportReason } from './shared-ui.js';
 
 // --- MODULE STATE ---
 // These variables hold the state of the UI throughout the application's lifecycle.
@@ -14,7 +14,7 @@ import { renderWord, addTooltipEvents, renderContributorsDropdown, startSealCoun
 let socket = null; // The main WebSocket connection instance.
 let CFG = null; // The application configuration object from the server.
 let currentWordsArray = []; // A client-side cache of the words currently displayed.
-let selectedStyles = { bold: false, italic: false, underline: false, newline: false }; // Tracks active text styles for submission.
+let selectedStyles = {}; // Tracks active text styles for submission, by style name (see WORD_STYLES).
 let feedbackTimeout; // A timeout ID for hiding feedback messages.
 let lastScrollHeight = 0; // Stores the scroll height to detect changes.
 let isLoadingMore = false; // A flag to prevent multiple history loads simultaneously.
@@ -24,12 +24,18 @@ let currentUser = { loggedIn: false, username: null }; // Stores the current use
 let latestImageUrlOnLoad = null; // Default image URL
 let imageTimeline = []; // Store image data in memory.
 let isImageGenerating = false;
+let isTitleRound = false; // In the title round, the input proposes a chapter title instead of a word.
+let liveFeedRows = new Map(); // The live feed as broadcast to the room: compositeKey -> row.
+let ownVotes = new Map(); // The current user's votes on the live feed: compositeKey -> { userVote, userWeight }.
+const liveFeedElements = new Map(); // The rendered live feed items: compositeKey -> their elements.
 
 // --- DOM ELEMENT REFERENCES ---
 // Caching DOM elements for performance to avoid repeated queries.
 // ----------------------------------------------------------------------------
 const latestImageContainer = document.getElementById('latestImageContainer');
-const timerElement = document.getElementById('sealTimerContainer');
+const timerElement = document.getElementById('sealTimer');
+const btnEndChapter = document.getElementById('btnEndChapter');
+const btnStrikeWord = document.getElementById('btnStrikeWord');
 const imageModal = document.getElementById('imageModal');
 const fullSizeImage = document.getElementById('fullSizeImage');
 const currentTextContainer = document.getElementById('currentTextContainer');
@@ -43,7 +49,7 @@ const wordForm = document.getElementById('wordForm');
 const wordInput = document.getElementById('wordInput');
 const timerDisplay = document.getElementById('timer');
 const styleOptions = document.getElementById('styleOptions');
-const styleButtons = Array.from(document.querySelectorAll('[data-style="bold"], [data-style="italic"], [data-style="underline"], [data-style="newline"]'));
+let styleButtons = []; // One button per style of the schema, built by renderStyleButtons().
 const feedbackMessage = document.getElementById('feedbackMessage');
 const tooltip = document.getElementById('wordTooltip');
 const btnInfo = document.getElementById('btnInfo');
@@ -68,6 +74,10 @@ export function init(socketInstance, config) {
   socket = socketInstance;
   CFG = config;
 
+  // --- Build the style buttons from the style schema ---
+  setWordStyles(CFG.WORD_STYLES);
+  renderStyleButtons();
+
   // --- Attach Event Listeners ---
   // Delegates the setup of all event listeners to dedicated functions.
   addNavEvents();
@@ -75,7 +85,10 @@ export function init(socketInstance, config) {
   addInfoModalEvents();
   addImageModalEvents(latestImageContainer, imageModal, fullSizeImage);
   addFormAndStyleEvents();
-  initSealCountdown(CFG.HISTORY_CHAPTER_SCHEDULE_CRON);
+  addEndChapterEvents();
+  addStrikeEvents();
+  // Under other seal policies, the initial state brings the chapter's progress instead.
+  if (CFG.SEAL_POLICY === 'schedule') initSealCountdown(CFG.UPCOMING_SEAL_TIMESTAMPS);
 }
 
 
@@ -215,6 +228,9 @@ export function appendNewWord(newCurrentText) {
   const scrollBuffer = 5;
   const wasAtBottom = el.scrollHeight - el.scrollTop - el.clientHeight <= scrollBuffer;
 
+  // An admin may have removed a word or renamed the title: redraw what changed first.
+  reconcileCurrentText(newCurrentText);
+
   // Validate that the new word is actually new to prevent duplicates.
   const newWord = newCurrentText[newCurrentText.length - 1];
   const lastWordInClientArray = currentWordsArray[currentWordsArray.length - 1];
@@ -243,6 +259,58 @@ export function appendNewWord(newCurrentText) {
   }
 }
 
+/**
+ * @summary Redraws the displayed words that no longer match the server's text.
+ * @description The server's text overlaps the end of what is displayed. From the first
+ * word that differs (removed, or renamed), the displayed words are replaced with the
+ * server's, except its last word, which `appendNewWord` handles as usual.
+ * @param {Array<Object>} newCurrentText - The full, updated text array from the server.
+ */
+function reconcileCurrentText(newCurrentText) {
+  if (newCurrentText.length === 0) return;
+  const start = currentWordsArray.findIndex(w => w.ts >= newCurrentText[0].ts);
+  if (start === -1) return;
+
+  const displayed = currentWordsArray.slice(start);
+  const firstChange = displayed.findIndex((w, i) => !newCurrentText[i] || newCurrentText[i].ts !== w.ts || newCurrentText[i].word !== w.word);
+  if (firstChange === -1) return;
+
+  removeRenderedWordsFrom(displayed[firstChange].ts);
+  currentWordsArray = currentWordsArray.slice(0, start + firstChange);
+  newCurrentText.slice(firstChange, -1).forEach(wordData => {
+    renderWord(wordData, currentTextContainer);
+    currentWordsArray.push(wordData);
+  });
+  renderContributorsDropdown(mainContributorsContainer, currentWordsArray, currentTextContainer);
+}
+
+/**
+ * Removes a word the players struck from the displayed text.
+ * @param {number} ts - The struck word's timestamp.
+ */
+export function removeStruckWord(ts) {
+  removeRenderedWord(currentTextContainer, ts);
+  currentWordsArray = currentWordsArray.filter(w => w.ts !== ts);
+  renderContributorsDropdown(mainContributorsContainer, currentWordsArray, currentTextContainer);
+}
+
+/**
+ * Removes the displayed words from a given timestamp onwards, with the spaces and
+ * line breaks rendered before each of them.
+ * @param {number} ts - The timestamp of the first word to remove.
+ */
+function removeRenderedWordsFrom(ts) {
+  const first = Array.from(currentTextContainer.querySelectorAll('span.word')).find(span => Number(span.dataset.ts) >= ts);
+  if (!first) return;
+  let node = first;
+  while (node.previousSibling && !node.previousSibling.classList?.contains('word')) node = node.previousSibling;
+  while (node) {
+    const next = node.nextSibling;
+    node.remove();
+    node = next;
+  }
+}
+
 /**
  * Renders an array of words by appending them to the container.
  * @param {Array<Object>} wordsArray - The array of word data to render.
@@ -258,97 +326,205 @@ export function renderWords(wordsArray) {
 }
 
 /**
- * Renders the live submissions feed with upvote/downvote controls.
- * This function is now simpler: it just displays the data sent by the server.
+ * Replaces the whole live submissions feed, e.g. with the initial state or at the end of a round.
  * @param {Array<Object>} feedData - Array of live feed items from the server.
- * Each item includes a `userVote` property ('up', 'down', or null).
+ * Each item includes a `userVote` property ('up', 'down', or null) and a `userWeight`.
  */
 export function renderLiveFeed(feedData) {
-  liveFeedList.innerHTML = ''; // Clear the list before re-rendering.
+  liveFeedRows = new Map(feedData.map(item => [item.compositeKey, item]));
+  ownVotes = new Map(feedData
+    .filter(item => item.userVote)
+    .map(item => [item.compositeKey, { userVote: item.userVote, userWeight: item.userWeight }]));
+  drawLiveFeed();
+}
+
+/**
+ * Applies a change to the live feed broadcast by the server to everyone in the room.
+ * @param {Object} patch - The change.
+ * @param {Array<Object>} patch.added - New rows. A row whose key is already known replaces it.
+ * @param {Array<{compositeKey: string, count: number}>} patch.updated - New scores.
+ * @param {Array<string>} patch.removed - The keys of the rows that left the feed.
+ */
+export function applyLiveFeedPatch({ added = [], updated = [], removed = [] }) {
+  added.forEach(item => liveFeedRows.set(item.compositeKey, item));
+  updated.forEach(({ compositeKey, count }) => {
+    const item = liveFeedRows.get(compositeKey);
+    if (item) item.count = count;
+  });
+  removed.forEach(compositeKey => {
+    liveFeedRows.delete(compositeKey);
+    ownVotes.delete(compositeKey);
+  });
+  drawLiveFeed();
+}
+
+/**
+ * Replaces the current user's votes on the live feed, as sent to them by the server after they voted.
+ * @param {Array<{compositeKey: string, userVote: string, userWeight: (number|null)}>} votes - Every vote the user holds.
+ */
+export function applyOwnVotes(votes) {
+  ownVotes = new Map(votes.map(({ compositeKey, userVote, userWeight }) => [compositeKey, { userVote, userWeight }]));
+  drawLiveFeed();
+}
+
+/**
+ * Brings the live feed list in line with `liveFeedRows` and `ownVotes`.
+ * Existing items are updated and moved rather than rebuilt, so a vote only touches what changed.
+ */
+function drawLiveFeed() {
+  const feedData = [...liveFeedRows.values()]
+    .sort((a, b) => (a.count !== b.count) ? b.count - a.count : a.ts - b.ts);
+
+  // --- Drop the items that left the feed ---
+  for (const [compositeKey, element] of liveFeedElements) {
+    if (!liveFeedRows.has(compositeKey)) {
+      element.item.remove();
+      liveFeedElements.delete(compositeKey);
+    }
+  }
 
   // --- Handle Empty State ---
   if (feedData.length === 0) {
+    liveFeedList.innerHTML = '';
     const placeholder = document.createElement('li');
     placeholder.textContent = 'No words submitted by anyone yet';
     placeholder.className = 'placeholder';
     liveFeedList.appendChild(placeholder);
     return;
   }
+  liveFeedList.querySelector('.placeholder')?.remove();
 
-  const maxVotes = feedData.length > 0 ? feedData[0].count : 1;
+  const maxVotes = feedData[0].count;
 
-  // --- Iterate and Render Each Item ---
+  // --- Update each item, creating it if needed, and put it in its place ---
   feedData.forEach(item => {
-    const newWordItem = document.createElement('li');
-    newWordItem.className = 'live-feed-item';
-
-    // --- Create all visual elements ---
-    const voteControls = document.createElement('div');
-    voteControls.className = 'vote-controls';
-    const upvoteBtn = document.createElement('button');
-    upvoteBtn.className = 'vote-btn upvote';
-    upvoteBtn.textContent = '▲';
-    const countSpan = document.createElement('span');
-    countSpan.className = 'vote-count';
-    countSpan.textContent = item.count;
-    const downvoteBtn = document.createElement('button');
-    downvoteBtn.className = 'vote-btn downvote';
-    downvoteBtn.textContent = '▼';
-    const wordContent = document.createElement('div');
-    wordContent.className = 'word-content';
-    if (item.styles.newline) {
-      const newlineSpan = document.createElement('span');
-      newlineSpan.textContent = '↵';
-      newlineSpan.style.marginRight = '0.25rem';
-      newlineSpan.style.color = 'var(--color-grey2)';
-      wordContent.appendChild(newlineSpan);
-    }
-    const wordSpan = document.createElement('span');
-    wordSpan.className = 'word-text';
-    wordSpan.textContent = item.word;
-    wordSpan.style.fontWeight = item.styles.bold ? 'bold' : 'normal';
-    wordSpan.style.fontStyle = item.styles.italic ? 'italic' : 'normal';
-    wordSpan.style.textDecoration = item.styles.underline ? 'underline' : 'none';
-    const authorSpan = document.createElement('span');
-    authorSpan.textContent = ` (by ${item.username})`;
-    authorSpan.className = 'word-submit-details';
-
-    // --- Check data from server to highlight the user's current vote ---
-    if (item.userVote === 'up') {
-      upvoteBtn.classList.add('active');
-    } else if (item.userVote === 'down') {
-      downvoteBtn.classList.add('active');
-    }
-
-    // --- Disable buttons on the user's own word ---
-    if (currentUser.loggedIn && item.username === currentUser.username) {
-      upvoteBtn.disabled = true;
-      downvoteBtn.disabled = true;
-      voteControls.title = "You cannot vote on your own word.";
+    let element = liveFeedElements.get(item.compositeKey);
+    if (!element || element.row !== item) {
+      element?.item.remove();
+      element = createLiveFeedItem(item);
+      liveFeedElements.set(item.compositeKey, element);
     }
+    updateLiveFeedItem(element, item.count, maxVotes, ownVotes.get(item.compositeKey));
+    liveFeedList.appendChild(element.item); // Appending an existing node moves it.
+  });
+}
 
-    // --- Event listeners ONLY tell the server what happened ---
-    upvoteBtn.addEventListener('click', () => {
-      socket.emit('castVote', { compositeKey: item.compositeKey, direction: 'up' });
+/**
+ * Creates the list item of one live submission, with its upvote/downvote controls.
+ * @param {Object} item - The live feed row.
+ * @returns {Object} The item's elements, kept to update it later.
+ */
+function createLiveFeedItem(item) {
+  const newWordItem = document.createElement('li');
+  newWordItem.className = 'live-feed-item';
+
+  // --- Create all visual elements ---
+  const voteControls = document.createElement('div');
+  voteControls.className = 'vote-controls';
+  const upvoteBtn = document.createElement('button');
+  upvoteBtn.className = 'vote-btn upvote';
+  upvoteBtn.textContent = '▲';
+  const countSpan = document.createElement('span');
+  countSpan.className = 'vote-count';
+  const downvoteBtn = document.createElement('button');
+  downvoteBtn.className = 'vote-btn downvote';
+  downvoteBtn.textContent = '▼';
+  const wordContent = document.createElement('div');
+  wordContent.className = 'word-content';
+  // A word that starts a new line or paragraph shows that style's label before it.
+  Object.entries(CFG.WORD_STYLES)
+    .filter(([name, style]) => style.breaks && item.styles[name])
+    .forEach(([, style]) => {
+      const breakSpan = document.createElement('span');
+      breakSpan.className = 'break-indicator';
+      breakSpan.textContent = style.label;
+      wordContent.appendChild(breakSpan);
     });
+  const wordSpan = document.createElement('span');
+  wordSpan.className = 'word-text';
+  wordSpan.textContent = item.word;
+  applyWordStyles(wordSpan, item.styles, { standalone: true });
+  const authorSpan = document.createElement('span');
+  authorSpan.textContent = ` (by ${item.username})`;
+  authorSpan.className = 'word-submit-details';
+  // The bot critic backed this word: its rationale shows on hover.
+  let criticSpan = null;
+  if (item.critique) {
+    criticSpan = document.createElement('span');
+    criticSpan.className = 'critic-note';
+    criticSpan.textContent = '✦';
+    criticSpan.title = `${CFG.BOT_CRITIC_NAME}: ${item.critique}`;
+  }
+  const reportBtn = document.createElement('button');
+  reportBtn.className = 'report-btn';
+  reportBtn.textContent = '⚑';
+  reportBtn.title = 'Report this word';
+
+  // --- Disable buttons on the user's own word ---
+  if (currentUser.loggedIn && item.username === currentUser.username) {
+    upvoteBtn.disabled = true;
+    downvoteBtn.disabled = true;
+    voteControls.title = "You cannot vote on your own word.";
+    reportBtn.hidden = true;
+  }
 
-    downvoteBtn.addEventListener('click', () => {
-      socket.emit('castVote', { compositeKey: item.compositeKey, direction: 'down' });
-    });
+  // --- Event listeners ONLY tell the server what happened ---
+  upvoteBtn.addEventListener('click', () => {
+    socket.emit('castVote', { compositeKey: item.compositeKey, direction: 'up' });
+  });
 
-    // --- Assemble and append all elements ---
-    const voteRatio = Math.max(0, item.count / maxVotes);
-    const lightness = (1 - voteRatio) * 75;
-    wordContent.style.color = `hsl(0, 0%, ${lightness}%)`;
-    voteControls.appendChild(upvoteBtn);
-    voteControls.appendChild(countSpan);
-    voteControls.appendChild(downvoteBtn);
-    wordContent.appendChild(wordSpan);
-    wordContent.appendChild(authorSpan);
-    newWordItem.appendChild(voteControls);
-    newWordItem.appendChild(wordContent);
-    liveFeedList.appendChild(newWordItem);
+  downvoteBtn.addEventListener('click', () => {
+    socket.emit('castVote', { compositeKey: item.compositeKey, direction: 'down' });
   });
+
+  reportBtn.addEventListener('click', () => {
+    const reason = askReportReason(`"${item.word}"`);
+    if (reason !== null) socket.emit('report', { targetType: 'candidate', compositeKey: item.compositeKey, reason });
+  });
+
+  // --- Assemble all elements ---
+  voteControls.appendChild(upvoteBtn);
+  voteControls.appendChild(countSpan);
+  voteControls.appendChild(downvoteBtn);
+  wordContent.appendChild(wordSpan);
+  wordContent.appendChild(authorSpan);
+  if (criticSpan) wordContent.appendChild(criticSpan);
+  newWordItem.appendChild(voteControls);
+  newWordItem.appendChild(wordContent);
+  newWordItem.appendChild(reportBtn);
+
+  return { row: item, item: newWordItem, upvoteBtn, downvoteBtn, countSpan, wordContent };
+}
+
+/**
+ * Refreshes the score, shade and vote highlight of one live feed item.
+ * @param {Object} element - The item's elements, from `createLiveFeedItem`.
+ * @param {number} count - The item's score.
+ * @param {number} maxVotes - The best score in the feed, which is shown black.
+ * @param {{userVote: string, userWeight: (number|null)}} [ownVote] - The current user's vote on it.
+ */
+function updateLiveFeedItem({ upvoteBtn, downvoteBtn, countSpan, wordContent }, count, maxVotes, ownVote) {
+  countSpan.textContent = count;
+  const voteRatio = Math.max(0, count / maxVotes);
+  const lightness = (1 - voteRatio) * 75;
+  wordContent.style.color = `hsl(0, 0%, ${lightness}%)`;
+
+  // --- Highlight the user's current vote ---
+  const userVote = ownVote ? ownVote.userVote : null;
+  upvoteBtn.classList.toggle('active', userVote === 'up');
+  downvoteBtn.classList.toggle('active', userVote === 'down');
+
+  // --- Show the weight of the user's vote (quadratic votes or ranked-choice position) ---
+  [upvoteBtn, downvoteBtn].forEach(btn => {
+    delete btn.dataset.weight;
+    btn.removeAttribute('title');
+  });
+  if (ownVote && ownVote.userWeight) {
+    const activeBtn = userVote === 'down' ? downvoteBtn : upvoteBtn;
+    const isRanked = CFG.VOTING_STRATEGY === 'ranked';
+    activeBtn.dataset.weight = isRanked ? `#${ownVote.userWeight}` : `×${ownVote.userWeight}`;
+    activeBtn.title = isRanked ? `Your choice #${ownVote.userWeight}` : `${ownVote.userWeight} of your votes`;
+  }
 }
 
 // ============================================================================
@@ -605,7 +781,7 @@ function addNavEvents() {
     currentTextContainer.scrollTo({ top: currentTextContainer.scrollHeight, behavior: 'smooth' });
   });
   btnOpenHistory.addEventListener('click', () => {
-    window.location.href = '/history.html';
+    window.location.href = `/history.html${roomQuery('?')}`;
   });
   // --- Robust Scroll Stop Detection ---
   let scrollStopTimer;
@@ -634,6 +810,23 @@ function addInfoModalEvents() {
   modalOverlay.addEventListener('click', () => infoModal.classList.remove('visible'));
 }
 
+/**
+ * Adds a button per style of the schema after the "no style" button.
+ */
+function renderStyleButtons() {
+  styleButtons.forEach(btn => btn.remove());
+  styleButtons = Object.entries(CFG.WORD_STYLES).map(([name, style]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'style-btn';
+    button.dataset.style = name;
+    button.textContent = style.label;
+    button.title = style.title;
+    styleOptions.appendChild(button);
+    return button;
+  });
+}
+
 /**
  * Adds event listeners for the word submission form and style buttons.
  */
@@ -654,7 +847,14 @@ function addFormAndStyleEvents() {
             target.classList.add('active'); // Activate the "none" button.
         } else {
             // If a specific style is clicked, deactivate "none" and toggle the clicked style.
+            // Styles of the same group exclude each other (e.g. new line and new paragraph).
             noStyleButton.classList.remove('active');
+            const { group } = CFG.WORD_STYLES[style];
+            if (group) {
+                styleButtons
+                    .filter(btn => btn !== target && CFG.WORD_STYLES[btn.dataset.style].group === group)
+                    .forEach(btn => btn.classList.remove('active'));
+            }
             target.classList.toggle('active');
         }
 
@@ -666,16 +866,11 @@ function addFormAndStyleEvents() {
 
         // --- Update State and Input Field Style ---
         // Sync the `selectedStyles` object with the active classes on the buttons.
-        selectedStyles.bold = document.querySelector('[data-style="bold"]').classList.contains('active');
-        selectedStyles.italic = document.querySelector('[data-style="italic"]').classList.contains('active');
-        selectedStyles.underline = document.querySelector('[data-style="underline"]').classList.contains('active');
-        selectedStyles.newline = document.querySelector('[data-style="newline"]').classList.contains('active');
+        selectedStyles = Object.fromEntries(styleButtons.map(btn => [btn.dataset.style, btn.classList.contains('active')]));
 
         // Apply styles directly to the input field for visual feedback.
-        wordForm.classList.toggle('newline-selected', selectedStyles.newline);
-        wordInput.style.fontWeight = selectedStyles.bold ? 'bold' : 'normal';
-        wordInput.style.fontStyle = selectedStyles.italic ? 'italic' : 'normal';
-        wordInput.style.textDecoration = selectedStyles.underline ? 'underline' : 'none';
+        wordForm.classList.toggle('newline-selected', breaksBefore(selectedStyles) > 0);
+        applyWordStyles(wordInput, selectedStyles);
     });
 
     // --- Form Submission ---
@@ -685,7 +880,17 @@ function addFormAndStyleEvents() {
 
         if (wordToSubmit) {
             // --- Client-side Validation ---
-            const punctuationRegex = new RegExp(CFG.PUNCTUATION_REGEX_STRING);
+            const punctuationRegex = new RegExp(CFG.PUNCTUATION_REGEX_STRING, CFG.PUNCTUATION_REGEX_FLAGS);
+            if (isTitleRound) {
+                const titleWords = wordToSubmit.replace(/["“”„]/g, '').split(/\s+/).filter(Boolean);
+                if (titleWords.length === 0 || titleWords.length > CFG.TITLE_MAX_WORDS || !titleWords.every(word => punctuationRegex.test(word))) {
+                    showFeedback(`Invalid title. Please propose 1 to ${CFG.TITLE_MAX_WORDS} words, with optional punctuation.`, "warning");
+                    return;
+                }
+                socket.emit('wordSubmitted', { word: wordToSubmit });
+                wordInput.value = '';
+                return;
+            }
             if (!punctuationRegex.test(wordToSubmit)) {
                 showFeedback("Invalid format. Please submit a single, word-like token without spaces and optional punctuation.", "warning");
                 return;
@@ -717,7 +922,7 @@ async function loadMoreHistory() {
 
   try {
     // --- 2. FETCH & PROCESS OLDER CHAPTERS ---
-    const response = await fetch(`/api/history/before?ts=${oldestTimestamp}`);
+    const response = await fetch(`/api/history/before?ts=${oldestTimestamp}${roomQuery()}`);
     const chapterGroups = await response.json();
 
     if (chapterGroups.length > 0) {
@@ -766,12 +971,125 @@ async function loadMoreHistory() {
 }
 
 /**
- * Finds the seal timer container on the main page and starts the countdown.
- * @param {string} cronSchedule - The cron schedule for the next seal.
+ * Switches the submission form between words and chapter titles as the room changes phase.
+ * After a seal, the title round lets players propose the next chapter's title; the server
+ * styles and numbers the winner, so the style buttons are disabled meanwhile.
+ * @param {string} phase - The room's phase (see game-engine.js).
+ */
+export function setPhase(phase) {
+  isTitleRound = phase === 'awaiting-title';
+  wordForm.classList.toggle('title-round', isTitleRound);
+  wordInput.maxLength = isTitleRound ? CFG.TITLE_MAX_CHARS : CFG.INPUT_MAX_CHARS;
+  wordInput.placeholder = isTitleRound ? 'propose a chapter title' : 'type next word';
+  styleOptions.querySelectorAll('.style-btn').forEach(btn => { btn.disabled = isTitleRound; });
+}
+
+/**
+ * Finds the seal timer on the main page and starts the countdown, or shows the chapter's
+ * progress towards its seal under another seal policy.
+ * Called again with fresher seal times whenever the server sends its initial state.
+ * @param {number[]} sealTimestamps - The upcoming seal times from the server.
+ * @param {object} [progress] - The room's seal progress from the server.
  */
-export function initSealCountdown(cronSchedule) {
-  if (timerElement && cronSchedule) {
+export function initSealCountdown(sealTimestamps, progress = null) {
+  if (timerElement) {
     // Call the shared countdown function
-    startSealCountdown(timerElement, cronSchedule);
+    showSealProgress(timerElement, progress, sealTimestamps);
+  }
+  if (progress) updateEndChapterButton(progress);
+}
+
+/**
+ * Shows a room's new progress towards its seal.
+ * @param {object} progress - The progress from the server (see seal-policies.js).
+ */
+export function updateSealProgress(progress) {
+  initSealCountdown(null, progress);
+}
+
+/**
+ * Shows the "end chapter" vote while the motion is open, and whether this user supports it.
+ * A new chapter starts with no supporters, so the user's support is then cleared.
+ * @param {object} progress - The room's seal progress.
+ */
+function updateEndChapterButton(progress) {
+  if (!btnEndChapter) return;
+  const isOpen = progress.policy === 'motion' && progress.words >= progress.minWords;
+  if (!isOpen || progress.votes === 0) setEndChapterSupport(false);
+  btnEndChapter.hidden = !isOpen;
+}
+
+/**
+ * Updates the "end chapter" button after the server recorded this user's vote.
+ * @param {boolean} support - Whether this user supports the motion.
+ */
+export function setEndChapterSupport(support) {
+  if (!btnEndChapter) return;
+  btnEndChapter.classList.toggle('supported', support);
+  btnEndChapter.textContent = support ? 'Withdraw my vote' : 'Vote to end chapter';
+}
+
+/**
+ * Sends this user's support for the "end chapter" motion, or withdraws it.
+ */
+function addEndChapterEvents() {
+  if (!btnEndChapter) return;
+  btnEndChapter.addEventListener('click', () => {
+    socket.emit('endChapterMotion', { support: !btnEndChapter.classList.contains('supported') });
+  });
+}
+
+/**
+ * Shows the vote to strike the last winning word while its motion is open, with the tally.
+ * The motion closes with the round, or when the word is struck.
+ * @param {{ts: number, word: string, votes: number, needed: number}|null} progress - The tally from the server.
+ */
+export function updateStrikeProgress(progress) {
+  if (!btnStrikeWord) return;
+  if (!progress) {
+    btnStrikeWord.hidden = true;
+    btnStrikeWord.classList.remove('supported');
+    delete btnStrikeWord.dataset.ts;
+    return;
   }
+  if (btnStrikeWord.dataset.ts !== String(progress.ts)) btnStrikeWord.classList.remove('supported');
+  btnStrikeWord.dataset.ts = progress.ts;
+  btnStrikeWord.dataset.word = progress.word;
+  btnStrikeWord.dataset.tally = `${progress.votes}/${progress.needed}`;
+  btnStrikeWord.hidden = false;
+  renderStrikeButton();
+}
+
+/**
+ * Updates the strike button after the server recorded this user's vote.
+ * @param {number} ts - The timestamp of the word voted on.
+ * @param {boolean} support - Whether this user supports striking it.
+ */
+export function setStrikeSupport(ts, support) {
+  if (!btnStrikeWord || btnStrikeWord.dataset.ts !== String(ts)) return;
+  btnStrikeWord.classList.toggle('supported', support);
+  renderStrikeButton();
+}
+
+/**
+ * Writes the strike button's label from its state.
+ */
+function renderStrikeButton() {
+  const { word, tally } = btnStrikeWord.dataset;
+  btnStrikeWord.textContent = btnStrikeWord.classList.contains('supported')
+    ? `Withdraw my strike (${tally})`
+    : `Strike “${word}” (${tally})`;
+}
+
+/**
+ * Sends this user's vote to strike the last winning word, or withdraws it.
+ */
+function addStrikeEvents() {
+  if (!btnStrikeWord) return;
+  btnStrikeWord.addEventListener('click', () => {
+    socket.emit('strikeMotion', {
+      ts: Number(btnStrikeWord.dataset.ts),
+      support: !btnStrikeWord.classList.contains('supported'),
+    });
+  });
 }
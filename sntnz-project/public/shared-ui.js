@@ -5,9 +5,144 @@
  * like the main app and the history page.
  */
 
+/**
+ * Returns the ID of the story room the page is showing.
+ * The main page lives at /r/:roomId; the history page uses a `room` query parameter.
+ * @returns {string|null} The room ID, or null for the default room.
+ */
+export function getRoomId() {
+  const pathMatch = window.location.pathname.match(/^\/r\/([a-z0-9-]+)/);
+  if (pathMatch) return pathMatch[1];
+  return new URLSearchParams(window.location.search).get('room');
+}
+
+/**
+ * Builds the `room=...` query fragment for API calls and links.
+ * @param {string} [prefix='&'] - The character to put before the parameter.
+ * @returns {string} The query fragment, or an empty string for the default room.
+ */
+export function roomQuery(prefix = '&') {
+  const roomId = getRoomId();
+  return roomId ? `${prefix}room=${encodeURIComponent(roomId)}` : '';
+}
+
+// The typography of the story language (see LANGUAGES in constants.js), set with setStoryLanguage().
+let typography = { spaced: true, spaceBefore: '' };
+
+// The narrow no-break space French puts before '!', '?', ';' and ':'.
+const NARROW_SPACE = '\u202F';
+
+/**
+ * Sets the language the story is written in, for word spacing and punctuation.
+ * @param {string} language - The language code, e.g. 'fr'.
+ * @param {object} languages - The supported languages, from the /config LANGUAGES setting.
+ */
+export function setStoryLanguage(language, languages) {
+  const settings = (languages && languages[language]) || {};
+  typography = { spaced: settings.spaced !== false, spaceBefore: settings.spaceBefore || '' };
+  document.documentElement.lang = language;
+}
+
+// The word style schema (see WORD_STYLES in constants.js), set with setWordStyles().
+let wordStyles = {};
+
+/**
+ * Sets the styles words may carry, which decide how words are rendered.
+ * @param {object} schema - The style schema, from the /config WORD_STYLES setting.
+ */
+export function setWordStyles(schema) {
+  wordStyles = schema || {};
+}
+
+/**
+ * Gives an element the classes of a word's styles (`style-bold`, `style-dialogue`...).
+ * @param {HTMLElement} element - The element showing the word.
+ * @param {object} [styles] - The word's styles.
+ * @param {object} [options={}]
+ * @param {boolean} [options.standalone=false] - If true, the word is shown on its own (e.g. in the
+ * live feed), so it gets the marks of its styles itself; in a text, runs of words share them.
+ */
+export function applyWordStyles(element, styles = {}, { standalone = false } = {}) {
+  Object.keys(wordStyles).forEach(name => element.classList.toggle(`style-${name}`, !!styles[name]));
+  if (!standalone) return;
+  const marks = Object.entries(wordStyles).filter(([name, style]) => style.marks && styles[name]).map(([, style]) => style.marks);
+  if (marks.length) {
+    element.dataset.open = marks.map(([open]) => open).join('');
+    element.dataset.close = marks.map(([, close]) => close).reverse().join('');
+  } else {
+    delete element.dataset.open;
+    delete element.dataset.close;
+  }
+}
+
+/**
+ * Returns how many line breaks a word's styles put before it (see word-styles.js).
+ * @param {object} [styles] - The word's styles.
+ * @returns {number}
+ */
+export function breaksBefore(styles = {}) {
+  return Object.entries(wordStyles).reduce((breaks, [name, style]) => (
+    styles[name] ? Math.max(breaks, style.breaks || 0) : breaks
+  ), 0);
+}
+
+/**
+ * Returns the word rendered next to a word span, skipping spaces and line breaks.
+ * @param {HTMLElement} wordSpan - The word span.
+ * @param {string} direction - 'previousSibling' or 'nextSibling'.
+ * @returns {HTMLElement|null}
+ */
+function adjacentWord(wordSpan, direction) {
+  let node = wordSpan[direction];
+  while (node && !node.classList?.contains('word')) node = node[direction];
+  return node;
+}
+
+/**
+ * @summary Puts the marks of styles such as dialogue around each run of words with the style.
+ * @description The marks are kept in `data-open` and `data-close` attributes, which the
+ * stylesheet displays. A word changes the runs of its neighbours, so they are updated too.
+ * @param {HTMLElement} wordSpan - The word span just added, or a neighbour of a removed word.
+ */
+function updateStyleMarks(wordSpan) {
+  const markedStyles = Object.entries(wordStyles).filter(([, style]) => style.marks);
+  if (markedStyles.length === 0) return;
+
+  [adjacentWord(wordSpan, 'previousSibling'), wordSpan, adjacentWord(wordSpan, 'nextSibling')]
+    .filter(Boolean)
+    .forEach(span => {
+      const previous = adjacentWord(span, 'previousSibling');
+      const next = adjacentWord(span, 'nextSibling');
+      let open = '';
+      let close = '';
+      markedStyles.forEach(([name, { marks }]) => {
+        const className = `style-${name}`;
+        if (!span.classList.contains(className)) return;
+        if (!previous || !previous.classList.contains(className)) open += marks[0];
+        if (!next || !next.classList.contains(className)) close = marks[1] + close;
+      });
+      if (open) span.dataset.open = open; else delete span.dataset.open;
+      if (close) span.dataset.close = close; else delete span.dataset.close;
+    });
+}
+
+/**
+ * Returns how a word is displayed: with a narrow space before its closing punctuation
+ * in languages that use one ('Bonjour!' is shown as 'Bonjour !' in French).
+ * @param {string} word - The word as submitted.
+ * @returns {string}
+ */
+function displayText(word) {
+  if (!typography.spaceBefore) return word;
+  const match = word.match(/^(.*?\p{L}[^\s]*?)([!?;:]+)(["'”’»)]*)$/u);
+  if (!match || ![...match[2]].every(mark => typography.spaceBefore.includes(mark))) return word;
+  return `${match[1]}${NARROW_SPACE}${match[2]}${match[3]}`;
+}
+
 /**
  * Renders a single word with its associated newline and smart spacing into a container.
  * This is the single source of truth for all word rendering in the application.
+ * Spacing follows the story language (see setStoryLanguage).
  *
  * @param {object} wordData - The word object to render.
  * @param {HTMLElement} container - The parent element to render into.
@@ -17,7 +152,12 @@
 export function renderWord(wordData, container, { prepend=false, addExtraTitleLine=true  } = {}) {
   // --- 1. CONFIGURATION & ELEMENT CREATION ---
 
-  const IS_PUNCTUATION = /^[.,!?;:)]$/;
+  const IS_PUNCTUATION = /^[.,!?;:)…»。、，！？：；]$/u;
+  const isPunctuation = IS_PUNCTUATION.test(wordData.word);
+  // The space before the word: none in unspaced scripts or before punctuation, except
+  // for the narrow space some languages put before certain marks.
+  let space = typography.spaced && !isPunctuation ? ' ' : '';
+  if (isPunctuation && typography.spaceBefore.includes(wordData.word)) space = NARROW_SPACE;
   const styles = wordData.styles || {};
   const wordSpan = document.createElement('span');
   wordSpan.className = 'word';
@@ -26,10 +166,10 @@ export function renderWord(wordData, container, { prepend=false, addExtraTitleLi
   wordSpan.dataset.pct = (wordData.pct || 0).toFixed(2);
   wordSpan.dataset.count = wordData.count;
   wordSpan.dataset.total = wordData.total;
-  wordSpan.textContent = wordData.word;
-  wordSpan.style.fontWeight = styles.bold ? 'bold' : 'normal';
-  wordSpan.style.fontStyle = styles.italic ? 'italic' : 'normal';
-  wordSpan.style.textDecoration = styles.underline ? 'underline' : 'none';
+  if (wordData.roundId) wordSpan.dataset.roundId = wordData.roundId; // Links the word to its round's audit record.
+  wordSpan.textContent = displayText(wordData.word);
+  applyWordStyles(wordSpan, styles);
+  const breaks = breaksBefore(styles);
 
   // --- 2. APPLY LAYOUT AND INSERT INTO DOM ---
 
@@ -42,37 +182,162 @@ export function renderWord(wordData, container, { prepend=false, addExtraTitleLi
     container.prepend(wordSpan);
 
     // 2. Insert the Space second, so it appears *before* the word span.
-    if (!IS_PUNCTUATION.test(wordData.word)) {
-      container.prepend(document.createTextNode(' '));
+    if (space) {
+      container.prepend(document.createTextNode(space));
     }
 
     // 3. Insert Newlines last, so they appear *before* the space and word.
-    if (styles.newline) {
+    for (let i = 0; i < breaks; i++) container.prepend(document.createElement('br'));
+    if (breaks && wordData.isTitle) {
       container.prepend(document.createElement('br'));
-      if (wordData.isTitle) {
-        container.prepend(document.createElement('br'));
-      }
     }
 
   } else {
     // --- APPEND LOGIC (insert elements in normal visual order) ---
 
-    // 1. Insert Newlines first.
-    if (styles.newline) {
-      if (wordData.isTitle && addExtraTitleLine) {
-        container.appendChild(document.createElement('br'));
-      }
+    // 1. Insert Newlines first: one for a new line, two for a new paragraph.
+    if (breaks && wordData.isTitle && addExtraTitleLine) {
       container.appendChild(document.createElement('br'));
     }
+    for (let i = 0; i < breaks; i++) container.appendChild(document.createElement('br'));
 
     // 2. Insert the Smart Spacing second.
-    if (container.hasChildNodes() && !IS_PUNCTUATION.test(wordData.word)) {
-      container.appendChild(document.createTextNode(' '));
+    if (container.hasChildNodes() && space) {
+      container.appendChild(document.createTextNode(space));
     }
 
     // 3. Insert the Word itself last.
     container.appendChild(wordSpan);
   }
+
+  updateStyleMarks(wordSpan);
+}
+
+/**
+ * Removes a rendered word from a container, with the space and line breaks rendered before it.
+ * @param {HTMLElement} container - The element the word was rendered into.
+ * @param {number} ts - The word's timestamp.
+ * @returns {boolean} True if the word was displayed.
+ */
+export function removeRenderedWord(container, ts) {
+  const wordSpan = container.querySelector(`span.word[data-ts="${ts}"]`);
+  if (!wordSpan) return false;
+  const neighbour = adjacentWord(wordSpan, 'previousSibling') || adjacentWord(wordSpan, 'nextSibling');
+  while (wordSpan.previousSibling && !wordSpan.previousSibling.classList?.contains('word')) {
+    wordSpan.previousSibling.remove();
+  }
+  wordSpan.remove();
+  if (neighbour) updateStyleMarks(neighbour);
+  return true;
+}
+
+// How many losing candidates the tooltip lists before summarizing the rest.
+const MAX_ALTERNATIVES_SHOWN = 5;
+
+// Round audit records already fetched, by round ID. Rounds never change once recorded.
+const roundCache = new Map();
+
+/**
+ * Fetches the audit record of a round, once.
+ * @param {string} roundId - The round ID.
+ * @returns {Promise<object|null>} The round record, or null if it is unavailable.
+ */
+function fetchRound(roundId) {
+  if (!roundCache.has(roundId)) {
+    const request = fetch(`/api/rounds/${encodeURIComponent(roundId)}`)
+      .then(response => (response.ok ? response.json() : null))
+      .catch(() => null);
+    roundCache.set(roundId, request);
+  }
+  return roundCache.get(roundId);
+}
+
+/**
+ * Asks the player why they report something.
+ * @param {string} what - What is reported, as shown to the player.
+ * @returns {string|null} The reason, or null if the player cancelled.
+ */
+export function askReportReason(what) {
+  const reason = window.prompt(`Report ${what} to the moderators?\nWhy: offensive, spam or other.`, 'offensive');
+  return reason === null ? null : reason.trim().toLowerCase();
+}
+
+/**
+ * Sends a report to the server.
+ * @param {object} report - `{ targetType, ts | chapterHash, reason }`; the room is added here.
+ * @returns {Promise<string>} The server's answer, to show the player.
+ */
+export async function sendReport(report) {
+  try {
+    const response = await fetch('/api/reports', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...report, roomId: getRoomId() || undefined }),
+    });
+    const result = await response.json();
+    return response.ok ? result.message : result.error;
+  } catch (error) {
+    console.error('Failed to send the report:', error);
+    return 'Could not send your report.';
+  }
+}
+
+/**
+ * Positions the tooltip above a click point, keeping it inside the window.
+ * @param {HTMLElement} tooltipElement - The tooltip element.
+ * @param {number} pageX - The horizontal click position.
+ * @param {number} pageY - The vertical click position.
+ */
+function positionTooltip(tooltipElement, pageX, pageY) {
+  // Get dimensions and position needed for calculations.
+  const tooltipWidth = tooltipElement.offsetWidth;
+  const tooltipHeight = tooltipElement.offsetHeight;
+  const windowWidth = window.innerWidth;
+  const margin = 15; // A small margin to keep the tooltip from touching the window edges.
+
+  // Center the tooltip horizontally based on the mouse click position.
+  let newLeft = pageX - (tooltipWidth / 2);
+  // Position the tooltip just above the mouse click position.
+  const newTop = pageY - tooltipHeight - margin;
+
+  // These checks prevent the tooltip from rendering off-screen.
+  // If it's too far left, push it to the right.
+  if (newLeft < margin) {
+    newLeft = margin;
+  }
+  // If it's too far right, push it to the left.
+  if (newLeft + tooltipWidth > windowWidth - margin) {
+    newLeft = windowWidth - tooltipWidth - margin;
+  }
+
+  tooltipElement.style.left = `${newLeft}px`;
+  tooltipElement.style.top = `${newTop}px`;
+}
+
+/**
+ * Fills a tooltip line with the candidates that lost the word's round.
+ * @param {HTMLElement} line - The tooltip line to fill.
+ * @param {object|null} round - The round record from /api/rounds/:id.
+ */
+function renderAlternatives(line, round) {
+  line.innerHTML = '<strong>Alternatives that lost:</strong> '; // Safe, not user content
+  if (!round) {
+    line.appendChild(document.createTextNode('unavailable'));
+    return;
+  }
+
+  const losers = round.candidates.filter(c => !round.winner || c.compositeKey !== round.winner.compositeKey);
+  if (losers.length === 0) {
+    line.appendChild(document.createTextNode('none'));
+    return;
+  }
+
+  const shown = losers
+    .slice(0, MAX_ALTERNATIVES_SHOWN)
+    .map(c => `${c.word} (${c.score})`)
+    .join(', ');
+  const more = losers.length > MAX_ALTERNATIVES_SHOWN ? ` +${losers.length - MAX_ALTERNATIVES_SHOWN} more` : '';
+  line.appendChild(document.createTextNode(shown + more)); // Securely append user words as text
 }
 
 /**
@@ -80,8 +345,10 @@ export function renderWord(wordData, container, { prepend=false, addExtraTitleLi
  * This function uses event delegation for efficiency.
  * @param {HTMLElement} containerElement - The element to listen for clicks on (e.g., the main text container or history container).
  * @param {HTMLElement} tooltipElement - The tooltip element to show/hide.
+ * @param {object} [options={}] - Tooltip options.
+ * @param {boolean} [options.showAlternatives=false] - If true, also lists the words that lost each round.
  */
-export function addTooltipEvents(containerElement, tooltipElement) {
+export function addTooltipEvents(containerElement, tooltipElement, { showAlternatives = false } = {}) {
   // --- Initial Check ---
   // Exit early if the required elements don't exist in the DOM.
   if (!containerElement || !tooltipElement) return;
@@ -148,39 +415,49 @@ export function addTooltipEvents(containerElement, tooltipElement) {
     const votesLine = document.createElement('div');
     votesLine.innerHTML = `<strong>Votes:</strong> ${data.count} / ${data.total} (${data.pct}%)`; // Safe, not user content
 
+    // Lets the player report the word to the moderators.
+    const reportLine = document.createElement('div');
+    const reportLink = document.createElement('span');
+    reportLink.className = 'tooltip-report';
+    reportLink.textContent = 'Report this word';
+    reportLink.addEventListener('click', async () => {
+      const reason = askReportReason(`"${wordSpan.textContent}"`);
+      if (reason === null) return;
+      reportLink.textContent = 'Sending...';
+      reportLink.textContent = await sendReport({ targetType: 'word', ts: Number(data.ts), reason });
+    });
+    reportLine.appendChild(reportLink);
+
     // Append all lines to the tooltip
     tooltipElement.appendChild(authorLine);
     tooltipElement.appendChild(timeLocalLine);
     tooltipElement.appendChild(timeUtcLine);
     tooltipElement.appendChild(votesLine);
+    tooltipElement.appendChild(reportLine);
 
-    // --- 4. Calculate Tooltip Position ---
-    // Get dimensions and position needed for calculations.
-    const tooltipWidth = tooltipElement.offsetWidth;
-    const tooltipHeight = tooltipElement.offsetHeight;
-    const windowWidth = window.innerWidth;
-    const margin = 15; // A small margin to keep the tooltip from touching the window edges.
-
-    // Center the tooltip horizontally based on the mouse click position (e.pageX).
-    let newLeft = e.pageX - (tooltipWidth / 2);
-    // Position the tooltip just below the mouse click position (e.pageY).
-    let newTop = e.pageY - tooltipHeight - margin;
-
-    // --- 5. Perform Boundary Checks ---
-    // These checks prevent the tooltip from rendering off-screen.
-    // If it's too far left, push it to the right.
-    if (newLeft < margin) {
-      newLeft = margin;
-    }
-    // If it's too far right, push it to the left.
-    if (newLeft + tooltipWidth > windowWidth - margin) {
-      newLeft = windowWidth - tooltipWidth - margin;
-    }
-
-    // --- 6. Apply Styles and Show Tooltip ---
-    tooltipElement.style.left = `${newLeft}px`;
-    tooltipElement.style.top = `${newTop}px`;
+    // --- 4. Position and Show the Tooltip ---
+    positionTooltip(tooltipElement, e.pageX, e.pageY);
     tooltipElement.classList.add('visible');
+
+    // --- 5. Load the Losing Alternatives ---
+    // The round's audit record is fetched on demand, then the tooltip is re-positioned
+    // to fit the extra line (unless another word was clicked in the meantime).
+    if (showAlternatives && data.roundId) {
+      const { roundId } = data;
+      const alternativesLine = document.createElement('div');
+      alternativesLine.innerHTML = '<strong>Alternatives that lost:</strong> ...'; // Safe, not user content
+      tooltipElement.appendChild(alternativesLine);
+      tooltipElement.dataset.roundId = roundId;
+      positionTooltip(tooltipElement, e.pageX, e.pageY);
+
+      fetchRound(roundId).then(round => {
+        if (tooltipElement.dataset.roundId !== roundId) return;
+        renderAlternatives(alternativesLine, round);
+        positionTooltip(tooltipElement, e.pageX, e.pageY);
+      });
+    } else {
+      delete tooltipElement.dataset.roundId;
+    }
   });
 }
 
@@ -347,69 +624,39 @@ export function renderContributorsDropdown(dropdownContainer, wordArray, textCon
   });
 }
 
+// The running seal countdowns, by element.
+const countdowns = new WeakMap();
+
 /**
  * Starts a countdown timer in a given element until the next scheduled seal.
+ * The seal times come from the server (see schedule.js), which reads the cron schedule;
+ * a countdown started again on the same element replaces the previous one.
  * @param {HTMLElement} element - The element to display the countdown in.
- * @param {string} cronSchedule - The cron schedule string
+ * @param {number[]} sealTimestamps - The upcoming seal times, in milliseconds.
  */
-export function startSealCountdown(element, cronSchedule) {
+export function startSealCountdown(element, sealTimestamps) {
+  clearInterval(countdowns.get(element));
   let countdownInterval;
+  let nextSealTime = null; // The seal being counted down to.
 
-  function calculateNextSealDate() {
-    const parts = cronSchedule.split(' ');
-    const minutePart = parts[0];
-    const hourPart = parts[1];
-    const now = new Date();
-
-    // Create the date object based on current time but work with its UTC components
-    const nextSealDate = new Date(now.getTime());
-    nextSealDate.setUTCSeconds(0, 0);
-
-    // Case 1: "Every X minutes" schedule (e.g., '*/5 * * * *')
-    if (minutePart.startsWith('*/')) {
-      const interval = parseInt(minutePart.substring(2), 10);
-      const currentUTCMinutes = now.getUTCMinutes();
-      const remainder = currentUTCMinutes % interval;
-      const minutesToAdd = interval - remainder;
-
-      nextSealDate.setUTCMinutes(now.getUTCMinutes() + minutesToAdd);
-      return nextSealDate;
+  function updateTimer() {
+    // A re-rendered page replaces the element; this countdown is then no longer needed.
+    if (!element.isConnected) {
+      clearInterval(countdownInterval);
+      return;
     }
 
-    // Case 2: Specific hours schedule (e.g., '0 8,16,0 * * *')
-    if (hourPart !== '*' && !hourPart.includes('/')) {
-      const scheduledMinute = parseInt(minutePart, 10);
-      const scheduledHours = hourPart.split(',').map(h => parseInt(h, 10)).sort((a, b) => a - b);
-      const currentUTCHour = now.getUTCHours();
-      const currentUTCMinute = now.getUTCMinutes();
-
-      let nextHour = scheduledHours.find(h => h > currentUTCHour || (h === currentUTCHour && scheduledMinute > currentUTCMinute));
-
-      if (nextHour !== undefined) {
-        // Next seal is later today (in UTC)
-        nextSealDate.setUTCHours(nextHour, scheduledMinute);
-      } else {
-        // Next seal is tomorrow (in UTC) at the first scheduled hour
-        nextSealDate.setUTCDate(now.getUTCDate() + 1);
-        nextSealDate.setUTCHours(scheduledHours[0], scheduledMinute);
-      }
-      return nextSealDate;
+    const now = Date.now();
+    if (!nextSealTime || nextSealTime > now) {
+      nextSealTime = (sealTimestamps || []).find(ts => ts > now) || null;
     }
-
-    // Fallback for unsupported cron formats
-    return null;
-  }
-
-  function updateTimer() {
-    const nextSealTime = calculateNextSealDate();
-
     if (!nextSealTime) {
       element.textContent = "Invalid schedule";
       clearInterval(countdownInterval);
       return;
     }
 
-    const distance = nextSealTime - new Date().getTime();
+    const distance = nextSealTime - now;
 
     if (distance <= 0) {
       // It's time to seal, or the time has just passed.
@@ -430,6 +677,47 @@ export function startSealCountdown(element, cronSchedule) {
 
   updateTimer(); // Run once immediately
   countdownInterval = setInterval(updateTimer, 1000);
+  countdowns.set(element, countdownInterval);
+}
+
+/**
+ * Describes a room's progress towards its seal, under a policy other than the schedule.
+ * @param {object} progress - The progress sent by the server (see seal-policies.js).
+ * @returns {string} The text shown in place of the countdown.
+ */
+export function describeSealProgress(progress) {
+  const { words, budget, minWords, maxWords, votes, needed } = progress;
+  switch (progress.policy) {
+    case 'word-budget':
+      return `Chapter ends at ${budget} words: ${words} / ${budget}`;
+    case 'narrative':
+      return progress.concluding
+        ? `The story is reaching its ending: ${words} words (sealed by ${maxWords})`
+        : `Chapter ends with its story, from ${minWords} words: ${words} / ${minWords}`;
+    case 'motion':
+      return words < minWords
+        ? `Chapter ends by vote, from ${minWords} words: ${words} / ${minWords}`
+        : `Vote to end the chapter: ${votes} / ${needed} votes`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Shows what will end the live chapter in a given element: a countdown to the next seal
+ * under the schedule policy, or the chapter's progress towards its seal otherwise.
+ * @param {HTMLElement} element - The element to display it in.
+ * @param {object|null} progress - The room's seal progress from the server, if known.
+ * @param {number[]} sealTimestamps - The upcoming seal times, in milliseconds.
+ */
+export function showSealProgress(element, progress, sealTimestamps) {
+  if (!progress || progress.policy === 'schedule') {
+    if (sealTimestamps) startSealCountdown(element, sealTimestamps);
+    return;
+  }
+  clearInterval(countdowns.get(element));
+  countdowns.delete(element);
+  element.textContent = describeSealProgress(progress);
 }
 
 /**
@@ -0,0 +1,161 @@
+/**
+ * ============================================================================
+ * --- Submission & Vote Quotas (quotas.js) ---
+ * ============================================================================
+ *
+ * Socket events are not covered by the Express rate limiter, so word submissions,
+ * votes and reports are metered here. Each action has a quota per identity (the Google ID,
+ * or the anonymous ID) and a quota per IP address, with separate tiers for
+ * anonymous and logged-in players (see `constants.QUOTAS`).
+ *
+ * Quotas are fixed windows: every attempt increments a counter for the current
+ * window, and the attempt is refused once a counter goes over its limit.
+ *
+ * Responsibilities:
+ * - Count attempts per action, tier, scope (identity or IP) and window.
+ * - Refuse over-quota attempts with the number of seconds until the window resets.
+ * - Keep the counters in memory (single instance) or in MongoDB (shared by every instance).
+ *
+ * Every counter store exposes one function:
+ * - `increment(key, resetAt)`: adds one to a window's counter, which expires at `resetAt`,
+ *   and returns `{ count, resetAt }`.
+ */
+
+const logger = require('./logger');
+const constants = require('./constants');
+
+// How often expired counters are dropped from the in-memory store.
+const MEMORY_SWEEP_INTERVAL_MS = 60_000;
+
+// ============================================================================
+// --- COUNTER STORES ---
+// ============================================================================
+
+/**
+ * Creates a counter store held in this process's memory.
+ * @returns {object} The counter store.
+ */
+function createMemoryCounterStore() {
+  const counters = new Map();
+
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, MEMORY_SWEEP_INTERVAL_MS);
+  sweep.unref(); // Never keep the process alive just to sweep.
+
+  return {
+    async increment(key, resetAt) {
+      let counter = counters.get(key);
+      if (!counter) {
+        counter = { count: 0, resetAt };
+        counters.set(key, counter);
+      }
+      counter.count++;
+      return { ...counter };
+    },
+  };
+}
+
+/**
+ * @summary Creates a counter store in MongoDB, shared by every server instance.
+ * @description Each counter is one document, incremented atomically with an upsert.
+ * Its `expiresAt` date feeds a TTL index, so MongoDB removes finished windows itself.
+ * @param {Collection} quotasCollection - The MongoDB quotas collection.
+ * @returns {object} The counter store.
+ */
+function createMongoCounterStore(quotasCollection) {
+  quotasCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 }).catch(err => {
+    logger.error({ err }, '[quotas] Failed to create the TTL index');
+  });
+
+  return {
+    async increment(key, resetAt) {
+      const doc = await quotasCollection.findOneAndUpdate(
+        { _id: key },
+        { $inc: { count: 1 }, $setOnInsert: { expiresAt: new Date(resetAt) } },
+        { upsert: true, returnDocument: 'after' }
+      );
+      return { count: doc.count, resetAt: doc.expiresAt.getTime() };
+    },
+  };
+}
+
+// ============================================================================
+// --- LIMITER ---
+// ============================================================================
+
+/**
+ * Formats a wait in seconds for a player-facing message.
+ * @param {number} seconds - The wait.
+ * @returns {string} E.g. '40 seconds' or '12 minutes'.
+ */
+function formatWait(seconds) {
+  if (seconds < 90) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  return `${Math.ceil(seconds / 60)} minutes`;
+}
+
+/**
+ * @summary Creates the quota limiter for socket actions.
+ * @param {object} options
+ * @param {object} options.store - Where the counters are kept (see the stores above).
+ * @param {object} [options.quotas] - The quota table, `constants.QUOTAS` by default.
+ * @returns {{consume: Function}} The limiter.
+ */
+function createQuotaLimiter({ store, quotas = constants.QUOTAS }) {
+  /**
+   * @summary Counts one attempt at an action and says whether it is allowed.
+   * @description Both the identity and the IP quota of the player's tier are counted.
+   * If the store fails, the attempt is allowed: a database hiccup must not lock players out.
+   * @param {string} action - 'submission', 'vote' or 'report'.
+   * @param {object} player
+   * @param {string} player.identity - The Google ID or anonymous ID.
+   * @param {string} player.ip - The client's IP address.
+   * @param {boolean} player.isAnonymous - Whether the player is not logged in.
+   * @returns {Promise<{ok: boolean, retryAfter?: number, reason?: string}>} `retryAfter` is in seconds.
+   */
+  async function consume(action, { identity, ip, isAnonymous }) {
+    const tierName = isAnonymous ? 'anonymous' : 'loggedIn';
+    const tier = quotas[action] && quotas[action][tierName];
+    if (!tier) return { ok: true };
+
+    const scopes = [['identity', identity, tier.perIdentity], ['ip', ip, tier.perIp]]
+      .filter(([, key, quota]) => key && quota);
+
+    try {
+      const now = Date.now();
+      let retryAfter = 0;
+      for (const [scope, key, { limit, windowSeconds }] of scopes) {
+        const windowMs = windowSeconds * 1000;
+        const windowStart = Math.floor(now / windowMs) * windowMs;
+        const counter = await store.increment(`${action}:${tierName}:${scope}:${key}:${windowStart}`, windowStart + windowMs);
+        if (counter.count > limit) {
+          retryAfter = Math.max(retryAfter, Math.ceil((counter.resetAt - now) / 1000));
+        }
+      }
+
+      if (retryAfter > 0) {
+        const loginHint = isAnonymous ? ' Log in for a higher limit.' : '';
+        return {
+          ok: false,
+          retryAfter,
+          reason: `You have reached your ${action} limit. Try again in ${formatWait(retryAfter)}.${loginHint}`,
+        };
+      }
+      return { ok: true };
+    } catch (err) {
+      logger.error({ err, action }, '[quotas] Failed to count the attempt; allowing it');
+      return { ok: true };
+    }
+  }
+
+  return { consume };
+}
+
+module.exports = {
+  createMemoryCounterStore,
+  createMongoCounterStore,
+  createQuotaLimiter,
+};
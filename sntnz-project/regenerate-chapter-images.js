@@ -25,7 +25,7 @@ let chaptersCollection;
 
 /**
  * Fetches chapters by their specific numbers and regenerates their cover images.
- * This will overwrite existing images in Google Cloud Storage and update the database record.
+ * This will overwrite existing images in the image store (see ai-providers.js) and update the database record.
  * @param {number[]} chapterNumbers - An array of chapter numbers to process (e.g., [5, 12, 23]).
  * @param {boolean} useProductionBucket - Flag to determine which GCS folder to use ('images' vs 'dev-images').
  * @param {boolean} postOnSocials - Flag to determine if the chapter should be posted to social media after regeneration.
@@ -73,15 +73,20 @@ async function regenerateChapterImages(chapterNumbers = [], useProductionBucket
       logger.info({ chapterTitle: title, chapterText: text, chapterHash: hash.substring(0, 12) }, 'Regenerating image...');
 
       try {
-        const newImageUrl = await generateAndUploadImage(text, title, hash, useProductionBucket);
+        const image = await generateAndUploadImage(text, title, hash, useProductionBucket);
+        const newImageUrl = image ? image.imageUrl : null;
 
         if (newImageUrl) {
-          // 4. Update the chapter document in the database with the new image URL
+          // 4. Update the chapter document in the database with the new image URL and its templates.
+          // The templates of the replaced image are kept, to count the regenerations per template version.
           await chaptersCollection.updateOne(
             { _id: chapter._id },
-            { $set: { imageUrl: newImageUrl } }
+            {
+              $set: { imageUrl: newImageUrl, imagePromptTemplates: image.promptTemplates },
+              $push: { replacedImagePromptTemplates: { $each: chapter.imagePromptTemplates || [] } },
+            }
           );
-          logger.info({ chapterTitle: title, newImageUrl }, 'Successfully regenerated image and updated database.');
+          logger.info({ chapterTitle: title, newImageUrl, promptTemplates: image.promptTemplates }, 'Successfully regenerated image and updated database.');
 
           // 5. Post the chapter to social media if the flag is true
           if (postOnSocials && newImageUrl) {
@@ -0,0 +1,238 @@
+/**
+ * ============================================================================
+ * --- Player Reports (reports.js) ---
+ * ============================================================================
+ *
+ * Players flag a live candidate, a winning word or a sealed chapter with the
+ * `report` socket event or `POST /api/reports`. Moderators work through the
+ * open reports from the admin console (see admin.js).
+ *
+ * Responsibilities:
+ * - Identify the reported content and store a report with its context.
+ * - Keep one open report per piece of content, counting each reporter once.
+ * - Hide a live candidate once enough distinct players have reported it.
+ * - List open reports for moderators and record how each was resolved.
+ *
+ * A report is one document in the `reports` collection:
+ * `{ key, targetType, roomId, context, reporters: [{ id, ip, reason, ts }], ips,
+ * reporterCount, status, createdAt, updatedAt, autoHiddenAt?, resolution? }`.
+ * `key` identifies the content: a candidate by its round and submission time,
+ * a word by its document ID, and a chapter by its hash. A unique index on the
+ * key of open reports makes filing idempotent, even across server instances.
+ * The context of a candidate keeps the hash of its author's IP address (see
+ * `hashIpAddress` in auth.js), so a moderator can ban an anonymous author; the admin API
+ * never returns it.
+ */
+
+const { ObjectId } = require('mongodb');
+const logger = require('./logger');
+const constants = require('./constants');
+
+// What can be reported.
+const REPORT_TARGETS = Object.freeze({
+  CANDIDATE: 'candidate', // A submission in the live round.
+  WORD: 'word',           // A winning word, in a live or sealed chapter.
+  CHAPTER: 'chapter',     // A sealed chapter, by hash.
+});
+
+const REPORT_STATUSES = Object.freeze({
+  OPEN: 'open',
+  RESOLVED: 'resolved',
+});
+
+// How a moderator closes a report.
+const REPORT_RESOLUTIONS = Object.freeze({
+  DISMISSED: 'dismissed', // Nothing wrong: no action.
+  UPHELD: 'upheld',       // The report was right: actions may follow (see admin.js).
+});
+
+// The MongoDB error code for a unique index violation.
+const DUPLICATE_KEY_ERROR = 11000;
+
+// ============================================================================
+// --- STORE ---
+// ============================================================================
+
+/**
+ * @summary Creates the report store in MongoDB.
+ * @param {Collection} reportsCollection - The MongoDB reports collection.
+ * @returns {object} The report store.
+ */
+function createMongoReportStore(reportsCollection) {
+  reportsCollection.createIndex(
+    { key: 1 },
+    { unique: true, partialFilterExpression: { status: REPORT_STATUSES.OPEN } }
+  ).catch(err => logger.error({ err }, '[reports] Failed to create the unique index'));
+  reportsCollection.createIndex({ status: 1, reporterCount: -1, createdAt: 1 })
+    .catch(err => logger.error({ err }, '[reports] Failed to create the queue index'));
+
+  return {
+    /**
+     * Adds a reporter to the open report on a piece of content, creating it if needed.
+     * @param {object} target - `{ key, targetType, roomId, context }`.
+     * @param {object} reporter - `{ id, ip, reason }`.
+     * @returns {Promise<object|null>} The updated report, or null if this reporter already reported it.
+     */
+    async file(target, reporter) {
+      const now = Date.now();
+      try {
+        return await reportsCollection.findOneAndUpdate(
+          { key: target.key, status: REPORT_STATUSES.OPEN, 'reporters.id': { $ne: reporter.id } },
+          {
+            $push: { reporters: { ...reporter, ts: now } },
+            $addToSet: { ips: reporter.ip },
+            $inc: { reporterCount: 1 },
+            $set: { updatedAt: now },
+            $setOnInsert: {
+              key: target.key, targetType: target.targetType, roomId: target.roomId,
+              context: target.context, status: REPORT_STATUSES.OPEN, createdAt: now,
+            },
+          },
+          { upsert: true, returnDocument: 'after' }
+        );
+      } catch (err) {
+        // The report exists and already lists this reporter, so the upsert tried a second open report.
+        if (err.code === DUPLICATE_KEY_ERROR) return null;
+        throw err;
+      }
+    },
+
+    async markHidden(reportId) {
+      await reportsCollection.updateOne({ _id: reportId }, { $set: { autoHiddenAt: Date.now() } });
+    },
+
+    listOpen: (limit) => reportsCollection
+      .find({ status: REPORT_STATUSES.OPEN })
+      .sort({ reporterCount: -1, createdAt: 1 })
+      .limit(limit)
+      .toArray(),
+
+    findById: (reportId) => ObjectId.isValid(reportId)
+      ? reportsCollection.findOne({ _id: new ObjectId(reportId) })
+      : Promise.resolve(null),
+
+    /**
+     * Closes an open report.
+     * @returns {Promise<boolean>} False if it was already resolved.
+     */
+    async resolve(reportId, resolution) {
+      const result = await reportsCollection.updateOne(
+        { _id: reportId, status: REPORT_STATUSES.OPEN },
+        { $set: { status: REPORT_STATUSES.RESOLVED, resolution } }
+      );
+      return result.modifiedCount > 0;
+    },
+  };
+}
+
+// ============================================================================
+// --- FILING ---
+// ============================================================================
+
+/**
+ * @summary Creates the service that files player reports.
+ * @param {object} deps
+ * @param {object} deps.store - The report store.
+ * @param {Function} deps.getRoom - Returns a room's state by ID, or undefined.
+ * @param {Function} deps.findWord - Returns a winning word by room ID and timestamp (async).
+ * @param {Function} deps.findChapter - Returns a chapter by ID (async).
+ * @param {Function} deps.findSealedChapter - Returns a sealed chapter by hash (async).
+ * @param {Function} deps.findRound - Returns a recorded round by ID (async).
+ * @param {Function} deps.hideCandidate - Removes a candidate from a room's live round (async).
+ * @param {number} [deps.hideThreshold] - How many distinct players hide a candidate.
+ * @returns {{submit: Function}} The service.
+ */
+function createReportService({
+  store, getRoom, findWord, findChapter, findSealedChapter, findRound, hideCandidate,
+  hideThreshold = constants.REPORT_AUTO_HIDE_THRESHOLD,
+}) {
+  /**
+   * Finds the reported content and describes it.
+   * @param {object} request - `{ targetType, roomId, compositeKey?, ts?, chapterHash? }`.
+   * @returns {Promise<object|null>} `{ key, targetType, roomId, context }`, or null if it does not exist.
+   */
+  async function describeTarget({ targetType, roomId, compositeKey, ts, chapterHash }) {
+    if (targetType === REPORT_TARGETS.CANDIDATE) {
+      const room = getRoom(roomId);
+      const entry = room && room.liveWords.get(compositeKey);
+      if (!entry) return null;
+      return {
+        key: `${REPORT_TARGETS.CANDIDATE}:${room.id}:${compositeKey}:${entry.ts}`,
+        targetType, roomId: room.id,
+        context: {
+          compositeKey, word: entry.word, submittedAt: entry.ts,
+          submitterId: entry.submitterId, submitterName: entry.submitterName, submitterIpHash: entry.submitterIpHash || null,
+          roundEndsAt: room.nextTickTimestamp, chapterId: room.liveChapterId || null,
+        },
+      };
+    }
+
+    if (targetType === REPORT_TARGETS.WORD) {
+      const word = getRoom(roomId) && Number.isInteger(ts) ? await findWord(roomId, ts) : null;
+      if (!word) return null;
+      const [chapter, round] = await Promise.all([findChapter(word.chapterId), word.roundId ? findRound(word.roundId) : null]);
+      // Winning words only keep the author's name; the round's audit record has their ID.
+      const winner = round && round.winner && round.candidates.find(c => c.compositeKey === round.winner.compositeKey);
+      return {
+        key: `${REPORT_TARGETS.WORD}:${word._id}`,
+        targetType, roomId,
+        context: {
+          word: word.word, ts: word.ts, isTitle: !!word.isTitle, roundId: word.roundId || null,
+          submitterId: winner ? winner.submitterId : null, submitterName: word.username,
+          chapterId: word.chapterId, chapterTitle: chapter ? chapter.title : null, chapterHash: chapter ? chapter.hash : null,
+        },
+      };
+    }
+
+    if (targetType === REPORT_TARGETS.CHAPTER) {
+      const chapter = typeof chapterHash === 'string' ? await findSealedChapter(chapterHash) : null;
+      if (!chapter) return null;
+      return {
+        key: `${REPORT_TARGETS.CHAPTER}:${chapter.hash}`,
+        targetType, roomId: chapter.roomId,
+        context: { chapterId: chapter._id, chapterTitle: chapter.title, chapterHash: chapter.hash },
+      };
+    }
+    return null;
+  }
+
+  /**
+   * @summary Files a player's report.
+   * @description A player who already reported the content is told so, and is not counted
+   * again. A candidate is hidden once both its distinct reporters and their distinct IP
+   * addresses reach the threshold, so one person with several identities cannot hide it alone.
+   * @param {object} request - What is reported, and why (`reason`, one of constants.REPORT_REASONS).
+   * @param {object} reporter - `{ id, ip }`: the player ID and IP address.
+   * @returns {Promise<{ok: boolean, reason?: string, message?: string}>}
+   */
+  async function submit(request, reporter) {
+    const reason = constants.REPORT_REASONS.includes(request.reason) ? request.reason : 'other';
+    const target = await describeTarget(request || {});
+    if (!target) return { ok: false, reason: 'That word or chapter no longer exists.' };
+    if (target.context.submitterId && target.context.submitterId === reporter.id) {
+      return { ok: false, reason: 'You cannot report your own word.' };
+    }
+
+    const report = await store.file(target, { id: reporter.id, ip: reporter.ip, reason });
+    if (!report) return { ok: true, message: 'You have already reported this.' };
+    logger.info({ reportId: report._id, key: target.key, reporterCount: report.reporterCount }, '[reports] Report filed');
+
+    const distinctPlayers = Math.min(report.reporterCount, report.ips.length);
+    if (target.targetType === REPORT_TARGETS.CANDIDATE && !report.autoHiddenAt && distinctPlayers >= hideThreshold) {
+      await store.markHidden(report._id);
+      const hidden = await hideCandidate(target.roomId, target.context.compositeKey);
+      logger.info({ reportId: report._id, roomId: target.roomId, word: target.context.word, ok: hidden.ok }, '[reports] Candidate hidden after reports');
+    }
+    return { ok: true, message: 'Thanks, a moderator will take a look.' };
+  }
+
+  return { submit };
+}
+
+module.exports = {
+  REPORT_TARGETS,
+  REPORT_STATUSES,
+  REPORT_RESOLUTIONS,
+  createMongoReportStore,
+  createReportService,
+};
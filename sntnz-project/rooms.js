@@ -0,0 +1,220 @@
+/**
+ * ============================================================================
+ * --- Story Rooms (rooms.js) ---
+ * ============================================================================
+ *
+ * A room is an independent story: it has its own round clock, live feed,
+ * chapters, writing style and bot. The server keeps one in-memory state object
+ * per room and passes it to every game function.
+ *
+ * Responsibilities:
+ * - Define the shape of a room's in-memory game state.
+ * - Load room definitions from the `rooms` collection and keep a registry.
+ * - Migrate data written before rooms existed into the default room.
+ * - Provide the Socket.IO channel name used to scope broadcasts to a room.
+ */
+
+const logger = require('./logger');
+const constants = require('./constants');
+const { PHASES } = require('./game-engine');
+
+// Room IDs appear in URLs (/r/:roomId) and channel names, so keep them simple.
+const ROOM_ID_REGEX = /^[a-z0-9-]{1,32}$/;
+
+// The in-memory registry of all active rooms, keyed by room ID.
+const rooms = new Map();
+
+// ============================================================================
+// --- ROOM STATE ---
+// ============================================================================
+
+/**
+ * Returns a room's story language: its own if supported, or else the default one.
+ * @param {string} [language] - The language code from the room definition.
+ * @param {string} roomId - The room ID, for the logs.
+ * @returns {string} A key of constants.LANGUAGES.
+ */
+function resolveLanguage(language, roomId) {
+  const fallback = constants.LANGUAGES[constants.STORY_LANGUAGE] ? constants.STORY_LANGUAGE : 'en';
+  if (!language) return fallback;
+  if (constants.LANGUAGES[language]) return language;
+  logger.warn({ roomId, language, fallback }, '[rooms] Unsupported story language; using the default one.');
+  return fallback;
+}
+
+/**
+ * @summary Creates the in-memory game state for a room.
+ * @description Every variable that used to be module-level in server.js lives here,
+ * so several stories can run side by side in the same process.
+ * @param {object} roomDoc - The room definition from the `rooms` collection.
+ * @returns {object} The room's game state.
+ */
+function createRoomState(roomDoc) {
+  return {
+    // --- Definition ---
+    id: roomDoc._id,
+    name: roomDoc.name || roomDoc._id,
+    writingStyle: roomDoc.writingStyle || null, // A fixed style name, or null to let the bot pick one per chapter.
+    roundDurationSeconds: roomDoc.roundDurationSeconds || constants.ROUND_DURATION_SECONDS,
+    postToSocials: roomDoc.postToSocials ?? roomDoc._id === constants.DEFAULT_ROOM_ID,
+    language: resolveLanguage(roomDoc.language, roomDoc._id), // One of constants.LANGUAGES.
+
+    // --- Live game state ---
+    currentText: [],               // An array holding the most recent winning words.
+    liveWords: new Map(),          // A map of currently submitted words for the active round.
+    nextTickTimestamp: 0,          // The timestamp for when the current round ends.
+    botContext: [],                // The context buffer for the bot.
+    bots: {},                      // Each bot persona's queue, task and cadence, by persona ID (see personas.js).
+    runningBots: new Set(),        // The personas whose logic is running, a lock against running one twice at once.
+    personaStats: {},              // The rounds each persona took part in and won here (see personas.js).
+    criticRoundEnd: 0,             // The end time of the last round the bot critic reviewed.
+    chapterAiUsage: { calls: 0, inputTokens: 0, outputTokens: 0 }, // The tokens the personas used for the live chapter.
+    phase: PHASES.AWAITING_TITLE,  // Where the room is in the chapter life cycle (see game-engine.js).
+    liveChapterId: null,           // The MongoDB _id of the room's current live chapter document.
+    isImageGenerating: false,      // Tracks if an image is currently being generated.
+    mustSeal: false,               // Set when a seal is due; the chapter is sealed at the next round end.
+    skipNextSeal: false,           // Set by an admin to let the next seal pass without sealing.
+    chapterWordCount: 0,           // The words in the live chapter, title excluded (see seal-policies.js).
+    sealMotion: [],                // The players supporting the "end chapter" motion.
+    recentParticipants: [],        // The players of each of the last few rounds, to size the motion.
+    activePlayerCount: 0,          // How many distinct players took part in those rounds.
+    sealProgress: null,            // The room's progress towards its seal, published by the leader.
+    strikeMotion: null,            // The open motion to strike the last winning word: `{ ts, word, roundId, supporters }`.
+    strikeProgress: null,          // That motion's tally, published by the leader.
+    isPaused: false,               // Set by an admin to stop rounds from ending until resumed.
+    roundVersion: 0,               // The version of the live round last seen from the round store.
+  };
+}
+
+/**
+ * Returns the Socket.IO channel that scopes broadcasts to a room.
+ * @param {string} roomId - The room ID.
+ * @returns {string} The channel name.
+ */
+function channelFor(roomId) {
+  return `room:${roomId}`;
+}
+
+/**
+ * Checks whether a string is a syntactically valid room ID.
+ * @param {*} roomId - The candidate ID.
+ * @returns {boolean}
+ */
+function isValidRoomId(roomId) {
+  return typeof roomId === 'string' && ROOM_ID_REGEX.test(roomId);
+}
+
+// ============================================================================
+// --- REGISTRY ---
+// ============================================================================
+
+/**
+ * Returns a room's state by ID.
+ * @param {string} roomId - The room ID.
+ * @returns {object|undefined} The room state, if the room exists.
+ */
+function getRoom(roomId) {
+  return rooms.get(roomId);
+}
+
+/**
+ * Returns the default room's state.
+ * @returns {object} The default room state.
+ */
+function getDefaultRoom() {
+  return rooms.get(constants.DEFAULT_ROOM_ID);
+}
+
+/**
+ * Resolves a requested room ID to an existing room, falling back to the default room.
+ * @param {*} roomId - The requested room ID (e.g. from a query string).
+ * @returns {object} The room state.
+ */
+function resolveRoom(roomId) {
+  return (isValidRoomId(roomId) && rooms.get(roomId)) || getDefaultRoom();
+}
+
+/**
+ * Returns every active room.
+ * @returns {object[]} The room states.
+ */
+function listRooms() {
+  return [...rooms.values()];
+}
+
+// ============================================================================
+// --- LOADING & MIGRATION ---
+// ============================================================================
+
+/**
+ * @summary Moves data written before rooms existed into the default room.
+ * @description Chapters and words without a `roomId` are tagged with the default
+ * room ID. The update is idempotent, so it is safe to run on every startup.
+ * @param {object} collections - The MongoDB collections.
+ * @param {Collection} collections.wordsCollection - The words collection.
+ * @param {Collection} collections.chaptersCollection - The chapters collection.
+ */
+async function migrateLegacyData({ wordsCollection, chaptersCollection }) {
+  const filter = { roomId: { $exists: false } };
+  const update = { $set: { roomId: constants.DEFAULT_ROOM_ID } };
+  const [words, chapters] = await Promise.all([
+    wordsCollection.updateMany(filter, update),
+    chaptersCollection.updateMany(filter, update),
+  ]);
+  if (words.modifiedCount || chapters.modifiedCount) {
+    logger.info({ words: words.modifiedCount, chapters: chapters.modifiedCount }, '[rooms] Migrated legacy data into the default room.');
+  }
+  await Promise.all([
+    wordsCollection.createIndex({ roomId: 1, chapterId: 1, ts: 1 }),
+    chaptersCollection.createIndex({ roomId: 1, ts: -1 }),
+  ]);
+}
+
+/**
+ * @summary Loads all room definitions and populates the registry.
+ * @description The default room is always created. Extra rooms can be declared with
+ * the ROOMS environment variable (comma-separated IDs); they are inserted into the
+ * `rooms` collection on first start and can then be customized there (name,
+ * writingStyle, roundDurationSeconds, postToSocials, language).
+ * @param {Collection} roomsCollection - The MongoDB rooms collection.
+ * @returns {Promise<object[]>} The loaded room states.
+ */
+async function loadRooms(roomsCollection) {
+  const declaredIds = (process.env.ROOMS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+
+  for (const roomId of new Set([constants.DEFAULT_ROOM_ID, ...declaredIds])) {
+    if (!isValidRoomId(roomId)) {
+      logger.warn({ roomId }, '[rooms] Ignoring invalid room ID.');
+      continue;
+    }
+    await roomsCollection.updateOne(
+      { _id: roomId },
+      { $setOnInsert: { name: roomId, createdAt: Date.now() } },
+      { upsert: true }
+    );
+  }
+
+  const roomDocs = await roomsCollection.find({}).toArray();
+  rooms.clear();
+  roomDocs
+    .filter(doc => isValidRoomId(doc._id))
+    .forEach(doc => rooms.set(doc._id, createRoomState(doc)));
+
+  logger.info({ rooms: [...rooms.keys()] }, '[rooms] Rooms loaded.');
+  return listRooms();
+}
+
+module.exports = {
+  createRoomState,
+  channelFor,
+  isValidRoomId,
+  getRoom,
+  getDefaultRoom,
+  resolveRoom,
+  listRooms,
+  migrateLegacyData,
+  loadRooms,
+};
@@ -0,0 +1,403 @@
+/**
+ * ============================================================================
+ * --- Live Round Store (round-store.js) ---
+ * ============================================================================
+ *
+ * The live round of a room (its submissions and votes, plus the few flags that
+ * every instance must agree on) is kept behind a small store interface so it
+ * can live either in this process's memory or in MongoDB, shared by several
+ * server instances.
+ *
+ * Responsibilities:
+ * - Serialize a room's `liveWords` map (with its nested vote maps) to plain documents.
+ * - Provide an in-memory store for single-instance deployments, checkpointed to MongoDB.
+ * - Provide a MongoDB store with optimistic, versioned read-modify-write updates.
+ * - Produce and apply snapshots so instances can share updates without re-reading.
+ * - Checkpoint the game-loop leader's bot state so a restart can pick up where it left off.
+ *
+ * Every store exposes the same functions:
+ * - `load(room)`: refresh the room's live round from the backend.
+ * - `restore(room)`: on startup or takeover, apply the whole persisted round (including
+ *   the shared flags) and return the bot checkpoint, if any.
+ * - `checkpointBot(room)`: schedule a save of the room's bot state.
+ * - `flush()`: write any pending checkpoints now (used on shutdown).
+ * - `mutate(room, mutator, fields)`: run `mutator(liveWords)` against the latest state
+ *   and save it. The mutator may return `false` to leave the round unchanged.
+ * - `setFields(room, fields)`: save shared flags without touching the submissions.
+ * - `snapshot(room)` / `applySnapshot(room, snapshot)`: share the state between instances.
+ */
+
+const logger = require('./logger');
+
+// The room fields that belong to the live round and must be identical on every instance.
+// `sealProgress` is the room's progress towards its seal, as described by the seal policy,
+// and `strikeProgress` the tally of the motion to strike the last winning word.
+const SHARED_FIELDS = ['nextTickTimestamp', 'phase', 'isImageGenerating', 'isPaused', 'sealProgress', 'strikeProgress'];
+
+// The bot and game-loop fields of a room that are checkpointed by the leader. They are
+// not shared with other instances, only restored when a leader (re)starts.
+// `bots` holds the plan of each bot persona (see personas.js), and `chapterAiUsage` the tokens
+// they used for the live chapter.
+const BOT_FIELDS = ['bots', 'mustSeal', 'skipNextSeal', 'sealMotion', 'strikeMotion', 'chapterAiUsage'];
+
+// Checkpoints are coalesced: changes made within this window are written together.
+const CHECKPOINT_DELAY_MS = 1000;
+
+// How many times a conflicting write is retried before giving up, and the base
+// delay between attempts. The delay grows and is randomized so that instances
+// competing for the same round do not collide again in lockstep.
+const MAX_WRITE_ATTEMPTS = 8;
+const RETRY_BASE_DELAY_MS = 15;
+
+/**
+ * Waits a random, growing delay before retrying a conflicting write.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ */
+function backoff(attempt) {
+  const delay = Math.random() * RETRY_BASE_DELAY_MS * attempt;
+  return new Promise(resolve => setTimeout(resolve, delay));
+}
+
+// ============================================================================
+// --- SERIALIZATION ---
+// ============================================================================
+
+/**
+ * Converts a `liveWords` map into an array of plain documents.
+ * @param {Map<string, object>} liveWords - The live submissions.
+ * @returns {Array<object>} The serialized entries.
+ */
+function serializeEntries(liveWords) {
+  return [...liveWords.entries()].map(([compositeKey, entry]) => ({
+    ...entry,
+    compositeKey,
+    votes: [...entry.votes.entries()],
+  }));
+}
+
+/**
+ * Rebuilds a `liveWords` map from its serialized entries.
+ * @param {Array<object>} [entries=[]] - The serialized entries.
+ * @returns {Map<string, object>} The live submissions.
+ */
+function deserializeEntries(entries = []) {
+  return new Map(entries.map(({ compositeKey, votes, ...entry }) => [
+    compositeKey,
+    { ...entry, votes: new Map(votes || []) },
+  ]));
+}
+
+/**
+ * Picks the shared round fields out of an object.
+ * @param {object} source - A room state or a round document.
+ * @returns {object} The shared fields that are present in the source.
+ */
+function pickSharedFields(source) {
+  const fields = {};
+  SHARED_FIELDS.forEach(field => {
+    if (source[field] !== undefined) fields[field] = source[field];
+  });
+  return fields;
+}
+
+/**
+ * Returns a snapshot of a room's live round that can be sent to other instances.
+ * @param {object} room - The room state.
+ * @returns {object} The snapshot.
+ */
+function snapshot(room) {
+  return {
+    roomId: room.id,
+    version: room.roundVersion || 0,
+    entries: serializeEntries(room.liveWords),
+    ...pickSharedFields(room),
+  };
+}
+
+/**
+ * Applies a snapshot received from another instance, unless it is older than the local copy.
+ * @param {object} room - The room state.
+ * @param {object} roundSnapshot - The snapshot produced by `snapshot()`.
+ * @param {boolean} [includeFields=true] - Whether to copy the shared flags as well as the submissions.
+ * @returns {boolean} True if the snapshot was applied.
+ */
+function applySnapshot(room, roundSnapshot, includeFields = true) {
+  if (roundSnapshot.version <= (room.roundVersion || 0)) return false;
+  room.liveWords = deserializeEntries(roundSnapshot.entries);
+  room.roundVersion = roundSnapshot.version;
+  if (includeFields) Object.assign(room, pickSharedFields(roundSnapshot));
+  return true;
+}
+
+// ============================================================================
+// --- CHECKPOINTS ---
+// ============================================================================
+
+/**
+ * Applies a bot checkpoint to a room, if it belongs to the room's current live chapter.
+ * A checkpoint from another chapter (e.g. one sealed while we were down) is stale and ignored.
+ * @param {object} room - The room state, with its live chapter already restored.
+ * @param {object|null} checkpoint - The checkpoint returned by `restore()`.
+ * @returns {boolean} True if the checkpoint was applied.
+ */
+function applyBotCheckpoint(room, checkpoint) {
+  if (!checkpoint || String(checkpoint.liveChapterId) !== String(room.liveChapterId)) return false;
+  BOT_FIELDS.forEach(field => {
+    if (checkpoint[field] !== undefined) room[field] = checkpoint[field];
+  });
+  return true;
+}
+
+/**
+ * @summary Creates a coalescing writer for per-room checkpoints.
+ * @description `schedule(room)` arranges for `write(room)` to run once after a short delay,
+ * however many times it is called in the meantime, so the latest state is always saved
+ * without writing on every change.
+ * @param {Function} write - Saves the room's current state.
+ * @returns {{schedule: Function, flush: Function}}
+ */
+function createCheckpointer(write) {
+  const pending = new Map(); // roomId -> { room, timer }
+
+  async function run(roomId) {
+    const job = pending.get(roomId);
+    if (!job) return;
+    clearTimeout(job.timer);
+    pending.delete(roomId);
+    try {
+      await write(job.room);
+    } catch (err) {
+      logger.error({ err, roomId }, '[round-store] Failed to write checkpoint');
+    }
+  }
+
+  return {
+    schedule(room) {
+      if (pending.has(room.id)) return;
+      const timer = setTimeout(() => run(room.id), CHECKPOINT_DELAY_MS);
+      pending.set(room.id, { room, timer });
+    },
+    async flush() {
+      await Promise.all([...pending.keys()].map(run));
+    },
+  };
+}
+
+/**
+ * Creates the checkpointer that saves a room's bot state into its round document.
+ * @param {Collection} liveRoundsCollection - The MongoDB live rounds collection.
+ * @returns {{schedule: Function, flush: Function}}
+ */
+function createBotCheckpointer(liveRoundsCollection) {
+  return createCheckpointer(room => {
+    const bot = { liveChapterId: room.liveChapterId, savedAt: Date.now() };
+    BOT_FIELDS.forEach(field => { bot[field] = room[field]; });
+    return liveRoundsCollection.updateOne(
+      { _id: room.id },
+      { $set: { bot }, $setOnInsert: { version: 0, entries: [] } },
+      { upsert: true }
+    );
+  });
+}
+
+// ============================================================================
+// --- IN-MEMORY STORE ---
+// ============================================================================
+
+/**
+ * @summary Creates a store that keeps the live round in this process's memory.
+ * @description This is the original behaviour and is only correct with a single instance.
+ * Every change is checkpointed to the live rounds collection shortly after it happens, so a
+ * restart can restore the round in progress.
+ * @param {Collection} [liveRoundsCollection] - The MongoDB live rounds collection. Without it, nothing is persisted.
+ * @returns {object} The round store.
+ */
+function createMemoryRoundStore(liveRoundsCollection = null) {
+  const roundCheckpointer = createCheckpointer(room => {
+    const { roomId, ...round } = snapshot(room);
+    return liveRoundsCollection.updateOne(
+      { _id: roomId },
+      { $set: { ...round, updatedAt: Date.now() } },
+      { upsert: true }
+    );
+  });
+  const botCheckpointer = liveRoundsCollection ? createBotCheckpointer(liveRoundsCollection) : null;
+
+  /** Bumps the round version and schedules a checkpoint after a change. */
+  function changed(room) {
+    room.roundVersion = (room.roundVersion || 0) + 1;
+    if (liveRoundsCollection) roundCheckpointer.schedule(room);
+  }
+
+  return {
+    name: 'memory',
+    async load() {},
+    async restore(room) {
+      if (!liveRoundsCollection) return null;
+      const doc = await liveRoundsCollection.findOne({ _id: room.id });
+      if (!doc) return null;
+      room.liveWords = deserializeEntries(doc.entries);
+      room.roundVersion = doc.version || 0;
+      Object.assign(room, pickSharedFields(doc));
+      return doc.bot || null;
+    },
+    async mutate(room, mutator, fields = {}) {
+      if (mutator(room.liveWords) === false) return false;
+      Object.assign(room, fields);
+      changed(room);
+      return true;
+    },
+    async setFields(room, fields) {
+      Object.assign(room, fields);
+      changed(room);
+    },
+    checkpointBot(room) {
+      if (botCheckpointer) botCheckpointer.schedule(room);
+    },
+    async flush() {
+      if (!liveRoundsCollection) return;
+      await Promise.all([roundCheckpointer.flush(), botCheckpointer.flush()]);
+    },
+    snapshot,
+    applySnapshot,
+  };
+}
+
+// ============================================================================
+// --- MONGODB STORE ---
+// ============================================================================
+
+/**
+ * @summary Creates a store that keeps the live round of every room in MongoDB.
+ * @description Each room has one document in the collection, keyed by room ID. Writes
+ * are conditional on the document's `version`, so two instances changing the same
+ * round at once never overwrite each other: the loser re-reads and tries again.
+ *
+ * The shared flags are only ever written by the game-loop leader. While this instance
+ * is the leader, its in-memory flags are the source of truth and are not overwritten
+ * by reads (a read could otherwise bring back a round end time that is being replaced).
+ * @param {Collection} liveRoundsCollection - The MongoDB live rounds collection.
+ * @param {object} [options]
+ * @param {Function} [options.isAuthoritative] - Returns true while this instance owns the shared flags.
+ * @returns {object} The round store.
+ */
+function createMongoRoundStore(liveRoundsCollection, { isAuthoritative = () => false } = {}) {
+  const botCheckpointer = createBotCheckpointer(liveRoundsCollection);
+
+  /**
+   * Reads a room's round document, creating it from the local state if it does not exist yet.
+   * @param {object} room - The room state.
+   * @returns {Promise<object>} The round document.
+   */
+  async function readRound(room) {
+    const existing = await liveRoundsCollection.findOne({ _id: room.id });
+    if (existing) return existing;
+
+    const fresh = { _id: room.id, version: 0, entries: [], ...pickSharedFields(room) };
+    try {
+      await liveRoundsCollection.insertOne(fresh);
+      return fresh;
+    } catch (err) {
+      // Another instance created it first.
+      if (err.code === 11000) return liveRoundsCollection.findOne({ _id: room.id });
+      throw err;
+    }
+  }
+
+  /**
+   * Copies a round document into the room's in-memory state.
+   * @param {object} room - The room state.
+   * @param {object} doc - The round document.
+   * @param {boolean} [includeFields] - Whether to copy the shared flags (default: unless authoritative).
+   */
+  function applyDocument(room, doc, includeFields = !isAuthoritative()) {
+    room.liveWords = deserializeEntries(doc.entries);
+    room.roundVersion = doc.version;
+    if (includeFields) Object.assign(room, pickSharedFields(doc));
+  }
+
+  /**
+   * Writes new round data if nobody else has written since `version`.
+   * @param {string} roomId - The room ID.
+   * @param {number} version - The version the new data was computed from.
+   * @param {object} $set - The fields to write.
+   * @returns {Promise<boolean>} True if the write won.
+   */
+  async function writeIfUnchanged(roomId, version, $set) {
+    const result = await liveRoundsCollection.updateOne(
+      { _id: roomId, version },
+      { $set: { ...$set, updatedAt: Date.now() }, $inc: { version: 1 } }
+    );
+    return result.matchedCount === 1;
+  }
+
+  return {
+    name: 'mongo',
+
+    async load(room) {
+      const doc = await readRound(room);
+      // A write from this instance may have completed while we were reading.
+      if (doc.version >= (room.roundVersion || 0)) applyDocument(room, doc);
+    },
+
+    async restore(room) {
+      const doc = await readRound(room);
+      applyDocument(room, doc, true);
+      return doc.bot || null;
+    },
+
+    async mutate(room, mutator, fields = {}) {
+      for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const doc = await readRound(room);
+        applyDocument(room, doc);
+        Object.assign(room, fields);
+
+        // The mutator sees the latest shared flags on `room` and the latest submissions.
+        const liveWords = room.liveWords;
+        if (mutator(liveWords) === false) return false;
+
+        const entries = serializeEntries(liveWords);
+        if (await writeIfUnchanged(room.id, doc.version, { entries, ...fields })) {
+          room.liveWords = liveWords;
+          room.roundVersion = doc.version + 1;
+          return true;
+        }
+        logger.debug({ roomId: room.id, attempt }, '[round-store] Write conflict, retrying.');
+        await backoff(attempt);
+      }
+      throw new Error(`Could not update the live round of room '${room.id}' after ${MAX_WRITE_ATTEMPTS} attempts.`);
+    },
+
+    async setFields(room, fields) {
+      for (let attempt = 1; attempt <= MAX_WRITE_ATTEMPTS; attempt++) {
+        const doc = await readRound(room);
+        if (await writeIfUnchanged(room.id, doc.version, fields)) {
+          Object.assign(room, fields);
+          applyDocument(room, { ...doc, ...fields, version: doc.version + 1 });
+          return;
+        }
+        await backoff(attempt);
+      }
+      throw new Error(`Could not update the round flags of room '${room.id}' after ${MAX_WRITE_ATTEMPTS} attempts.`);
+    },
+
+    checkpointBot(room) {
+      botCheckpointer.schedule(room);
+    },
+
+    flush: () => botCheckpointer.flush(),
+
+    snapshot,
+    applySnapshot: (room, roundSnapshot) => applySnapshot(room, roundSnapshot, !isAuthoritative()),
+  };
+}
+
+module.exports = {
+  SHARED_FIELDS,
+  BOT_FIELDS,
+  applyBotCheckpoint,
+  serializeEntries,
+  deserializeEntries,
+  createMemoryRoundStore,
+  createMongoRoundStore,
+};
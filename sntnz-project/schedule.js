@@ -0,0 +1,231 @@
+/**
+ * ============================================================================
+ * --- Cron Schedules (schedule.js) ---
+ * ============================================================================
+ *
+ * Chapters are sealed on a cron schedule (HISTORY_CHAPTER_SCHEDULE_CRON in
+ * constants.js). The server computes the seal times from the cron expression
+ * here, and sends them to the clients, which only count down to them.
+ *
+ * Responsibilities:
+ * - Parse standard five-field cron expressions: `*`, values, ranges, steps and
+ *   lists, with month and weekday names.
+ * - Compute the next fire times after a given instant, in a given time zone
+ *   (UTC by default), so the game engine can use its injectable clock.
+ *
+ * A schedule may combine several expressions separated by ';' (it fires when any
+ * of them does), for periods that one expression cannot describe, such as every
+ * 90 minutes. As in cron, when both the day of the month and the day of the week
+ * are restricted, a day matching either one fires.
+ */
+
+const MINUTE_MS = 60 * 1000;
+
+// How many steps the search takes before deciding that a schedule never fires
+// (e.g. February 30th). A step skips at least to the next minute that matches.
+const MAX_SEARCH_STEPS = 100000;
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const WEEKDAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// The five fields of an expression, in order.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, firstName: 1 },
+  { name: 'day of week', min: 0, max: 7, names: WEEKDAY_NAMES, firstName: 0 },
+];
+
+// ============================================================================
+// --- PARSING ---
+// ============================================================================
+
+/**
+ * Reads one value of a field, as a number or a name.
+ * @param {string} text - The value.
+ * @param {object} field - One of FIELDS.
+ * @returns {number}
+ */
+function parseValue(text, field) {
+  const nameIndex = field.names ? field.names.indexOf(text.toLowerCase()) : -1;
+  const value = nameIndex >= 0 ? nameIndex + field.firstName : Number(text);
+  if (!/^\w+$/.test(text) || !Number.isInteger(value) || value < field.min || value > field.max) {
+    throw new Error(`Invalid ${field.name} '${text}'.`);
+  }
+  return value;
+}
+
+/**
+ * @summary Parses one field of a cron expression into the values it allows.
+ * @param {string} text - The field, e.g. '*', '0,30', '8-18/2' or 'mon-fri'.
+ * @param {object} field - One of FIELDS.
+ * @returns {number[]} The allowed values, sorted.
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const item of text.split(',')) {
+    const [range, stepText, extra] = item.split('/');
+    const step = stepText === undefined ? 1 : Number(stepText);
+    if (extra !== undefined || !Number.isInteger(step) || step < 1) {
+      throw new Error(`Invalid step in ${field.name} '${item}'.`);
+    }
+
+    let start, end;
+    if (range === '*') {
+      [start, end] = [field.min, field.max];
+    } else if (range.includes('-')) {
+      const [from, to] = range.split('-');
+      [start, end] = [parseValue(from, field), parseValue(to, field)];
+      if (start > end) throw new Error(`Invalid ${field.name} range '${range}'.`);
+    } else {
+      start = parseValue(range, field);
+      end = stepText === undefined ? start : field.max; // 'a/n' means from a to the end, every n.
+    }
+    for (let value = start; value <= end; value += step) values.add(value);
+  }
+  return [...values].sort((a, b) => a - b);
+}
+
+/**
+ * @summary Parses a five-field cron expression.
+ * @param {string} expression - e.g. '0 0,6,12,18 * * *'.
+ * @returns {object} The allowed values of each field, and whether the day fields are restricted.
+ * @throws {Error} If the expression is invalid.
+ */
+function parseCron(expression) {
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== FIELDS.length) {
+    throw new Error(`A cron expression has ${FIELDS.length} fields: '${expression}'.`);
+  }
+  const [minutes, hours, daysOfMonth, months, weekdays] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  return {
+    minutes,
+    hours: new Set(hours),
+    daysOfMonth: new Set(daysOfMonth),
+    months: new Set(months),
+    weekdays: new Set(weekdays.map(day => day % 7)), // 7 is Sunday too.
+    daysOfMonthRestricted: !parts[2].startsWith('*'),
+    weekdaysRestricted: !parts[4].startsWith('*'),
+  };
+}
+
+// ============================================================================
+// --- TIME ZONES ---
+// ============================================================================
+
+/**
+ * @summary Creates the function that reads the wall-clock time of an instant in a time zone.
+ * @param {string} timeZone - An IANA time zone, e.g. 'UTC' or 'Europe/Paris'.
+ * @returns {Function} Returns `{ month, day, weekday, hour, minute }` for a timestamp.
+ * @throws {RangeError} If the time zone is unknown.
+ */
+function createWallClock(timeZone) {
+  if (timeZone === 'UTC') {
+    return (ts) => {
+      const date = new Date(ts);
+      return {
+        month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay(),
+        hour: date.getUTCHours(), minute: date.getUTCMinutes(),
+      };
+    };
+  }
+
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', month: 'numeric', day: 'numeric', weekday: 'short', hour: 'numeric', minute: 'numeric',
+  });
+  return (ts) => {
+    const parts = Object.fromEntries(format.formatToParts(ts).map(({ type, value }) => [type, value]));
+    return {
+      month: Number(parts.month), day: Number(parts.day), weekday: WEEKDAY_NAMES.indexOf(parts.weekday.toLowerCase()),
+      hour: Number(parts.hour), minute: Number(parts.minute),
+    };
+  };
+}
+
+// ============================================================================
+// --- SCHEDULES ---
+// ============================================================================
+
+/**
+ * @summary Creates a schedule from a cron expression.
+ * @param {string} expression - One or more cron expressions, separated by ';'.
+ * @param {object} [options]
+ * @param {string} [options.timeZone='UTC'] - The time zone the expression is read in.
+ * @returns {object} The schedule: `{ expression, timeZone, next(after), upcoming(after, count) }`.
+ * @throws {Error} If an expression or the time zone is invalid, or if the schedule never fires.
+ */
+function createSchedule(expression, { timeZone = 'UTC' } = {}) {
+  const crons = expression.split(';').filter(part => part.trim()).map(parseCron);
+  if (crons.length === 0) throw new Error('The cron expression is empty.');
+  const wallClock = createWallClock(timeZone);
+
+  /**
+   * Returns whether a cron expression allows a day.
+   * @param {object} cron - A parsed expression.
+   * @param {object} time - The wall-clock time.
+   * @returns {boolean}
+   */
+  function matchesDay(cron, { month, day, weekday }) {
+    if (!cron.months.has(month)) return false;
+    const dayOfMonth = cron.daysOfMonth.has(day);
+    const dayOfWeek = cron.weekdays.has(weekday);
+    if (cron.daysOfMonthRestricted && cron.weekdaysRestricted) return dayOfMonth || dayOfWeek;
+    return dayOfMonth && dayOfWeek;
+  }
+
+  /**
+   * @summary Finds the first time one cron expression fires after an instant.
+   * @description The search walks forward in real time, reading the wall clock at each
+   * step, and skips to the next hour when the day or the hour does not match. Hours that
+   * a daylight saving change skips are never matched, and repeated ones match twice.
+   * @param {object} cron - A parsed expression.
+   * @param {number} after - The instant, in milliseconds.
+   * @returns {number|null} The fire time in milliseconds, or null if it never fires.
+   */
+  function nextFor(cron, after) {
+    let ts = Math.floor(after / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    for (let step = 0; step < MAX_SEARCH_STEPS; step++) {
+      const time = wallClock(ts);
+      if (!matchesDay(cron, time) || !cron.hours.has(time.hour)) {
+        ts += (60 - time.minute) * MINUTE_MS;
+        continue;
+      }
+      const minute = cron.minutes.find(m => m >= time.minute);
+      if (minute === time.minute) return ts;
+      ts += ((minute === undefined ? 60 : minute) - time.minute) * MINUTE_MS;
+    }
+    return null;
+  }
+
+  /**
+   * Returns the first fire time strictly after an instant.
+   * @param {number} after - The instant, in milliseconds.
+   * @returns {number|null} The fire time in milliseconds, or null if the schedule never fires.
+   */
+  function next(after) {
+    const times = crons.map(cron => nextFor(cron, after)).filter(ts => ts !== null);
+    return times.length > 0 ? Math.min(...times) : null;
+  }
+
+  /**
+   * Returns the next fire times after an instant.
+   * @param {number} after - The instant, in milliseconds.
+   * @param {number} count - How many fire times to return.
+   * @returns {number[]} The fire times in milliseconds, in order.
+   */
+  function upcoming(after, count) {
+    const times = [];
+    let ts = after;
+    while (times.length < count && (ts = next(ts)) !== null) times.push(ts);
+    return times;
+  }
+
+  if (next(Date.now()) === null) throw new Error(`The schedule '${expression}' never fires.`);
+  return { expression, timeZone, next, upcoming };
+}
+
+module.exports = {
+  parseCron,
+  createSchedule,
+};
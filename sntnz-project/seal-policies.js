@@ -0,0 +1,227 @@
+/**
+ * ============================================================================
+ * --- Chapter Seal Policies (seal-policies.js) ---
+ * ============================================================================
+ *
+ * A seal policy decides when a room's live chapter ends. The server picks one
+ * policy per deployment (see `constants.SEAL_POLICY`); the game engine asks it
+ * at a few fixed points and never inspects its settings directly.
+ *
+ * - 'schedule': chapters are sealed on the cron schedule (see schedule.js).
+ * - 'word-budget': a chapter is sealed once it holds a fixed number of words.
+ * - 'narrative': once a chapter is long enough, the bot writes its ending; the
+ *   chapter is sealed when that ending is used up and a closing sentence wins,
+ *   or when it reaches a hard maximum length.
+ * - 'motion': players vote for an "end chapter" motion; it passes once enough of
+ *   the recently active players support it.
+ *
+ * Every policy reads the same room fields, kept up to date by the engine:
+ * `chapterWordCount` (the live chapter's words, title excluded), `phase`,
+ * `sealMotion` (the IDs of the players supporting the motion) and
+ * `activePlayerCount` (the players who took part in the last few rounds), and the bot
+ * personas' plans (see personas.js).
+ *
+ * Responsibilities:
+ * - Tell the engine whether the cron schedule applies.
+ * - Give the bot its target length, and say when it should write the chapter's ending.
+ * - Say whether a room's chapter must be sealed after a winning word or a motion vote.
+ * - Describe each room's progress towards its seal, for the clients.
+ *
+ * This module has no I/O: it can be exercised without a database or socket server.
+ */
+
+const constants = require('./constants');
+const { botsAreIdle } = require('./personas');
+
+// A sentence-ending word, possibly followed by closing quotes or brackets (as in game-engine.js).
+const SENTENCE_END_REGEX = /[.!?…。！？]["'”’»)]*$/u;
+
+// The bot always writes at least this many words.
+const MIN_BOT_WORDS = 2;
+
+// ============================================================================
+// --- SHARED HELPERS ---
+// ============================================================================
+
+/**
+ * Returns the number of words in a room's live chapter.
+ * @param {object} room - The room state.
+ * @returns {number}
+ */
+function wordCount(room) {
+  return room.chapterWordCount || 0;
+}
+
+/**
+ * Returns the number of players whose support passes the "end chapter" motion in a room.
+ * @param {object} room - The room state.
+ * @param {object} settings - `{ minVotes, share }`.
+ * @returns {number}
+ */
+function motionThreshold(room, { minVotes, share }) {
+  return Math.max(minVotes, Math.ceil((room.activePlayerCount || 0) * share));
+}
+
+// ============================================================================
+// --- POLICIES ---
+// ============================================================================
+// Each factory receives its settings and returns an object with:
+// - `name`
+// - `usesSchedule`: whether the cron schedule seals chapters.
+// - `awaitsEnding`: whether the bot writes a new ending when its ending runs out unsealed.
+// - `allowsMotion`: whether players may vote to end the chapter.
+// - `targetWords(room, context)`: how many more words the bot should write.
+// - `shouldConclude(room, context)`: whether the bot should write the chapter's ending now.
+// - `sealsAfterWord(room, word)`: whether the chapter must be sealed after this winning word.
+// - `sealsAfterMotion(room)`: whether the motion has passed.
+// - `progress(room)`: the room's progress towards its seal, sent to the clients.
+// `context` is `{ wordsUntilScheduledSeal, minutesUntilScheduledSeal, chapterDurationMinutes, nominalChapterWords }`.
+
+/**
+ * The cron schedule policy (the original behaviour).
+ * @returns {object} The policy.
+ */
+function createSchedulePolicy() {
+  return {
+    name: 'schedule',
+    usesSchedule: true,
+    awaitsEnding: false,
+    allowsMotion: false,
+    targetWords: (_room, { wordsUntilScheduledSeal }) => wordsUntilScheduledSeal,
+    shouldConclude(_room, { minutesUntilScheduledSeal, chapterDurationMinutes }) {
+      // When the seal is close (5% of the chapter duration), the bot prepares its concluding sentences.
+      const conclusionThresholdMinutes = Math.floor(chapterDurationMinutes * 0.05);
+      return minutesUntilScheduledSeal <= conclusionThresholdMinutes && minutesUntilScheduledSeal > 10;
+    },
+    sealsAfterWord: () => false,
+    sealsAfterMotion: () => false,
+    progress: () => ({ policy: 'schedule' }),
+  };
+}
+
+/**
+ * The word budget policy: a chapter is sealed once it holds `budget` words.
+ * @param {object} settings
+ * @param {number} settings.budget - The words in a chapter, title excluded.
+ * @param {number} settings.conclusionShare - The share of the budget left when the bot writes the ending.
+ * @returns {object} The policy.
+ */
+function createWordBudgetPolicy({ budget, conclusionShare }) {
+  const remaining = room => Math.max(0, budget - wordCount(room));
+  return {
+    name: 'word-budget',
+    usesSchedule: false,
+    awaitsEnding: false,
+    allowsMotion: false,
+    targetWords: room => Math.max(MIN_BOT_WORDS, remaining(room)),
+    shouldConclude: room => remaining(room) <= Math.max(MIN_BOT_WORDS, Math.floor(budget * conclusionShare)),
+    sealsAfterWord: room => remaining(room) === 0,
+    sealsAfterMotion: () => false,
+    progress: room => ({ policy: 'word-budget', words: wordCount(room), budget }),
+  };
+}
+
+/**
+ * @summary The narrative completion policy: the chapter ends when its story does.
+ * @description From `minWords` on, the bot writes the chapter's ending. Once it has submitted
+ * every word of it, a winning word that closes a sentence seals the chapter; if the round's
+ * winner leaves a sentence open, the bot writes another ending. A chapter that reaches
+ * `maxWords` is sealed whatever its state.
+ * @param {object} settings
+ * @param {number} settings.minWords - The words a chapter holds before it may end.
+ * @param {number} settings.maxWords - The words after which a chapter is sealed anyway.
+ * @param {number} settings.endingWords - The approximate length of the ending the bot writes.
+ * @returns {object} The policy.
+ */
+function createNarrativePolicy({ minWords, maxWords, endingWords }) {
+  return {
+    name: 'narrative',
+    usesSchedule: false,
+    awaitsEnding: true,
+    allowsMotion: false,
+    targetWords(room) {
+      const words = wordCount(room);
+      const planned = words < minWords ? minWords + endingWords - words : endingWords;
+      return Math.max(MIN_BOT_WORDS, Math.min(planned, maxWords - words));
+    },
+    shouldConclude: room => wordCount(room) >= minWords,
+    sealsAfterWord(room, word) {
+      if (wordCount(room) >= maxWords) return true;
+      const endingUsedUp = room.phase === 'concluding' && botsAreIdle(room);
+      return endingUsedUp && wordCount(room) >= minWords && SENTENCE_END_REGEX.test(word.word);
+    },
+    sealsAfterMotion: () => false,
+    progress: room => ({ policy: 'narrative', words: wordCount(room), minWords, maxWords, concluding: room.phase === 'concluding' }),
+  };
+}
+
+/**
+ * @summary The community vote policy: players pass an "end chapter" motion.
+ * @description The motion may be raised once the chapter holds `minWords` words. It passes
+ * when at least `minVotes` players, and at least `share` of the players active in the last
+ * few rounds, support it. The bot plans chapters of the nominal length meanwhile.
+ * @param {object} settings
+ * @param {number} settings.minWords - The words a chapter holds before the motion may be raised.
+ * @param {number} settings.minVotes - The fewest supporters that pass the motion.
+ * @param {number} settings.share - The share of the active players that must support it.
+ * @returns {object} The policy.
+ */
+function createMotionPolicy({ minWords, minVotes, share }) {
+  return {
+    name: 'motion',
+    usesSchedule: false,
+    awaitsEnding: false,
+    allowsMotion: true,
+    targetWords: (room, { nominalChapterWords }) => Math.max(MIN_BOT_WORDS, nominalChapterWords - wordCount(room)),
+    shouldConclude: () => false,
+    sealsAfterWord: () => false,
+    sealsAfterMotion: room => wordCount(room) >= minWords && (room.sealMotion || []).length >= motionThreshold(room, { minVotes, share }),
+    progress: room => ({
+      policy: 'motion',
+      words: wordCount(room),
+      minWords,
+      votes: (room.sealMotion || []).length,
+      needed: motionThreshold(room, { minVotes, share }),
+    }),
+  };
+}
+
+const POLICIES = {
+  'schedule': () => createSchedulePolicy(),
+  'word-budget': () => createWordBudgetPolicy({
+    budget: constants.SEAL_WORD_BUDGET,
+    conclusionShare: constants.SEAL_CONCLUSION_SHARE,
+  }),
+  'narrative': () => createNarrativePolicy({
+    minWords: constants.SEAL_NARRATIVE_MIN_WORDS,
+    maxWords: constants.SEAL_NARRATIVE_MAX_WORDS,
+    endingWords: constants.SEAL_NARRATIVE_ENDING_WORDS,
+  }),
+  'motion': () => createMotionPolicy({
+    minWords: constants.SEAL_MOTION_MIN_WORDS,
+    minVotes: constants.SEAL_MOTION_MIN_VOTES,
+    share: constants.SEAL_MOTION_SHARE,
+  }),
+};
+
+// ============================================================================
+// --- PUBLIC API ---
+// ============================================================================
+
+/**
+ * Returns a seal policy by name, with its settings from constants.js, falling back to the schedule.
+ * @param {string} [name] - The policy name (e.g. 'word-budget').
+ * @returns {object} The policy.
+ */
+function getSealPolicy(name) {
+  return (POLICIES[name] || POLICIES.schedule)();
+}
+
+module.exports = {
+  POLICIES,
+  getSealPolicy,
+  createSchedulePolicy,
+  createWordBudgetPolicy,
+  createNarrativePolicy,
+  createMotionPolicy,
+};
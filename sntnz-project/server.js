@@ -9,8 +9,9 @@
  * - Establishing a connection to the MongoDB database.
  * - Setting up all essential middleware (security, CORS, logging, rate limiting).
  * - Importing and integrating modularized routes and services (auth, bots, social).
- * - Managing the core real-time game loop and round logic.
+ * - Wiring the game engine (game-engine.js) to the database, Socket.IO and the AI.
  * - Handling all Socket.IO events for client-server communication.
+ * - Coordinating multiple instances (shared round state, leader election).
  * - Implementing graceful shutdown procedures.
  */
 
@@ -27,8 +28,8 @@ const http = require('http');               // The raw Node.js HTTP server that
 const https = require('https');
 const fs = require('fs');
 const { Server } = require('socket.io');    // The real-time WebSocket communication library.
-const crypto = require('crypto');           // Node.js module for cryptographic functions like hashing.
-const cron = require('node-cron');          // A task scheduler for running jobs at specific times (e.g., sealing chapters).
+const { createAdapter } = require('@socket.io/mongo-adapter'); // Relays broadcasts between instances through MongoDB.
+const cron = require('node-cron');          // A task scheduler for running jobs at specific times (e.g., token refresh).
 
 // --- Security & Utility Modules ---
 const helmet = require('helmet');           // Provides important security headers to protect against common vulnerabilities.
@@ -44,10 +45,28 @@ const { MongoClient, ServerApiVersion } = require('mongodb'); // The official Mo
 
 // --- Custom Application Modules ---
 const constants = require('./constants');   // Centralized application constants and configuration.
-const { AllProfanity } = require('allprofanity'); // A library for filtering out offensive words.
-const { initializeAuth, createAuthRouter, sessionMiddleware } = require('./auth'); // All user authentication and session logic.
-const { initBots, runBotSubmission, generateAndUploadImage, pushBotContext } = require('./bots'); // AI logic for Gemini and Imagen.
+const { initializeAuth, createAuthRouter, sessionMiddleware, readAnonymousId, anonymousIdMiddleware, hashIpAddress } = require('./auth'); // All user authentication and session logic.
+const { PERMISSIONS, hasPermission, createSocketGuard, createUserAdmin } = require('./permissions'); // Roles, permissions and bans.
+const { initBots, runBotSubmission, runBotCritic, generateAndUploadImage, pushBotContext } = require('./bots'); // The bot's prompts, text and images (see ai-providers.js).
+const { PERSONAS, describePersonas } = require('./personas'); // The bot personas and their win rates.
+const { describePromptStats } = require('./prompt-templates'); // The record of each prompt template version.
+const { LOCAL_IMAGES_DIR } = require('./ai-providers'); // Where chapter images are kept when no Cloud Storage bucket is used.
 const { initSocial, postEverywhere, checkAndRefreshFbLongToken, formatPostText } = require('./social'); // Social media posting logic.
+const { getStrategy, buildFeed, buildUserVotes } = require('./voting'); // Round resolution strategies.
+const { createLiveFeedTracker } = require('./live-feed'); // Sends only what changed in the live feed.
+const rooms = require('./rooms');           // Independent story rooms and their in-memory state.
+const { createMemoryRoundStore, createMongoRoundStore } = require('./round-store'); // Where the live round is kept.
+const { createMongoPersistence } = require('./persistence'); // Chapter and word storage used by the engine.
+const { createGameEngine, getCompositeKey, isSubmissionLocked, isTitleRound } = require('./game-engine'); // Rounds, seals and the bot.
+const leader = require('./leader');         // Elects the single instance that runs the game loop.
+const { createSigner, verifyChapter } = require('./ledger'); // The hash chain of sealed chapters.
+const { createQuotaLimiter, createMemoryCounterStore, createMongoCounterStore } = require('./quotas'); // Submission and vote quotas.
+const { ADMIN_ACTIONS, createAdminCommands, createAdminRouter } = require('./admin'); // The admin console API.
+const { createMongoReportStore, createReportService } = require('./reports'); // Player reports on words and chapters.
+const { createMongoRuleStore, createProfanityChecker } = require('./profanity'); // The profanity filter and its rules.
+const { createSchedule } = require('./schedule'); // Cron schedules, for chapter seals.
+const { getSealPolicy } = require('./seal-policies'); // What ends a chapter.
+const { validateStyles, normalizeStyles } = require('./word-styles'); // The styles a word may carry.
 
 // ============================================================================
 // --- CONFIGURATION & SERVER SETUP ---
@@ -88,7 +107,45 @@ server.headersTimeout = 7000;
 // Express to trust the X-Forwarded-* headers to correctly identify the client's IP.
 if (String(process.env.TRUST_PROXY || '') === '1') app.set('trust proxy', 1);
 
-const profanityFilter = new AllProfanity();
+// The round resolution strategy (net score, plurality, approval, quadratic, ranked-choice).
+const votingStrategy = getStrategy(constants.VOTING_STRATEGY);
+logger.info({ strategy: votingStrategy.name }, '[server] Voting strategy selected.');
+
+// What ends a chapter. Under the schedule policy, the clients receive the upcoming seal
+// times and count down to them; under the others, they show each room's seal progress.
+const sealPolicy = getSealPolicy(constants.SEAL_POLICY);
+const sealSchedule = createSchedule(constants.HISTORY_CHAPTER_SCHEDULE_CRON, { timeZone: constants.SEAL_TIMEZONE });
+if (sealPolicy.usesSchedule) {
+  logger.info({ cron: sealSchedule.expression, timeZone: sealSchedule.timeZone }, '[server] Seal schedule set.');
+} else {
+  logger.info({ policy: sealPolicy.name }, '[server] Seal policy selected.');
+}
+
+/**
+ * Returns the next seal times, for the clients' countdowns.
+ * @returns {number[]} Timestamps in milliseconds, none unless the schedule seals chapters.
+ */
+function upcomingSeals() {
+  if (!sealPolicy.usesSchedule) return [];
+  return sealSchedule.upcoming(Date.now(), constants.UPCOMING_SEALS_SHOWN);
+}
+
+/**
+ * Returns a room's progress towards its seal, as last published by the game-loop leader.
+ * @param {object} room - The room state.
+ * @returns {object} The progress (see seal-policies.js).
+ */
+function sealProgressOf(room) {
+  return room.sealProgress || sealPolicy.progress(room);
+}
+
+// Remembers the live feed last sent to each room, so only the changes are broadcast.
+const liveFeed = createLiveFeedTracker(votingStrategy);
+
+// The optional Ed25519 key that signs each sealed chapter's hash (a PEM string).
+// Its public half is published at /api/ledger/public-key.
+const ledgerSigner = createSigner(process.env.LEDGER_SIGNING_KEY);
+if (!ledgerSigner) logger.warn('[ledger] LEDGER_SIGNING_KEY is not set. Sealed chapters will not be signed.');
 
 // Define the allowed origins for CORS. This is a crucial security measure.
 const ORIGINS = (process.env.CORS_ORIGIN || 'https://localhost:3000')
@@ -112,25 +169,25 @@ const PORT = process.env.PORT ? Number(process.env.PORT) : 3000;
 // ============================================================================
 // --- GLOBAL STATE MANAGEMENT ---
 // ============================================================================
-// These variables hold the in-memory state of the application.
+// The game state of each story lives in its room object (see rooms.js).
+// Every game function below receives the room it should act on.
 
-let currentText = [];               // An array holding the most recent winning words.
-let liveWords = new Map();          // A map of currently submitted words for the active round.
-let nextTickTimestamp = computeNextRoundEndTime(); // The timestamp for when the current round ends.
-let botContext = [];                // The context buffer for the Gemini bot.
-let botQueue = [];                  // The word queue for the Gemini bot's current sentence.
 let shuttingDown = false;           // A flag to prevent multiple shutdown procedures from running.
-let botMustWriteTitle = false;      // Signals that the bot must write a title for a new chapter.
-let botMustStartChapter = false;    // Signals that the bot must start a new chapter.
-let botMustContinueChapter = false; // Signals that the bot must start a new chapter.
-let botIsRunning = false;           // A lock to prevent the bot from running multiple times at once.
-let botHasSubmitted = false;        // A lock to prevent the bot from submitting multiple words in the same round.
-let botIsConcluding = false;        // A lock to prevent the bot from running multiple times when concluding.
-let submissionIsLocked = false;     // Prevents users from writing during the sealing process until the bot has finished generating a title
-let liveChapterId = null;           // Stores the MongoDB _id of the current live chapter document.
-let isImageGenerating = false;      // Tracks if an image is currently being generated.
-let mustSeal = false;
-const TARGET_CHAPTER_WORD_COUNT = Math.floor(((constants.CHAPTER_DURATION_MINUTES * 60) / constants.ROUND_DURATION_SECONDS));
+let roundStore = createMemoryRoundStore(); // Replaced in setupRoundStore() once the database is connected.
+let engine = null;                  // The game engine, created in startServer().
+let adminCommands = null;           // Carries out admin commands with the engine, created in startServer().
+let quotaLimiter = createQuotaLimiter({ store: createMemoryCounterStore() }); // Shared through MongoDB in cluster mode.
+let userAdmin = null;               // Changes roles and bans, created once the database is connected.
+let reportStore = null;             // The player reports, created once the database is connected.
+let reportService = null;           // Files player reports, created once the database is connected.
+let profanity = null;              // Checks words, usernames and bot output, created once the database is connected.
+let storyPersistence = null;        // Chapters, words and rounds for the engine and the API, created once the database is connected.
+// Checks a player's permissions before a submission or vote, with their account fresh from the database.
+const socketGuard = createSocketGuard({
+  loadUser: (googleId) => usersCollection.findOne({ googleId }),
+  findPlayerBan: (player) => userAdmin.findPlayerBan(player),
+  getClientIp,
+});
 
 
 // ============================================================================
@@ -142,12 +199,14 @@ if (!DATABASE_URL) {
   logger.error("FATAL: Database URL is not defined. Check your .env file.");
   process.exit(1);
 }
+const ADAPTER_COLLECTION = 'socket.io-adapter-events'; // The capped collection used by the Socket.IO adapter.
+const ADMIN_COMMAND_TIMEOUT_MS = 10000; // How long an admin command forwarded to the leader may take.
 const client = new MongoClient(DATABASE_URL, {
   serverApi: { version: ServerApiVersion.v1, strict: true, deprecationErrors: true }
 });
 
 // These variables will be assigned after the database connection is established.
-let usersCollection, wordsCollection, chaptersCollection;
+let usersCollection, wordsCollection, chaptersCollection, roomsCollection, roundsCollection, liveRoundsCollection, leasesCollection, quotasCollection, adminActionsCollection, reportsCollection, profanityRulesCollection, playerBansCollection;
 
 /**
  * Establishes a connection to the MongoDB Atlas cluster and initializes
@@ -160,6 +219,28 @@ async function connectToDatabase() {
     usersCollection = db.collection('users');
     wordsCollection = db.collection('words');
     chaptersCollection = db.collection('chapters');
+    roomsCollection = db.collection('rooms');
+    roundsCollection = db.collection('rounds');         // The audit log of finished rounds.
+    liveRoundsCollection = db.collection('liveRounds'); // The round in progress of each room.
+    leasesCollection = db.collection('leases');
+    quotasCollection = db.collection('quotas');
+    adminActionsCollection = db.collection('adminActions'); // The audit log of admin actions.
+    reportsCollection = db.collection('reports');
+    profanityRulesCollection = db.collection('profanityRules');
+    playerBansCollection = db.collection('playerBans'); // Bans by anonymous ID and IP (see permissions.js).
+    storyPersistence = createMongoPersistence({ chaptersCollection, wordsCollection, roundsCollection });
+    userAdmin = createUserAdmin(usersCollection, playerBansCollection, hashIpAddress);
+    reportStore = createMongoReportStore(reportsCollection);
+    reportService = createReportService({
+      store: reportStore,
+      getRoom: rooms.getRoom,
+      findWord: (roomId, ts) => wordsCollection.findOne({ roomId, ts }),
+      findChapter: (chapterId) => chaptersCollection.findOne({ _id: chapterId }),
+      findSealedChapter: (hash) => chaptersCollection.findOne({ hash }),
+      findRound: (roundId) => roundsCollection.findOne({ _id: roundId }),
+      hideCandidate: (roomId, compositeKey) => runAdminCommand({ action: ADMIN_ACTIONS.REMOVE_CANDIDATE, roomId, compositeKey }),
+    });
+    profanity = createProfanityChecker({ store: createMongoRuleStore(profanityRulesCollection) });
     logger.info("[db] Successfully connected to MongoDB Atlas!");
   } catch (err) {
     logger.error({ err }, "[db] Failed to connect to MongoDB");
@@ -167,545 +248,302 @@ async function connectToDatabase() {
   }
 }
 
+/**
+ * @summary Chooses where the live round is kept, and prepares cluster mode if enabled.
+ * @description A single instance keeps the round in memory and checkpoints it to MongoDB.
+ * In cluster mode, the round lives in MongoDB and the MongoDB Socket.IO adapter is
+ * installed, so that a broadcast from any instance reaches the sockets of every instance.
+ * The quota counters move to MongoDB too, so a player's limits hold across instances.
+ * The adapter relies on change streams, so MongoDB must run as a replica set (Atlas does).
+ */
+async function setupRoundStore() {
+  if (!constants.CLUSTER_MODE) {
+    roundStore = createMemoryRoundStore(liveRoundsCollection);
+    return;
+  }
+
+  const db = client.db();
+  try {
+    await db.createCollection(ADAPTER_COLLECTION, { capped: true, size: 1e6 });
+  } catch (err) {
+    if (err.codeName !== 'NamespaceExists') throw err;
+  }
+  io.adapter(createAdapter(db.collection(ADAPTER_COLLECTION)));
+  roundStore = createMongoRoundStore(liveRoundsCollection, { isAuthoritative: leader.isLeader });
+  quotaLimiter = createQuotaLimiter({ store: createMongoCounterStore(quotasCollection) });
+  logger.info({ instanceId: leader.getInstanceId() }, '[cluster] Cluster mode enabled: shared round store and MongoDB adapter.');
+}
+
 // ============================================================================
 // --- HELPER FUNCTIONS ---
 // ============================================================================
 
 /**
- * Creates a unique, deterministic key for a word based on its content and applied styles.
- * This is used as the key in the `liveWords` map to identify submissions.
- * Example: 'hello-b:false-i:true-u:false-n:false'
- * @param {{word: string, styles: object}} wordData - The word and its styling.
- * @returns {string} A unique composite key.
+ * Returns a room's sorted live feed for the client, scored by the active voting strategy.
+ * Each client receives a personalized list showing their own vote status.
+ * @param {object} room - The room state.
+ * @param {string} [requestingUserId] - The ID of the user requesting the feed, to personalize their vote status.
+ * @returns {Array<object>} The sorted live feed state.
  */
-function getCompositeKey(wordData) {
-  const styleKey = `b:${!!wordData.styles.bold}-i:${!!wordData.styles.italic}-u:${!!wordData.styles.underline}-n:${!!wordData.styles.newline}`;
-  return `${wordData.word.toLowerCase()}-${styleKey}`;
+function getLiveFeedState(room, requestingUserId) {
+  return buildFeed(votingStrategy, room.liveWords, requestingUserId);
 }
 
 /**
- * Computes the epoch timestamp (in ms) for the next round end, aligned to the
- * official clock boundaries rather than relative to Date.now().
- *
- * @returns {number} Epoch time in milliseconds for the next round end.
+ * Returns the channel of one player's sockets in a room, for events meant only for them.
+ * @param {object} room - The room state.
+ * @param {string} playerId - The player ID (see getPlayerId).
+ * @returns {string} The channel name.
  */
-function computeNextRoundEndTime() {
-  const period = constants.ROUND_DURATION_SECONDS || 60;
-  const now = new Date();
-
-  // Start of the *current* minute
-  const base = new Date(now);
-  base.setSeconds(0, 0);
-
-  // Add periods until strictly in the future
-  let candidate = base.getTime();
-  while (candidate <= now.getTime()) {
-    candidate += period * 1000;
-  }
-  return Math.floor(candidate);
+function playerChannelFor(room, playerId) {
+  return `${rooms.channelFor(room.id)}:player:${playerId}`;
 }
 
+/**
+ * @summary Broadcasts what changed in a room's live feed to the clients connected to it.
+ * @description One patch is shared by every client (see live-feed.js). It only goes to this
+ * instance's sockets: in cluster mode, every instance computes and sends its own patches.
+ * This is called whenever a submission or vote changes the state.
+ * @param {object} room - The room state.
+ */
+function broadcastLiveFeed(room) {
+  const patch = liveFeed.diff(room);
+  if (patch) io.local.to(rooms.channelFor(room.id)).emit('liveFeedPatched', patch);
+}
 
 /**
- * Calculates scores for all live words and returns a sorted array for the client.
- * Each client receives a personalized list showing their own vote status.
- * @param {string} [requestingUserId] - The ID of the user requesting the feed, to personalize their vote status.
- * @returns {Array<object>} The sorted live feed state.
+ * Sends a player their current votes on a room's live feed, on every socket they have open.
+ * @param {object} room - The room state.
+ * @param {string} playerId - The player who voted or submitted.
  */
-function getLiveFeedState(requestingUserId) {
-  const feed = [];
-  for (const [compositeKey, data] of liveWords.entries()) {
-    // Sum all votes (upvotes are 1, downvotes are -1).
-    const score = Array.from(data.votes.values()).reduce((acc, vote) => acc + vote, 0);
-
-    // Determine if the requesting user has voted on this item.
-    let userVote = null;
-    if (requestingUserId && data.votes.has(requestingUserId)) {
-      userVote = data.votes.get(requestingUserId) === 1 ? 'up' : 'down';
-    }
+function sendPlayerVotes(room, playerId) {
+  io.to(playerChannelFor(room, playerId)).emit('liveFeedVotesUpdated', {
+    votes: buildUserVotes(votingStrategy, room.liveWords, playerId),
+  });
+}
 
-    feed.push({
-      word: data.word,
-      styles: data.styles,
-      isTitle: data.isTitle || false,
-      username: data.submitterName,
-      count: score,
-      ts: data.ts,
-      compositeKey:
-      compositeKey,
-      userVote: userVote,
-    });
+/**
+ * @summary Shares a room's live round after it changed.
+ * @description Refreshes the live feed of this instance's sockets, and in cluster mode
+ * sends the new round state to the other instances so they can refresh theirs.
+ * @param {object} room - The room state.
+ * @param {string} [playerId] - The player whose action changed the round, who is sent their votes.
+ */
+function publishRound(room, playerId) {
+  broadcastLiveFeed(room);
+  if (playerId) sendPlayerVotes(room, playerId);
+  if (constants.CLUSTER_MODE) {
+    io.serverSideEmit('roundUpdated', roundStore.snapshot(room));
   }
-  // Sort by score (descending), then by submission time (ascending) as a tie-breaker.
-  return feed.sort((a, b) => (a.count !== b.count) ? b.count - a.count : a.ts - b.ts);
 }
 
 /**
- * Broadcasts the latest live feed state to all connected clients.
- * This is called whenever a submission or vote changes the state.
+ * Emits an event to every client connected to a room.
+ * @param {object} room - The room state.
+ * @param {string} event - The event name.
+ * @param {...*} args - The event payload.
  */
-function broadcastLiveFeed() {
-    for (const [, socket] of io.of("/").sockets) {
-      const user = socket.request.user;
-      const userId = user ? user.googleId : socket.id;
-      socket.emit('liveFeedUpdated', getLiveFeedState(userId));
-    }
+function emitToRoom(room, event, ...args) {
+  io.to(rooms.channelFor(room.id)).emit(event, ...args);
+}
+
+/**
+ * Returns the IP address of a socket's client, for quotas.
+ * Behind a trusted proxy, the first address of X-Forwarded-For is the client's.
+ * @param {Socket} socket - The client socket.
+ * @returns {string} The IP address.
+ */
+function getClientIp(socket) {
+  const forwardedFor = socket.handshake.headers['x-forwarded-for'];
+  if (app.get('trust proxy') && forwardedFor) {
+    return String(forwardedFor).split(',')[0].trim();
+  }
+  return socket.handshake.address;
 }
 
 /**
  * Validates a single word submission against a set of rules.
  * @param {string} word - The submitted word.
+ * @param {string} language - The room's story language, which chooses the profanity dictionary.
  * @returns {{ valid: boolean, reason?: string }} An object indicating validity and an optional failure reason.
  */
-function validateSubmission(word) {
+function validateSubmission(word, language) {
   if (typeof word !== 'string') return { valid: false, reason: 'Invalid input' };
   word = word.trim();
   if (word.length === 0 || word.length > constants.INPUT_MAX_CHARS) {
     return { valid: false, reason: '1–25 chars only' };
   }
-  const punctuationRegex = new RegExp(constants.PUNCTUATION_REGEX_STRING);
+  const punctuationRegex = new RegExp(constants.PUNCTUATION_REGEX_STRING, constants.PUNCTUATION_REGEX_FLAGS);
   if (!punctuationRegex.test(word)) return { valid: false, reason: 'No spaces or misplaced punctuation' };
-  if (profanityFilter.check(word)) {
+  if (!profanity.check(word, { source: 'submission', language }).ok) {
     return { valid: false, reason: 'Offensive words are not allowed' };
   }
   return { valid: true };
 }
 
 /**
- * Calculates the number of minutes until the next scheduled event based on a cron string.
- * @param {string} cronSchedule - The cron schedule string.
- * @returns {number} The whole number of minutes until the next seal.
+ * @summary Validates a chapter title proposed in the title round.
+ * @description A title is a few words separated by single spaces, each in the word format
+ * (see validateSubmission). Double quotes are dropped: the server quotes the title when it
+ * adds the chapter number.
+ * @param {string} title - The proposed title.
+ * @param {string} language - The room's story language, which chooses the profanity dictionary.
+ * @returns {{ valid: boolean, reason?: string, title?: string }} The validity, and the title as it will be shown.
  */
-function calculateMinutesUntilNextSeal(cronSchedule) {
-  const parts = cronSchedule.split(' ');
-  const minutePart = parts[0];
-  const hourPart = parts[1];
-  const now = new Date();
-
-  const nextSealDate = new Date();
-  nextSealDate.setSeconds(0, 0);
-
-  if (minutePart.startsWith('*/')) {
-    const interval = parseInt(minutePart.substring(2), 10);
-    const remainder = now.getMinutes() % interval;
-    nextSealDate.setMinutes(now.getMinutes() + (interval - remainder));
-  } else {
-    const scheduledMinute = parseInt(minutePart, 10);
-    const scheduledHours = hourPart.split(',').map(h => parseInt(h, 10)).sort((a, b) => a - b);
-    let nextHour = scheduledHours.find(h => h > now.getHours() || (h === now.getHours() && scheduledMinute > now.getMinutes()));
-
-    if (nextHour !== undefined) {
-        nextSealDate.setHours(nextHour, scheduledMinute);
-    } else {
-        nextSealDate.setDate(now.getDate() + 1);
-        nextSealDate.setHours(scheduledHours[0], scheduledMinute);
-    }
+function validateTitle(title, language) {
+  if (typeof title !== 'string') return { valid: false, reason: 'Invalid input' };
+  title = title.replace(/["“”„]/g, '').trim().replace(/\s+/g, ' ');
+  if (title.length === 0 || title.length > constants.TITLE_MAX_CHARS) {
+    return { valid: false, reason: `Titles are 1–${constants.TITLE_MAX_CHARS} chars` };
   }
-
-  const diffMs = nextSealDate - now;
-  return Math.ceil(diffMs / (1000 * 60)); // Return minutes, rounded up.
-}
-
-/**
- * Calculates how many words the bot should write to complete a chapter
- * precisely at the next scheduled seal time.
- * @returns {number} The number of words the bot should generate.
- */
-function calculateWordsUntilNextSeal() {
-  // First, calculate the total target size of the chapter based on time.
-  const minutesRemaining = calculateMinutesUntilNextSeal(constants.HISTORY_CHAPTER_SCHEDULE_CRON);
-  const targetWordCount = Math.floor(((minutesRemaining * 60) / constants.ROUND_DURATION_SECONDS) * 0.9);
-
-  // Ensure the bot always writes at least a couple of words.
-  return Math.max(2, targetWordCount);
+  const words = title.split(' ');
+  if (words.length > constants.TITLE_MAX_WORDS) {
+    return { valid: false, reason: `Titles have at most ${constants.TITLE_MAX_WORDS} words` };
+  }
+  const punctuationRegex = new RegExp(constants.PUNCTUATION_REGEX_STRING, constants.PUNCTUATION_REGEX_FLAGS);
+  if (!words.every(word => punctuationRegex.test(word))) return { valid: false, reason: 'Misplaced punctuation in the title' };
+  if (!profanity.check(title, { source: 'title', language }).ok) {
+    return { valid: false, reason: 'Offensive words are not allowed' };
+  }
+  return { valid: true, title };
 }
 
 // ============================================================================
-// --- CORE GAME & HISTORY LOGIC ---
+// --- GAME ENGINE ---
 // ============================================================================
 
 /**
- * Decides if the bot should act for the current round and triggers its logic.
- * This version uses a proper async/await structure to prevent race conditions.
+ * @summary Creates the game engine that runs every room's rounds, seals and bot.
+ * @description The life cycle itself lives in game-engine.js. The server only supplies
+ * its collaborators: the database, the round store, Socket.IO and the AI modules.
+ * Must be called once the database is connected.
+ * @returns {object} The game engine.
  */
-async function triggerBot() {
-  const hasWorkToDo = botQueue.length > 0 || botMustWriteTitle || botMustStartChapter || botMustContinueChapter;
-
-  // Guard against concurrent execution.
-  if (!botIsRunning && hasWorkToDo) {
-    botIsRunning = true; // Engage the safety lock.
-
-    try {
-      // 1. Await all necessary data from the database.
-      let liveChapter = null;
-      let currentChapterWords = [];
-      if (liveChapterId) {
-          liveChapter = await chaptersCollection.findOne({ _id: liveChapterId });
-          currentChapterWords = await wordsCollection.find({ chapterId: liveChapterId }).sort({ ts: 1 }).toArray();
-      }
-
-      const sealedChapterQuery = { hash: { $ne: null, $exists: true } };
-
-      const [totalChapterCount, recentChapters] = await Promise.all([
-        chaptersCollection.countDocuments(sealedChapterQuery),
-        chaptersCollection.find(sealedChapterQuery, { projection: { title: 1 } }).sort({ ts: -1 }).limit(50).toArray(),
-      ]);
-
-      // 2. Assemble the complete state object to pass to the bot.
-      const recentTitles = recentChapters.map(chapter => chapter.title).filter(Boolean);
-      const targetWordCount = calculateWordsUntilNextSeal();
-      const styleName = liveChapter ? liveChapter.style : null;
-      const fullWritingStyleObject = styleName
-        ? constants.WRITING_STYLES.find(s => s.name === styleName)
-        : null;
-
-    const botState = {
-        liveWords,
-        botContext,
-        botQueue,
-        broadcastLiveFeed,
-        getCompositeKey,
-        currentTitle: liveChapter ? liveChapter.title : null,
-        currentWritingStyle: fullWritingStyleObject,
-        currentChapterWords,
-        totalChapterCount,
-        botMustWriteTitle,
-        botMustStartChapter,
-        botMustContinueChapter,
-        recentTitles,
-        targetWordCount,
-      };
-
-      // 3. Await the bot's action and get the result.
-      const result = await runBotSubmission(botState);
-
-      // 4. Synchronize the server's state with the result.
-      botQueue = result.botQueue;
-      botMustWriteTitle = result.botMustWriteTitle;
-      botMustStartChapter = result.botMustStartChapter;
-      botMustContinueChapter = result.botMustContinueChapter;
-
-      // Set the submission flag only if the bot reports it was successful.
-      if (result.submissionMade) {
-          botHasSubmitted = true;
-      }
-
-    } catch (err) {
-      logger.error({ err }, '[bot] Bot execution promise chain failed');
-    } finally {
-      // 5. Always release the lock when done.
-      botIsRunning = false;
-    }
-  }
+function createEngine() {
+  return createGameEngine({
+    listRooms: rooms.listRooms,
+    persistence: storyPersistence,
+    roundStore,
+    votingStrategy,
+    sealSchedule,
+    sealPolicy,
+    bot: { runBotSubmission, runBotCritic, pushBotContext },
+    // Images cost nothing offline, so dev servers on the offline provider make them too.
+    // Only production posts to the social networks.
+    media: isProduction || constants.AI_IMAGE_PROVIDER === 'offline'
+      ? {
+          generateImage: (text, title, hash) => generateAndUploadImage(text, title, hash, isProduction),
+          postToSocials: isProduction ? postEverywhere : async () => {},
+        }
+      : null,
+    signer: ledgerSigner,
+    publishRound,
+    emit: emitToRoom,
+    isLeader: leader.isLeader,
+  });
 }
 
 /**
- * @summary Ends the current round, elects a winning word, and saves it to the database.
- * @description This function is the heart of the round transition. It determines the winner,
- * updates the story, and prepares the game for the next round.
+ * @summary Runs an admin command on the instance that runs the game loop.
+ * @description The leader carries it out itself. Another instance forwards it to every
+ * instance; only the leader answers (see the 'adminCommand' handler below).
+ * @param {object} command - The command (see admin.js).
+ * @returns {Promise<object>} The command's result.
  */
-async function endRoundAndElectWinner() {
-  // 1. Immediately schedule the next round's end time.
-  nextTickTimestamp = computeNextRoundEndTime();
-  io.emit('nextTick', { nextTickTimestamp });
-  botHasSubmitted = false;
-
-  // 2. Capture and clear the live submissions.
-  const finalLiveFeed = getLiveFeedState();
-  liveWords.clear();
-  broadcastLiveFeed();
-
-  // 3. Determine the winner and the previous word.
-  const winner = finalLiveFeed.find(item => item.count > 0);
-  const lastWinningWord = currentText.length > 0 ? currentText[currentText.length - 1] : null;
-
-  // 5. Process the winner, if one exists.
-  if (winner) {
-    // Rule 1: Force a newline after a chapter title.
-    if (lastWinningWord && lastWinningWord.isTitle) {
-      if (!winner.styles) winner.styles = {};
-      winner.styles.newline = true;
-    }
-
-    // Rule 2: Automatically capitalize a new sentence.
-    const lastWordText = lastWinningWord ? lastWinningWord.word : '';
-    if (!lastWordText || /[.!?]$/.test(lastWordText)) {
-      winner.word = winner.word.charAt(0).toUpperCase() + winner.word.slice(1);
-    }
-
-    const totalVotes = finalLiveFeed.reduce((acc, item) => acc + Math.max(0, item.count), 0);
-    const winnerRow = {
-      ts: Date.now(), word: winner.word, styles: winner.styles, isTitle: winner.isTitle || false,
-      username: winner.username, pct: totalVotes > 0 ? (winner.count / totalVotes) * 100 : 0,
-      count: winner.count, total: totalVotes, chapterId: liveChapterId
-    };
-
-    // 6. Save to database and update in-memory state.
-    try {
-      // If the winning word is a title, create the new chapter document first.
-      if (winner.isTitle) {
-          // A new chapter begins. We find the style chosen by the bot for this title.
-          const style = constants.WRITING_STYLES.find(s => s.name === winner.writingStyle) || { name: 'User-Initiated' };
-
-          const newChapterDoc = {
-              ts: winnerRow.ts,
-              title: winner.word,
-              style: style.name, // Store the style name
-              hash: null,
-              imageUrl: null,
-              text: '',
-              words: []
-          };
-          const insertedChapter = await chaptersCollection.insertOne(newChapterDoc);
-          liveChapterId = insertedChapter.insertedId;
-          logger.info({ chapterId: liveChapterId, title: newChapterDoc.title }, '[db] New live chapter created.');
-      }
-
-      // All words now get the current live chapter's ID.
-      winnerRow.chapterId = liveChapterId;
-      if (!liveChapterId) {
-          logger.error({ winner: winner.word }, "[db] CRITICAL: liveChapterId is null. Cannot save word.");
-          return; // Prevent saving a word without a chapter.
-      }
-
-      await wordsCollection.insertOne(winnerRow);
-      currentText.push(winnerRow);
-      if (currentText.length > constants.CURRENT_TEXT_LENGTH) currentText.shift();
-      botContext = pushBotContext(winner.word, botContext);
-      io.emit('currentTextUpdated', currentText);
-    } catch (err) {
-      logger.error({ err }, "[db] Failed to save word to database");
-    }
-
-    // 7. Unlock for users if a title has just won the round.
-    if (submissionIsLocked && winner.isTitle) {
-      submissionIsLocked = false;
-      logger.info('[server] Title sequence complete. Releasing user submission lock.');
-    }
-
-    // 8. If the winner is not the bot AND we are NOT in conclusion mode, clear the bot's queue.
-    if (winner.username !== constants.BOT_NAME && !botIsConcluding) {
-      logger.info({}, '[bot] A user won the round. Clearing bot queue and allowing a fresh turn.');
-      botQueue = [];
-      botMustStartChapter = false;
-      botMustContinueChapter = true;
-    }
-    logger.info({winner: winner.word}, '[server] A word has been chosen.');
-  }
-
-  // After processing the winner, check if a seal is needed.
-  if (mustSeal) {
-    mustSeal = false;
-    botQueue = [];
-    await finalizeAndSealChapter();
-    return;
-  }
-
-  // --- Bot Trigger Logic for a Round ---
-  const needsToGenerateNewContent = botMustContinueChapter || botMustStartChapter || botMustWriteTitle;
-  if (needsToGenerateNewContent) {
-    await triggerBot();
-  }
+async function runAdminCommand(command) {
+  if (leader.isLeader()) return adminCommands.execute(command);
+  const responses = await io.timeout(ADMIN_COMMAND_TIMEOUT_MS).serverSideEmitWithAck('adminCommand', command);
+  return responses.find(Boolean) || { ok: false, reason: 'No instance is running the game loop. Try again shortly.' };
 }
 
 /**
- * @summary Finalizes the current live chapter, sealing it with a hash and image.
- * @description This function is now an UPDATE operation. It finds the chapter marked as
- * unsealed, calculates its final content and hash, generates an image, and updates
- * the document in the database to mark it as sealed.
+ * @summary Records a player's vote on a room's "end chapter" motion, on the game-loop leader.
+ * @description The tally belongs to the leader, like the rest of the seal state, so another
+ * instance forwards the vote as it does admin commands.
+ * @param {object} room - The room state.
+ * @param {string} playerId - The player ID (see getPlayerId).
+ * @param {boolean} support - Whether the player supports the motion.
+ * @returns {Promise<{ok: boolean, reason?: string, support?: boolean}>}
  */
-async function finalizeAndSealChapter() {
-  if (!liveChapterId) {
-    logger.warn('[history] Seal triggered, but there is no live chapter to seal. Aborting.');
-    // Reset bot state to ensure it starts a new chapter next time.
-    botMustWriteTitle = true;
-    botMustStartChapter = false;
-    botMustContinueChapter = false;
-    await triggerBot();
-    return;
-  }
-
-  submissionIsLocked = true;
-  isImageGenerating = true;
-  logger.info('[history] Finalizing chapter: User submissions are now locked.');
-
+async function voteToEndChapter(room, playerId, support) {
   try {
-    io.emit('imageGenerationStarted');
-
-    // --- 1. FETCH THE LIVE CHAPTER AND ITS WORDS ---
-    const chapterToSeal = await chaptersCollection.findOne({ _id: liveChapterId });
-    const wordsToChapter = await wordsCollection
-      .find({ chapterId: liveChapterId })
-      .sort({ ts: 1 })
-      .toArray();
-
-    if (!chapterToSeal || wordsToChapter.length === 0) {
-      logger.warn('[history] Live chapter is empty. Forcing new chapter start.');
-      if (chapterToSeal) {
-        await chaptersCollection.deleteOne({ _id: liveChapterId }); // Clean up empty chapter
-      }
-      // The rest of the state reset is in the `finally` block.
-      return;
-    }
-
-    // --- 2. BUILD CHAPTER METADATA (hash, text) ---
-    const dataToHash = JSON.stringify(wordsToChapter);
-    const hash = crypto.createHash('sha256').update(dataToHash).digest('hex');
-
-    const chapterText = wordsToChapter.reduce((acc, w) => {
-      const sep = w.styles?.newline ? '\n' : (acc ? ' ' : '');
-      return acc + sep + w.word;
-    }, '').trim();
-
-    // --- 3. GENERATE IMAGE & CROSS-POST ---
-    let imageUrl = null;
-    const shareableUrl = `https://www.sntnz.com/chapter/${hash}`;
-    if (isProduction) {
-      imageUrl = await generateAndUploadImage(chapterText, chapterToSeal.title, hash, isProduction);
-      await postEverywhere(chapterText, shareableUrl, imageUrl);
-    }
-
-    // --- 4. FINALIZE THE CHAPTER IN THE DATABASE (UPDATE) ---
-    const updateResult = await chaptersCollection.updateOne(
-      { _id: liveChapterId },
-      {
-        $set: {
-          hash,
-          text: chapterText,
-          words: wordsToChapter, // Embed the final word array
-          imageUrl,
-        },
-      }
-    );
-
-    // After updating, fetch the complete, finalized chapter document
-    const sealedChapter = await chaptersCollection.findOne({ _id: liveChapterId });
-
-    if (sealedChapter) {
-      io.emit('chapterSealed', { sealedChapter });
-    }
-
-    logger.info({ chapterHash: hash }, '[history] Successfully sealed chapter');
-
+    if (leader.isLeader()) return await engine.voteToEndChapter(room, playerId, support);
+    const responses = await io.timeout(ADMIN_COMMAND_TIMEOUT_MS)
+      .serverSideEmitWithAck('endChapterMotion', { roomId: room.id, playerId, support });
+    return responses.find(Boolean) || { ok: false, reason: 'No instance is running the game loop. Try again shortly.' };
   } catch (err) {
-    logger.error({ err }, '[history] Error finalizing chapter');
-  } finally {
-    // --- 5. RESET STATE FOR THE NEXT CHAPTER ---
-    isImageGenerating = false;
-    botIsConcluding = false;
-    botMustWriteTitle = true; // Signal the bot to create the next title
-    botMustStartChapter = false;
-    botMustContinueChapter = false;
-    botQueue = [];
-    liveChapterId = null; // Clear the old live chapter ID
-
-    // --- 6. TRIGGER BOT & UNLOCK SUBMISSIONS ---
-    logger.info('[history] Triggering bot for new chapter title.');
-    await triggerBot(); // This will generate the title for the *next* chapter
-    submissionIsLocked = false;
-    logger.info('[history] Seal process complete. User submissions unlocked.');
+    logger.error({ err, roomId: room.id }, '[socket] Failed to record the end-chapter vote');
+    return { ok: false, reason: 'Could not record your vote. Please try again.' };
   }
 }
 
 /**
- * Loads the state of the live (unsealed) chapter from the database on server startup.
+ * Records a player's vote to strike a room's last winning word, on the game-loop leader
+ * (forwarded like the "end chapter" votes above).
+ * @param {object} room - The room state.
+ * @param {string} playerId - The player ID (see getPlayerId).
+ * @param {number} ts - The timestamp of the word to strike.
+ * @param {boolean} support - Whether the player supports the strike.
+ * @returns {Promise<{ok: boolean, reason?: string, support?: boolean, struck?: boolean}>}
  */
-async function loadInitialTextFromHistory() {
-  logger.info('[history] Attempting to restore live state from database...');
-
+async function voteToStrikeWord(room, playerId, ts, support) {
   try {
-    // Find the one chapter that was left unsealed.
-    const liveChapter = await chaptersCollection.findOne({ hash: null });
-
-    if (liveChapter) {
-      liveChapterId = liveChapter._id;
-      const restoredWords = await wordsCollection.find({ chapterId: liveChapterId }).sort({ ts: 1 }).toArray();
-
-      logger.info(`[history] Restoring ${restoredWords.length} unsealed words for chapter '${liveChapter.title}'.`);
-
-      // 1. Restore the core story and bot context
-      currentText = restoredWords.slice(-constants.CURRENT_TEXT_LENGTH);
-      restoredWords.forEach(w => {
-        botContext = pushBotContext(w.word, botContext);
-      });
-
-      // 2. Restore the bot's queue if it was saved in the chapter document (optional feature)
-      botQueue = liveChapter.botQueue || [];
-
-      // 3. Set the bot's next action based on the restored state
-      const hasTitle = restoredWords.some(w => w.isTitle);
-      if (!hasTitle || restoredWords.length === 0) {
-        botMustWriteTitle = true;
-      } else if (restoredWords.length === 1 && hasTitle) {
-        botMustStartChapter = true;
-      } else {
-        botMustContinueChapter = true;
-      }
-      logger.info({
-          mustWriteTitle: botMustWriteTitle,
-          mustStartChapter: botMustStartChapter,
-          mustContinueChapter: botMustContinueChapter
-      }, '[history] Bot action flags set.');
-
-    } else {
-      logger.info('[history] No unsealed chapter found. Starting fresh.');
-      botMustWriteTitle = true; // No history, so the bot must start a new story.
-    }
-  } catch (error) {
-    logger.error({ err: error }, '[history] Failed to load initial state');
-    botMustWriteTitle = true; // On failure, ensure the bot starts over.
+    if (leader.isLeader()) return await engine.voteToStrikeWord(room, playerId, ts, support);
+    const responses = await io.timeout(ADMIN_COMMAND_TIMEOUT_MS)
+      .serverSideEmitWithAck('strikeMotion', { roomId: room.id, playerId, ts, support });
+    return responses.find(Boolean) || { ok: false, reason: 'No instance is running the game loop. Try again shortly.' };
+  } catch (err) {
+    logger.error({ err, roomId: room.id }, '[socket] Failed to record the strike vote');
+    return { ok: false, reason: 'Could not record your vote. Please try again.' };
   }
 }
 
 // ============================================================================
-// --- GAME LOOP ---
+// --- REPORTS ---
 // ============================================================================
-setInterval(() => {
-  // --- Round Ending Logic ---
-  // This is the interval's PRIMARY job. If the round is over, end it.
-  if (Date.now() >= nextTickTimestamp) {
-    endRoundAndElectWinner();
-    return; // Exit this tick immediately after ending the round.
-  }
 
-  // --- Proactive Bot Trigger at half round ---
-  const roundMidpointTimestamp = nextTickTimestamp - (constants.ROUND_DURATION_SECONDS * 1000 / 2);
-  const isPastMidpoint = Date.now() >= roundMidpointTimestamp;
-  const botShouldSubmit =
-    isPastMidpoint &&
-    botQueue.length > 0 &&
-    !botHasSubmitted &&
-    !botIsRunning;
-
-  if (botShouldSubmit) {
-    logger.info('[bot] Midpoint reached. Attempting proactive submission.');
-    triggerBot();
+/**
+ * @summary Files a player's report, from the `report` socket event or `POST /api/reports`.
+ * @description The caller has already checked that the player may play (bans included).
+ * @param {object} body - The raw request: `{ targetType, roomId, compositeKey, ts, chapterHash, reason }`.
+ * @param {object} reporter
+ * @param {object|null} reporter.user - The logged-in user, or null.
+ * @param {string} reporter.playerId - The player ID (see getPlayerId).
+ * @param {string} reporter.ip - The client's IP address.
+ * @returns {Promise<{ok: boolean, reason?: string, message?: string, retryAfter?: number}>}
+ */
+async function fileReport(body, { user, playerId, ip }) {
+  if (!hasPermission(user, PERMISSIONS.SKIP_QUOTAS)) {
+    const quota = await quotaLimiter.consume('report', { identity: playerId, ip, isAnonymous: !user });
+    if (!quota.ok) return quota;
   }
 
-  // --- "Conclusion Mode" Check ---
-  // This is the interval's TERTIARY job. It runs on ticks where the round is not ending.
-  // It checks if it's time for the bot to PREPARE its concluding sentences.
-
-  // Calculate the time threshold for conclusion mode (5% of total chapter duration).
-  const conclusionThresholdMinutes = Math.floor(constants.CHAPTER_DURATION_MINUTES * 0.05);
-  const minutesRemaining = calculateMinutesUntilNextSeal(constants.HISTORY_CHAPTER_SCHEDULE_CRON);
-
-  const botShouldReviewConclusion =
-    minutesRemaining <= conclusionThresholdMinutes &&
-    minutesRemaining > 10 &&
-    botMustContinueChapter &&
-    !botIsConcluding;
-
-  if (botShouldReviewConclusion) {
-    botIsConcluding = true; // Lock in conclusion mode so this only runs once per chapter.
-    logger.info({ threshold: conclusionThresholdMinutes }, '[bot] Seal is imminent. Engaging conclusion mode to finish the chapter.');
-
-    // Trigger the bot ONCE to generate the full conclusion and put it in its queue.
-    // The bot will then submit those words one by one during its normal turn in endRoundAndElectWinner.
-    botQueue = [];
-    triggerBot();
+  const request = {
+    targetType: body.targetType,
+    roomId: typeof body.roomId === 'string' ? body.roomId : constants.DEFAULT_ROOM_ID,
+    compositeKey: typeof body.compositeKey === 'string' ? body.compositeKey : null,
+    ts: Number(body.ts),
+    chapterHash: typeof body.chapterHash === 'string' ? body.chapterHash : null,
+    reason: body.reason,
+  };
+  try {
+    return await reportService.submit(request, { id: playerId, ip });
+  } catch (err) {
+    logger.error({ err, targetType: request.targetType }, '[reports] Failed to file the report');
+    return { ok: false, reason: 'Could not send your report. Please try again.' };
   }
-}, 500);
+}
+
+/**
+ * @summary Changes the profanity rules, then tells the other instances to reload them.
+ * @param {Function} change - Adds or removes a rule with this instance's checker (async).
+ * @returns {Promise<*>} The result of the change.
+ */
+async function changeProfanityRules(change) {
+  const result = await change();
+  if (constants.CLUSTER_MODE) io.serverSideEmit('profanityRulesChanged');
+  return result;
+}
 
 // ============================================================================
 // --- SERVER SETUP & MIDDLEWARE ---
@@ -755,6 +593,9 @@ app.use(['/config', '/api', '/history', '/chapter'], apiLimiter);
 app.use(sessionMiddleware);
 app.use(passport.initialize());
 app.use(passport.session());
+// The game and history pages give anonymous visitors their player cookie, before their
+// socket connects or they send a report. No other request creates an anonymous ID.
+app.get(['/', '/index.html', '/r/:roomId', '/history.html'], anonymousIdMiddleware);
 
 // ============================================================================
 // --- HTTP ROUTES ---
@@ -762,16 +603,153 @@ app.use(passport.session());
 
 // Health check endpoint for uptime monitors.
 app.get('/healthz', (_req, res) => res.type('text').send('ok'));
-// Endpoint for the client to fetch shared constants.
-app.get('/config', (_req, res) => res.json(constants));
+// Endpoint for the client to fetch shared constants, with the upcoming seal times.
+app.get('/config', (_req, res) => res.json({ ...constants, UPCOMING_SEAL_TIMESTAMPS: upcomingSeals() }));
 
 // --- Auth & User Routes ---
 // The auth module provides a router for all user-related endpoints.
 // We pass it the users collection so it can interact with the database.
-app.use('/', createAuthRouter());
+app.use('/', createAuthRouter({
+  isUsernameAllowed: (username) => profanity.check(username, { source: 'username' }).ok,
+}));
+
+// --- Room Routes ---
+/**
+ * GET /api/rooms
+ * --------------
+ * Lists the available story rooms.
+ */
+app.get('/api/rooms', (_req, res) => {
+  res.json(rooms.listRooms().map(room => ({
+    id: room.id, name: room.name, language: room.language, sealProgress: sealProgressOf(room),
+  })));
+});
+
+/**
+ * GET /api/rooms/:roomId/personas
+ * -------------------------------
+ * Lists the bot personas with their settings and their record in a room: the rounds
+ * each took part in, how many it won, its win rate, and whether it is retired.
+ */
+app.get('/api/rooms/:roomId/personas', async (req, res) => {
+  const room = rooms.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found.' });
+  }
+  try {
+    const stats = await storyPersistence.findPersonaStats(room.id, PERSONAS.map(persona => persona.id));
+    res.json(describePersonas(stats));
+  } catch (error) {
+    logger.error({ err: error, roomId: room.id }, '[api] Error reading persona stats');
+    res.status(500).json({ error: 'Failed to retrieve persona stats.' });
+  }
+});
+
+/**
+ * GET /api/rooms/:roomId/prompt-templates
+ * ---------------------------------------
+ * Lists every version of the bot's prompt templates with its record in a room, to
+ * compare versions under A/B tests: its share of the prompts, the bot words it wrote
+ * and their win rate, the average length of the chapters they appear in, and how
+ * often the images it described were regenerated.
+ */
+app.get('/api/rooms/:roomId/prompt-templates', async (req, res) => {
+  const room = rooms.getRoom(req.params.roomId);
+  if (!room) {
+    return res.status(404).json({ error: 'Room not found.' });
+  }
+  try {
+    const stats = await storyPersistence.findPromptStats(room.id);
+    res.json(describePromptStats(stats));
+  } catch (error) {
+    logger.error({ err: error, roomId: room.id }, '[api] Error reading prompt template stats');
+    res.status(500).json({ error: 'Failed to retrieve prompt template stats.' });
+  }
+});
+
+/**
+ * GET /r/:roomId
+ * --------------
+ * Serves the main game page for a named room. The client reads the room ID
+ * from the URL and passes it along when opening its socket connection.
+ */
+app.get('/r/:roomId', (req, res) => {
+  if (!rooms.isValidRoomId(req.params.roomId) || !rooms.getRoom(req.params.roomId)) {
+    return res.status(404).send('Room not found.');
+  }
+  res.sendFile(require('path').join(__dirname, 'public', 'index.html'));
+});
+
+// --- Report Routes ---
+/**
+ * POST /api/reports
+ * -----------------
+ * Reports a live candidate, a winning word or a sealed chapter to the moderators.
+ * Body: `{ targetType, roomId, compositeKey | ts | chapterHash, reason }` (see reports.js).
+ */
+app.post('/api/reports', async (req, res) => {
+  const user = req.user || null;
+  if (constants.REQUIRE_LOGIN_TO_PLAY && !user) {
+    return res.status(401).json({ error: 'Please log in to report.' });
+  }
+  if (!hasPermission(user, PERMISSIONS.PLAY)) {
+    return res.status(403).json({ error: 'You are banned from playing.' });
+  }
+
+  const playerId = user ? user.googleId : readAnonymousId(req);
+  if (!playerId) {
+    return res.status(400).json({ error: 'Your browser did not send its player cookie. Please reload the page.' });
+  }
+  const result = await fileReport(req.body || {}, { user, playerId, ip: req.ip });
+  if (!result.ok) {
+    return res.status(result.retryAfter ? 429 : 400).json({ error: result.reason, retryAfter: result.retryAfter });
+  }
+  res.json({ message: result.message });
+});
+
+// --- Admin Routes ---
+/**
+ * GET /admin
+ * ----------
+ * Serves the admin console to admins and moderators, and sends everyone else to the login page.
+ */
+app.get('/admin', (req, res) => {
+  if (!hasPermission(req.user, PERMISSIONS.MODERATE)) return res.redirect('/login.html');
+  res.sendFile(require('path').join(__dirname, 'public', 'admin.html'));
+});
+
+// The admin API (see admin.js). Its routes check the user's permissions.
+app.use('/admin/api', createAdminRouter({
+  runCommand: runAdminCommand,
+  adminLog: {
+    record: (entry) => adminActionsCollection.insertOne(entry),
+    recent: (limit) => adminActionsCollection.find({}).sort({ ts: -1 }).limit(limit).toArray(),
+  },
+  listRooms: rooms.listRooms,
+  userAdmin: {
+    findUser: (idOrUsername) => userAdmin.findUser(idOrUsername),
+    grantRole: (googleId, role) => userAdmin.grantRole(googleId, role),
+    revokeRole: (googleId, role) => userAdmin.revokeRole(googleId, role),
+    banUser: (googleId, ban) => userAdmin.banUser(googleId, ban),
+    unbanUser: (googleId) => userAdmin.unbanUser(googleId),
+    banPlayer: (player, ban) => userAdmin.banPlayer(player, ban),
+  },
+  reportStore: {
+    listOpen: (limit) => reportStore.listOpen(limit),
+    findById: (reportId) => reportStore.findById(reportId),
+    resolve: (reportId, resolution) => reportStore.resolve(reportId, resolution),
+  },
+  profanityRules: {
+    list: () => profanity.listRules(),
+    add: (rule) => changeProfanityRules(() => profanity.addRule(rule)),
+    remove: (ruleId) => changeProfanityRules(() => profanity.removeRule(ruleId)),
+  },
+}));
 
 // --- History & Chapter API Routes ---
 // These routes allow the client to fetch historical data.
+// Every history route is scoped to a room with the `room` query parameter
+// (defaulting to the default room).
 /**
  * GET /api/share-text/:hash
  * -------------------------
@@ -820,12 +798,13 @@ app.get('/api/history/before', async (req, res) => {
   try {
     const oldestTimestamp = parseInt(req.query.ts, 10);
     const limit = 3;
+    const room = rooms.resolveRoom(req.query.room);
 
     if (isNaN(oldestTimestamp)) {
       return res.status(400).json({ error: 'Invalid timestamp provided.' });
     }
 
-    const olderChapters = await chaptersCollection.find({ ts: { $lt: oldestTimestamp }, hash: { $ne: null } })
+    const olderChapters = await chaptersCollection.find({ roomId: room.id, ts: { $lt: oldestTimestamp }, hash: { $ne: null } })
       .sort({ ts: -1, _id: -1 })
       .limit(limit)
       .toArray();
@@ -849,9 +828,11 @@ app.get('/api/history/latest', async (req, res) => {
     const today = new Date().toISOString().split('T')[0];
     const startOfDay = new Date(`${today}T00:00:00.000Z`);
     const endOfDay = new Date(`${today}T23:59:59.999Z`);
+    const room = rooms.resolveRoom(req.query.room);
 
     // Get all chapters for today, sealed or not
     const chaptersForToday = await chaptersCollection.find({
+      roomId: room.id,
       ts: { $gte: startOfDay.getTime(), $lte: endOfDay.getTime() },
     }).sort({ ts: 1 }).toArray();
 
@@ -886,7 +867,9 @@ app.get('/api/history/latest', async (req, res) => {
 app.get('/api/history/dates', async (req, res) => {
   try {
     // This query now correctly includes the date of the unsealed chapter.
+    const room = rooms.resolveRoom(req.query.room);
     const dates = await chaptersCollection.aggregate([
+      { $match: { roomId: room.id } },
       {
         $group: {
           _id: { $dateToString: { format: "%Y-%m-%d", date: { $toDate: "$ts" } } }
@@ -920,9 +903,11 @@ app.get('/api/history/:date', async (req, res) => {
   try {
     const startOfDay = new Date(`${date}T00:00:00.000Z`);
     const endOfDay = new Date(`${date}T23:59:59.999Z`);
+    const room = rooms.resolveRoom(req.query.room);
 
     // Query for all chapters on the given date, sealed or not.
     const chaptersForDate = await chaptersCollection.find({
+      roomId: room.id,
       ts: {
         $gte: startOfDay.getTime(),
         $lte: endOfDay.getTime(),
@@ -950,6 +935,121 @@ app.get('/api/history/:date', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/rounds/:id
+ * -------------------
+ * Returns the audit record of a finished round: every candidate with its final
+ * score, the winner, why the round ended that way, and whether the players
+ * struck the winning word afterwards. Voter and submitter IDs stay on the
+ * server; only the number of ballots per candidate is published.
+ */
+app.get('/api/rounds/:id', async (req, res) => {
+  try {
+    const round = await roundsCollection.findOne({ _id: req.params.id });
+    if (!round) {
+      return res.status(404).json({ error: 'Round not found.' });
+    }
+
+    res.json({
+      id: round._id,
+      roomId: round.roomId,
+      chapterId: round.chapterId,
+      startedAt: round.startedAt,
+      endedAt: round.endedAt,
+      strategy: round.strategy,
+      winner: round.winner,
+      reason: round.reason,
+      // Whether the players later struck the winning word, without saying who.
+      strike: round.strike ? { at: round.strike.at, votes: round.strike.supporters.length, needed: round.strike.needed } : null,
+      candidates: round.candidates.map(({ submitterId, votes, ...candidate }) => ({
+        ...candidate,
+        ballots: votes.length,
+      })),
+    });
+  } catch (error) {
+    logger.error({ err: error, roundId: req.params.id }, '[api] Error reading round');
+    res.status(500).json({ error: 'Failed to retrieve round.' });
+  }
+});
+
+// --- Ledger API Routes ---
+// Sealed chapters form a hash chain per room (see ledger.js). These routes let
+// anyone check a chapter, or download a room's whole chain for verify-ledger.js.
+/**
+ * GET /api/verify/:hash
+ * ---------------------
+ * Recomputes a sealed chapter's hash from its words, checks that it links to the
+ * chapter sealed before it in the same room, and checks its signature.
+ */
+app.get('/api/verify/:hash', async (req, res) => {
+  const { hash } = req.params;
+  if (!/^[0-9a-f]{64}$/.test(hash)) {
+    return res.status(400).json({ error: 'A full chapter hash is required.' });
+  }
+
+  try {
+    const chapter = await chaptersCollection.findOne({ hash });
+    if (!chapter) {
+      return res.status(404).json({ error: 'Chapter not found.' });
+    }
+
+    const previous = await chaptersCollection.findOne(
+      { roomId: chapter.roomId, hash: { $ne: null }, ts: { $lt: chapter.ts } },
+      { sort: { ts: -1 } }
+    );
+    const checks = verifyChapter(chapter, previous, ledgerSigner?.publicKeyPem);
+
+    res.json({
+      hash,
+      roomId: chapter.roomId,
+      title: chapter.title,
+      ledgerVersion: chapter.ledgerVersion || null,
+      previousHash: chapter.previousHash || null,
+      signature: chapter.signature || null,
+      publicKey: ledgerSigner?.publicKeyPem || null,
+      ...checks,
+    });
+  } catch (error) {
+    logger.error({ err: error, hash }, '[api] Error verifying chapter');
+    res.status(500).json({ error: 'Failed to verify chapter.' });
+  }
+});
+
+/**
+ * GET /api/ledger/public-key
+ * --------------------------
+ * Publishes the PEM public key that chapter signatures can be checked with.
+ */
+app.get('/api/ledger/public-key', (_req, res) => {
+  if (!ledgerSigner) {
+    return res.status(404).json({ error: 'Chapters are not signed on this server.' });
+  }
+  res.type('text/plain').send(ledgerSigner.publicKeyPem);
+});
+
+/**
+ * GET /api/ledger/export
+ * ----------------------
+ * Returns every sealed chapter of a room, oldest first, with the fields needed
+ * to recompute the chain offline: `node verify-ledger.js export.json`.
+ */
+app.get('/api/ledger/export', async (req, res) => {
+  try {
+    const room = rooms.resolveRoom(req.query.room);
+    const chapters = await chaptersCollection
+      .find(
+        { roomId: room.id, hash: { $ne: null } },
+        { projection: { roomId: 1, title: 1, ts: 1, hash: 1, previousHash: 1, ledgerVersion: 1, signature: 1, words: 1 } }
+      )
+      .sort({ ts: 1 })
+      .toArray();
+    res.json(chapters);
+  } catch (error) {
+    logger.error({ err: error }, '[api] Error exporting the ledger');
+    res.status(500).json({ error: 'Failed to export the ledger.' });
+  }
+});
+
 /**
  * GET /chapter/:hash
  * ----------------
@@ -1012,7 +1112,8 @@ app.get('/chapter/:hash', async (req, res) => {
       // 4. If it's a regular user, redirect them to the correct history page.
       const date = new Date(chapter.ts);
       const dateString = date.toISOString().split('T')[0]; // Format as YYYY-MM-DD
-      const redirectUrl = `/history.html?date=${dateString}#${chapter.hash}`;
+      const roomParam = chapter.roomId && chapter.roomId !== constants.DEFAULT_ROOM_ID ? `&room=${chapter.roomId}` : '';
+      const redirectUrl = `/history.html?date=${dateString}${roomParam}#${chapter.hash}`;
 
       console.log(`[share] User detected, redirecting to: ${redirectUrl}`);
       res.redirect(302, redirectUrl);
@@ -1028,6 +1129,8 @@ app.get('/chapter/:hash', async (req, res) => {
 // Serves the client-side HTML, CSS, and JavaScript files from the 'public' directory.
 // This should come after all API routes.
 app.use(express.static(require('path').join(__dirname, 'public')));
+// Chapter images kept on disk when no Cloud Storage bucket is used (see ai-providers.js).
+app.use(constants.LOCAL_IMAGES_PATH, express.static(LOCAL_IMAGES_DIR));
 
 
 // ============================================================================
@@ -1038,25 +1141,97 @@ app.use(express.static(require('path').join(__dirname, 'public')));
 const wrap = middleware => (socket, next) => middleware(socket.request, {}, next);
 // Share the Express session and Passport context with Socket.IO.
 io.use(wrap(sessionMiddleware));
+io.use(wrap(anonymousIdMiddleware));
 io.use(wrap(passport.initialize()));
 io.use(wrap(passport.session()));
 
+/**
+ * @summary Returns the ID a socket's player submits and votes with.
+ * @description Logged-in players use their Google ID, and anonymous players the ID in
+ * their signed cookie, so reconnecting does not make them a new voter. A socket with
+ * neither has no ID: it may watch, but not play (see `requirePlayerId`), since an ID
+ * made up per connection would give a client that drops its cookie a new vote each time.
+ * @param {Socket} socket - The client's socket.
+ * @returns {string|null} The player ID, or null.
+ */
+function getPlayerId(socket) {
+  const user = socket.request.user;
+  if (user) return user.googleId;
+  return socket.request.anonymousId || null;
+}
+
+/**
+ * Refuses a player action from a socket without a player ID, and asks the client to
+ * reload: the page load sets the anonymous cookie (see `anonymousIdMiddleware`).
+ * @param {Socket} socket - The client's socket.
+ * @returns {boolean} Whether the socket has a player ID.
+ */
+function requirePlayerId(socket) {
+  if (getPlayerId(socket)) return true;
+  socket.emit('submissionFailed', { message: 'Your browser did not send its player cookie. Please reload the page.', reload: true });
+  return false;
+}
+
+/**
+ * @summary Listens for a player action on a socket.
+ * @description The handler always gets a payload object, even when the client sent
+ * none, and runs only for a socket with a player ID (see `requirePlayerId`). Any error,
+ * such as a malformed payload or a failed database call, is logged and answered through
+ * the client's acknowledgement callback if it sent one, or the `submissionFailed` event,
+ * instead of becoming an unhandled rejection.
+ * @param {Socket} socket - The client's socket.
+ * @param {string} event - The action's event name.
+ * @param {Function} handler - Handles the action: `(payload) => Promise<void>`.
+ */
+function onPlayerAction(socket, event, handler) {
+  socket.on(event, async (payload = {}, ack) => {
+    if (!requirePlayerId(socket)) return;
+    try {
+      if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new TypeError(`The ${event} payload must be an object`);
+      }
+      await handler(payload);
+    } catch (err) {
+      logger.warn({ err, event, roomId: socket.data.roomId }, '[socket] Failed to handle a player action');
+      const failure = { message: 'Your request could not be handled. Please try again.' };
+      if (typeof ack === 'function') ack({ ok: false, ...failure });
+      else socket.emit('submissionFailed', failure);
+    }
+  });
+}
+
 // This block handles the main lifecycle of a client's real-time connection.
 io.on('connection', async (socket) => {
-  logger.info('A user connected');
   const user = socket.request.user;
-  const userId = user ? user.googleId : socket.id;
+  const userId = getPlayerId(socket);
+  const clientIp = getClientIp(socket);
+  // A ban of this account will also cover the anonymous ID and IP address it plays from.
+  if (user && userAdmin) {
+    userAdmin.recordSighting(user.googleId, { anonymousId: socket.request.anonymousId, ip: clientIp }).catch(err => {
+      logger.error({ err }, '[socket] Failed to record where a user plays from');
+    });
+  }
+
+  // Every socket belongs to exactly one room, chosen by the client at connection time.
+  const room = rooms.resolveRoom(socket.handshake.query.roomId);
+  socket.data.roomId = room.id;
+  socket.join(rooms.channelFor(room.id));
+  if (userId) socket.join(playerChannelFor(room, userId));
+  logger.info({ roomId: room.id }, 'A user connected');
 
   try {
+    // Another instance may have changed the round since our last update.
+    await roundStore.load(room);
+
     const initialChapters = [];
     let initialImageUrl = null;
 
-    // 1. Find the current live (unsealed) chapter.
-    const liveChapter = await chaptersCollection.findOne({ hash: null });
+    // 1. Find the room's current live (unsealed) chapter.
+    const liveChapter = await chaptersCollection.findOne({ roomId: room.id, hash: null });
 
     // 2. Find the most recent sealed chapters to show before the live one.
     const previousSealedChapters = await chaptersCollection.find(
-      { hash: { $ne: null } },
+      { roomId: room.id, hash: { $ne: null } },
       { sort: { ts: -1 } }
     ).limit(constants.NUM_INITIAL_CHAPTERS).toArray();
 
@@ -1084,6 +1259,7 @@ io.on('connection', async (socket) => {
       // So, we find the most recent sealed chapter with an image overall.
       const lastChapterWithImage = await chaptersCollection.findOne(
         {
+          roomId: room.id,
           hash: { $ne: null },
           imageUrl: { $ne: null, $exists: true }
         },
@@ -1093,21 +1269,29 @@ io.on('connection', async (socket) => {
     }
 
     socket.emit('initialState', {
+      room: { id: room.id, name: room.name, roundDurationSeconds: room.roundDurationSeconds, language: room.language, phase: room.phase },
       initialChapters,
-      liveSubmissions: getLiveFeedState(userId),
-      nextTickTimestamp,
+      liveSubmissions: getLiveFeedState(room, userId),
+      nextTickTimestamp: room.nextTickTimestamp,
       latestImageUrl: initialImageUrl,
-      isImageGenerating: isImageGenerating
+      upcomingSeals: upcomingSeals(),
+      sealProgress: sealProgressOf(room),
+      strikeProgress: room.strikeProgress,
+      isImageGenerating: room.isImageGenerating
     });
 
   } catch (err) {
-    logger.error({ err }, "[socket] Failed to prepare and send initialState");
+    logger.error({ err, roomId: room.id }, "[socket] Failed to prepare and send initialState");
     // Send a fallback state to the client so it doesn't just hang.
     socket.emit('initialState', {
+      room: { id: room.id, name: room.name, roundDurationSeconds: room.roundDurationSeconds, language: room.language, phase: room.phase },
       initialChapters: [{ words: [] }],
       liveSubmissions: [],
-      nextTickTimestamp: computeNextRoundEndTime(),
+      nextTickTimestamp: engine.nextRoundEndTime(room),
       latestImageUrl: null,
+      upcomingSeals: upcomingSeals(),
+      sealProgress: sealProgressOf(room),
+      strikeProgress: null,
       isImageGenerating: false
     });
   }
@@ -1116,60 +1300,235 @@ io.on('connection', async (socket) => {
   socket.on('joinHistoryRoom', () => socket.join('history-room'));
 
   // Handles a new word submission from a client.
-  socket.on('wordSubmitted', (wordData) => {
-    const validation = validateSubmission(wordData.word);
+  // In the title round, the submission is a chapter title instead (see validateTitle).
+  onPlayerAction(socket, 'wordSubmitted', async ({ word, styles }) => {
+    const isTitle = isTitleRound(room);
+    const validation = isTitle ? validateTitle(word, room.language) : validateSubmission(word, room.language);
     if (!validation.valid) return socket.emit('submissionFailed', { message: validation.reason });
+    // Titles get the title styles whatever was sent; a word's styles are checked against the schema.
+    const styling = isTitle ? { valid: true, styles: normalizeStyles(constants.TITLE_STYLES) } : validateStyles(styles);
+    if (!styling.valid) return socket.emit('submissionFailed', { message: styling.reason });
+    const submission = isTitle
+      ? { word: validation.title, styles: styling.styles, isTitle: true }
+      : { word, styles: styling.styles };
+
+    if (constants.REQUIRE_LOGIN_TO_PLAY && !socket.request.user) {
+      return socket.emit('submissionFailed', { message: 'Please log in to submit words.' });
+    }
+    // Refuses banned players, with their account as it is now rather than at connection time.
+    const access = await socketGuard.check(socket, PERMISSIONS.PLAY);
+    if (!access.ok) return socket.emit('submissionFailed', { message: access.reason });
 
-    const user = socket.request.user;
-    const userId = user ? user.googleId : socket.id;
+    const user = access.user;
+    const userId = getPlayerId(socket);
     const username = user ? user.username : 'anonymous';
+    const compositeKey = getCompositeKey(submission);
+    let isLocked = false;
+    let roundChanged = false;
+
+    // A submission the round would refuse does not count towards the quota. The round is
+    // checked again when the candidate is added, in case it changed meanwhile.
+    if (isSubmissionLocked(room)) {
+      return socket.emit('submissionFailed', { message: 'Please wait: the chapter is being sealed.' });
+    }
+    if (!hasPermission(user, PERMISSIONS.SKIP_QUOTAS)) {
+      const quota = await quotaLimiter.consume('submission', { identity: userId, ip: clientIp, isAnonymous: !user });
+      if (!quota.ok) return socket.emit('submissionFailed', { message: quota.reason, retryAfter: quota.retryAfter });
+    }
+
+    try {
+      // The change is applied to the latest shared round, which may differ from our local copy.
+      await roundStore.mutate(room, (liveWords) => {
+        // Prevent from submitting while the chapter is being sealed and the next title written.
+        if (isSubmissionLocked(room)) {
+          isLocked = true;
+          return false;
+        }
+        // The title round opened or closed since the submission was validated.
+        if (isTitleRound(room) !== isTitle) {
+          roundChanged = true;
+          return false;
+        }
+
+        // Remove the user's previous submission before adding the new one.
+        for (const [key, entry] of liveWords.entries()) {
+          if (entry.submitterId === userId) {
+            liveWords.delete(key);
+            break;
+          }
+        }
+
+        if (!liveWords.has(compositeKey)) {
+          liveWords.set(compositeKey, {
+            ...submission,
+            submitterId: userId, submitterName: username,
+            // Lets a moderator ban an anonymous author (see reports.js). The live round is shared
+            // between instances, so it keeps a hash rather than the address; never sent to clients.
+            submitterIpHash: hashIpAddress(clientIp),
+            ts: Date.now(), votes: new Map(),
+          });
+        }
+        // A submission always counts as a vote from the submitter.
+        votingStrategy.recordSubmission(liveWords, compositeKey, userId);
+      });
+    } catch (err) {
+      logger.error({ err, roomId: room.id }, '[socket] Failed to save submission');
+      return socket.emit('submissionFailed', { message: 'Could not submit your word. Please try again.' });
+    }
+
+    if (isLocked) {
+      return socket.emit('submissionFailed', { message: 'Please wait: the chapter is being sealed.' });
+    }
+    if (roundChanged) {
+      return socket.emit('submissionFailed', { message: isTitle ? 'The title round is over. Please submit a word.' : 'A title round has started. Please propose a title.' });
+    }
+    publishRound(room, userId);
+  });
 
-    // Prevent from submitting if the bot is writing the chapter title.
-    if (submissionIsLocked) {
-      return socket.emit('submissionFailed', { message: 'Please wait for the bot to finish the next chapter title.' });
+  // Handles an upvote or downvote from a client.
+  onPlayerAction(socket, 'castVote', async ({ compositeKey, direction }) => {
+    let outcome = { ok: true };
+    if (constants.REQUIRE_LOGIN_TO_PLAY && !user) {
+      return socket.emit('submissionFailed', { message: 'Please log in to vote.' });
     }
+    if (typeof compositeKey !== 'string' || typeof direction !== 'string') {
+      return socket.emit('submissionFailed', { message: 'Invalid vote.' });
+    }
+    const access = await socketGuard.check(socket, PERMISSIONS.PLAY);
+    if (!access.ok) return socket.emit('submissionFailed', { message: access.reason });
 
-    // Remove the user's previous submission before adding the new one.
-    for (const [key, entry] of liveWords.entries()) {
-      if (entry.submitterId === userId) {
-        liveWords.delete(key);
-        break;
-      }
+    if (!hasPermission(access.user, PERMISSIONS.SKIP_QUOTAS)) {
+      const quota = await quotaLimiter.consume('vote', { identity: userId, ip: clientIp, isAnonymous: !user });
+      if (!quota.ok) return socket.emit('submissionFailed', { message: quota.reason, retryAfter: quota.retryAfter });
     }
 
-    const compositeKey = getCompositeKey(wordData);
-    if (!liveWords.has(compositeKey)) {
-      liveWords.set(compositeKey, {
-        word: wordData.word, styles: wordData.styles,
-        submitterId: userId, submitterName: username,
-        ts: Date.now(), votes: new Map(),
+    try {
+      const changed = await roundStore.mutate(room, (liveWords) => {
+        const wordEntry = liveWords.get(compositeKey);
+        // Users cannot vote on their own words.
+        if (!wordEntry || wordEntry.submitterId === userId) return false;
+
+        // The active strategy decides what an "up" or "down" means for this round.
+        outcome = votingStrategy.castVote(liveWords, compositeKey, userId, direction);
+        return outcome.ok;
       });
+      if (changed) publishRound(room, userId);
+    } catch (err) {
+      logger.error({ err, roomId: room.id }, '[socket] Failed to save vote');
+      outcome = { ok: false, reason: 'Could not record your vote. Please try again.' };
     }
-    // A submission always counts as an upvote from the submitter.
-    liveWords.get(compositeKey).votes.set(userId, 1);
-    broadcastLiveFeed();
+
+    if (!outcome.ok) socket.emit('submissionFailed', { message: outcome.reason });
   });
 
-  // Handles an upvote or downvote from a client.
-  socket.on('castVote', ({ compositeKey, direction }) => {
-    const wordEntry = liveWords.get(compositeKey);
-    // Users cannot vote on their own words.
-    if (!wordEntry || wordEntry.submitterId === userId) return;
+  // Handles a report on a live candidate, a winning word or a sealed chapter.
+  onPlayerAction(socket, 'report', async (request) => {
+    if (constants.REQUIRE_LOGIN_TO_PLAY && !user) {
+      return socket.emit('submissionFailed', { message: 'Please log in to report.' });
+    }
+    const access = await socketGuard.check(socket, PERMISSIONS.PLAY);
+    if (!access.ok) return socket.emit('submissionFailed', { message: access.reason });
+
+    const result = await fileReport({ ...request, roomId: room.id }, { user: access.user, playerId: userId, ip: clientIp });
+    if (!result.ok) return socket.emit('submissionFailed', { message: result.reason, retryAfter: result.retryAfter });
+    socket.emit('reportFiled', { message: result.message });
+  });
+
+  // Handles a player supporting or withdrawing from the "end chapter" motion.
+  onPlayerAction(socket, 'endChapterMotion', async ({ support }) => {
+    if (constants.REQUIRE_LOGIN_TO_PLAY && !user) {
+      return socket.emit('submissionFailed', { message: 'Please log in to vote.' });
+    }
+    const access = await socketGuard.check(socket, PERMISSIONS.PLAY);
+    if (!access.ok) return socket.emit('submissionFailed', { message: access.reason });
+
+    if (!hasPermission(access.user, PERMISSIONS.SKIP_QUOTAS)) {
+      const quota = await quotaLimiter.consume('vote', { identity: userId, ip: clientIp, isAnonymous: !user });
+      if (!quota.ok) return socket.emit('submissionFailed', { message: quota.reason, retryAfter: quota.retryAfter });
+    }
 
-    const currentVote = wordEntry.votes.get(userId) || 0;
-    let newVote = 0;
-    if (direction === 'up') newVote = (currentVote === 1) ? 0 : 1; // Toggle upvote
-    else if (direction === 'down') newVote = (currentVote === -1) ? 0 : -1; // Toggle downvote
+    const result = await voteToEndChapter(room, userId, support === true);
+    if (!result.ok) return socket.emit('submissionFailed', { message: result.reason });
+    socket.emit('endChapterMotionRecorded', { support: result.support });
+  });
 
-    if (newVote === 0) wordEntry.votes.delete(userId); // Remove vote if toggled off
-    else wordEntry.votes.set(userId, newVote);
+  // Handles a player supporting or withdrawing from the motion to strike the last winning word.
+  onPlayerAction(socket, 'strikeMotion', async ({ ts, support }) => {
+    if (constants.REQUIRE_LOGIN_TO_PLAY && !user) {
+      return socket.emit('submissionFailed', { message: 'Please log in to vote.' });
+    }
+    if (!Number.isFinite(ts)) return socket.emit('submissionFailed', { message: 'Invalid word.' });
+    const access = await socketGuard.check(socket, PERMISSIONS.PLAY);
+    if (!access.ok) return socket.emit('submissionFailed', { message: access.reason });
+
+    if (!hasPermission(access.user, PERMISSIONS.SKIP_QUOTAS)) {
+      const quota = await quotaLimiter.consume('vote', { identity: userId, ip: clientIp, isAnonymous: !user });
+      if (!quota.ok) return socket.emit('submissionFailed', { message: quota.reason, retryAfter: quota.retryAfter });
+    }
 
-    broadcastLiveFeed();
+    const result = await voteToStrikeWord(room, userId, ts, support === true);
+    if (!result.ok) return socket.emit('submissionFailed', { message: result.reason });
+    socket.emit('strikeMotionRecorded', { ts, support: result.support });
   });
 
   socket.on('disconnect', () => logger.info('A user disconnected'));
 });
 
+// In cluster mode, another instance announces every change to a room's live round.
+// Apply it and refresh the live feed of the sockets connected here.
+io.on('roundUpdated', (roundSnapshot) => {
+  const room = rooms.getRoom(roundSnapshot.roomId);
+  if (room && roundStore.applySnapshot(room, roundSnapshot)) {
+    broadcastLiveFeed(room);
+  }
+});
+
+// In cluster mode, a profanity rule changed on another instance applies here too.
+io.on('profanityRulesChanged', () => {
+  profanity.reload().catch(err => logger.error({ err }, '[profanity] Failed to reload the rules'));
+});
+
+/**
+ * @summary Answers a request forwarded by another instance (see `serverSideEmitWithAck`).
+ * @description The handler's result is sent back through the acknowledgement. An error, such
+ * as a failed database call, is logged and answered as a failed request, so the calling
+ * instance gets a reply instead of waiting out its timeout.
+ * @param {string} event - The event name.
+ * @param {Function} handler - Handles the request: `(request) => Promise<object|null>`.
+ */
+function onServerRequest(event, handler) {
+  io.on(event, async (request, callback) => {
+    try {
+      callback(await handler(request));
+    } catch (err) {
+      logger.error({ err, event }, '[cluster] Failed to handle a request from another instance');
+      callback({ ok: false, reason: 'The request failed. Please try again.', error: err.message });
+    }
+  });
+}
+
+// In cluster mode, an instance that received an "end chapter" vote forwards it to every instance.
+// Only the leader records it; the others answer null.
+onServerRequest('endChapterMotion', async ({ roomId, playerId, support }) => {
+  const room = rooms.getRoom(roomId);
+  if (!leader.isLeader() || !engine || !room) return null;
+  return engine.voteToEndChapter(room, playerId, support);
+});
+
+// Likewise for the votes to strike a room's last winning word.
+onServerRequest('strikeMotion', async ({ roomId, playerId, ts, support }) => {
+  const room = rooms.getRoom(roomId);
+  if (!leader.isLeader() || !engine || !room) return null;
+  return engine.voteToStrikeWord(room, playerId, ts, support);
+});
+
+// In cluster mode, an instance that received an admin request forwards it to every instance.
+// Only the leader carries it out; the others answer null.
+onServerRequest('adminCommand', async (command) => {
+  if (!leader.isLeader() || !adminCommands) return null;
+  return adminCommands.execute(command);
+});
+
 // ============================================================================
 // --- SERVER START & SHUTDOWN ---
 // ============================================================================
@@ -1179,16 +1538,28 @@ io.on('connection', async (socket) => {
  */
 async function startServer() {
   await connectToDatabase();
+  await setupRoundStore();
   initializeAuth(usersCollection); // Pass the users collection to the auth module.
-  initBots();
+  await profanity.reload().catch(err => logger.error({ err }, '[profanity] Failed to load the rules'));
+  initBots({ profanity });
   initSocial();
-  await loadInitialTextFromHistory();
 
-  // Schedule the daily chapter sealing job.
-  cron.schedule(constants.HISTORY_CHAPTER_SCHEDULE_CRON, () => {
-    logger.info('[history] Seal scheduled at next round end');
-    mustSeal = true;
-  }, { scheduled: true, timezone: 'UTC' });
+  // Load every room, moving pre-room data into the default room first.
+  await rooms.migrateLegacyData({ wordsCollection, chaptersCollection });
+  await rooms.loadRooms(roomsCollection);
+  for (const room of rooms.listRooms()) {
+    await roundStore.load(room);
+  }
+
+  // Join the leader election. The leader restores each room's story and runs the game loop.
+  // Chapter seals are scheduled by the engine itself, from HISTORY_CHAPTER_SCHEDULE_CRON.
+  engine = createEngine();
+  adminCommands = createAdminCommands({ engine, getRoom: rooms.getRoom });
+  await leader.initLeaderElection({
+    collection: constants.CLUSTER_MODE ? leasesCollection : null,
+    onElected: () => engine.restoreRooms(),
+  });
+  engine.start();
 
   // Schedule the daily Facebook token refresh check.
   cron.schedule(constants.FB_USER_TOKEN_REFRESH_SCHEDULE_CRON, () => {
@@ -1205,13 +1576,13 @@ async function startServer() {
 /**
  * @summary Gracefully stops the server upon receiving an OS signal (e.g., Ctrl+C).
  * @description Ensures a clean shutdown by closing servers and database connections.
- * The live state is already persisted after each round, so no final save is needed.
+ * Pending checkpoints of the live round are written first, so nothing is lost.
  * @param {string} sig - The name of the OS signal that triggered the shutdown.
  */
 async function shutdown(sig) {
   if (shuttingDown) return;
   shuttingDown = true;
-  logger.info({ signal: sig }, '[shutdown] Received signal. State is already saved.');
+  logger.info({ signal: sig }, '[shutdown] Received signal. Saving live state...');
 
   // Set a failsafe timeout to force exit if anything hangs.
   const timeoutId = setTimeout(() => {
@@ -1220,17 +1591,22 @@ async function shutdown(sig) {
   }, 5000);
 
   try {
-    // 1. Stop taking new work.
+    // 1. Stop taking new work, and let another instance take over the game loop.
+    engine?.stop();
+    await leader.releaseLeadership();
     io.close();
     server.close(() => {
         logger.info('[shutdown] Sockets and HTTP server closed.');
     });
 
-    // 2. IMPORTANT: Close the database connection.
+    // 2. Write any pending checkpoints of the live round and bot state.
+    await roundStore.flush();
+
+    // 3. IMPORTANT: Close the database connection.
     await client.close();
     logger.info('[shutdown] MongoDB connection closed.');
 
-    // 3. Clear the failsafe and exit cleanly.
+    // 4. Clear the failsafe and exit cleanly.
     clearTimeout(timeoutId);
     logger.info('[shutdown] Shutdown complete. Exiting.');
     process.exit(0);
@@ -0,0 +1,194 @@
+// FILE: simulate-chapter.js
+// Purpose: A standalone script that runs the game engine through a whole chapter in
+// memory, with a fake clock. No database, AI or network is needed: the story is kept
+// in memory, the bot writes placeholder words, and six hours pass in a few seconds.
+//
+// Every phase change is printed, followed by the sealed chapters.
+// Run with: LOG_LEVEL=warn node simulate-chapter.js
+//
+// With --offline-ai, the real bot (bots.js) plays instead, on the offline AI provider
+// (see ai-providers.js): it writes canned prose, and each seal paints a placeholder
+// image into a temporary directory. Still no network is needed. Each sealed chapter
+// reports the tokens the personas used; compare with BOT_INCREMENTAL_REPLAN=0 to see
+// what re-planning saves. The record of each prompt template version is printed last.
+
+const constants = require('./constants');
+const logger = require('./logger');
+const { createRoomState } = require('./rooms');
+const { createMemoryPersistence } = require('./persistence');
+const { createMemoryRoundStore } = require('./round-store');
+const { getStrategy } = require('./voting');
+const { emptyStyles, styleKey } = require('./word-styles');
+const { createGameEngine } = require('./game-engine');
+const { createSchedule } = require('./schedule');
+const { createOfflineTextProvider, createOfflineImageProvider, createLocalImageStore } = require('./ai-providers');
+const { describePromptStats } = require('./prompt-templates');
+const os = require('os');
+const path = require('path');
+
+// The production settings: one-minute rounds and a seal every six hours.
+const ROUND_DURATION_SECONDS = 60;
+const CHAPTER_DURATION_MINUTES = 360;
+const SEAL_SCHEDULE = createSchedule('0 0,6,12,18 * * *');
+
+const TICK_MS = 500;
+const START_TIME = Date.UTC(2025, 0, 1, 0, 0, 30);
+const END_TIME = Date.UTC(2025, 0, 1, 6, 5, 0);
+const PLAYER_ROUND_INTERVAL = 7;  // A player submits a word every N rounds.
+const OFFLINE_AI = process.argv.includes('--offline-ai');
+
+// ============================================================================
+// --- FAKES ---
+// ============================================================================
+
+// A clock that only moves when the simulation advances it.
+let now = START_TIME;
+const clock = { now: () => now };
+
+/**
+ * A stand-in for `runBotSubmission` (see bots.js) that follows the same contract
+ * but writes placeholder words instead of calling the AI.
+ * @param {object} state - The state passed by the engine.
+ * @returns {Promise<object>} The updated bot state.
+ */
+async function runFakeBot(state) {
+  const { persona, liveWords, getCompositeKey, broadcastLiveFeed, totalChapterCount, targetWordCount } = state;
+  let { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, botMustReplan } = state;
+
+  // A stale plan is kept as it is; without one, new words are planned below.
+  if (botMustReplan && botQueue.length === 0) botMustContinueChapter = true;
+
+  // Plan new words only when the queue is empty.
+  if (botQueue.length === 0) {
+    if (botMustWriteTitle) {
+      botQueue = [{ word: `Simulated title ${totalChapterCount + 1}`, styles: {}, isTitle: true, writingStyle: 'Simulation' }];
+      botMustWriteTitle = false;
+      botMustStartChapter = true;
+    } else if (botMustStartChapter || botMustContinueChapter) {
+      const count = botMustStartChapter ? targetWordCount : Math.min(12, targetWordCount);
+      botQueue = Array.from({ length: count }, (_, i) => ({ word: i === count - 1 ? 'word.' : 'word', styles: {} }));
+      botMustStartChapter = false;
+      botMustContinueChapter = false;
+    }
+  }
+
+  // Submit the next planned word.
+  let submissionMade = false;
+  const plannedSubmission = botQueue.shift();
+  if (plannedSubmission && !liveWords.has(getCompositeKey(plannedSubmission))) {
+    liveWords.set(getCompositeKey(plannedSubmission), {
+      ...plannedSubmission,
+      submitterId: persona.id,
+      submitterName: persona.name,
+      ts: clock.now(),
+      votes: new Map([[persona.id, 1]]),
+    });
+    submissionMade = true;
+    await broadcastLiveFeed();
+  }
+
+  return { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, botMustReplan: false, submissionMade };
+}
+
+// The directory the offline images are written to.
+const IMAGES_DIR = path.join(os.tmpdir(), 'sntnz-simulation-images');
+
+/**
+ * Sets up the real bot on the offline providers.
+ * @returns {object} The bot, as the engine expects it.
+ */
+function createOfflineBot() {
+  const bots = require('./bots');
+  bots.initBots({
+    providers: {
+      text: createOfflineTextProvider({ seed: 'simulation' }),
+      image: createOfflineImageProvider({ seed: 'simulation' }),
+      imageStore: createLocalImageStore({ directory: IMAGES_DIR }),
+    },
+  });
+  return { runBotSubmission: bots.runBotSubmission, runBotCritic: bots.runBotCritic, pushBotContext: bots.pushBotContext };
+}
+
+/**
+ * The media of the engine: images from the offline provider, and no social posts.
+ * @returns {object}
+ */
+function createOfflineMedia() {
+  const { generateAndUploadImage } = require('./bots');
+  return {
+    generateImage: (text, title, hash) => generateAndUploadImage(text, title, hash, false),
+    postToSocials: async () => {},
+  };
+}
+
+// ============================================================================
+// --- SIMULATION ---
+// ============================================================================
+
+(async () => {
+  const room = createRoomState({ _id: 'simulation', roundDurationSeconds: ROUND_DURATION_SECONDS, postToSocials: false });
+  const persistence = createMemoryPersistence();
+  const roundStore = createMemoryRoundStore();
+  const votingStrategy = getStrategy(constants.VOTING_STRATEGY);
+
+  const engine = createGameEngine({
+    listRooms: () => [room],
+    persistence,
+    roundStore,
+    votingStrategy,
+    bot: OFFLINE_AI ? createOfflineBot() : { runBotSubmission: runFakeBot, pushBotContext: (word, context) => [...context, word].slice(-50) },
+    media: OFFLINE_AI ? createOfflineMedia() : null,
+    clock,
+    sealSchedule: SEAL_SCHEDULE,
+    chapterDurationMinutes: CHAPTER_DURATION_MINUTES,
+    tickIntervalMs: TICK_MS,
+  });
+
+  await engine.restoreRoom(room);
+
+  let lastPhase = null;
+  let rounds = 0;
+  let lastRoundEnd = room.nextTickTimestamp;
+
+  // Advance the clock one tick at a time, waiting for each tick's work to finish.
+  for (; now <= END_TIME; now += TICK_MS) {
+    if (room.phase !== lastPhase) {
+      const botTasks = Object.fromEntries(Object.entries(room.bots).map(([personaId, { task }]) => [personaId, task]));
+      logger.warn({ time: new Date(now).toISOString(), phase: room.phase, botTasks }, '[simulate] Phase');
+      lastPhase = room.phase;
+    }
+
+    // A player takes part from time to time, so both the bot and players win rounds.
+    if (room.nextTickTimestamp !== lastRoundEnd) {
+      lastRoundEnd = room.nextTickTimestamp;
+      rounds++;
+      if (rounds % PLAYER_ROUND_INTERVAL === 0 && room.phase === 'writing') {
+        await roundStore.mutate(room, liveWords => {
+          // Keyed like a real submission (see `getCompositeKey` in game-engine.js).
+          const styles = emptyStyles();
+          liveWords.set(`player${rounds}-${styleKey(styles)}`, {
+            word: `player${rounds}`, styles, submitterId: 'player', submitterName: 'player',
+            ts: now, votes: new Map([['player', 1], ['friend', 1]]),
+          });
+        });
+      }
+    }
+
+    await engine.tick();
+  }
+
+  // --- Report ---
+  const sealed = persistence.chapters.filter(chapter => chapter.hash);
+  logger.warn({ rounds, roundsRecorded: persistence.rounds.length, wordsSaved: persistence.words.length, sealedChapters: sealed.length }, '[simulate] Done');
+  logger.warn({ personaStats: room.personaStats }, '[simulate] Bot personas');
+  sealed.forEach(chapter => {
+    logger.warn({ title: chapter.title, words: chapter.words.length, preview: chapter.text.slice(0, 80), imageUrl: chapter.imageUrl, aiUsage: chapter.aiUsage }, '[simulate] Sealed chapter');
+  });
+  if (OFFLINE_AI) {
+    const promptStats = describePromptStats(await persistence.findPromptStats(room.id)).filter(row => row.candidates > 0 || row.images > 0);
+    logger.warn({ promptStats }, '[simulate] Prompt templates');
+  }
+
+  await roundStore.flush();
+  process.exitCode = sealed.length === 1 ? 0 : 1;
+})();
@@ -0,0 +1,145 @@
+// FILE: test-cluster.js
+// Purpose: A standalone script to check that two server instances in cluster mode
+// share one consistent story. It starts two instances on different ports, submits a
+// word through the first, votes on it through the second, and checks that both
+// report the same live feed, the same winning word and a single game-loop leader.
+//
+// Requires a MongoDB replica set (change streams are used by the Socket.IO adapter)
+// and the usual development .env and certificates. Run with: node test-cluster.js
+
+require('dotenv').config();
+const { spawn } = require('child_process');
+const { MongoClient } = require('mongodb');
+const { io } = require('socket.io-client');
+const logger = require('./logger');
+
+const ROOM_ID = 'cluster-test';
+const PORTS = [3101, 3102];
+const ROUND_SECONDS = 10;
+
+// ============================================================================
+// --- HELPERS ---
+// ============================================================================
+
+/**
+ * Starts one server instance in cluster mode.
+ * @param {number} port - The port to listen on.
+ * @returns {ChildProcess} The instance's process.
+ */
+function startInstance(port) {
+  const child = spawn(process.execPath, ['server.js'], {
+    cwd: __dirname,
+    env: { ...process.env, PORT: String(port), CLUSTER_MODE: '1', ROOMS: ROOM_ID },
+    stdio: 'ignore',
+  });
+  logger.info({ port, pid: child.pid }, '[test-cluster] Instance started.');
+  return child;
+}
+
+/**
+ * Connects a client socket to one instance, in the test room.
+ * @param {number} port - The instance's port.
+ * @returns {Promise<Socket>} The connected socket.
+ */
+function connectClient(port) {
+  const socket = io(`https://localhost:${port}`, {
+    transports: ['websocket'],
+    query: { roomId: ROOM_ID },
+    rejectUnauthorized: false,
+    reconnectionAttempts: 20,
+  });
+  return new Promise((resolve, reject) => {
+    socket.once('initialState', () => resolve(socket));
+    setTimeout(() => reject(new Error(`No initialState from port ${port}`)), 30_000);
+  });
+}
+
+/**
+ * Waits for an event whose payload satisfies a condition.
+ * @param {Socket} socket - The client socket.
+ * @param {string} event - The event name.
+ * @param {Function} predicate - Returns true for the payload we are waiting for.
+ * @param {number} timeoutMs - How long to wait before failing.
+ * @returns {Promise<*>} The matching payload.
+ */
+function waitFor(socket, event, predicate, timeoutMs) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for '${event}'`)), timeoutMs);
+    const handler = (payload) => {
+      if (!predicate(payload)) return;
+      clearTimeout(timer);
+      socket.off(event, handler);
+      resolve(payload);
+    };
+    socket.on(event, handler);
+  });
+}
+
+// ============================================================================
+// --- TEST EXECUTION ---
+// ============================================================================
+
+(async () => {
+  const mongo = new MongoClient(process.env.DATABASE_URL_DEV);
+  const instances = [];
+  const sockets = [];
+  let passed = false;
+
+  try {
+    // --- 1. Create a short-round room that does not post to socials ---
+    await mongo.connect();
+    await mongo.db().collection('rooms').updateOne(
+      { _id: ROOM_ID },
+      { $set: { name: ROOM_ID, roundDurationSeconds: ROUND_SECONDS, postToSocials: false } },
+      { upsert: true }
+    );
+
+    // --- 2. Start two instances and connect one client to each ---
+    PORTS.forEach(port => instances.push(startInstance(port)));
+    const [clientA, clientB] = await Promise.all(PORTS.map(connectClient));
+    sockets.push(clientA, clientB);
+
+    // --- 3. A word submitted on instance A must reach the live feed on instance B ---
+    const word = `cluster${Date.now() % 1000}`;
+    const seenOnB = waitFor(clientB, 'liveFeedPatched', patch => patch.added.some(item => item.word === word), 10_000);
+    clientA.emit('wordSubmitted', { word, styles: {} });
+    const patchOnB = await seenOnB;
+    const entry = patchOnB.added.find(item => item.word === word);
+    logger.info({ word }, '[test-cluster] Submission from instance A is visible on instance B.');
+
+    // --- 4. A vote cast on instance B must be counted on instance A ---
+    const voteSeenOnA = waitFor(clientA, 'liveFeedPatched', patch => [...patch.added, ...patch.updated]
+      .some(item => item.compositeKey === entry.compositeKey && item.count > entry.count), 10_000);
+    clientB.emit('castVote', { compositeKey: entry.compositeKey, direction: 'up' });
+    await voteSeenOnA;
+    logger.info('[test-cluster] Vote from instance B is counted on instance A.');
+
+    // --- 5. Both instances must announce the same winning word ---
+    const roundTimeout = (ROUND_SECONDS + 60) * 1000;
+    const [textA, textB] = await Promise.all([
+      waitFor(clientA, 'currentTextUpdated', () => true, roundTimeout),
+      waitFor(clientB, 'currentTextUpdated', () => true, roundTimeout),
+    ]);
+    const lastA = textA[textA.length - 1];
+    const lastB = textB[textB.length - 1];
+    if (lastA.word !== lastB.word || lastA.ts !== lastB.ts) {
+      throw new Error(`Instances disagree: '${lastA.word}' vs '${lastB.word}'`);
+    }
+    logger.info({ winner: lastA.word }, '[test-cluster] Both instances report the same winning word.');
+
+    // --- 6. Exactly one instance holds the game-loop lease ---
+    const lease = await mongo.db().collection('leases').findOne({ _id: 'game-loop' });
+    if (!lease || lease.expiresAt < Date.now()) throw new Error('No instance holds the game-loop lease.');
+    logger.info({ holder: lease.holder }, '[test-cluster] A single leader holds the lease.');
+
+    passed = true;
+  } catch (err) {
+    logger.error({ err }, '[test-cluster] The test failed.');
+  } finally {
+    sockets.forEach(socket => socket.close());
+    instances.forEach(child => child.kill('SIGTERM'));
+    await mongo.close();
+    logger.info(`--- Cluster test ${passed ? 'passed' : 'failed'} ---`);
+    process.exitCode = passed ? 0 : 1;
+  }
+})();
@@ -31,7 +31,8 @@ const logger = require('./logger');
 // --- 3. Run the function ---
   logger.info('--- Starting social post test ---');
   try {
-    imageUrl = await generateAndUploadImage(chapterText, chapterTitle, hash, isProduction);
+    const image = await generateAndUploadImage(chapterText, chapterTitle, hash, isProduction);
+    imageUrl = image ? image.imageUrl : null;
     //await postEverywhere(chapterText, shareableUrl, imageUrl);
   } catch (error) {
     logger.warn('[test.js] The test failed.');
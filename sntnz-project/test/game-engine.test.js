@@ -0,0 +1,155 @@
+// FILE: test/game-engine.test.js
+// Purpose: Drives the game engine of game-engine.js through a chapter's life cycle with a
+// fake clock and scheduler, in-memory persistence and the in-memory round store. The bot
+// writes placeholder words, as in simulate-chapter.js, so six hours of play take a moment.
+// Run with: npm test
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createRoomState } = require('../rooms');
+const { createMemoryPersistence } = require('../persistence');
+const { createMemoryRoundStore } = require('../round-store');
+const { getStrategy } = require('../voting');
+const { createSchedule } = require('../schedule');
+const { PHASES, ROUND_OUTCOMES, createGameEngine } = require('../game-engine');
+
+// The production settings: one-minute rounds and a seal every six hours.
+const ROUND_DURATION_SECONDS = 60;
+const CHAPTER_DURATION_MINUTES = 360;
+const SEAL_CRON = '0 0,6,12,18 * * *';
+const TICK_MS = 1000;
+const START_TIME = Date.UTC(2025, 0, 1, 0, 0, 30);
+
+// ============================================================================
+// --- HELPERS ---
+// ============================================================================
+
+/**
+ * A stand-in for `runBotSubmission` (see bots.js): plans placeholder titles and words
+ * instead of calling the AI, submits them one by one, and keeps writing until the
+ * engine gives it another task.
+ * @param {object} state - The state passed by the engine.
+ * @returns {Promise<object>} The updated bot state.
+ */
+async function runFakeBot(state) {
+  const { persona, liveWords, getCompositeKey, broadcastLiveFeed, totalChapterCount, now } = state;
+  let { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, botMustReplan } = state;
+
+  if (botQueue.length === 0) {
+    if (botMustWriteTitle) {
+      botQueue = [{ word: `Title ${totalChapterCount + 1}`, styles: {}, isTitle: true }];
+      botMustWriteTitle = false;
+      botMustStartChapter = true;
+    } else if (botMustStartChapter || botMustContinueChapter || botMustReplan) {
+      botQueue = Array.from({ length: 12 }, (_, i) => ({ word: i === 11 ? 'word.' : 'word', styles: {} }));
+      botMustStartChapter = false;
+      botMustContinueChapter = true;
+    }
+  }
+
+  let submissionMade = false;
+  const planned = botQueue.shift();
+  if (planned && !liveWords.has(getCompositeKey(planned))) {
+    liveWords.set(getCompositeKey(planned), {
+      ...planned, submitterId: persona.id, submitterName: persona.name, ts: now(), votes: new Map([[persona.id, 1]]),
+    });
+    submissionMade = true;
+    await broadcastLiveFeed();
+  }
+  return { botQueue, botMustWriteTitle, botMustStartChapter, botMustContinueChapter, botMustReplan: false, submissionMade };
+}
+
+/**
+ * Creates an engine on a fake clock and scheduler, with one room.
+ * @param {object} [persistence] - The persistence to use (in memory by default).
+ * @returns {Promise<object>} `{ engine, room, persistence, phases, advanceTo(time) }`, where
+ * `phases` lists the phases the room entered, in order.
+ */
+async function createTestEngine(persistence = createMemoryPersistence()) {
+  let now = START_TIME;
+  let loop = null;
+  const clock = { now: () => now };
+  const scheduler = { every: (_ms, fn) => { loop = fn; return 1; }, cancel: () => { loop = null; } };
+  const room = createRoomState({ _id: 'test', roundDurationSeconds: ROUND_DURATION_SECONDS, postToSocials: false });
+  const phases = [room.phase];
+
+  const engine = createGameEngine({
+    listRooms: () => [room],
+    persistence,
+    roundStore: createMemoryRoundStore(),
+    votingStrategy: getStrategy('net'),
+    bot: {
+      runBotSubmission: state => runFakeBot({ ...state, now: clock.now }),
+      pushBotContext: (word, context) => [...context, word].slice(-50),
+    },
+    emit: (_room, event, payload) => {
+      if (event === 'phaseChanged') phases.push(payload.phase);
+    },
+    clock,
+    scheduler,
+    sealSchedule: createSchedule(SEAL_CRON, { timeZone: 'UTC' }),
+    chapterDurationMinutes: CHAPTER_DURATION_MINUTES,
+    tickIntervalMs: TICK_MS,
+  });
+  await engine.restoreRoom(room);
+  engine.start();
+
+  /**
+   * Moves the clock on tick by tick, waiting for each tick's work.
+   * @param {number} time - When to stop.
+   */
+  async function advanceTo(time) {
+    while (now < time) {
+      now += TICK_MS;
+      await loop();
+    }
+  }
+
+  return { engine, room, persistence, phases, advanceTo };
+}
+
+// ============================================================================
+// --- LIFE CYCLE ---
+// ============================================================================
+
+test('a chapter goes from its title round to its seal, and the next chapter starts', async () => {
+  const { engine, room, persistence, phases, advanceTo } = await createTestEngine();
+  await advanceTo(Date.UTC(2025, 0, 1, 6, 2, 0));
+  engine.stop();
+
+  assert.deepEqual(phases, [
+    PHASES.AWAITING_TITLE, PHASES.WRITING, PHASES.CONCLUDING, PHASES.SEALING, PHASES.AWAITING_TITLE, PHASES.WRITING,
+  ]);
+  const [sealed, live] = persistence.chapters;
+  assert.equal(sealed.title, 'Chapter 1: "Title 1"');
+  assert.ok(sealed.hash);
+  assert.ok(sealed.words.length > 1);
+  assert.equal(live.title, 'Chapter 2: "Title 2"');
+  assert.equal(room.liveChapterId, live._id);
+  assert.ok(persistence.rounds.every(round => round.reason === ROUND_OUTCOMES.WON));
+});
+
+test('a title that fails to save keeps the title round open', async () => {
+  const persistence = createMemoryPersistence();
+  const insertWord = persistence.insertWord;
+  persistence.insertWord = async () => { throw new Error('disk full'); };
+  const { engine, room, advanceTo } = await createTestEngine(persistence);
+
+  // The bot proposes its title in the first full round, which ends at 00:02.
+  const titleRoundEnd = Date.UTC(2025, 0, 1, 0, 2, 0);
+  await advanceTo(titleRoundEnd);
+  assert.deepEqual(persistence.rounds.map(round => round.reason), [ROUND_OUTCOMES.SAVE_FAILED]);
+  assert.equal(room.phase, PHASES.AWAITING_TITLE);
+  assert.equal(room.liveChapterId, null);
+  assert.equal(persistence.chapters.length, 0);
+
+  // Once saving works again, the next winning title starts the chapter.
+  persistence.insertWord = insertWord;
+  await advanceTo(titleRoundEnd + ROUND_DURATION_SECONDS * 1000);
+  engine.stop();
+  assert.equal(room.phase, PHASES.WRITING);
+  assert.equal(persistence.chapters.length, 1);
+  assert.equal(room.liveChapterId, persistence.chapters[0]._id);
+});
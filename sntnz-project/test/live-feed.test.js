@@ -0,0 +1,66 @@
+// FILE: test/live-feed.test.js
+// Purpose: Checks the patches computed by the live feed tracker of live-feed.js as the
+// submissions and votes of a room change.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getStrategy } = require('../voting');
+const { createLiveFeedTracker } = require('../live-feed');
+
+const net = getStrategy('net');
+
+/**
+ * Creates a room with one candidate per word, submitted in order, with no votes.
+ * @param {...string} words - The candidates.
+ * @returns {object} The room state.
+ */
+function roomWith(...words) {
+  return {
+    id: 'main',
+    liveWords: new Map(words.map((word, index) => [word, {
+      word, styles: {}, submitterId: `author-${word}`, submitterName: word, ts: index + 1, votes: new Map(),
+    }])),
+  };
+}
+
+test('the first patch adds every candidate, and an unchanged feed gives no patch', () => {
+  const tracker = createLiveFeedTracker(net);
+  const room = roomWith('moon', 'tide');
+  const patch = tracker.diff(room);
+  assert.deepEqual(patch.added.map(row => row.compositeKey), ['moon', 'tide']);
+  const { word, username, count, ts } = patch.added[0];
+  assert.deepEqual({ word, username, count, ts }, { word: 'moon', username: 'moon', count: 0, ts: 1 });
+  assert.equal(tracker.diff(room), null);
+});
+
+test('a vote sends the new count of that candidate only', () => {
+  const tracker = createLiveFeedTracker(net);
+  const room = roomWith('moon', 'tide');
+  tracker.diff(room);
+  net.castVote(room.liveWords, 'moon', 'ada', 'up');
+  assert.deepEqual(tracker.diff(room), { added: [], updated: [{ compositeKey: 'moon', count: 1 }], removed: [] });
+
+  // Vote changes that leave the count where it was are not sent.
+  net.castVote(room.liveWords, 'moon', 'bo', 'up');
+  net.castVote(room.liveWords, 'moon', 'ada', 'up');
+  assert.equal(tracker.diff(room), null);
+});
+
+test('removed candidates are listed, and a resubmitted key is sent whole', () => {
+  const tracker = createLiveFeedTracker(net);
+  const room = roomWith('moon', 'tide');
+  tracker.diff(room);
+  room.liveWords.delete('tide');
+  room.liveWords.get('moon').ts = 10;
+  const patch = tracker.diff(room);
+  assert.deepEqual(patch.removed, ['tide']);
+  assert.deepEqual(patch.added.map(row => row.compositeKey), ['moon']);
+});
+
+test('each room is tracked on its own', () => {
+  const tracker = createLiveFeedTracker(net);
+  tracker.diff(roomWith('moon'));
+  const otherRoom = { ...roomWith('moon'), id: 'other' };
+  assert.deepEqual(tracker.diff(otherRoom).added.map(row => row.compositeKey), ['moon']);
+});
@@ -0,0 +1,76 @@
+// FILE: test/profanity.test.js
+// Purpose: Checks the profanity checker of profanity.js against the evasions it must
+// see through, with the stock dictionaries and rules kept in memory.
+// Run with: npm test
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { RULE_LISTS, RULE_MATCHES, normalizeWord, createProfanityChecker } = require('../profanity');
+
+/**
+ * Creates a checker on an in-memory rule store.
+ * @param {object[]} [rules] - The stored rules.
+ * @returns {Promise<object>} The checker, with its rules loaded.
+ */
+async function createChecker(rules = []) {
+  const checker = createProfanityChecker({ store: { list: async () => rules } });
+  await checker.reload();
+  return checker;
+}
+
+test('normalizeWord sees through leetspeak, separators and accents', () => {
+  assert.equal(normalizeWord('sh1t'), 'shit');
+  assert.equal(normalizeWord('s.h.i.t'), 'shit');
+  assert.equal(normalizeWord('šhït!'), 'shit');
+  assert.equal(normalizeWord('ＳＨＩＴ'), 'shit');
+  assert.equal(normalizeWord('455'), '');
+});
+
+test('normalizeWord maps look-alike letters of other alphabets', () => {
+  assert.equal(normalizeWord('fսck'), 'fuck');   // Armenian ս
+  assert.equal(normalizeWord('shіt'), 'shit');   // Cyrillic і
+  assert.equal(normalizeWord('Ѕhit'), 'shit');   // Cyrillic capital Ѕ
+  assert.equal(normalizeWord('ΗΕLLΟ'), 'hello'); // Greek capitals
+  assert.equal(normalizeWord('fᴜck'), 'fuck');   // Latin small capital
+  // A word without Latin letters is read as written.
+  assert.equal(normalizeWord('Привет'), 'привет');
+});
+
+test('the checker rejects look-alike spellings of dictionary words', async () => {
+  const checker = await createChecker();
+  for (const word of ['fuck', 'fսck', 'fսсk', 'FՍCK', 'shіt', 'sh1t', 'shiiit']) {
+    assert.equal(checker.check(word, { language: 'en' }).ok, false, word);
+  }
+  for (const word of ['hello', 'moon', 'Scunthorpe']) {
+    assert.equal(checker.check(word, { language: 'en' }).ok, true, word);
+  }
+});
+
+test('an English story is not checked against the Hindi dictionary', async () => {
+  const checker = await createChecker();
+  assert.equal(checker.check('chutiya', { language: 'en' }).ok, true);
+  assert.equal(checker.check('chutiya', { language: 'hi' }).ok, false);
+});
+
+test('allow rules come before block rules and the dictionaries', async () => {
+  const checker = await createChecker([
+    { _id: 1, list: RULE_LISTS.ALLOW, pattern: 'shit', match: RULE_MATCHES.WORD },
+    { _id: 2, list: RULE_LISTS.BLOCK, pattern: 'zorp', match: RULE_MATCHES.CONTAINS },
+  ]);
+  assert.equal(checker.check('shit', { language: 'en' }).ok, true);
+  assert.deepEqual(checker.check('big_zօrp_guy', { language: 'en' }).rule, { source: 'custom', id: '2', pattern: 'zorp', match: RULE_MATCHES.CONTAINS });
+});
+
+test('ordinary prose words of the English dictionary are allowed, unless a moderator blocks them', async () => {
+  const checker = await createChecker();
+  for (const text of ['sex', 'the opposite sex', 'Ass.', 'a blue tit', 'the cock crowed']) {
+    assert.equal(checker.check(text, { language: 'en' }).ok, true, text);
+  }
+  assert.equal(checker.check('bitch', { language: 'en' }).ok, false);
+
+  const strict = await createChecker([{ _id: 1, list: RULE_LISTS.BLOCK, pattern: 'sex', match: RULE_MATCHES.WORD }]);
+  assert.equal(strict.check('sex', { language: 'en' }).ok, false);
+  assert.equal(strict.check('Ass.', { language: 'en' }).ok, true);
+});
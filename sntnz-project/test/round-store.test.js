@@ -0,0 +1,203 @@
+// FILE: test/round-store.test.js
+// Purpose: Checks the live round stores of round-store.js: serialization, snapshots, bot
+// checkpoints, and the versioned writes of the MongoDB store, on an in-memory collection.
+// Run with: npm test
+
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'silent';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  applyBotCheckpoint, serializeEntries, deserializeEntries, createMemoryRoundStore, createMongoRoundStore,
+} = require('../round-store');
+
+// ============================================================================
+// --- HELPERS ---
+// ============================================================================
+
+/**
+ * Creates a stand-in for the live rounds collection, with just the calls the stores make.
+ * Updates match on `_id` and, if given, `version`, and support `$set`, `$inc` and upserts.
+ * @param {object} [hooks]
+ * @param {Function} [hooks.beforeUpdate] - Runs before each update, with the collection.
+ * @returns {object} The collection, with its documents in `docs`.
+ */
+function fakeCollection({ beforeUpdate = null } = {}) {
+  const docs = new Map();
+  const collection = {
+    docs,
+    async findOne({ _id }) {
+      return docs.has(_id) ? structuredClone(docs.get(_id)) : null;
+    },
+    async insertOne(doc) {
+      if (docs.has(doc._id)) throw Object.assign(new Error('duplicate key'), { code: 11000 });
+      docs.set(doc._id, structuredClone(doc));
+    },
+    async updateOne(filter, { $set = {}, $inc = {}, $setOnInsert = {} }, { upsert = false } = {}) {
+      if (beforeUpdate) await beforeUpdate(collection);
+      let doc = docs.get(filter._id);
+      if (doc && filter.version !== undefined && doc.version !== filter.version) doc = null;
+      if (!doc) {
+        if (!upsert || docs.has(filter._id)) return { matchedCount: 0 };
+        doc = { _id: filter._id, ...structuredClone($setOnInsert) };
+        docs.set(filter._id, doc);
+      }
+      Object.assign(doc, structuredClone($set));
+      Object.entries($inc).forEach(([field, by]) => { doc[field] = (doc[field] || 0) + by; });
+      return { matchedCount: 1 };
+    },
+  };
+  return collection;
+}
+
+/**
+ * Creates a room with an empty live round.
+ * @param {object} [fields] - Extra room fields.
+ * @returns {object} The room state.
+ */
+function newRoom(fields = {}) {
+  return { id: 'main', liveWords: new Map(), ...fields };
+}
+
+/**
+ * Adds a candidate to a live round, with one vote for it.
+ * @param {Map<string, object>} liveWords - The live submissions.
+ * @param {string} word - The candidate.
+ * @param {string} voterId - The voter.
+ */
+function submit(liveWords, word, voterId) {
+  liveWords.set(word, { word, styles: {}, submitterId: voterId, ts: 1, votes: new Map([[voterId, 1]]) });
+}
+
+// ============================================================================
+// --- SERIALIZATION & SNAPSHOTS ---
+// ============================================================================
+
+test('serializeEntries and deserializeEntries round-trip the nested vote maps', () => {
+  const liveWords = new Map();
+  submit(liveWords, 'moon', 'ada');
+  const entries = serializeEntries(liveWords);
+  assert.deepEqual(entries[0].votes, [['ada', 1]]);
+  assert.equal(entries[0].compositeKey, 'moon');
+  assert.deepEqual(deserializeEntries(structuredClone(entries)), liveWords);
+  assert.deepEqual(deserializeEntries(), new Map());
+});
+
+test('a snapshot is only applied if it is newer than the local round', () => {
+  const store = createMemoryRoundStore();
+  const source = newRoom({ roundVersion: 3, phase: 'writing', nextTickTimestamp: 1000 });
+  submit(source.liveWords, 'moon', 'ada');
+  const roundSnapshot = store.snapshot(source);
+
+  const target = newRoom({ roundVersion: 3 });
+  assert.equal(store.applySnapshot(target, roundSnapshot), false);
+  target.roundVersion = 2;
+  assert.equal(store.applySnapshot(target, roundSnapshot), true);
+  assert.equal(target.liveWords.get('moon').votes.get('ada'), 1);
+  assert.equal(target.nextTickTimestamp, 1000);
+});
+
+test('a bot checkpoint only applies to the chapter it was taken in', () => {
+  const room = newRoom({ liveChapterId: 'chapter-2' });
+  assert.equal(applyBotCheckpoint(room, { liveChapterId: 'chapter-1', mustSeal: true }), false);
+  assert.equal(room.mustSeal, undefined);
+  assert.equal(applyBotCheckpoint(room, { liveChapterId: 'chapter-2', mustSeal: true, unrelated: 1 }), true);
+  assert.equal(room.mustSeal, true);
+  assert.equal(room.unrelated, undefined);
+  assert.equal(applyBotCheckpoint(room, null), false);
+});
+
+// ============================================================================
+// --- IN-MEMORY STORE ---
+// ============================================================================
+
+test('memory: a mutation bumps the version, unless the mutator declines it', async () => {
+  const store = createMemoryRoundStore();
+  const room = newRoom();
+  assert.equal(await store.mutate(room, liveWords => submit(liveWords, 'moon', 'ada'), { phase: 'writing' }), true);
+  assert.equal(room.roundVersion, 1);
+  assert.equal(room.phase, 'writing');
+  assert.equal(await store.mutate(room, () => false), false);
+  assert.equal(room.roundVersion, 1);
+  // Without a collection, nothing is persisted or restored.
+  assert.equal(await store.restore(room), null);
+  await store.flush();
+});
+
+test('memory: checkpoints restore the round, its shared flags and the bot state', async () => {
+  const collection = fakeCollection();
+  const store = createMemoryRoundStore(collection);
+  const room = newRoom({ liveChapterId: 'chapter-1', mustSeal: true });
+  await store.mutate(room, liveWords => submit(liveWords, 'moon', 'ada'));
+  await store.setFields(room, { nextTickTimestamp: 5000 });
+  store.checkpointBot(room);
+  await store.flush();
+
+  const restored = newRoom({ liveChapterId: 'chapter-1' });
+  const checkpoint = await createMemoryRoundStore(collection).restore(restored);
+  assert.equal(restored.roundVersion, 2);
+  assert.equal(restored.nextTickTimestamp, 5000);
+  assert.equal(restored.liveWords.get('moon').votes.get('ada'), 1);
+  assert.equal(applyBotCheckpoint(restored, checkpoint), true);
+  assert.equal(restored.mustSeal, true);
+});
+
+// ============================================================================
+// --- MONGODB STORE ---
+// ============================================================================
+
+test('mongo: instances sharing a collection see each other\'s changes', async () => {
+  const collection = fakeCollection();
+  const first = createMongoRoundStore(collection);
+  const second = createMongoRoundStore(collection);
+  const roomOnFirst = newRoom();
+  const roomOnSecond = newRoom();
+
+  await first.mutate(roomOnFirst, liveWords => submit(liveWords, 'moon', 'ada'));
+  await second.mutate(roomOnSecond, liveWords => submit(liveWords, 'tide', 'bo'));
+  assert.deepEqual([...roomOnSecond.liveWords.keys()], ['moon', 'tide']);
+  assert.equal(roomOnSecond.roundVersion, 2);
+
+  await first.load(roomOnFirst);
+  assert.deepEqual([...roomOnFirst.liveWords.keys()], ['moon', 'tide']);
+});
+
+test('mongo: a write that lost the race is retried on the latest round', async () => {
+  let interfere = true;
+  const collection = fakeCollection({
+    // Another instance adds a candidate between our read and our first write.
+    beforeUpdate: async (self) => {
+      if (!interfere) return;
+      interfere = false;
+      const doc = self.docs.get('main');
+      doc.entries.push({ compositeKey: 'salt', word: 'salt', ts: 2, votes: [] });
+      doc.version += 1;
+    },
+  });
+  const store = createMongoRoundStore(collection);
+  const room = newRoom();
+  let calls = 0;
+  await store.mutate(room, liveWords => { calls++; submit(liveWords, 'moon', 'ada'); });
+
+  assert.equal(calls, 2);
+  assert.deepEqual([...room.liveWords.keys()].sort(), ['moon', 'salt']);
+  assert.equal(collection.docs.get('main').version, 2);
+});
+
+test('mongo: the authoritative instance keeps its own shared flags on reads', async () => {
+  const collection = fakeCollection();
+  let authoritative = false;
+  const store = createMongoRoundStore(collection, { isAuthoritative: () => authoritative });
+  const room = newRoom({ nextTickTimestamp: 1000 });
+  await store.setFields(room, { nextTickTimestamp: 2000 });
+  assert.equal(collection.docs.get('main').nextTickTimestamp, 2000);
+
+  authoritative = true;
+  room.nextTickTimestamp = 3000;
+  await store.load(room);
+  assert.equal(room.nextTickTimestamp, 3000);
+
+  // A restore always takes the persisted flags.
+  await store.restore(room);
+  assert.equal(room.nextTickTimestamp, 2000);
+});
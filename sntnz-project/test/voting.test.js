@@ -0,0 +1,185 @@
+// FILE: test/voting.test.js
+// Purpose: Checks the round resolution strategies of voting.js, and the vote helpers
+// they share. voting.js has no I/O, so the strategies run on plain `liveWords` maps.
+// Run with: npm test
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const constants = require('../constants');
+const { STRATEGIES, getStrategy, setVote, removeVote, voterWeight, resolveRound, describeCandidates } = require('../voting');
+
+// ============================================================================
+// --- HELPERS ---
+// ============================================================================
+
+/**
+ * Builds a live round with one candidate per word, submitted in order, with no votes.
+ * @param {...string} words - The candidates.
+ * @returns {Map<string, object>} The live submissions, keyed by the word.
+ */
+function liveRound(...words) {
+  return new Map(words.map((word, index) => [word, {
+    word, styles: {}, submitterId: `author-${word}`, submitterName: word, ts: index + 1, votes: new Map(),
+  }]));
+}
+
+/**
+ * Casts a series of votes with a strategy, and checks each one is accepted.
+ * @param {object} strategy - The strategy.
+ * @param {Map<string, object>} liveWords - The live submissions.
+ * @param {Array<[string, string, string]>} votes - `[userId, compositeKey, direction]` triples.
+ */
+function castAll(strategy, liveWords, votes) {
+  votes.forEach(([userId, compositeKey, direction]) => {
+    assert.deepEqual(strategy.castVote(liveWords, compositeKey, userId, direction), { ok: true });
+  });
+}
+
+// ============================================================================
+// --- SHARED HELPERS ---
+// ============================================================================
+
+test('setVote records a vote and bumps the entry version', () => {
+  const entry = liveRound('moon').get('moon');
+  setVote(entry, 'ada', 1);
+  setVote(entry, 'ada', -1);
+  assert.equal(entry.votes.get('ada'), -1);
+  assert.equal(entry.voteVersion, 2);
+});
+
+test('removeVote only bumps the version when there was a vote', () => {
+  const entry = liveRound('moon').get('moon');
+  removeVote(entry, 'ada');
+  assert.equal(entry.voteVersion, undefined);
+  setVote(entry, 'ada', 1);
+  removeVote(entry, 'ada');
+  assert.equal(entry.votes.has('ada'), false);
+  assert.equal(entry.voteVersion, 2);
+});
+
+test('voterWeight weighs anonymous players and the critic', () => {
+  assert.equal(voterWeight('google-123'), 1);
+  assert.equal(voterWeight(`${constants.ANONYMOUS_ID_PREFIX}abc`), constants.ANONYMOUS_VOTE_WEIGHT);
+  assert.equal(voterWeight(constants.BOT_CRITIC_ID), constants.BOT_CRITIC_VOTE_WEIGHT);
+});
+
+test('getStrategy returns the named strategy, and refuses an unknown one', () => {
+  Object.keys(STRATEGIES).forEach(name => assert.equal(getStrategy(name).name, name));
+  assert.equal(getStrategy(undefined).name, 'net');
+  assert.throws(() => getStrategy('rankd'), /Unknown voting strategy 'rankd'/);
+});
+
+// ============================================================================
+// --- STRATEGIES ---
+// ============================================================================
+
+test('net: up and down votes toggle, and the highest positive sum wins', () => {
+  const net = getStrategy('net');
+  const liveWords = liveRound('moon', 'tide');
+  castAll(net, liveWords, [['ada', 'moon', 'up'], ['bo', 'moon', 'up'], ['cy', 'tide', 'up'], ['cy', 'moon', 'down']]);
+  assert.equal(net.score(liveWords.get('moon')), 1);
+
+  // Voting the same way again withdraws the vote.
+  castAll(net, liveWords, [['cy', 'moon', 'down']]);
+  assert.equal(net.score(liveWords.get('moon')), 2);
+  assert.deepEqual(net.userVote(liveWords.get('moon'), 'ada'), { vote: 'up', weight: null });
+  assert.deepEqual(net.elect(liveWords), { compositeKey: 'moon', count: 2, total: 3 });
+});
+
+test('net: no candidate with a positive score means no winner', () => {
+  const net = getStrategy('net');
+  const liveWords = liveRound('moon');
+  castAll(net, liveWords, [['ada', 'moon', 'down']]);
+  assert.equal(net.elect(liveWords), null);
+  assert.equal(resolveRound(net, liveWords), null);
+});
+
+test('plurality: each voter backs one candidate, and a submission moves the vote', () => {
+  const plurality = getStrategy('plurality');
+  const liveWords = liveRound('moon', 'tide');
+  castAll(plurality, liveWords, [['ada', 'moon', 'up'], ['ada', 'tide', 'up'], ['bo', 'tide', 'up']]);
+  assert.equal(liveWords.get('moon').votes.has('ada'), false);
+  assert.deepEqual(plurality.elect(liveWords), { compositeKey: 'tide', count: 2, total: 2 });
+
+  plurality.recordSubmission(liveWords, 'moon', 'bo');
+  assert.equal(liveWords.get('tide').votes.has('bo'), false);
+  assert.equal(plurality.score(liveWords.get('moon')), 1);
+});
+
+test('approval: voters approve several candidates, and the total counts distinct voters', () => {
+  const approval = getStrategy('approval');
+  const liveWords = liveRound('moon', 'tide');
+  castAll(approval, liveWords, [['ada', 'moon', 'up'], ['ada', 'tide', 'up'], ['bo', 'moon', 'up']]);
+  assert.deepEqual(approval.elect(liveWords), { compositeKey: 'moon', count: 2, total: 2 });
+
+  castAll(approval, liveWords, [['bo', 'moon', 'down']]);
+  assert.equal(approval.score(liveWords.get('moon')), 1);
+});
+
+test('quadratic: n votes on one candidate cost n² credits', () => {
+  const quadratic = getStrategy('quadratic');
+  const liveWords = liveRound('moon', 'tide');
+  const maxVotes = Math.floor(Math.sqrt(constants.QUADRATIC_VOTE_CREDITS));
+  for (let i = 0; i < maxVotes; i++) castAll(quadratic, liveWords, [['ada', 'moon', 'up']]);
+  assert.equal(quadratic.creditsSpent(liveWords, 'ada'), maxVotes * maxVotes);
+  assert.deepEqual(quadratic.userVote(liveWords.get('moon'), 'ada'), { vote: 'up', weight: maxVotes });
+
+  // One more vote, here or elsewhere, is over budget.
+  assert.equal(quadratic.castVote(liveWords, 'moon', 'ada', 'up').ok, false);
+  assert.equal(quadratic.castVote(liveWords, 'tide', 'ada', 'up').ok, maxVotes * maxVotes + 1 <= constants.QUADRATIC_VOTE_CREDITS);
+  assert.equal(quadratic.castVote(liveWords, 'moon', 'ada', 'sideways').ok, false);
+  assert.equal(quadratic.elect(liveWords).compositeKey, 'moon');
+});
+
+test('ranked: instant runoff transfers the votes of the eliminated candidate', () => {
+  const ranked = getStrategy('ranked');
+  const liveWords = liveRound('moon', 'tide', 'salt');
+  castAll(ranked, liveWords, [
+    ['ada', 'moon', 'up'], ['ada', 'tide', 'up'],
+    ['bo', 'moon', 'up'],
+    ['cy', 'tide', 'up'], ['cy', 'moon', 'up'],
+    ['di', 'salt', 'up'], ['di', 'tide', 'up'],
+    ['ed', 'salt', 'up'],
+  ]);
+  // First choices: moon 2, tide 1, salt 2, so no majority of the 5 ballots.
+  assert.equal(ranked.score(liveWords.get('moon')), 2);
+  assert.deepEqual(ranked.userVote(liveWords.get('tide'), 'ada'), { vote: 'up', weight: 2 });
+  // Tide is eliminated, and Cy's ballot goes to their second choice.
+  assert.deepEqual(ranked.elect(liveWords), { compositeKey: 'moon', count: 3, total: 5 });
+});
+
+test('ranked: on a tie for last place, the later submission is eliminated first', () => {
+  const ranked = getStrategy('ranked');
+  const liveWords = liveRound('moon', 'tide');
+  castAll(ranked, liveWords, [['ada', 'moon', 'up'], ['bo', 'tide', 'up']]);
+  assert.deepEqual(ranked.elect(liveWords), { compositeKey: 'moon', count: 1, total: 1 });
+});
+
+test('ranked: voting a ranked candidate again removes it and closes the gap', () => {
+  const ranked = getStrategy('ranked');
+  const liveWords = liveRound('moon', 'tide', 'salt');
+  castAll(ranked, liveWords, [['ada', 'moon', 'up'], ['ada', 'tide', 'up'], ['ada', 'salt', 'up'], ['ada', 'moon', 'up']]);
+  assert.deepEqual(ranked.ballots(liveWords).get('ada'), ['tide', 'salt']);
+  assert.equal(liveWords.get('tide').votes.get('ada'), 1);
+
+  // A submission always ranks first.
+  ranked.recordSubmission(liveWords, 'moon', 'ada');
+  assert.deepEqual(ranked.ballots(liveWords).get('ada'), ['moon', 'tide', 'salt']);
+});
+
+test('every strategy weighs anonymous ballots', () => {
+  const anonymous = `${constants.ANONYMOUS_ID_PREFIX}abc`;
+  Object.values(STRATEGIES).forEach(strategy => {
+    const liveWords = liveRound('moon');
+    castAll(strategy, liveWords, [['ada', 'moon', 'up'], [anonymous, 'moon', 'up']]);
+    assert.equal(strategy.score(liveWords.get('moon')), 1 + constants.ANONYMOUS_VOTE_WEIGHT, strategy.name);
+  });
+});
+
+test('describeCandidates leaves the hash of the author\'s IP address out of the audit log', () => {
+  const liveWords = liveRound('moon');
+  liveWords.get('moon').submitterIpHash = 'hash';
+  const [candidate] = describeCandidates(getStrategy('net'), liveWords);
+  assert.equal(candidate.submitterId, 'author-moon');
+  assert.equal('submitterIpHash' in candidate, false);
+});
@@ -0,0 +1,57 @@
+// FILE: verify-ledger.js
+// Purpose: A standalone script that recomputes the hash chain of sealed chapters
+// from an export, without access to the database. Every chapter's hash is rebuilt
+// from its words and checked against the chapter sealed before it in the same room.
+// With the server's public key, every signature is checked too.
+//
+// Get an export from the server (or with `mongoexport --jsonArray` on `chapters`):
+//   curl -o export.json "https://www.sntnz.com/api/ledger/export?room=main"
+//   curl -o ledger.pem https://www.sntnz.com/api/ledger/public-key
+// Run with: node verify-ledger.js export.json [ledger.pem]
+
+const fs = require('fs');
+const logger = require('./logger');
+const { verifyChain } = require('./ledger');
+
+// ============================================================================
+// --- VERIFICATION ---
+// ============================================================================
+
+(() => {
+  const [exportPath, publicKeyPath] = process.argv.slice(2);
+  if (!exportPath) {
+    logger.error('[verify-ledger] Usage: node verify-ledger.js <export.json> [public-key.pem]');
+    process.exitCode = 2;
+    return;
+  }
+
+  // --- 1. Read the export and the optional public key ---
+  let chapters;
+  let publicKeyPem;
+  try {
+    chapters = JSON.parse(fs.readFileSync(exportPath, 'utf8')).filter(chapter => chapter.hash);
+    publicKeyPem = publicKeyPath ? fs.readFileSync(publicKeyPath, 'utf8') : undefined;
+  } catch (err) {
+    logger.error({ err }, '[verify-ledger] Could not read the input files.');
+    process.exitCode = 2;
+    return;
+  }
+
+  // --- 2. Verify every chain and report each chapter that fails ---
+  const results = verifyChain(chapters, publicKeyPem);
+  const failures = results.filter(result => !result.valid);
+  failures.forEach(({ roomId, hash, title, legacy, hashMatches, linked, signatureValid }) => {
+    logger.error({ roomId, hash, title, legacy, hashMatches, linked, signatureValid }, '[verify-ledger] Chapter failed verification.');
+  });
+
+  // --- 3. Summarize ---
+  const count = (predicate) => results.filter(predicate).length;
+  logger.info({
+    chapters: results.length,
+    legacy: count(r => r.legacy),
+    chained: count(r => r.linked === true),
+    signed: count(r => r.signatureValid === true),
+    failed: failures.length,
+  }, `--- Ledger verification ${failures.length === 0 ? 'passed' : 'failed'} ---`);
+  process.exitCode = failures.length === 0 ? 0 : 1;
+})();
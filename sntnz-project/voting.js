@@ -0,0 +1,550 @@
+/**
+ * ============================================================================
+ * --- Round Resolution Strategies (voting.js) ---
+ * ============================================================================
+ *
+ * This module owns every rule about how votes are cast on live submissions and
+ * how a round's winner is elected. The server picks one strategy per deployment
+ * (see `constants.VOTING_STRATEGY`) and never inspects vote maps directly.
+ *
+ * Every strategy works on the same `liveWords` map used by the server and the
+ * bot: `compositeKey -> { word, styles, submitterId, submitterName, ts, votes }`,
+ * where `votes` is a `Map<userId, number>`. What the number means is up to the
+ * strategy (a +1/-1 ballot, a vote count, a preference rank...). Independently of
+ * that, every strategy counts an anonymous player's ballot with the weight
+ * `constants.ANONYMOUS_VOTE_WEIGHT`, the bot critic's with `constants.BOT_CRITIC_VOTE_WEIGHT`,
+ * and everyone else's with a weight of 1.
+ *
+ * Responsibilities:
+ * - Define the available strategies: net score, plurality, approval, quadratic
+ * voting and ranked-choice (instant runoff).
+ * - Apply a single vote or submission to the live map according to the rules.
+ * - Build the sorted live feed shown to clients, and each player's own votes on it.
+ * - Elect the winner and produce the `pct`, `count` and `total` figures that
+ * are stored on the winning word row.
+ * - Describe every candidate and its ballots for the round audit log.
+ *
+ * This module has no I/O: it can be exercised without a database or socket server.
+ */
+
+const constants = require('./constants');
+
+// ============================================================================
+// --- SHARED HELPERS ---
+// ============================================================================
+
+/**
+ * Records a user's vote on an entry and bumps the entry's `voteVersion`, which lets
+ * the live feed tell which scores changed without recomputing them all (see live-feed.js).
+ * @param {object} entry - A live word entry.
+ * @param {string} userId - The voter.
+ * @param {number} value - The vote.
+ */
+function setVote(entry, userId, value) {
+  entry.votes.set(userId, value);
+  entry.voteVersion = (entry.voteVersion || 0) + 1;
+}
+
+/**
+ * Removes a user's vote from an entry, bumping its `voteVersion` if there was one.
+ * @param {object} entry - A live word entry.
+ * @param {string} userId - The voter.
+ */
+function removeVote(entry, userId) {
+  if (entry.votes.delete(userId)) entry.voteVersion = (entry.voteVersion || 0) + 1;
+}
+
+/**
+ * Returns how much a voter's ballot counts.
+ * @param {string} userId - The voter.
+ * @returns {number} `constants.ANONYMOUS_VOTE_WEIGHT` for anonymous players,
+ * `constants.BOT_CRITIC_VOTE_WEIGHT` for the bot critic, 1 otherwise.
+ */
+function voterWeight(userId) {
+  if (userId === constants.BOT_CRITIC_ID) return constants.BOT_CRITIC_VOTE_WEIGHT;
+  return String(userId).startsWith(constants.ANONYMOUS_ID_PREFIX) ? constants.ANONYMOUS_VOTE_WEIGHT : 1;
+}
+
+/**
+ * Sums all the values of an entry's vote map, each weighted by its voter.
+ * @param {{votes: Map<string, number>}} entry - A live word entry.
+ * @returns {number} The weighted sum of all votes.
+ */
+function sumVotes(entry) {
+  let sum = 0;
+  for (const [userId, vote] of entry.votes.entries()) sum += vote * voterWeight(userId);
+  return sum;
+}
+
+/**
+ * Counts an entry's voters, each weighted by its voter weight.
+ * @param {{votes: Map<string, number>}} entry - A live word entry.
+ * @returns {number} The weighted number of voters.
+ */
+function countVoters(entry) {
+  let count = 0;
+  for (const userId of entry.votes.keys()) count += voterWeight(userId);
+  return count;
+}
+
+/**
+ * Sorts rows by score (descending), then by submission time (ascending) as a tie-breaker.
+ * @param {Array<{score: number, ts: number}>} rows - The rows to sort in place.
+ * @returns {Array<object>} The same array, sorted.
+ */
+function sortByScore(rows) {
+  return rows.sort((a, b) => (a.score !== b.score) ? b.score - a.score : a.ts - b.ts);
+}
+
+/**
+ * Picks the best-scoring entry whose score is strictly positive.
+ * Used by every strategy that elects on a single score per candidate.
+ * @param {Map<string, object>} liveWords - The live submissions.
+ * @param {function(object): number} scoreOf - Returns the score of an entry.
+ * @returns {{compositeKey: string, entry: object, score: number}|null} The leader, or null.
+ */
+function pickHighestPositive(liveWords, scoreOf) {
+  const rows = [];
+  for (const [compositeKey, entry] of liveWords.entries()) {
+    rows.push({ compositeKey, entry, score: scoreOf(entry), ts: entry.ts });
+  }
+  const leader = sortByScore(rows)[0];
+  return leader && leader.score > 0 ? leader : null;
+}
+
+/**
+ * Removes a user's vote from every live entry.
+ * @param {Map<string, object>} liveWords - The live submissions.
+ * @param {string} userId - The voter.
+ */
+function clearUserVotes(liveWords, userId) {
+  for (const entry of liveWords.values()) removeVote(entry, userId);
+}
+
+/**
+ * Maps a numeric vote to the `userVote` string the client understands.
+ * @param {object} entry - A live word entry.
+ * @param {string} [userId] - The requesting user.
+ * @returns {('up'|'down'|null)}
+ */
+function directionOf(entry, userId) {
+  if (!userId || !entry.votes.has(userId)) return null;
+  return entry.votes.get(userId) > 0 ? 'up' : 'down';
+}
+
+// ============================================================================
+// --- STRATEGIES ---
+// ============================================================================
+// Each strategy implements the same interface:
+// - castVote(liveWords, compositeKey, userId, direction) -> { ok, reason? }
+// - recordSubmission(liveWords, compositeKey, userId)    -> void
+// - score(entry)                                          -> number shown in the feed
+// - userVote(entry, userId)                               -> { vote, weight }
+// - elect(liveWords)                                      -> { compositeKey, count, total } | null
+
+/**
+ * Net score: every voter gives each candidate +1 or -1. Highest positive sum wins.
+ * This is the original snTnz behaviour.
+ */
+const net = {
+  name: 'net',
+  description: 'Up/down votes on every candidate; highest positive net score wins.',
+
+  castVote(liveWords, compositeKey, userId, direction) {
+    const entry = liveWords.get(compositeKey);
+    const currentVote = entry.votes.get(userId) || 0;
+    let newVote = 0;
+    if (direction === 'up') newVote = (currentVote === 1) ? 0 : 1; // Toggle upvote
+    else if (direction === 'down') newVote = (currentVote === -1) ? 0 : -1; // Toggle downvote
+
+    if (newVote === 0) removeVote(entry, userId); // Remove vote if toggled off
+    else setVote(entry, userId, newVote);
+    return { ok: true };
+  },
+
+  recordSubmission(liveWords, compositeKey, userId) {
+    setVote(liveWords.get(compositeKey), userId, 1);
+  },
+
+  score: sumVotes,
+
+  userVote(entry, userId) {
+    return { vote: directionOf(entry, userId), weight: null };
+  },
+
+  elect(liveWords) {
+    const leader = pickHighestPositive(liveWords, sumVotes);
+    if (!leader) return null;
+    let total = 0;
+    for (const entry of liveWords.values()) total += Math.max(0, sumVotes(entry));
+    return { compositeKey: leader.compositeKey, count: leader.score, total };
+  },
+};
+
+/**
+ * Plurality: each voter backs exactly one candidate per round. Most backers wins.
+ * Upvoting a candidate moves the voter's single vote to it; downvoting withdraws it.
+ */
+const plurality = {
+  name: 'plurality',
+  description: 'One vote per user per round; the candidate with the most votes wins.',
+
+  castVote(liveWords, compositeKey, userId, direction) {
+    const entry = liveWords.get(compositeKey);
+    const alreadyBacked = entry.votes.has(userId);
+    clearUserVotes(liveWords, userId);
+    if (direction === 'up' && !alreadyBacked) setVote(entry, userId, 1);
+    return { ok: true };
+  },
+
+  recordSubmission(liveWords, compositeKey, userId) {
+    clearUserVotes(liveWords, userId);
+    setVote(liveWords.get(compositeKey), userId, 1);
+  },
+
+  score: countVoters,
+
+  userVote(entry, userId) {
+    return { vote: directionOf(entry, userId), weight: null };
+  },
+
+  elect(liveWords) {
+    const leader = pickHighestPositive(liveWords, countVoters);
+    if (!leader) return null;
+    let total = 0;
+    for (const entry of liveWords.values()) total += countVoters(entry);
+    return { compositeKey: leader.compositeKey, count: leader.score, total };
+  },
+};
+
+/**
+ * Approval: voters approve any number of candidates. Most approvals wins.
+ * `total` is the number of distinct voters, so `pct` reads as "approved by X% of voters".
+ */
+const approval = {
+  name: 'approval',
+  description: 'Approve as many candidates as you like; the most approved candidate wins.',
+
+  castVote(liveWords, compositeKey, userId, direction) {
+    const entry = liveWords.get(compositeKey);
+    if (direction === 'up' && !entry.votes.has(userId)) setVote(entry, userId, 1);
+    else removeVote(entry, userId);
+    return { ok: true };
+  },
+
+  recordSubmission(liveWords, compositeKey, userId) {
+    setVote(liveWords.get(compositeKey), userId, 1);
+  },
+
+  score: countVoters,
+
+  userVote(entry, userId) {
+    return { vote: directionOf(entry, userId), weight: null };
+  },
+
+  elect(liveWords) {
+    const leader = pickHighestPositive(liveWords, countVoters);
+    if (!leader) return null;
+    const voters = new Set();
+    for (const entry of liveWords.values()) {
+      for (const userId of entry.votes.keys()) voters.add(userId);
+    }
+    let total = 0;
+    for (const userId of voters) total += voterWeight(userId);
+    return { compositeKey: leader.compositeKey, count: leader.score, total };
+  },
+};
+
+/**
+ * Quadratic voting: each voter receives `QUADRATIC_VOTE_CREDITS` per round. Placing
+ * n votes (for or against) on a candidate costs n² credits. Each click moves the
+ * voter's position on that candidate by one vote. Highest positive sum wins.
+ */
+const quadratic = {
+  name: 'quadratic',
+  description: `Spend ${constants.QUADRATIC_VOTE_CREDITS} credits per round; n votes on one word cost n².`,
+
+  /**
+   * Returns the credits a user has already committed in this round.
+   * @param {Map<string, object>} liveWords - The live submissions.
+   * @param {string} userId - The voter.
+   * @returns {number} The credits spent.
+   */
+  creditsSpent(liveWords, userId) {
+    let spent = 0;
+    for (const entry of liveWords.values()) {
+      const votes = entry.votes.get(userId) || 0;
+      spent += votes * votes;
+    }
+    return spent;
+  },
+
+  castVote(liveWords, compositeKey, userId, direction) {
+    const entry = liveWords.get(compositeKey);
+    const currentVotes = entry.votes.get(userId) || 0;
+    const step = direction === 'up' ? 1 : direction === 'down' ? -1 : 0;
+    if (step === 0) return { ok: false, reason: 'Invalid vote' };
+
+    const newVotes = currentVotes + step;
+    const spentElsewhere = this.creditsSpent(liveWords, userId) - currentVotes * currentVotes;
+    if (spentElsewhere + newVotes * newVotes > constants.QUADRATIC_VOTE_CREDITS) {
+      return { ok: false, reason: 'Not enough vote credits left this round' };
+    }
+
+    if (newVotes === 0) removeVote(entry, userId);
+    else setVote(entry, userId, newVotes);
+    return { ok: true };
+  },
+
+  recordSubmission(liveWords, compositeKey, userId) {
+    const entry = liveWords.get(compositeKey);
+    if ((entry.votes.get(userId) || 0) >= 1) return;
+    const spent = this.creditsSpent(liveWords, userId);
+    if (spent + 1 <= constants.QUADRATIC_VOTE_CREDITS) setVote(entry, userId, 1);
+  },
+
+  score: sumVotes,
+
+  userVote(entry, userId) {
+    const votes = userId ? (entry.votes.get(userId) || 0) : 0;
+    return { vote: directionOf(entry, userId), weight: votes ? Math.abs(votes) : null };
+  },
+
+  elect(liveWords) {
+    return net.elect(liveWords);
+  },
+};
+
+/**
+ * Ranked-choice (instant runoff): each upvote appends the candidate to the voter's
+ * ranking; upvoting a ranked candidate again, or downvoting it, removes it. The vote
+ * value is the preference rank (1 = first choice). Candidates with the fewest
+ * first preferences are eliminated until one holds a majority of the active ballots.
+ */
+const ranked = {
+  name: 'ranked',
+  description: 'Rank candidates in order of preference; instant runoff elects the winner.',
+
+  /**
+   * Returns one ballot per voter: the list of composite keys ordered by rank.
+   * @param {Map<string, object>} liveWords - The live submissions.
+   * @returns {Map<string, string[]>} voterId -> ranked composite keys.
+   */
+  ballots(liveWords) {
+    const byVoter = new Map();
+    for (const [compositeKey, entry] of liveWords.entries()) {
+      for (const [userId, rank] of entry.votes.entries()) {
+        if (!byVoter.has(userId)) byVoter.set(userId, []);
+        byVoter.get(userId).push({ compositeKey, rank });
+      }
+    }
+    const ballots = new Map();
+    for (const [userId, choices] of byVoter.entries()) {
+      ballots.set(userId, choices.sort((a, b) => a.rank - b.rank).map(c => c.compositeKey));
+    }
+    return ballots;
+  },
+
+  /**
+   * Rewrites a voter's ranks as 1..n after an insertion or removal.
+   * @param {Map<string, object>} liveWords - The live submissions.
+   * @param {string} userId - The voter.
+   * @param {string[]} order - The voter's new ranking.
+   */
+  writeBallot(liveWords, userId, order) {
+    clearUserVotes(liveWords, userId);
+    order.forEach((compositeKey, index) => setVote(liveWords.get(compositeKey), userId, index + 1));
+  },
+
+  castVote(liveWords, compositeKey, userId, direction) {
+    const order = (this.ballots(liveWords).get(userId) || []).filter(key => key !== compositeKey);
+    const wasRanked = liveWords.get(compositeKey).votes.has(userId);
+    if (direction === 'up' && !wasRanked) order.push(compositeKey);
+    this.writeBallot(liveWords, userId, order);
+    return { ok: true };
+  },
+
+  recordSubmission(liveWords, compositeKey, userId) {
+    const order = (this.ballots(liveWords).get(userId) || []).filter(key => key !== compositeKey);
+    this.writeBallot(liveWords, userId, [compositeKey, ...order]);
+  },
+
+  // The feed shows first preferences; the runoff only happens at round end.
+  score(entry) {
+    let firstChoices = 0;
+    for (const [userId, rank] of entry.votes.entries()) if (rank === 1) firstChoices += voterWeight(userId);
+    return firstChoices;
+  },
+
+  userVote(entry, userId) {
+    const rank = userId ? entry.votes.get(userId) : undefined;
+    return { vote: rank ? 'up' : null, weight: rank || null };
+  },
+
+  elect(liveWords) {
+    const ballots = [...this.ballots(liveWords).entries()];
+    const remaining = new Set(liveWords.keys());
+
+    while (remaining.size > 0) {
+      // Count each ballot, with its voter's weight, towards its highest-ranked candidate still in the race.
+      const tally = new Map([...remaining].map(key => [key, 0]));
+      let active = 0;
+      for (const [userId, ballot] of ballots) {
+        const choice = ballot.find(key => remaining.has(key));
+        if (choice) {
+          const weight = voterWeight(userId);
+          tally.set(choice, tally.get(choice) + weight);
+          active += weight;
+        }
+      }
+      if (active === 0) return null;
+
+      const rows = sortByScore([...tally.entries()].map(([compositeKey, score]) => ({
+        compositeKey, score, ts: liveWords.get(compositeKey).ts,
+      })));
+      const leader = rows[0];
+      if (leader.score * 2 > active || remaining.size === 1) {
+        return { compositeKey: leader.compositeKey, count: leader.score, total: active };
+      }
+      // Eliminate the weakest candidate; on a tie, the most recent submission goes first.
+      remaining.delete(rows[rows.length - 1].compositeKey);
+    }
+    return null;
+  },
+};
+
+const STRATEGIES = { net, plurality, approval, quadratic, ranked };
+
+// ============================================================================
+// --- PUBLIC API ---
+// ============================================================================
+
+/**
+ * Returns a strategy by name, or the net score strategy if no name is given.
+ * A mistyped name is an error rather than a silent fallback: the server would
+ * otherwise run the wrong rules without anyone noticing.
+ * @param {string} [name] - The strategy name (e.g. 'ranked').
+ * @returns {object} The strategy implementation.
+ * @throws {Error} If the name is not one of STRATEGIES.
+ */
+function getStrategy(name) {
+  if (!name) return net;
+  if (!Object.prototype.hasOwnProperty.call(STRATEGIES, name)) {
+    throw new Error(`Unknown voting strategy '${name}'. Use one of: ${Object.keys(STRATEGIES).join(', ')}.`);
+  }
+  return STRATEGIES[name];
+}
+
+/**
+ * Builds one row of the live feed, as every client sees it (without anyone's own vote).
+ * `critique` is the bot critic's rationale, on the candidates it backed.
+ * @param {object} strategy - The active strategy.
+ * @param {string} compositeKey - The entry's key.
+ * @param {object} data - The live word entry.
+ * @returns {object} The feed row.
+ */
+function buildFeedRow(strategy, compositeKey, data) {
+  return {
+    word: data.word,
+    styles: data.styles,
+    isTitle: data.isTitle || false,
+    username: data.submitterName,
+    count: strategy.score(data),
+    ts: data.ts,
+    critique: data.critique || null,
+    compositeKey,
+  };
+}
+
+/**
+ * Builds the sorted live feed for the client, personalized with the requester's vote.
+ * @param {object} strategy - The active strategy.
+ * @param {Map<string, object>} liveWords - The live submissions.
+ * @param {string} [requestingUserId] - The ID of the user requesting the feed.
+ * @returns {Array<object>} The sorted live feed state.
+ */
+function buildFeed(strategy, liveWords, requestingUserId) {
+  const feed = [];
+  for (const [compositeKey, data] of liveWords.entries()) {
+    const { vote, weight } = strategy.userVote(data, requestingUserId);
+    feed.push({ ...buildFeedRow(strategy, compositeKey, data), userVote: vote, userWeight: weight });
+  }
+  return feed.sort((a, b) => (a.count !== b.count) ? b.count - a.count : a.ts - b.ts);
+}
+
+/**
+ * Lists a user's current votes on the live feed.
+ * @param {object} strategy - The active strategy.
+ * @param {Map<string, object>} liveWords - The live submissions.
+ * @param {string} userId - The voter.
+ * @returns {Array<{compositeKey: string, userVote: string, userWeight: (number|null)}>}
+ * One item per candidate the user voted on; every other candidate has no vote from them.
+ */
+function buildUserVotes(strategy, liveWords, userId) {
+  const votes = [];
+  for (const [compositeKey, data] of liveWords.entries()) {
+    const { vote, weight } = strategy.userVote(data, userId);
+    if (vote) votes.push({ compositeKey, userVote: vote, userWeight: weight });
+  }
+  return votes;
+}
+
+/**
+ * Elects the winner of a round.
+ * @param {object} strategy - The active strategy.
+ * @param {Map<string, object>} liveWords - The live submissions at the end of the round.
+ * @returns {{entry: object, compositeKey: string, count: number, total: number, pct: number}|null}
+ * The winning entry and its vote figures, or null if nothing qualified.
+ */
+function resolveRound(strategy, liveWords) {
+  const result = strategy.elect(liveWords);
+  if (!result) return null;
+  const { compositeKey, count, total } = result;
+  return {
+    compositeKey,
+    entry: liveWords.get(compositeKey),
+    count,
+    total,
+    pct: total > 0 ? (count / total) * 100 : 0,
+  };
+}
+
+/**
+ * Lists every candidate of a round with its final score and ballots, for the round audit log.
+ * Only the fields below are kept: the hash of the author's IP address ends with the live round.
+ * @param {object} strategy - The active strategy.
+ * @param {Map<string, object>} liveWords - The live submissions at the end of the round.
+ * @returns {Array<object>} The candidates, best score first.
+ */
+function describeCandidates(strategy, liveWords) {
+  const candidates = [];
+  for (const [compositeKey, entry] of liveWords.entries()) {
+    candidates.push({
+      compositeKey,
+      word: entry.word,
+      styles: entry.styles,
+      isTitle: entry.isTitle || false,
+      submitterId: entry.submitterId,
+      submitterName: entry.submitterName,
+      ts: entry.ts,
+      score: strategy.score(entry),
+      critique: entry.critique || null,
+      promptTemplate: entry.promptTemplate || null, // The template that planned a bot word (see prompt-templates.js).
+      votes: [...entry.votes.entries()].map(([userId, vote]) => ({ userId, vote })),
+    });
+  }
+  return sortByScore(candidates);
+}
+
+module.exports = {
+  STRATEGIES,
+  getStrategy,
+  setVote,
+  removeVote,
+  voterWeight,
+  buildFeedRow,
+  buildFeed,
+  buildUserVotes,
+  resolveRound,
+  describeCandidates,
+};
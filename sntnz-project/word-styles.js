@@ -0,0 +1,158 @@
+/**
+ * ============================================================================
+ * --- Word Styles (word-styles.js) ---
+ * ============================================================================
+ *
+ * A word's `styles` is an object of booleans keyed by style name. The styles that
+ * exist, and how they combine, are declared once in `constants.WORD_STYLES`; this
+ * module derives everything the server needs from that schema. The clients
+ * receive the same schema through /config and derive the style buttons and the
+ * rendering from it.
+ *
+ * Responsibilities:
+ * - Validate the styles of a player's submission, which are never trusted as sent.
+ * - Normalize the styles of trusted words (the bot's, stored rows, titles).
+ * - Build the part of a candidate's composite key that comes from its styles.
+ * - Turn a chapter's words into plain text, for social posts and share pages.
+ *
+ * This module has no I/O: it can be exercised without a database or socket server.
+ */
+
+const constants = require('./constants');
+
+// The style names, in schema order.
+const STYLE_NAMES = Object.keys(constants.WORD_STYLES);
+
+// ============================================================================
+// --- VALIDATION ---
+// ============================================================================
+
+/**
+ * Returns a styles object with every style of the schema turned off.
+ * @returns {object}
+ */
+function emptyStyles() {
+  return Object.fromEntries(STYLE_NAMES.map(name => [name, false]));
+}
+
+/**
+ * Returns the first pair of styles of the same group that are both on, if any.
+ * @param {object} styles - Normalized styles.
+ * @returns {string[]|null} The two style names, or null.
+ */
+function findConflict(styles) {
+  const byGroup = new Map();
+  for (const name of STYLE_NAMES) {
+    const { group } = constants.WORD_STYLES[name];
+    if (!group || !styles[name]) continue;
+    if (byGroup.has(group)) return [byGroup.get(group), name];
+    byGroup.set(group, name);
+  }
+  return null;
+}
+
+/**
+ * @summary Validates the styles sent with a player's submission.
+ * @description Only the styles of the schema are accepted, each as a boolean, and at most
+ * one style per group. Missing styles are off; a missing styles object is a plain word.
+ * @param {*} styles - The styles as received.
+ * @returns {{ valid: boolean, reason?: string, styles?: object }} The validity, and the normalized styles.
+ */
+function validateStyles(styles) {
+  if (styles === undefined || styles === null) return { valid: true, styles: emptyStyles() };
+  if (typeof styles !== 'object' || Array.isArray(styles)) return { valid: false, reason: 'Invalid styles' };
+
+  const normalized = emptyStyles();
+  for (const [name, value] of Object.entries(styles)) {
+    if (!STYLE_NAMES.includes(name)) return { valid: false, reason: `Unknown style: ${name}` };
+    if (typeof value !== 'boolean') return { valid: false, reason: `Invalid value for the ${name} style` };
+    normalized[name] = value;
+  }
+
+  const conflict = findConflict(normalized);
+  if (conflict) return { valid: false, reason: `The ${conflict[0]} and ${conflict[1]} styles cannot be combined` };
+  return { valid: true, styles: normalized };
+}
+
+/**
+ * @summary Normalizes the styles of a word that comes from a trusted source.
+ * @description Unknown styles are dropped, and within a group only the first style of the
+ * schema that is on is kept, so the result always passes `validateStyles`.
+ * @param {object} [styles] - The styles, e.g. from the bot or a stored row.
+ * @returns {object} Every style of the schema, as a boolean.
+ */
+function normalizeStyles(styles = {}) {
+  const normalized = emptyStyles();
+  const usedGroups = new Set();
+  for (const name of STYLE_NAMES) {
+    if (!styles || styles[name] !== true) continue;
+    const { group } = constants.WORD_STYLES[name];
+    if (group && usedGroups.has(group)) continue;
+    if (group) usedGroups.add(group);
+    normalized[name] = true;
+  }
+  return normalized;
+}
+
+// ============================================================================
+// --- DERIVED FORMS ---
+// ============================================================================
+
+/**
+ * Builds the part of a composite key that comes from a word's styles.
+ * Example: 'b:false-i:true-u:false-s:false-c:false-n:false-p:false-q:false-h:false'
+ * @param {object} [styles] - The word's styles.
+ * @returns {string}
+ */
+function styleKey(styles = {}) {
+  return STYLE_NAMES.map(name => `${constants.WORD_STYLES[name].key}:${!!(styles && styles[name])}`).join('-');
+}
+
+/**
+ * Returns how many line breaks a word's styles put before it.
+ * @param {object} [styles] - The word's styles.
+ * @returns {number}
+ */
+function breaksBefore(styles = {}) {
+  return STYLE_NAMES.reduce((breaks, name) => (
+    styles && styles[name] ? Math.max(breaks, constants.WORD_STYLES[name].breaks || 0) : breaks
+  ), 0);
+}
+
+/**
+ * @summary Turns a chapter's words into plain text.
+ * @description Words are joined with spaces, or with the line breaks their styles ask for,
+ * and each run of words with a marked style (e.g. dialogue) is put between its marks.
+ * @param {Array<object>} words - The words, oldest first.
+ * @returns {string}
+ */
+function toPlainText(words) {
+  const markedStyles = STYLE_NAMES.filter(name => constants.WORD_STYLES[name].marks);
+  let text = '';
+  let previous = null;
+  words.forEach(word => {
+    const styles = word.styles || {};
+    const closing = markedStyles.filter(name => previous && previous.styles?.[name] && !styles[name]);
+    const opening = markedStyles.filter(name => styles[name] && !(previous && previous.styles?.[name]));
+    text += closing.map(name => constants.WORD_STYLES[name].marks[1]).join('');
+
+    const breaks = breaksBefore(styles);
+    text += breaks > 0 ? '\n'.repeat(breaks) : (text ? ' ' : '');
+    text += opening.map(name => constants.WORD_STYLES[name].marks[0]).join('') + word.word;
+    previous = word;
+  });
+  if (previous) {
+    text += markedStyles.filter(name => previous.styles?.[name]).map(name => constants.WORD_STYLES[name].marks[1]).join('');
+  }
+  return text;
+}
+
+module.exports = {
+  STYLE_NAMES,
+  emptyStyles,
+  validateStyles,
+  normalizeStyles,
+  styleKey,
+  breaksBefore,
+  toPlainText,
+};